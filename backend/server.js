@@ -26,6 +26,10 @@ const tasksRoutes = require("./src/routes/tasks");
 const whatsappRoutes = require("./src/routes/whatsapp");
 const fcmRoutes = require("./src/routes/fcm");
 const witRoutes = require("./src/routes/wit");
+const usersRoutes = require("./src/routes/users");
+const authRoutes = require("./src/routes/auth");
+const digestService = require("./src/services/digest");
+const reminderService = require("./src/services/reminders");
 
 // Criar aplicação Express
 const app = express();
@@ -38,8 +42,16 @@ const PORT = process.env.PORT || 3000;
 /**
  * CORS (Cross-Origin Resource Sharing)
  * Permite que o app mobile faça requisições para este backend
+ * 
+ * O app nativo não é afetado por CORS; a restrição vale para navegadores.
+ * CORS_ORIGINS (lista separada por vírgulas) limita as origens web aceitas;
+ * sem a variável, qualquer origem é aceita (a API continua exigindo token).
  */
-app.use(cors());
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : undefined));
 
 /**
  * Body Parser
@@ -73,9 +85,21 @@ app.get("/", (req, res) => {
   });
 });
 
+/**
+ * Rotas de Autenticação
+ * Cadastro, login, renovação e revogação de tokens
+ */
+app.use("/api/auth", authRoutes);
+
+/**
+ * Rotas de Usuários
+ * Contas que separam as tarefas de cada pessoa
+ */
+app.use("/api/users", usersRoutes);
+
 /**
  * Rotas de Tarefas
- * CRUD completo de tarefas
+ * CRUD completo de tarefas (restrito ao usuário identificado)
  */
 app.use("/api/tasks", tasksRoutes);
 
@@ -140,6 +164,12 @@ app.listen(PORT, () => {
   console.log(`📡 Servidor rodando em http://localhost:${PORT}`);
   console.log(`📝 Ambiente: ${process.env.NODE_ENV || "development"}`);
   console.log("✅ Pronto para receber requisições");
+
+  // Resumos diários enviados pelo WhatsApp no horário de cada usuário
+  digestService.startDigestScheduler();
+
+  // Lembretes das tarefas agendadas (WhatsApp e/ou push), mesmo sem o app
+  reminderService.startReminderScheduler();
 });
 
 // Exportar app para testes (se necessário)
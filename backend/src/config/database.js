@@ -1,194 +1,549 @@
 /**
  * Configuração do Banco de Dados
- * 
- * Para MVP, usamos arquivo JSON como armazenamento.
- * Isso simplifica o setup e não requer configuração de banco de dados.
- * 
- * Por que JSON?
- * - Não requer instalação de PostgreSQL/MySQL
- * - Fácil de debugar e visualizar dados
- * - Pode migrar facilmente para banco real depois
- * - Suficiente para demonstração em TCC
- * 
- * Em produção, migrar para SQLite, PostgreSQL ou MongoDB.
+ *
+ * As rotas e serviços usam sempre as mesmas funções exportadas aqui
+ * (getAllTasks, getTaskById, createTask, updateTask, deleteTask, e as
+ * funções de usuário).
+ * Por trás delas fica um adaptador de armazenamento, escolhido pela
+ * variável de ambiente DB_DRIVER:
+ *
+ * - json (padrão): arquivo data/tasks.json, regravado a cada operação.
+ *   Não requer instalação de banco; suficiente para demonstração.
+ * - sqlite: arquivo data/tasks.db via better-sqlite3, com índices e
+ *   escritas transacionais. Recomendado quando o volume de tarefas cresce.
+ *
+ * Interface de um adaptador (todas as funções são síncronas):
+ * - initDatabase(): prepara o armazenamento
+ * - getAllTasks(ownerId): Array
+ * - queryTasks(query, ownerId): { tasks, total } (filtros, ordenação e página)
+ * - getTaskById(id, ownerId): Object|null
+ * - createTask(taskData): Object (taskData.owner_id define o dono)
+ * - updateTask(id, updates, ownerId): Object|null
+ * - deleteTask(id, ownerId): boolean (marca deleted_at, deixando uma lápide)
+ * - getDeletedTasks(ownerId): Array com as lápides
+ * - purgeDeletedTasks(cutoffIso): number de lápides removidas
+ * - getChangesSince(seq, limit, ownerId): { tasks, hasMore, lastSeq, purgedSeq }
+ * - claimUnownedTasks(ownerId): number de tarefas atribuídas
+ * - reassignTasks(fromOwnerId, toOwnerId): number de tarefas transferidas
+ * - getUserById(id) / getUserByPhone(phone) / getUserByEmail(email): Object|null
+ * - getUsersWithDigest(): Array com os usuários de resumo diário ativo
+ * - createUser(userData): Object
+ * - updateUser(id, updates): Object|null
+ * - createSession(session) / getSessionById(id) / updateSession(id, updates)
+ * - revokeUserSessions(userId, revokedAtIso): number de sessões revogadas
+ * - purgeSessions(cutoffIso): number de sessões removidas
+ * - getSentReminderIds(ids): Array com os IDs de lembretes já enviados
+ * - recordSentReminder(reminder): Object (registro de lembrete enviado)
+ * - purgeSentReminders(cutoffIso): number de registros removidos
+ * - saveDeviceToken(device): Object (insere ou atualiza pelo token)
+ * - getDeviceTokens(ownerId): Array com os tokens de push do usuário
+ * - deleteDeviceToken(token, ownerId): boolean
+ * - purgeDeviceTokens(cutoffIso): number de tokens removidos
+ *
+ * Donos (multiusuário):
+ * - Toda tarefa tem `owner_id`, o ID do usuário dono.
+ * - O parâmetro ownerId restringe a operação às tarefas desse usuário.
+ *   Omitido, a operação vale para todos (uso interno, ex.: expurgo).
+ * - Tarefas criadas antes das contas ficam sem dono e invisíveis para as
+ *   rotas. Com DEFAULT_OWNER_PHONE definido, elas são atribuídas na
+ *   inicialização à conta desse telefone.
+ *
+ * Lápides (tombstones):
+ * - Tarefas deletadas não somem na hora; recebem `deleted_at` e deixam de
+ *   aparecer em getAllTasks/getTaskById.
+ * - A sincronização devolve as lápides para que outros dispositivos apaguem
+ *   a cópia local em vez de recriar a tarefa no servidor.
+ * - Lápides mais antigas que TOMBSTONE_RETENTION_DAYS (padrão: 30 dias)
+ *   são removidas definitivamente na inicialização e uma vez por dia.
+ *
+ * Sequência de alterações (sincronização incremental):
+ * - Toda criação, atualização e exclusão grava em `seq` um número
+ *   estritamente crescente; `created_seq` guarda a sequência da criação.
+ * - Um cliente guarda a maior sequência que já viu (cursor) e pede apenas
+ *   o que mudou depois dela (GET /api/tasks/changes?since=<cursor>).
+ * - A sequência é uma só para todos os donos: `lastSeq` é a última do banco
+ *   e `hasMore` indica se há mais alterações do dono depois da página.
+ * - `purgedSeq` é a maior sequência de lápide já expurgada, guardada por
+ *   dono. Um cursor menor que ela pode ter perdido exclusões e precisa
+ *   refazer a carga completa; o expurgo de um dono não afeta os outros.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { createJsonAdapter } = require("./storage/jsonAdapter");
+const { createSqliteAdapter } = require("./storage/sqliteAdapter");
 
-// Caminho do arquivo JSON
-const DB_FILE = path.join(__dirname, "../../data/tasks.json");
-const DB_DIR = path.dirname(DB_FILE);
+// Diretório padrão dos arquivos de dados
+const DATA_DIR = path.join(__dirname, "../../data");
+
+// Caminhos dos arquivos (podem ser sobrescritos por variáveis de ambiente)
+const JSON_DB_FILE = process.env.JSON_DB_FILE || path.join(DATA_DIR, "tasks.json");
+const SQLITE_DB_FILE = process.env.SQLITE_DB_FILE || path.join(DATA_DIR, "tasks.db");
+
+// Telefone da conta que herda as tarefas criadas antes do multiusuário
+const DEFAULT_OWNER_PHONE = (process.env.DEFAULT_OWNER_PHONE || "").replace(/[^0-9]/g, "");
+
+// Tempo de retenção das lápides de tarefas deletadas
+const TOMBSTONE_RETENTION_DAYS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS, 10) || 30;
+const TOMBSTONE_PURGE_INTERVAL = 24 * 60 * 60 * 1000; // 1 dia
+
+// Tempo de retenção do registro de lembretes enviados (services/reminders.js)
+const SENT_REMINDER_RETENTION_DAYS = 7;
+
+// Dias sem o app registrar o token de push até ele ser descartado
+const DEVICE_TOKEN_TTL_DAYS = parseInt(process.env.DEVICE_TOKEN_TTL_DAYS, 10) || 60;
+
+/**
+ * Adaptadores disponíveis, indexados pelo valor de DB_DRIVER
+ */
+const adapterFactories = {
+  json: () => createJsonAdapter({ filePath: JSON_DB_FILE }),
+  sqlite: () => createSqliteAdapter({ filePath: SQLITE_DB_FILE }),
+};
 
 /**
- * Garante que o diretório de dados existe
+ * Importa o arquivo JSON legado para o SQLite na primeira execução
+ *
+ * Só roda quando o SQLite está vazio e o arquivo JSON existe, para que a
+ * troca de DB_DRIVER não "perca" as tarefas já cadastradas.
+ *
+ * @param {Object} sqliteAdapter - Adaptador SQLite já inicializado
  */
-const ensureDataDir = () => {
-  if (!fs.existsSync(DB_DIR)) {
-    fs.mkdirSync(DB_DIR, { recursive: true });
+const importLegacyJson = (sqliteAdapter) => {
+  if (sqliteAdapter.countTasks() > 0 || !fs.existsSync(JSON_DB_FILE)) {
+    return;
+  }
+
+  const legacyData = createJsonAdapter({ filePath: JSON_DB_FILE }).exportData();
+  if (legacyData.tasks.length === 0) {
+    return;
   }
+
+  const imported = sqliteAdapter.importData(legacyData);
+  console.log(`📦 ${imported} tarefa(s) importada(s) de ${JSON_DB_FILE} para o SQLite`);
 };
 
 /**
- * Inicializa o banco de dados
- * Cria arquivo JSON vazio se não existir
+ * Cria e inicializa o adaptador configurado em DB_DRIVER
+ *
+ * @returns {Object} Adaptador de armazenamento
  */
 const initDatabase = () => {
-  ensureDataDir();
-  
-  if (!fs.existsSync(DB_FILE)) {
-    const initialData = {
-      tasks: [],
-      lastId: 0,
-    };
-    fs.writeFileSync(DB_FILE, JSON.stringify(initialData, null, 2));
-    console.log("✅ Banco de dados JSON inicializado");
+  const driver = (process.env.DB_DRIVER || "json").trim().toLowerCase();
+  const factory = adapterFactories[driver];
+
+  if (!factory) {
+    throw new Error(
+      `DB_DRIVER inválido: "${driver}". Use um dos seguintes: ${Object.keys(adapterFactories).join(", ")}`
+    );
+  }
+
+  const adapter = factory();
+  adapter.initDatabase();
+
+  if (adapter.name === "sqlite") {
+    importLegacyJson(adapter);
+  }
+
+  console.log(`🗄️ Armazenamento de tarefas: ${adapter.name}`);
+  return adapter;
+};
+
+// Inicializar banco na primeira importação
+const storage = initDatabase();
+
+/**
+ * Busca o usuário dono de um telefone do WhatsApp, criando a conta no
+ * primeiro contato
+ *
+ * @param {string} phone - Telefone (qualquer formatação; só os dígitos contam)
+ * @returns {Object|null} Usuário, ou null se o telefone for inválido
+ */
+const getOrCreateUserByPhone = (phone) => {
+  const normalizedPhone = String(phone || "").replace(/[^0-9]/g, "");
+  if (!normalizedPhone) {
+    return null;
+  }
+
+  const existingUser = storage.getUserByPhone(normalizedPhone);
+  if (existingUser) {
+    return existingUser;
+  }
+
+  const user = storage.createUser({ phone: normalizedPhone });
+  console.log(`👤 Nova conta criada para o telefone ${normalizedPhone} (${user.id})`);
+  return user;
+};
+
+/**
+ * Vincula um telefone do WhatsApp a uma conta (pareamento com o app)
+ *
+ * Se o telefone já pertencia a outra conta, ele é desvinculado dela. Quando
+ * essa conta foi criada automaticamente pelo WhatsApp (sem e-mail), as
+ * tarefas dela passam para a conta vinculada, para não se perderem.
+ *
+ * @param {string} userId - ID da conta que recebe o telefone
+ * @param {string} phone - Telefone (qualquer formatação; só os dígitos contam)
+ * @returns {Object|null} { user, transferredTasks }, ou null se a conta não existir
+ */
+const linkPhoneToUser = (userId, phone) => {
+  const normalizedPhone = String(phone || "").replace(/[^0-9]/g, "");
+  const user = storage.getUserById(userId);
+  if (!user || !normalizedPhone) {
+    return null;
+  }
+
+  let transferredTasks = 0;
+  const previousOwner = storage.getUserByPhone(normalizedPhone);
+
+  if (previousOwner && previousOwner.id !== userId) {
+    if (!previousOwner.email) {
+      transferredTasks = storage.reassignTasks(previousOwner.id, userId);
+    }
+    storage.updateUser(previousOwner.id, { phone: null });
+  }
+
+  const linkedUser = storage.updateUser(userId, { phone: normalizedPhone });
+  console.log(`🔗 Telefone ${normalizedPhone} vinculado a ${userId} (${transferredTasks} tarefa(s) transferida(s))`);
+
+  return { user: linkedUser, transferredTasks };
+};
+
+/**
+ * Atribui as tarefas sem dono à conta de DEFAULT_OWNER_PHONE, se definida
+ */
+const claimLegacyTasks = () => {
+  if (!DEFAULT_OWNER_PHONE) {
+    return;
+  }
+
+  const owner = getOrCreateUserByPhone(DEFAULT_OWNER_PHONE);
+  const claimed = storage.claimUnownedTasks(owner.id);
+  if (claimed > 0) {
+    console.log(`📦 ${claimed} tarefa(s) sem dono atribuída(s) a ${DEFAULT_OWNER_PHONE} (${owner.id})`);
+  }
+};
+
+claimLegacyTasks();
+
+/**
+ * Remove lápides mais antigas que o período de retenção
+ *
+ * Um dispositivo que ficar offline por mais tempo que a retenção pode
+ * reenviar uma tarefa já expurgada; por isso o padrão é generoso.
+ *
+ * @returns {number} Quantidade de lápides removidas
+ */
+const purgeExpiredTombstones = () => {
+  const cutoff = new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  try {
+    const purged = storage.purgeDeletedTasks(cutoff);
+    if (purged > 0) {
+      console.log(`🧹 ${purged} lápide(s) de tarefas deletadas expurgada(s)`);
+    }
+    return purged;
+  } catch (error) {
+    console.error("❌ Erro ao expurgar tarefas deletadas:", error);
+    return 0;
   }
 };
 
 /**
- * Lê todos os dados do banco
- * 
- * @returns {Object} Dados do banco
+ * Remove sessões de login expiradas ou revogadas
+ *
+ * @returns {number} Quantidade de sessões removidas
  */
-const readDatabase = () => {
+const purgeStaleSessions = () => {
   try {
-    const data = fs.readFileSync(DB_FILE, "utf8");
-    return JSON.parse(data);
+    const purged = storage.purgeSessions(new Date().toISOString());
+    if (purged > 0) {
+      console.log(`🧹 ${purged} sessão(ões) de login expirada(s) removida(s)`);
+    }
+    return purged;
   } catch (error) {
-    console.error("❌ Erro ao ler banco de dados:", error);
-    return { tasks: [], lastId: 0 };
+    console.error("❌ Erro ao remover sessões expiradas:", error);
+    return 0;
   }
 };
 
 /**
- * Escreve dados no banco
- * 
- * @param {Object} data - Dados a escrever
+ * Remove registros de lembretes enviados há mais tempo que a retenção
+ *
+ * O registro só precisa cobrir a janela em que um lembrete ainda poderia
+ * ser enviado (evita repetir o envio depois de reiniciar o servidor).
+ *
+ * @returns {number} Quantidade de registros removidos
  */
-const writeDatabase = (data) => {
+const purgeOldReminders = () => {
+  const cutoff = new Date(Date.now() - SENT_REMINDER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
   try {
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+    return storage.purgeSentReminders(cutoff);
   } catch (error) {
-    console.error("❌ Erro ao escrever no banco de dados:", error);
-    throw error;
+    console.error("❌ Erro ao remover registros de lembretes:", error);
+    return 0;
   }
 };
 
 /**
- * Gera um ID único para nova tarefa
- * 
- * @returns {string} ID único
+ * Remove tokens de push que o app não registra há DEVICE_TOKEN_TTL_DAYS
+ *
+ * O app registra o token a cada abertura; um token parado há tanto tempo é
+ * de um aparelho que não usa mais o app (o FCM e o Expo também param de
+ * aceitá-lo).
+ *
+ * @returns {number} Quantidade de tokens removidos
  */
-const generateId = () => {
-  const data = readDatabase();
-  data.lastId += 1;
-  writeDatabase(data);
-  return `task_${Date.now()}_${data.lastId}`;
+const purgeStaleDeviceTokens = () => {
+  const cutoff = new Date(Date.now() - DEVICE_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  try {
+    const purged = storage.purgeDeviceTokens(cutoff);
+    if (purged > 0) {
+      console.log(`🧹 ${purged} token(s) de push sem uso removido(s)`);
+    }
+    return purged;
+  } catch (error) {
+    console.error("❌ Erro ao remover tokens de push sem uso:", error);
+    return 0;
+  }
 };
 
+purgeExpiredTombstones();
+purgeStaleSessions();
+purgeOldReminders();
+purgeStaleDeviceTokens();
+// unref: o timer não impede o processo de encerrar
+setInterval(() => {
+  purgeExpiredTombstones();
+  purgeStaleSessions();
+  purgeOldReminders();
+  purgeStaleDeviceTokens();
+}, TOMBSTONE_PURGE_INTERVAL).unref();
+
 /**
  * Obtém todas as tarefas
- * 
+ *
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
  * @returns {Array} Lista de tarefas
  */
-const getAllTasks = () => {
-  const data = readDatabase();
-  return data.tasks || [];
-};
+const getAllTasks = (ownerId) => storage.getAllTasks(ownerId);
+
+/**
+ * Busca tarefas com filtros, ordenação e paginação
+ *
+ * @param {Object} query - { statuses, scheduledAfter, scheduledBefore, text, sort, direction, limit, offset }
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
+ * @returns {Object} { tasks, total } (total conta todas as páginas)
+ */
+const queryTasks = (query, ownerId) => storage.queryTasks(query, ownerId);
 
 /**
  * Busca tarefa por ID
- * 
+ *
  * @param {string} id - ID da tarefa
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
  * @returns {Object|null} Tarefa encontrada ou null
  */
-const getTaskById = (id) => {
-  const tasks = getAllTasks();
-  return tasks.find((task) => task.id === id) || null;
-};
+const getTaskById = (id, ownerId) => storage.getTaskById(id, ownerId);
 
 /**
  * Cria uma nova tarefa
- * 
- * @param {Object} taskData - Dados da tarefa
+ *
+ * @param {Object} taskData - Dados da tarefa (owner_id define o dono)
  * @returns {Object} Tarefa criada
  */
-const createTask = (taskData) => {
-  const data = readDatabase();
-  const now = new Date().toISOString();
-  
-  const task = {
-    id: generateId(),
-    title: taskData.title,
-    description: taskData.description || null,
-    status: taskData.status || "pending",
-    scheduled_at: taskData.scheduled_at || null,
-    created_at: now,
-    updated_at: now,
-  };
-  
-  data.tasks.push(task);
-  writeDatabase(data);
-  
-  return task;
-};
+const createTask = (taskData) => storage.createTask(taskData);
 
 /**
  * Atualiza uma tarefa existente
- * 
+ *
  * @param {string} id - ID da tarefa
  * @param {Object} updates - Campos a atualizar
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
  * @returns {Object|null} Tarefa atualizada ou null
  */
-const updateTask = (id, updates) => {
-  const data = readDatabase();
-  const taskIndex = data.tasks.findIndex((task) => task.id === id);
-  
-  if (taskIndex === -1) {
-    return null;
-  }
-  
-  const task = data.tasks[taskIndex];
-  const updatedTask = {
-    ...task,
-    ...updates,
-    updated_at: new Date().toISOString(),
-  };
-  
-  data.tasks[taskIndex] = updatedTask;
-  writeDatabase(data);
-  
-  return updatedTask;
-};
+const updateTask = (id, updates, ownerId) => storage.updateTask(id, updates, ownerId);
 
 /**
  * Deleta uma tarefa
- * 
+ *
  * @param {string} id - ID da tarefa
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
  * @returns {boolean} true se deletada
  */
-const deleteTask = (id) => {
-  const data = readDatabase();
-  const initialLength = data.tasks.length;
-  data.tasks = data.tasks.filter((task) => task.id !== id);
-  
-  if (data.tasks.length < initialLength) {
-    writeDatabase(data);
-    return true;
-  }
-  
-  return false;
+const deleteTask = (id, ownerId) => storage.deleteTask(id, ownerId);
+
+/**
+ * Lista as lápides de tarefas deletadas
+ *
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
+ * @returns {Array} Tarefas deletadas (com deleted_at)
+ */
+const getDeletedTasks = (ownerId) => storage.getDeletedTasks(ownerId);
+
+/**
+ * Lista alterações (criações, atualizações e lápides) após uma sequência
+ *
+ * @param {number} since - Última sequência já conhecida pelo cliente
+ * @param {number} limit - Máximo de tarefas retornadas
+ * @param {string} [ownerId] - Restringe às tarefas deste usuário
+ * @returns {Object} { tasks, hasMore, lastSeq, purgedSeq }
+ */
+const getChangesSince = (since, limit, ownerId) => storage.getChangesSince(since, limit, ownerId);
+
+/**
+ * Busca usuário por ID
+ *
+ * @param {string} id - ID do usuário
+ * @returns {Object|null} Usuário encontrado ou null
+ */
+const getUserById = (id) => storage.getUserById(id);
+
+/**
+ * Busca usuário pelo telefone do WhatsApp
+ *
+ * @param {string} phone - Telefone normalizado (apenas dígitos)
+ * @returns {Object|null} Usuário encontrado ou null
+ */
+const getUserByPhone = (phone) => storage.getUserByPhone(phone);
+
+/**
+ * Busca usuário pelo e-mail de login
+ *
+ * @param {string} email - E-mail normalizado (minúsculas)
+ * @returns {Object|null} Usuário encontrado ou null
+ */
+const getUserByEmail = (email) => storage.getUserByEmail(email);
+
+/**
+ * Lista os usuários com resumo diário ativo (horário e telefone definidos)
+ *
+ * @returns {Array<Object>} Usuários
+ */
+const getUsersWithDigest = () => storage.getUsersWithDigest();
+
+/**
+ * Cria um novo usuário
+ *
+ * @param {Object} userData - Dados do usuário ({ email, password_hash, phone, name })
+ * @returns {Object} Usuário criado
+ */
+const createUser = (userData) => storage.createUser(userData);
+
+/**
+ * Atualiza um usuário existente
+ *
+ * @param {string} id - ID do usuário
+ * @param {Object} updates - Campos a atualizar
+ * @returns {Object|null} Usuário atualizado ou null
+ */
+const updateUser = (id, updates) => storage.updateUser(id, updates);
+
+/**
+ * Cria uma sessão de login
+ *
+ * @param {Object} session - Sessão completa
+ * @returns {Object} Sessão criada
+ */
+const createSession = (session) => storage.createSession(session);
+
+/**
+ * Busca sessão de login por ID
+ *
+ * @param {string} id - ID da sessão
+ * @returns {Object|null} Sessão encontrada ou null
+ */
+const getSessionById = (id) => storage.getSessionById(id);
+
+/**
+ * Atualiza uma sessão de login
+ *
+ * @param {string} id - ID da sessão
+ * @param {Object} updates - Campos a atualizar
+ * @returns {Object|null} Sessão atualizada ou null
+ */
+const updateSession = (id, updates) => storage.updateSession(id, updates);
+
+/**
+ * Revoga todas as sessões ativas de um usuário
+ *
+ * @param {string} userId - ID do usuário
+ * @returns {number} Quantidade de sessões revogadas
+ */
+const revokeUserSessions = (userId) => storage.revokeUserSessions(userId, new Date().toISOString());
+
+/**
+ * Filtra os lembretes que já foram enviados
+ *
+ * @param {Array<string>} ids - IDs de lembretes
+ * @returns {Array<string>} IDs já registrados como enviados
+ */
+const getSentReminderIds = (ids) => storage.getSentReminderIds(ids);
+
+/**
+ * Registra um lembrete enviado
+ *
+ * @param {Object} reminder - { id, task_id, owner_id, remind_at, sent_at }
+ * @returns {Object} Lembrete registrado
+ */
+const recordSentReminder = (reminder) => storage.recordSentReminder(reminder);
+
+/**
+ * Registra um token de push para o usuário (ou renova o registro)
+ *
+ * @param {Object} device - { token, owner_id, platform, app_version }
+ * @returns {Object} Dispositivo salvo (com created_at e last_seen_at)
+ */
+const saveDeviceToken = ({ token, owner_id, platform = null, app_version = null }) => {
+  const now = new Date().toISOString();
+  return storage.saveDeviceToken({ token, owner_id, platform, app_version, created_at: now, last_seen_at: now });
 };
 
-// Inicializar banco na primeira importação
-initDatabase();
+/**
+ * Lista os tokens de push de um usuário
+ *
+ * @param {string} ownerId - ID do usuário
+ * @returns {Array<Object>} Dispositivos
+ */
+const getDeviceTokens = (ownerId) => storage.getDeviceTokens(ownerId);
+
+/**
+ * Remove um token de push
+ *
+ * @param {string} token - Token
+ * @param {string} [ownerId] - Só remove se for deste usuário; omitido, de
+ *   qualquer um (uso interno, ex.: token recusado pelo FCM)
+ * @returns {boolean} true se removeu
+ */
+const deleteDeviceToken = (token, ownerId) => storage.deleteDeviceToken(token, ownerId);
 
 module.exports = {
   getAllTasks,
+  queryTasks,
   getTaskById,
   createTask,
   updateTask,
   deleteTask,
+  getDeletedTasks,
+  getChangesSince,
+  purgeExpiredTombstones,
+  getUserById,
+  getUserByPhone,
+  getUserByEmail,
+  getUsersWithDigest,
+  createUser,
+  updateUser,
+  getOrCreateUserByPhone,
+  linkPhoneToUser,
+  createSession,
+  getSessionById,
+  updateSession,
+  revokeUserSessions,
+  getSentReminderIds,
+  recordSentReminder,
+  saveDeviceToken,
+  getDeviceTokens,
+  deleteDeviceToken,
 };
-
@@ -0,0 +1,946 @@
+/**
+ * Adaptador de Armazenamento - Arquivo JSON
+ *
+ * Implementação original do banco do MVP: todas as tarefas (e as contas
+ * de usuário) ficam em um único arquivo JSON, relido e regravado por
+ * inteiro a cada operação.
+ *
+ * Por que manter?
+ * - Não requer instalação de nenhum banco de dados
+ * - Fácil de debugar e visualizar dados
+ * - Suficiente para poucos usuários e poucas tarefas
+ *
+ * Segurança dos dados:
+ * - Toda escrita passa por `runWrite`, que serializa as alterações
+ *   (uma leitura, uma mutação, uma gravação) e impede que uma operação
+ *   sobrescreva a outra com dados velhos ou reutilize o mesmo `lastId`.
+ * - A gravação é atômica: o conteúdo vai para um arquivo temporário que
+ *   depois substitui o original via rename. Uma queda no meio da escrita
+ *   nunca deixa o arquivo pela metade.
+ * - A versão anterior fica em `<arquivo>.bak`. Se o arquivo principal
+ *   estiver corrompido, ele é preservado como `<arquivo>.corrupt-<data>` e
+ *   o backup é restaurado. Sem backup válido, a leitura falha em vez de
+ *   devolver uma lista vazia que apagaria os dados reais na próxima escrita.
+ *
+ * Para volumes maiores, usar o adaptador SQLite (DB_DRIVER=sqlite).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Cria o adaptador JSON
+ *
+ * @param {Object} options - Opções do adaptador
+ * @param {string} options.filePath - Caminho do arquivo JSON
+ * @returns {Object} Adaptador com a interface de armazenamento de tarefas
+ */
+const createJsonAdapter = ({ filePath }) => {
+  const DB_FILE = filePath;
+  const DB_DIR = path.dirname(DB_FILE);
+  const BACKUP_FILE = `${DB_FILE}.bak`;
+  const TEMP_FILE = `${DB_FILE}.tmp-${process.pid}`;
+
+  /**
+   * Dados da escrita em andamento.
+   * Enquanto não é null, leituras e escritas aninhadas operam sobre estes
+   * mesmos dados em memória, que são gravados uma única vez no final.
+   */
+  let pendingData = null;
+
+  /**
+   * Última cópia de arquivo corrompido preservada (evita uma cópia nova
+   * a cada leitura enquanto o problema não é resolvido manualmente)
+   */
+  let lastCorruptCopy = { mtimeMs: null, path: null };
+
+  /**
+   * Garante que o diretório de dados existe
+   */
+  const ensureDataDir = () => {
+    if (!fs.existsSync(DB_DIR)) {
+      fs.mkdirSync(DB_DIR, { recursive: true });
+    }
+  };
+
+  /**
+   * Converte o conteúdo de um arquivo em dados do banco
+   * Lança erro se o JSON for inválido ou não tiver a estrutura esperada
+   *
+   * @param {string} content - Conteúdo bruto do arquivo
+   * @returns {Object} Dados do banco
+   */
+  const parseDatabase = (content) => {
+    const data = JSON.parse(content);
+
+    if (!data || typeof data !== "object" || !Array.isArray(data.tasks)) {
+      throw new Error("Estrutura do banco inválida (campo 'tasks' ausente)");
+    }
+
+    const parsed = {
+      ...data,
+      users: Array.isArray(data.users) ? data.users : [],
+      sessions: Array.isArray(data.sessions) ? data.sessions : [],
+      sentReminders: Array.isArray(data.sentReminders) ? data.sentReminders : [],
+      deviceTokens: Array.isArray(data.deviceTokens) ? data.deviceTokens : [],
+      lastId: Number.isInteger(data.lastId) ? data.lastId : 0,
+      lastUserId: Number.isInteger(data.lastUserId) ? data.lastUserId : 0,
+      purgedSeq: Number.isInteger(data.purgedSeq) ? data.purgedSeq : 0,
+    };
+
+    // Arquivos anteriores ao expurgo por dono só têm a marca global:
+    // cada usuário herda essa marca (no pior caso, uma carga completa)
+    if (data.purgedSeqByOwner && typeof data.purgedSeqByOwner === "object") {
+      parsed.purgedSeqByOwner = data.purgedSeqByOwner;
+    } else {
+      parsed.purgedSeqByOwner = parsed.purgedSeq > 0
+        ? Object.fromEntries(parsed.users.map((user) => [user.id, parsed.purgedSeq]))
+        : {};
+    }
+
+    // Arquivos anteriores à sincronização incremental não têm sequência:
+    // numerar as tarefas na ordem do arquivo (determinístico até a próxima escrita)
+    if (!Number.isInteger(data.lastSeq)) {
+      parsed.tasks = parsed.tasks.map((task, index) => ({
+        ...task,
+        seq: index + 1,
+        created_seq: index + 1,
+      }));
+      parsed.lastSeq = parsed.tasks.length;
+    }
+
+    return parsed;
+  };
+
+  /**
+   * Grava o arquivo de forma atômica
+   * Escreve em arquivo temporário, força o flush em disco e troca via rename
+   *
+   * @param {string} targetFile - Arquivo de destino
+   * @param {Object} data - Dados a gravar
+   */
+  const writeFileAtomic = (targetFile, data) => {
+    const fd = fs.openSync(TEMP_FILE, "w");
+    try {
+      fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(TEMP_FILE, targetFile);
+  };
+
+  /**
+   * Recupera o banco quando o arquivo principal está corrompido
+   *
+   * @param {Error} parseError - Erro original da leitura
+   * @returns {Object} Dados restaurados do backup
+   */
+  const recoverDatabase = (parseError) => {
+    const { mtimeMs } = fs.statSync(DB_FILE);
+    if (lastCorruptCopy.mtimeMs !== mtimeMs) {
+      const copyPath = `${DB_FILE}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+      fs.copyFileSync(DB_FILE, copyPath);
+      lastCorruptCopy = { mtimeMs, path: copyPath };
+    }
+    const corruptCopy = lastCorruptCopy.path;
+    console.error(`❌ Banco de dados corrompido (${parseError.message}). Cópia preservada em ${corruptCopy}`);
+
+    let backupData = null;
+    try {
+      backupData = parseDatabase(fs.readFileSync(BACKUP_FILE, "utf8"));
+    } catch (backupError) {
+      const error = new Error(
+        `Banco de dados corrompido e sem backup válido. Verifique ${corruptCopy} manualmente.`
+      );
+      error.code = "DB_CORRUPTED";
+      throw error;
+    }
+
+    writeFileAtomic(DB_FILE, backupData);
+    console.warn(`⚠️ Banco de dados restaurado a partir de ${BACKUP_FILE} (${backupData.tasks.length} tarefa(s))`);
+    return backupData;
+  };
+
+  /**
+   * Inicializa o banco de dados
+   * Cria arquivo JSON vazio se não existir e remove temporários órfãos
+   */
+  const initDatabase = () => {
+    ensureDataDir();
+
+    if (fs.existsSync(TEMP_FILE)) {
+      fs.unlinkSync(TEMP_FILE);
+    }
+
+    if (!fs.existsSync(DB_FILE)) {
+      const initialData = {
+        tasks: [],
+        users: [],
+        sessions: [],
+        sentReminders: [],
+        deviceTokens: [],
+        lastId: 0,
+        lastUserId: 0,
+        lastSeq: 0,
+        purgedSeq: 0,
+        purgedSeqByOwner: {},
+      };
+      writeFileAtomic(DB_FILE, initialData);
+      console.log("✅ Banco de dados JSON inicializado");
+    }
+  };
+
+  /**
+   * Lê todos os dados do banco
+   * Durante uma escrita, retorna os dados em memória da operação atual
+   *
+   * @returns {Object} Dados do banco
+   */
+  const readDatabase = () => {
+    if (pendingData) {
+      return pendingData;
+    }
+
+    let content;
+    try {
+      content = fs.readFileSync(DB_FILE, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {
+          tasks: [],
+          users: [],
+          sessions: [],
+          sentReminders: [],
+          deviceTokens: [],
+          lastId: 0,
+          lastUserId: 0,
+          lastSeq: 0,
+          purgedSeq: 0,
+          purgedSeqByOwner: {},
+        };
+      }
+      console.error("❌ Erro ao ler banco de dados:", error);
+      throw error;
+    }
+
+    try {
+      return parseDatabase(content);
+    } catch (error) {
+      return recoverDatabase(error);
+    }
+  };
+
+  /**
+   * Escreve dados no banco
+   * Mantém a versão anterior como backup antes de substituí-la
+   *
+   * @param {Object} data - Dados a escrever
+   */
+  const writeDatabase = (data) => {
+    try {
+      if (fs.existsSync(DB_FILE)) {
+        fs.copyFileSync(DB_FILE, BACKUP_FILE);
+      }
+      writeFileAtomic(DB_FILE, data);
+    } catch (error) {
+      console.error("❌ Erro ao escrever no banco de dados:", error);
+      throw error;
+    }
+  };
+
+  /**
+   * Executa uma alteração no banco de forma serializada
+   *
+   * As operações do adaptador são síncronas, então o event loop já impede
+   * que duas requisições intercalem dentro de uma mesma escrita. O que
+   * causava perda de dados era uma operação reler o arquivo no meio de
+   * outra (ex.: generateId dentro de createTask) e gravar uma cópia velha.
+   *
+   * Fluxo:
+   * 1) Se já existe escrita em andamento, a nova alteração entra nela.
+   * 2) Caso contrário, lê o arquivo uma única vez.
+   * 3) Aplica a mutação sobre os dados em memória.
+   * 4) Grava uma única vez, de forma atômica (exceto se nada mudou).
+   *
+   * @param {Function} mutator - Recebe os dados e retorna o resultado da
+   *   operação; retornar null ou false indica que nada foi alterado
+   * @returns {any} Resultado retornado pelo mutator
+   */
+  const runWrite = (mutator) => {
+    if (pendingData) {
+      return mutator(pendingData);
+    }
+
+    pendingData = readDatabase();
+    try {
+      const result = mutator(pendingData);
+      if (result !== null && result !== false) {
+        writeDatabase(pendingData);
+      }
+      return result;
+    } finally {
+      pendingData = null;
+    }
+  };
+
+  /**
+   * Gera um ID único para nova tarefa
+   * Incrementa o contador nos dados da escrita em andamento
+   *
+   * @param {Object} data - Dados do banco em memória
+   * @returns {string} ID único
+   */
+  const generateId = (data) => {
+    data.lastId += 1;
+    return `task_${Date.now()}_${data.lastId}`;
+  };
+
+  /**
+   * Avança a sequência de alterações
+   * Cada criação, atualização ou exclusão recebe um número maior que o anterior
+   *
+   * @param {Object} data - Dados do banco em memória
+   * @returns {number} Nova sequência
+   */
+  const nextSeq = (data) => {
+    data.lastSeq += 1;
+    return data.lastSeq;
+  };
+
+  /**
+   * Verifica se a tarefa pertence ao dono informado
+   * Sem ownerId (undefined/null) vale qualquer dono (uso interno do servidor)
+   *
+   * @param {Object} task - Tarefa
+   * @param {string} [ownerId] - ID do usuário dono
+   * @returns {boolean} true se a tarefa é visível para o dono
+   */
+  const belongsTo = (task, ownerId) => ownerId == null || task.owner_id === ownerId;
+
+  /**
+   * Obtém todas as tarefas
+   *
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Array} Lista de tarefas
+   */
+  const getAllTasks = (ownerId) => {
+    const data = readDatabase();
+    return (data.tasks || []).filter((task) => !task.deleted_at && belongsTo(task, ownerId));
+  };
+
+  /**
+   * Campo de data usado por cada opção de ordenação
+   */
+  const SORT_FIELDS = {
+    created: "created_at",
+    updated: "updated_at",
+    scheduled: "scheduled_at",
+  };
+
+  /**
+   * Busca tarefas com filtros, ordenação e paginação
+   *
+   * Tarefas sem o campo de ordenação (ex.: sem scheduled_at) ficam sempre
+   * no fim; empates mantêm a ordem de criação.
+   *
+   * @param {Object} query - Consulta já validada pela rota
+   * @param {Array<string>} [query.statuses] - Status aceitos
+   * @param {string} [query.scheduledAfter] - scheduled_at mínimo (ISO 8601, inclusivo)
+   * @param {string} [query.scheduledBefore] - scheduled_at máximo (ISO 8601, inclusivo)
+   * @param {string} [query.text] - Trecho buscado em título e descrição
+   * @param {string} query.sort - created, updated ou scheduled
+   * @param {string} query.direction - asc ou desc
+   * @param {number} query.limit - Tamanho da página
+   * @param {number} query.offset - Tarefas puladas
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object} { tasks, total }
+   */
+  const queryTasks = (query, ownerId) => {
+    const after = query.scheduledAfter ? new Date(query.scheduledAfter).getTime() : null;
+    const before = query.scheduledBefore ? new Date(query.scheduledBefore).getTime() : null;
+    const text = query.text ? query.text.toLowerCase() : null;
+
+    const matches = getAllTasks(ownerId).filter((task) => {
+      if (query.statuses && !query.statuses.includes(task.status)) {
+        return false;
+      }
+
+      if (after !== null || before !== null) {
+        const scheduled = task.scheduled_at ? new Date(task.scheduled_at).getTime() : NaN;
+        if (Number.isNaN(scheduled)) return false;
+        if (after !== null && scheduled < after) return false;
+        if (before !== null && scheduled > before) return false;
+      }
+
+      if (text) {
+        const haystack = `${task.title || ""}\n${task.description || ""}`.toLowerCase();
+        if (!haystack.includes(text)) return false;
+      }
+
+      return true;
+    });
+
+    const field = SORT_FIELDS[query.sort];
+    const sign = query.direction === "desc" ? -1 : 1;
+    const timeOf = (task) => (task[field] ? new Date(task[field]).getTime() : NaN);
+
+    // Array.prototype.sort é estável: empates mantêm a ordem de criação
+    matches.sort((a, b) => {
+      const timeA = timeOf(a);
+      const timeB = timeOf(b);
+      if (Number.isNaN(timeA) || Number.isNaN(timeB)) {
+        return Number.isNaN(timeA) - Number.isNaN(timeB);
+      }
+      return (timeA - timeB) * sign;
+    });
+
+    return {
+      tasks: matches.slice(query.offset, query.offset + query.limit),
+      total: matches.length,
+    };
+  };
+
+  /**
+   * Busca tarefa por ID
+   *
+   * @param {string} id - ID da tarefa
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object|null} Tarefa encontrada ou null
+   */
+  const getTaskById = (id, ownerId) => {
+    const tasks = getAllTasks(ownerId);
+    return tasks.find((task) => task.id === id) || null;
+  };
+
+  /**
+   * Cria uma nova tarefa
+   *
+   * @param {Object} taskData - Dados da tarefa
+   * @returns {Object} Tarefa criada
+   */
+  const createTask = (taskData) => runWrite((data) => {
+    const now = new Date().toISOString();
+
+    const seq = nextSeq(data);
+
+    const task = {
+      id: generateId(data),
+      owner_id: taskData.owner_id || null,
+      title: taskData.title,
+      description: taskData.description || null,
+      status: taskData.status || "pending",
+      scheduled_at: taskData.scheduled_at || null,
+      recurrence: taskData.recurrence || null,
+      created_at: now,
+      updated_at: now,
+      deleted_at: null,
+      seq,
+      created_seq: seq,
+    };
+
+    data.tasks.push(task);
+
+    return task;
+  });
+
+  /**
+   * Atualiza uma tarefa existente
+   *
+   * @param {string} id - ID da tarefa
+   * @param {Object} updates - Campos a atualizar (owner_id é ignorado)
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object|null} Tarefa atualizada ou null
+   */
+  const updateTask = (id, updates, ownerId) => runWrite((data) => {
+    const taskIndex = data.tasks.findIndex(
+      (task) => task.id === id && !task.deleted_at && belongsTo(task, ownerId)
+    );
+
+    if (taskIndex === -1) {
+      return null;
+    }
+
+    const task = data.tasks[taskIndex];
+    const updatedTask = {
+      ...task,
+      ...updates,
+      owner_id: task.owner_id,
+      deleted_at: null,
+      updated_at: new Date().toISOString(),
+      seq: nextSeq(data),
+    };
+
+    data.tasks[taskIndex] = updatedTask;
+
+    return updatedTask;
+  });
+
+  /**
+   * Deleta uma tarefa
+   * A tarefa vira uma lápide (deleted_at preenchido) para que a exclusão
+   * seja propagada na sincronização; a remoção física fica para o expurgo
+   *
+   * @param {string} id - ID da tarefa
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {boolean} true se deletada
+   */
+  const deleteTask = (id, ownerId) => runWrite((data) => {
+    const task = data.tasks.find(
+      (item) => item.id === id && !item.deleted_at && belongsTo(item, ownerId)
+    );
+
+    if (!task) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    task.deleted_at = now;
+    task.updated_at = now;
+    task.seq = nextSeq(data);
+
+    return true;
+  });
+
+  /**
+   * Lista as lápides de tarefas deletadas
+   *
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Array} Tarefas deletadas ({ id, deleted_at, ... })
+   */
+  const getDeletedTasks = (ownerId) => {
+    const data = readDatabase();
+    return (data.tasks || []).filter((task) => task.deleted_at && belongsTo(task, ownerId));
+  };
+
+  /**
+   * Remove definitivamente lápides mais antigas que o limite
+   *
+   * @param {string} cutoff - Data ISO 8601; lápides anteriores são removidas
+   * @returns {number} Quantidade de lápides removidas
+   */
+  const purgeDeletedTasks = (cutoff) => runWrite((data) => {
+    const expired = data.tasks.filter((task) => task.deleted_at && task.deleted_at < cutoff);
+
+    if (expired.length === 0) {
+      return false;
+    }
+
+    // Guardar a maior sequência expurgada de cada dono: cursores anteriores
+    // a ela não conseguem mais ver as exclusões desse dono
+    for (const task of expired) {
+      data.purgedSeq = Math.max(data.purgedSeq, task.seq);
+      if (task.owner_id) {
+        data.purgedSeqByOwner[task.owner_id] = Math.max(data.purgedSeqByOwner[task.owner_id] || 0, task.seq);
+      }
+    }
+    data.tasks = data.tasks.filter((task) => !expired.includes(task));
+
+    return expired.length;
+  }) || 0;
+
+  /**
+   * Lista alterações (inclusive lápides) posteriores a uma sequência
+   *
+   * @param {number} since - Última sequência já conhecida pelo cliente
+   * @param {number} limit - Máximo de tarefas retornadas
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object} { tasks, hasMore, lastSeq, purgedSeq }
+   */
+  const getChangesSince = (since, limit, ownerId) => {
+    const data = readDatabase();
+    const changes = (data.tasks || [])
+      .filter((task) => task.seq > since && belongsTo(task, ownerId))
+      .sort((a, b) => a.seq - b.seq);
+
+    return {
+      tasks: changes.slice(0, limit),
+      hasMore: changes.length > limit,
+      lastSeq: data.lastSeq,
+      purgedSeq: ownerId == null ? data.purgedSeq : data.purgedSeqByOwner[ownerId] || 0,
+    };
+  };
+
+  /**
+   * Atribui a um usuário as tarefas sem dono (criadas antes das contas)
+   * As tarefas entram novamente na sequência para chegarem ao novo dono
+   *
+   * @param {string} ownerId - ID do usuário que passa a ser o dono
+   * @returns {number} Quantidade de tarefas atribuídas
+   */
+  const claimUnownedTasks = (ownerId) => runWrite((data) => {
+    const unowned = data.tasks.filter((task) => !task.owner_id);
+
+    if (unowned.length === 0) {
+      return false;
+    }
+
+    for (const task of unowned) {
+      task.owner_id = ownerId;
+      task.seq = nextSeq(data);
+    }
+
+    return unowned.length;
+  }) || 0;
+
+  /**
+   * Transfere todas as tarefas (inclusive lápides) de um usuário para outro
+   * As tarefas entram novamente na sequência para chegarem ao novo dono
+   *
+   * @param {string} fromOwnerId - ID do dono atual
+   * @param {string} toOwnerId - ID do novo dono
+   * @returns {number} Quantidade de tarefas transferidas
+   */
+  const reassignTasks = (fromOwnerId, toOwnerId) => runWrite((data) => {
+    const owned = data.tasks.filter((task) => task.owner_id === fromOwnerId);
+
+    if (owned.length === 0) {
+      return false;
+    }
+
+    for (const task of owned) {
+      task.owner_id = toOwnerId;
+      task.seq = nextSeq(data);
+    }
+
+    return owned.length;
+  }) || 0;
+
+  /**
+   * Busca usuário por ID
+   *
+   * @param {string} id - ID do usuário
+   * @returns {Object|null} Usuário encontrado ou null
+   */
+  const getUserById = (id) => {
+    const data = readDatabase();
+    return data.users.find((user) => user.id === id) || null;
+  };
+
+  /**
+   * Busca usuário pelo telefone do WhatsApp
+   *
+   * @param {string} phone - Telefone normalizado (apenas dígitos)
+   * @returns {Object|null} Usuário encontrado ou null
+   */
+  const getUserByPhone = (phone) => {
+    const data = readDatabase();
+    return data.users.find((user) => user.phone === phone) || null;
+  };
+
+  /**
+   * Busca usuário pelo e-mail de login
+   *
+   * @param {string} email - E-mail normalizado (minúsculas)
+   * @returns {Object|null} Usuário encontrado ou null
+   */
+  const getUserByEmail = (email) => {
+    const data = readDatabase();
+    return data.users.find((user) => user.email === email) || null;
+  };
+
+  /**
+   * Lista os usuários com resumo diário ativo (horário e telefone definidos)
+   *
+   * @returns {Array<Object>} Usuários
+   */
+  const getUsersWithDigest = () => {
+    const data = readDatabase();
+    return data.users.filter((user) => user.digest_time && user.phone);
+  };
+
+  /**
+   * Cria um novo usuário
+   *
+   * @param {Object} userData - Dados do usuário
+   * @param {string} [userData.email] - E-mail de login (minúsculas)
+   * @param {string} [userData.password_hash] - Hash da senha
+   * @param {string} [userData.phone] - Telefone normalizado
+   * @param {string} [userData.name] - Nome de exibição
+   * @param {string} [userData.timezone] - Fuso horário IANA
+   * @returns {Object} Usuário criado
+   */
+  const createUser = (userData) => runWrite((data) => {
+    const now = new Date().toISOString();
+
+    data.lastUserId += 1;
+    const user = {
+      id: `user_${Date.now()}_${data.lastUserId}`,
+      email: userData.email || null,
+      password_hash: userData.password_hash || null,
+      phone: userData.phone || null,
+      name: userData.name || null,
+      timezone: userData.timezone || null,
+      digest_time: null,
+      digest_sent_on: null,
+      reminder_lead_minutes: null,
+      reminder_channels: null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    data.users.push(user);
+
+    return user;
+  });
+
+  /**
+   * Atualiza um usuário existente
+   *
+   * @param {string} id - ID do usuário
+   * @param {Object} updates - Campos a atualizar
+   * @returns {Object|null} Usuário atualizado ou null
+   */
+  const updateUser = (id, updates) => runWrite((data) => {
+    const userIndex = data.users.findIndex((user) => user.id === id);
+
+    if (userIndex === -1) {
+      return null;
+    }
+
+    const updatedUser = {
+      ...data.users[userIndex],
+      ...updates,
+      id,
+      updated_at: new Date().toISOString(),
+    };
+
+    data.users[userIndex] = updatedUser;
+
+    return updatedUser;
+  });
+
+  /**
+   * Cria uma sessão de login (par de tokens de um dispositivo)
+   *
+   * @param {Object} session - Sessão completa ({ id, user_id, refresh_hash, expires_at, ... })
+   * @returns {Object} Sessão criada
+   */
+  const createSession = (session) => runWrite((data) => {
+    data.sessions.push(session);
+    return session;
+  });
+
+  /**
+   * Busca sessão por ID
+   *
+   * @param {string} id - ID da sessão
+   * @returns {Object|null} Sessão encontrada ou null
+   */
+  const getSessionById = (id) => {
+    const data = readDatabase();
+    return data.sessions.find((session) => session.id === id) || null;
+  };
+
+  /**
+   * Atualiza uma sessão (rotação do refresh token, revogação)
+   *
+   * @param {string} id - ID da sessão
+   * @param {Object} updates - Campos a atualizar
+   * @returns {Object|null} Sessão atualizada ou null
+   */
+  const updateSession = (id, updates) => runWrite((data) => {
+    const sessionIndex = data.sessions.findIndex((session) => session.id === id);
+
+    if (sessionIndex === -1) {
+      return null;
+    }
+
+    data.sessions[sessionIndex] = { ...data.sessions[sessionIndex], ...updates, id };
+    return data.sessions[sessionIndex];
+  });
+
+  /**
+   * Revoga todas as sessões ativas de um usuário
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} revokedAt - Data ISO 8601 da revogação
+   * @returns {number} Quantidade de sessões revogadas
+   */
+  const revokeUserSessions = (userId, revokedAt) => runWrite((data) => {
+    const active = data.sessions.filter((session) => session.user_id === userId && !session.revoked_at);
+
+    if (active.length === 0) {
+      return false;
+    }
+
+    for (const session of active) {
+      session.revoked_at = revokedAt;
+    }
+
+    return active.length;
+  }) || 0;
+
+  /**
+   * Remove sessões expiradas ou revogadas antes do limite
+   *
+   * @param {string} cutoff - Data ISO 8601
+   * @returns {number} Quantidade de sessões removidas
+   */
+  const purgeSessions = (cutoff) => runWrite((data) => {
+    const before = data.sessions.length;
+    data.sessions = data.sessions.filter(
+      (session) => session.expires_at >= cutoff && !(session.revoked_at && session.revoked_at < cutoff)
+    );
+
+    const removed = before - data.sessions.length;
+    return removed > 0 ? removed : false;
+  }) || 0;
+
+  /**
+   * Filtra os lembretes que já foram enviados
+   *
+   * @param {Array<string>} ids - IDs de lembretes
+   * @returns {Array<string>} IDs já registrados como enviados
+   */
+  const getSentReminderIds = (ids) => {
+    const data = readDatabase();
+    const sent = new Set(data.sentReminders.map((reminder) => reminder.id));
+    return ids.filter((id) => sent.has(id));
+  };
+
+  /**
+   * Registra um lembrete enviado
+   *
+   * @param {Object} reminder - { id, task_id, owner_id, remind_at, sent_at }
+   * @returns {Object} Lembrete registrado
+   */
+  const recordSentReminder = (reminder) => runWrite((data) => {
+    if (!data.sentReminders.some((sent) => sent.id === reminder.id)) {
+      data.sentReminders.push(reminder);
+    }
+    return reminder;
+  });
+
+  /**
+   * Remove registros de lembretes com horário anterior ao limite
+   *
+   * @param {string} cutoff - Data ISO 8601
+   * @returns {number} Quantidade de registros removidos
+   */
+  const purgeSentReminders = (cutoff) => runWrite((data) => {
+    const before = data.sentReminders.length;
+    data.sentReminders = data.sentReminders.filter((reminder) => reminder.remind_at >= cutoff);
+
+    const removed = before - data.sentReminders.length;
+    return removed > 0 ? removed : false;
+  }) || 0;
+
+  /**
+   * Registra ou atualiza um token de push
+   *
+   * O mesmo token registrado por outra conta passa a pertencer a ela;
+   * created_at do primeiro registro é mantido.
+   *
+   * @param {Object} device - { token, owner_id, platform, app_version, created_at, last_seen_at }
+   * @returns {Object} Dispositivo salvo
+   */
+  const saveDeviceToken = (device) => runWrite((data) => {
+    const index = data.deviceTokens.findIndex((existing) => existing.token === device.token);
+    if (index === -1) {
+      data.deviceTokens.push(device);
+      return device;
+    }
+
+    data.deviceTokens[index] = { ...device, created_at: data.deviceTokens[index].created_at };
+    return data.deviceTokens[index];
+  });
+
+  /**
+   * Lista os tokens de push de um usuário
+   *
+   * @param {string} ownerId - ID do usuário
+   * @returns {Array<Object>} Dispositivos
+   */
+  const getDeviceTokens = (ownerId) => {
+    const data = readDatabase();
+    return data.deviceTokens.filter((device) => device.owner_id === ownerId);
+  };
+
+  /**
+   * Remove um token de push
+   *
+   * @param {string} token - Token
+   * @param {string} [ownerId] - Só remove se for deste usuário
+   * @returns {boolean} true se removeu
+   */
+  const deleteDeviceToken = (token, ownerId) => Boolean(runWrite((data) => {
+    const before = data.deviceTokens.length;
+    data.deviceTokens = data.deviceTokens.filter((device) => device.token !== token || !belongsTo(device, ownerId));
+    return data.deviceTokens.length < before;
+  }));
+
+  /**
+   * Remove tokens de push sem registro desde o limite
+   *
+   * @param {string} cutoff - Data ISO 8601
+   * @returns {number} Quantidade de tokens removidos
+   */
+  const purgeDeviceTokens = (cutoff) => runWrite((data) => {
+    const before = data.deviceTokens.length;
+    data.deviceTokens = data.deviceTokens.filter((device) => device.last_seen_at >= cutoff);
+
+    const removed = before - data.deviceTokens.length;
+    return removed > 0 ? removed : false;
+  }) || 0;
+
+  /**
+   * Exporta o conteúdo bruto do arquivo (usado na migração para SQLite)
+   *
+   * @returns {Object} { tasks, users, sessions, deviceTokens, sentReminders, lastId, lastUserId, lastSeq, purgedSeq, purgedSeqByOwner }
+   */
+  const exportData = () => {
+    const data = readDatabase();
+    return {
+      tasks: data.tasks || [],
+      users: data.users || [],
+      sessions: data.sessions || [],
+      deviceTokens: data.deviceTokens || [],
+      sentReminders: data.sentReminders || [],
+      lastId: data.lastId || 0,
+      lastUserId: data.lastUserId || 0,
+      lastSeq: data.lastSeq || 0,
+      purgedSeq: data.purgedSeq || 0,
+      purgedSeqByOwner: data.purgedSeqByOwner || {},
+    };
+  };
+
+  return {
+    name: "json",
+    initDatabase,
+    getAllTasks,
+    queryTasks,
+    getTaskById,
+    createTask,
+    updateTask,
+    deleteTask,
+    getDeletedTasks,
+    purgeDeletedTasks,
+    getChangesSince,
+    claimUnownedTasks,
+    reassignTasks,
+    getUserById,
+    getUserByPhone,
+    getUserByEmail,
+    getUsersWithDigest,
+    createUser,
+    updateUser,
+    createSession,
+    getSessionById,
+    updateSession,
+    revokeUserSessions,
+    purgeSessions,
+    getSentReminderIds,
+    recordSentReminder,
+    purgeSentReminders,
+    saveDeviceToken,
+    getDeviceTokens,
+    deleteDeviceToken,
+    purgeDeviceTokens,
+    exportData,
+  };
+};
+
+module.exports = {
+  createJsonAdapter,
+};
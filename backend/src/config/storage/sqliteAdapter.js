@@ -0,0 +1,1195 @@
+/**
+ * Adaptador de Armazenamento - SQLite
+ *
+ * Guarda as tarefas e as contas de usuário em um banco SQLite local
+ * (arquivo único), usando
+ * better-sqlite3. A API do better-sqlite3 é síncrona, o que permite manter
+ * exatamente a mesma interface do adaptador JSON sem alterar as rotas.
+ *
+ * Por que SQLite?
+ * - Não regrava o arquivo inteiro a cada alteração
+ * - Consultas indexadas (status, scheduled_at, updated_at, deleted_at)
+ * - Transações atômicas, sem perda de dados em escritas concorrentes
+ * - Continua sem exigir servidor de banco de dados
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Colunas persistidas da tabela `tasks`, na ordem do schema.
+ * Campos fora desta lista são ignorados na escrita.
+ * `recurrence` é um objeto guardado como JSON (TEXT).
+ */
+const TASK_COLUMNS = [
+  "id",
+  "owner_id",
+  "title",
+  "description",
+  "status",
+  "scheduled_at",
+  "recurrence",
+  "created_at",
+  "updated_at",
+  "deleted_at",
+  "seq",
+  "created_seq",
+];
+
+/**
+ * Colunas persistidas da tabela `users`
+ */
+const USER_COLUMNS = [
+  "id",
+  "email",
+  "password_hash",
+  "phone",
+  "name",
+  "timezone",
+  "digest_time",
+  "digest_sent_on",
+  "reminder_lead_minutes",
+  "reminder_channels",
+  "created_at",
+  "updated_at",
+];
+
+/**
+ * Colunas de `users` guardadas como JSON (listas)
+ */
+const USER_JSON_COLUMNS = ["reminder_lead_minutes", "reminder_channels"];
+
+/**
+ * Colunas persistidas da tabela `auth_sessions`
+ */
+const SESSION_COLUMNS = [
+  "id",
+  "user_id",
+  "refresh_hash",
+  "created_at",
+  "expires_at",
+  "last_used_at",
+  "revoked_at",
+];
+
+// Colunas da tabela device_tokens
+const DEVICE_TOKEN_COLUMNS = ["token", "owner_id", "platform", "app_version", "created_at", "last_seen_at"];
+
+/**
+ * Filtro de dono usado nas consultas de tarefas.
+ * Com @ownerId NULL (sem dono informado) vale qualquer dono.
+ */
+const OWNER_FILTER = "(@ownerId IS NULL OR owner_id = @ownerId)";
+
+/**
+ * Cria o adaptador SQLite
+ *
+ * @param {Object} options - Opções do adaptador
+ * @param {string} options.filePath - Caminho do arquivo .db
+ * @returns {Object} Adaptador com a interface de armazenamento de tarefas
+ */
+const createSqliteAdapter = ({ filePath }) => {
+  // Carregado sob demanda para que o modo JSON não dependa do módulo nativo
+  const Database = require("better-sqlite3");
+
+  let db = null;
+
+  /**
+   * Inicializa o banco de dados
+   * Abre o arquivo, cria tabelas e índices se não existirem
+   */
+  const initDatabase = () => {
+    if (db) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    db = new Database(filePath);
+    // WAL permite leituras durante escritas e é mais resistente a falhas
+    db.pragma("journal_mode = WAL");
+
+    const hasPurgedSeqs = Boolean(
+      db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'purged_seqs'").get()
+    );
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        scheduled_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT,
+        password_hash TEXT,
+        phone TEXT UNIQUE,
+        name TEXT,
+        timezone TEXT,
+        digest_time TEXT,
+        digest_sent_on TEXT,
+        reminder_lead_minutes TEXT,
+        reminder_channels TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        refresh_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+
+      CREATE TABLE IF NOT EXISTS sent_reminders (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        owner_id TEXT,
+        remind_at TEXT NOT NULL,
+        sent_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sent_reminders_remind_at ON sent_reminders(remind_at);
+
+      CREATE TABLE IF NOT EXISTS device_tokens (
+        token TEXT PRIMARY KEY,
+        owner_id TEXT NOT NULL,
+        platform TEXT,
+        app_version TEXT,
+        created_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_device_tokens_owner_id ON device_tokens(owner_id);
+
+      CREATE TABLE IF NOT EXISTS purged_seqs (
+        owner_id TEXT PRIMARY KEY,
+        seq INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+      CREATE INDEX IF NOT EXISTS idx_tasks_scheduled_at ON tasks(scheduled_at);
+      CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(updated_at);
+    `);
+
+    migrateTasksTable();
+    migrateUsersTable();
+
+    db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('lastId', '0')").run();
+    db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('lastUserId', '0')").run();
+    db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('purgedSeq', '0')").run();
+
+    // Bancos anteriores ao expurgo por dono só têm a marca global:
+    // cada usuário herda essa marca (no pior caso, uma carga completa)
+    if (!hasPurgedSeqs) {
+      db.prepare("INSERT INTO purged_seqs (owner_id, seq) SELECT id, @purgedSeq FROM users WHERE @purgedSeq > 0")
+        .run({ purgedSeq: getMeta("purgedSeq") });
+    }
+
+    console.log(`✅ Banco de dados SQLite inicializado (${filePath})`);
+  };
+
+  /**
+   * Migração da tabela `tasks`
+   * Adiciona colunas criadas em versões posteriores a bancos já existentes
+   */
+  const migrateTasksTable = () => {
+    const existingColumns = db.prepare("PRAGMA table_info(tasks)").all().map((col) => col.name);
+
+    /**
+     * Adiciona a coluna caso ela não exista
+     *
+     * @param {string} columnName - Nome da coluna
+     * @param {string} columnDefinition - Definição SQL da coluna
+     */
+    const ensureColumn = (columnName, columnDefinition) => {
+      if (!existingColumns.includes(columnName)) {
+        console.log(`🔧 Migrando tabela tasks: adicionando coluna '${columnName}'`);
+        db.exec(`ALTER TABLE tasks ADD COLUMN ${columnDefinition}`);
+      }
+    };
+
+    // Lápides de tarefas deletadas (propagação de exclusões na sincronização)
+    ensureColumn("deleted_at", "deleted_at TEXT");
+    db.exec("CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at)");
+
+    // Sequência de alterações (sincronização incremental por cursor)
+    // Tarefas antigas recebem a sequência na ordem de inserção
+    ensureColumn("seq", "seq INTEGER");
+    ensureColumn("created_seq", "created_seq INTEGER");
+    db.exec(`
+      UPDATE tasks SET seq = rowid, created_seq = rowid WHERE seq IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_tasks_seq ON tasks(seq);
+    `);
+    db.prepare(
+      "INSERT OR IGNORE INTO meta (key, value) SELECT 'lastSeq', CAST(COALESCE(MAX(seq), 0) AS TEXT) FROM tasks"
+    ).run();
+
+    // Dono da tarefa (multiusuário); tarefas antigas ficam sem dono
+    ensureColumn("owner_id", "owner_id TEXT");
+    db.exec("CREATE INDEX IF NOT EXISTS idx_tasks_owner_id ON tasks(owner_id, seq)");
+
+    // Regra de repetição (tarefas recorrentes), em JSON
+    ensureColumn("recurrence", "recurrence TEXT");
+  };
+
+  /**
+   * Migração da tabela `users`
+   * Adiciona as credenciais de login a bancos criados antes da autenticação,
+   * o fuso horário a bancos anteriores ao agendamento por fuso e as
+   * preferências de resumo diário e lembretes a bancos anteriores a eles
+   */
+  const migrateUsersTable = () => {
+    const existingColumns = db.prepare("PRAGMA table_info(users)").all().map((col) => col.name);
+
+    if (!existingColumns.includes("email")) {
+      console.log("🔧 Migrando tabela users: adicionando colunas 'email' e 'password_hash'");
+      db.exec(`
+        ALTER TABLE users ADD COLUMN email TEXT;
+        ALTER TABLE users ADD COLUMN password_hash TEXT;
+      `);
+    }
+
+    if (!existingColumns.includes("timezone")) {
+      console.log("🔧 Migrando tabela users: adicionando coluna 'timezone'");
+      db.exec("ALTER TABLE users ADD COLUMN timezone TEXT");
+    }
+
+    if (!existingColumns.includes("digest_time")) {
+      console.log("🔧 Migrando tabela users: adicionando colunas 'digest_time' e 'digest_sent_on'");
+      db.exec(`
+        ALTER TABLE users ADD COLUMN digest_time TEXT;
+        ALTER TABLE users ADD COLUMN digest_sent_on TEXT;
+      `);
+    }
+
+    if (!existingColumns.includes("reminder_lead_minutes")) {
+      console.log("🔧 Migrando tabela users: adicionando colunas 'reminder_lead_minutes' e 'reminder_channels'");
+      db.exec(`
+        ALTER TABLE users ADD COLUMN reminder_lead_minutes TEXT;
+        ALTER TABLE users ADD COLUMN reminder_channels TEXT;
+      `);
+    }
+
+    db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(email)");
+  };
+
+  /**
+   * Lê um contador numérico da tabela meta
+   *
+   * @param {string} key - Nome do contador
+   * @returns {number} Valor atual
+   */
+  const getMeta = (key) => {
+    const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+    return parseInt(row ? row.value : "0", 10);
+  };
+
+  /**
+   * Grava um contador numérico na tabela meta
+   *
+   * @param {string} key - Nome do contador
+   * @param {number} value - Novo valor
+   */
+  const setMeta = (key, value) => {
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)").run(key, String(value));
+  };
+
+  /**
+   * Converte uma linha do SQLite em objeto de tarefa
+   *
+   * @param {Object|undefined} row - Linha retornada pelo SQLite
+   * @returns {Object|null} Tarefa ou null
+   */
+  const rowToTask = (row) => {
+    if (!row) {
+      return null;
+    }
+
+    const task = {};
+    for (const column of TASK_COLUMNS) {
+      task[column] = row[column] === undefined ? null : row[column];
+    }
+    if (typeof task.recurrence === "string") {
+      task.recurrence = JSON.parse(task.recurrence);
+    }
+    return task;
+  };
+
+  /**
+   * Converte um objeto de tarefa nos parâmetros nomeados do SQLite
+   *
+   * @param {Object} task - Tarefa completa
+   * @returns {Object} Parâmetros para as queries preparadas
+   */
+  const taskToParams = (task) => {
+    const params = {};
+    for (const column of TASK_COLUMNS) {
+      params[column] = task[column] === undefined ? null : task[column];
+    }
+    params.recurrence = params.recurrence ? JSON.stringify(params.recurrence) : null;
+    return params;
+  };
+
+  /**
+   * Converte uma linha do SQLite em objeto de usuário
+   *
+   * @param {Object|undefined} row - Linha retornada pelo SQLite
+   * @returns {Object|null} Usuário ou null
+   */
+  const rowToUser = (row) => {
+    if (!row) {
+      return null;
+    }
+
+    const user = {};
+    for (const column of USER_COLUMNS) {
+      user[column] = row[column] === undefined ? null : row[column];
+    }
+    for (const column of USER_JSON_COLUMNS) {
+      if (typeof user[column] === "string") {
+        user[column] = JSON.parse(user[column]);
+      }
+    }
+    return user;
+  };
+
+  /**
+   * Converte um objeto de usuário nos parâmetros nomeados do SQLite
+   *
+   * @param {Object} user - Usuário completo
+   * @returns {Object} Parâmetros para as queries preparadas
+   */
+  const userToParams = (user) => {
+    const params = {};
+    for (const column of USER_COLUMNS) {
+      params[column] = user[column] === undefined ? null : user[column];
+    }
+    for (const column of USER_JSON_COLUMNS) {
+      params[column] = params[column] ? JSON.stringify(params[column]) : null;
+    }
+    return params;
+  };
+
+  /**
+   * Converte uma linha do SQLite em objeto de sessão
+   *
+   * @param {Object|undefined} row - Linha retornada pelo SQLite
+   * @returns {Object|null} Sessão ou null
+   */
+  const rowToSession = (row) => {
+    if (!row) {
+      return null;
+    }
+
+    const session = {};
+    for (const column of SESSION_COLUMNS) {
+      session[column] = row[column] === undefined ? null : row[column];
+    }
+    return session;
+  };
+
+  /**
+   * Gera um ID único para nova tarefa
+   * Deve ser chamado dentro de uma transação
+   *
+   * @returns {string} ID único
+   */
+  const generateId = () => {
+    const lastId = getMeta("lastId") + 1;
+    setMeta("lastId", lastId);
+    return `task_${Date.now()}_${lastId}`;
+  };
+
+  /**
+   * Avança a sequência de alterações
+   * Deve ser chamado dentro de uma transação
+   *
+   * @returns {number} Nova sequência
+   */
+  const nextSeq = () => {
+    const lastSeq = getMeta("lastSeq") + 1;
+    setMeta("lastSeq", lastSeq);
+    return lastSeq;
+  };
+
+  /**
+   * Obtém todas as tarefas
+   *
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Array} Lista de tarefas (ordem de criação)
+   */
+  const getAllTasks = (ownerId) => {
+    return db
+      .prepare(`SELECT * FROM tasks WHERE deleted_at IS NULL AND ${OWNER_FILTER} ORDER BY rowid`)
+      .all({ ownerId: ownerId ?? null })
+      .map(rowToTask);
+  };
+
+  /**
+   * Expressão de ordenação de cada opção de ordenação
+   * (julianday compara datas ISO mesmo com formatos diferentes de milissegundos)
+   */
+  const SORT_EXPRESSIONS = {
+    created: "julianday(created_at)",
+    updated: "julianday(updated_at)",
+    scheduled: "julianday(scheduled_at)",
+  };
+
+  /**
+   * Busca tarefas com filtros, ordenação e paginação
+   *
+   * Tarefas sem o campo de ordenação (ex.: sem scheduled_at) ficam sempre
+   * no fim; empates mantêm a ordem de criação.
+   *
+   * @param {Object} query - Consulta já validada pela rota
+   * @param {Array<string>} [query.statuses] - Status aceitos
+   * @param {string} [query.scheduledAfter] - scheduled_at mínimo (ISO 8601, inclusivo)
+   * @param {string} [query.scheduledBefore] - scheduled_at máximo (ISO 8601, inclusivo)
+   * @param {string} [query.text] - Trecho buscado em título e descrição
+   * @param {string} query.sort - created, updated ou scheduled
+   * @param {string} query.direction - asc ou desc
+   * @param {number} query.limit - Tamanho da página
+   * @param {number} query.offset - Tarefas puladas
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object} { tasks, total }
+   */
+  const queryTasks = (query, ownerId) => {
+    const conditions = ["deleted_at IS NULL", OWNER_FILTER];
+    const params = { ownerId: ownerId ?? null };
+
+    if (query.statuses) {
+      const placeholders = query.statuses.map((status, index) => {
+        params[`status${index}`] = status;
+        return `@status${index}`;
+      });
+      conditions.push(`status IN (${placeholders.join(", ")})`);
+    }
+
+    if (query.scheduledAfter) {
+      conditions.push("julianday(scheduled_at) >= julianday(@scheduledAfter)");
+      params.scheduledAfter = query.scheduledAfter;
+    }
+
+    if (query.scheduledBefore) {
+      conditions.push("julianday(scheduled_at) <= julianday(@scheduledBefore)");
+      params.scheduledBefore = query.scheduledBefore;
+    }
+
+    if (query.text) {
+      conditions.push(
+        "(lower(title) LIKE @pattern ESCAPE '\\' OR lower(coalesce(description, '')) LIKE @pattern ESCAPE '\\')"
+      );
+      params.pattern = `%${query.text.toLowerCase().replace(/[\\%_]/g, "\\$&")}%`;
+    }
+
+    const where = conditions.join(" AND ");
+    const sortExpression = SORT_EXPRESSIONS[query.sort];
+    const direction = query.direction === "desc" ? "DESC" : "ASC";
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM tasks WHERE ${where}`).get(params);
+    const tasks = db
+      .prepare(
+        `SELECT * FROM tasks WHERE ${where}
+         ORDER BY ${sortExpression} IS NULL, ${sortExpression} ${direction}, rowid
+         LIMIT @limit OFFSET @offset`
+      )
+      .all({ ...params, limit: query.limit, offset: query.offset })
+      .map(rowToTask);
+
+    return { tasks, total };
+  };
+
+  /**
+   * Busca tarefa por ID
+   *
+   * @param {string} id - ID da tarefa
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object|null} Tarefa encontrada ou null
+   */
+  const getTaskById = (id, ownerId) => {
+    return rowToTask(
+      db
+        .prepare(`SELECT * FROM tasks WHERE id = @id AND deleted_at IS NULL AND ${OWNER_FILTER}`)
+        .get({ id, ownerId: ownerId ?? null })
+    );
+  };
+
+  /**
+   * Cria uma nova tarefa
+   *
+   * @param {Object} taskData - Dados da tarefa
+   * @returns {Object} Tarefa criada
+   */
+  const createTask = (taskData) => {
+    const insert = db.transaction(() => {
+      const now = new Date().toISOString();
+      const seq = nextSeq();
+
+      const task = {
+        id: generateId(),
+        owner_id: taskData.owner_id || null,
+        title: taskData.title,
+        description: taskData.description || null,
+        status: taskData.status || "pending",
+        scheduled_at: taskData.scheduled_at || null,
+        recurrence: taskData.recurrence || null,
+        created_at: now,
+        updated_at: now,
+        deleted_at: null,
+        seq,
+        created_seq: seq,
+      };
+
+      db.prepare(
+        `INSERT INTO tasks (${TASK_COLUMNS.join(", ")})
+         VALUES (${TASK_COLUMNS.map((column) => `@${column}`).join(", ")})`
+      ).run(taskToParams(task));
+
+      return task;
+    });
+
+    return insert();
+  };
+
+  /**
+   * Atualiza uma tarefa existente
+   *
+   * @param {string} id - ID da tarefa
+   * @param {Object} updates - Campos a atualizar (owner_id é ignorado)
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object|null} Tarefa atualizada ou null
+   */
+  const updateTask = (id, updates, ownerId) => {
+    const update = db.transaction(() => {
+      const task = getTaskById(id, ownerId);
+
+      if (!task) {
+        return null;
+      }
+
+      const updatedTask = rowToTask({
+        ...task,
+        ...updates,
+        id: task.id,
+        owner_id: task.owner_id,
+        deleted_at: null,
+        updated_at: new Date().toISOString(),
+        seq: nextSeq(),
+      });
+
+      const assignments = TASK_COLUMNS
+        .filter((column) => column !== "id")
+        .map((column) => `${column} = @${column}`)
+        .join(", ");
+
+      db.prepare(`UPDATE tasks SET ${assignments} WHERE id = @id`).run(taskToParams(updatedTask));
+
+      return updatedTask;
+    });
+
+    return update();
+  };
+
+  /**
+   * Deleta uma tarefa
+   * A tarefa vira uma lápide (deleted_at preenchido) para que a exclusão
+   * seja propagada na sincronização; a remoção física fica para o expurgo
+   *
+   * @param {string} id - ID da tarefa
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {boolean} true se deletada
+   */
+  const deleteTask = (id, ownerId) => {
+    const runDelete = db.transaction(() => {
+      if (!getTaskById(id, ownerId)) {
+        return false;
+      }
+
+      const now = new Date().toISOString();
+      db.prepare("UPDATE tasks SET deleted_at = ?, updated_at = ?, seq = ? WHERE id = ?")
+        .run(now, now, nextSeq(), id);
+      return true;
+    });
+
+    return runDelete();
+  };
+
+  /**
+   * Lista as lápides de tarefas deletadas
+   *
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Array} Tarefas deletadas ({ id, deleted_at, ... })
+   */
+  const getDeletedTasks = (ownerId) => {
+    return db
+      .prepare(`SELECT * FROM tasks WHERE deleted_at IS NOT NULL AND ${OWNER_FILTER} ORDER BY deleted_at`)
+      .all({ ownerId: ownerId ?? null })
+      .map(rowToTask);
+  };
+
+  /**
+   * Remove definitivamente lápides mais antigas que o limite
+   *
+   * @param {string} cutoff - Data ISO 8601; lápides anteriores são removidas
+   * @returns {number} Quantidade de lápides removidas
+   */
+  const purgeDeletedTasks = (cutoff) => {
+    const runPurge = db.transaction(() => {
+      const expired = db
+        .prepare(
+          `SELECT owner_id, MAX(seq) AS maxSeq FROM tasks
+           WHERE deleted_at IS NOT NULL AND deleted_at < ? GROUP BY owner_id`
+        )
+        .all(cutoff);
+
+      if (expired.length === 0) {
+        return 0;
+      }
+
+      // Guardar a maior sequência expurgada de cada dono: cursores anteriores
+      // a ela não conseguem mais ver as exclusões desse dono
+      setMeta("purgedSeq", Math.max(getMeta("purgedSeq"), ...expired.map((row) => row.maxSeq)));
+
+      const savePurgedSeq = db.prepare(
+        `INSERT INTO purged_seqs (owner_id, seq) VALUES (?, ?)
+         ON CONFLICT(owner_id) DO UPDATE SET seq = MAX(seq, excluded.seq)`
+      );
+      for (const { owner_id: ownerId, maxSeq } of expired) {
+        if (ownerId) {
+          savePurgedSeq.run(ownerId, maxSeq);
+        }
+      }
+
+      return db
+        .prepare("DELETE FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at < ?")
+        .run(cutoff).changes;
+    });
+
+    return runPurge();
+  };
+
+  /**
+   * Lista alterações (inclusive lápides) posteriores a uma sequência
+   *
+   * @param {number} since - Última sequência já conhecida pelo cliente
+   * @param {number} limit - Máximo de tarefas retornadas
+   * @param {string} [ownerId] - Restringe às tarefas deste usuário
+   * @returns {Object} { tasks, hasMore, lastSeq, purgedSeq }
+   */
+  const getChangesSince = (since, limit, ownerId) => {
+    const readChanges = db.transaction(() => {
+      // Uma linha a mais que o limite indica que há outra página
+      const tasks = db
+        .prepare(`SELECT * FROM tasks WHERE seq > @since AND ${OWNER_FILTER} ORDER BY seq LIMIT @limit`)
+        .all({ since, limit: limit + 1, ownerId: ownerId ?? null })
+        .map(rowToTask);
+
+      const purged = ownerId == null
+        ? { seq: getMeta("purgedSeq") }
+        : db.prepare("SELECT seq FROM purged_seqs WHERE owner_id = ?").get(ownerId);
+
+      return {
+        tasks: tasks.slice(0, limit),
+        hasMore: tasks.length > limit,
+        lastSeq: getMeta("lastSeq"),
+        purgedSeq: purged ? purged.seq : 0,
+      };
+    });
+
+    return readChanges();
+  };
+
+  /**
+   * Atribui a um usuário as tarefas sem dono (criadas antes das contas)
+   * As tarefas entram novamente na sequência para chegarem ao novo dono
+   *
+   * @param {string} ownerId - ID do usuário que passa a ser o dono
+   * @returns {number} Quantidade de tarefas atribuídas
+   */
+  const claimUnownedTasks = (ownerId) => {
+    const runClaim = db.transaction(() => {
+      const ids = db.prepare("SELECT id FROM tasks WHERE owner_id IS NULL ORDER BY rowid").all();
+      const claim = db.prepare("UPDATE tasks SET owner_id = ?, seq = ? WHERE id = ?");
+
+      for (const { id } of ids) {
+        claim.run(ownerId, nextSeq(), id);
+      }
+
+      return ids.length;
+    });
+
+    return runClaim();
+  };
+
+  /**
+   * Transfere todas as tarefas (inclusive lápides) de um usuário para outro
+   * As tarefas entram novamente na sequência para chegarem ao novo dono
+   *
+   * @param {string} fromOwnerId - ID do dono atual
+   * @param {string} toOwnerId - ID do novo dono
+   * @returns {number} Quantidade de tarefas transferidas
+   */
+  const reassignTasks = (fromOwnerId, toOwnerId) => {
+    const runReassign = db.transaction(() => {
+      const ids = db.prepare("SELECT id FROM tasks WHERE owner_id = ? ORDER BY rowid").all(fromOwnerId);
+      const reassign = db.prepare("UPDATE tasks SET owner_id = ?, seq = ? WHERE id = ?");
+
+      for (const { id } of ids) {
+        reassign.run(toOwnerId, nextSeq(), id);
+      }
+
+      return ids.length;
+    });
+
+    return runReassign();
+  };
+
+  /**
+   * Busca usuário por ID
+   *
+   * @param {string} id - ID do usuário
+   * @returns {Object|null} Usuário encontrado ou null
+   */
+  const getUserById = (id) => {
+    return rowToUser(db.prepare("SELECT * FROM users WHERE id = ?").get(id));
+  };
+
+  /**
+   * Busca usuário pelo telefone do WhatsApp
+   *
+   * @param {string} phone - Telefone normalizado (apenas dígitos)
+   * @returns {Object|null} Usuário encontrado ou null
+   */
+  const getUserByPhone = (phone) => {
+    return rowToUser(db.prepare("SELECT * FROM users WHERE phone = ?").get(phone));
+  };
+
+  /**
+   * Busca usuário pelo e-mail de login
+   *
+   * @param {string} email - E-mail normalizado (minúsculas)
+   * @returns {Object|null} Usuário encontrado ou null
+   */
+  const getUserByEmail = (email) => {
+    return rowToUser(db.prepare("SELECT * FROM users WHERE email = ?").get(email));
+  };
+
+  /**
+   * Lista os usuários com resumo diário ativo (horário e telefone definidos)
+   *
+   * @returns {Array<Object>} Usuários
+   */
+  const getUsersWithDigest = () => {
+    return db
+      .prepare("SELECT * FROM users WHERE digest_time IS NOT NULL AND phone IS NOT NULL")
+      .all()
+      .map(rowToUser);
+  };
+
+  /**
+   * Cria um novo usuário
+   *
+   * @param {Object} userData - Dados do usuário
+   * @param {string} [userData.email] - E-mail de login (minúsculas)
+   * @param {string} [userData.password_hash] - Hash da senha
+   * @param {string} [userData.phone] - Telefone normalizado
+   * @param {string} [userData.name] - Nome de exibição
+   * @param {string} [userData.timezone] - Fuso horário IANA
+   * @returns {Object} Usuário criado
+   */
+  const createUser = (userData) => {
+    const insert = db.transaction(() => {
+      const now = new Date().toISOString();
+      const lastUserId = getMeta("lastUserId") + 1;
+      setMeta("lastUserId", lastUserId);
+
+      const user = {
+        id: `user_${Date.now()}_${lastUserId}`,
+        email: userData.email || null,
+        password_hash: userData.password_hash || null,
+        phone: userData.phone || null,
+        name: userData.name || null,
+        timezone: userData.timezone || null,
+        digest_time: null,
+        digest_sent_on: null,
+        reminder_lead_minutes: null,
+        reminder_channels: null,
+        created_at: now,
+        updated_at: now,
+      };
+
+      db.prepare(
+        `INSERT INTO users (${USER_COLUMNS.join(", ")})
+         VALUES (${USER_COLUMNS.map((column) => `@${column}`).join(", ")})`
+      ).run(userToParams(user));
+
+      return user;
+    });
+
+    return insert();
+  };
+
+  /**
+   * Atualiza um usuário existente
+   *
+   * @param {string} id - ID do usuário
+   * @param {Object} updates - Campos a atualizar
+   * @returns {Object|null} Usuário atualizado ou null
+   */
+  const updateUser = (id, updates) => {
+    const update = db.transaction(() => {
+      const user = getUserById(id);
+
+      if (!user) {
+        return null;
+      }
+
+      const updatedUser = rowToUser({
+        ...user,
+        ...updates,
+        id,
+        updated_at: new Date().toISOString(),
+      });
+
+      const assignments = USER_COLUMNS
+        .filter((column) => column !== "id")
+        .map((column) => `${column} = @${column}`)
+        .join(", ");
+
+      db.prepare(`UPDATE users SET ${assignments} WHERE id = @id`).run(userToParams(updatedUser));
+
+      return updatedUser;
+    });
+
+    return update();
+  };
+
+  /**
+   * Cria uma sessão de login (par de tokens de um dispositivo)
+   *
+   * @param {Object} session - Sessão completa ({ id, user_id, refresh_hash, expires_at, ... })
+   * @returns {Object} Sessão criada
+   */
+  const createSession = (session) => {
+    const row = rowToSession(session);
+    db.prepare(
+      `INSERT INTO auth_sessions (${SESSION_COLUMNS.join(", ")})
+       VALUES (${SESSION_COLUMNS.map((column) => `@${column}`).join(", ")})`
+    ).run(row);
+    return row;
+  };
+
+  /**
+   * Busca sessão por ID
+   *
+   * @param {string} id - ID da sessão
+   * @returns {Object|null} Sessão encontrada ou null
+   */
+  const getSessionById = (id) => {
+    return rowToSession(db.prepare("SELECT * FROM auth_sessions WHERE id = ?").get(id));
+  };
+
+  /**
+   * Atualiza uma sessão (rotação do refresh token, revogação)
+   *
+   * @param {string} id - ID da sessão
+   * @param {Object} updates - Campos a atualizar
+   * @returns {Object|null} Sessão atualizada ou null
+   */
+  const updateSession = (id, updates) => {
+    const update = db.transaction(() => {
+      const session = getSessionById(id);
+
+      if (!session) {
+        return null;
+      }
+
+      const updatedSession = rowToSession({ ...session, ...updates, id });
+      const assignments = SESSION_COLUMNS
+        .filter((column) => column !== "id")
+        .map((column) => `${column} = @${column}`)
+        .join(", ");
+
+      db.prepare(`UPDATE auth_sessions SET ${assignments} WHERE id = @id`).run(updatedSession);
+
+      return updatedSession;
+    });
+
+    return update();
+  };
+
+  /**
+   * Revoga todas as sessões ativas de um usuário
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} revokedAt - Data ISO 8601 da revogação
+   * @returns {number} Quantidade de sessões revogadas
+   */
+  const revokeUserSessions = (userId, revokedAt) => {
+    return db
+      .prepare("UPDATE auth_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL")
+      .run(revokedAt, userId).changes;
+  };
+
+  /**
+   * Remove sessões expiradas ou revogadas antes do limite
+   *
+   * @param {string} cutoff - Data ISO 8601
+   * @returns {number} Quantidade de sessões removidas
+   */
+  const purgeSessions = (cutoff) => {
+    return db
+      .prepare("DELETE FROM auth_sessions WHERE expires_at < @cutoff OR revoked_at < @cutoff")
+      .run({ cutoff }).changes;
+  };
+
+  /**
+   * Filtra os lembretes que já foram enviados
+   *
+   * @param {Array<string>} ids - IDs de lembretes
+   * @returns {Array<string>} IDs já registrados como enviados
+   */
+  const getSentReminderIds = (ids) => {
+    if (ids.length === 0) {
+      return [];
+    }
+    return db
+      .prepare(`SELECT id FROM sent_reminders WHERE id IN (${ids.map(() => "?").join(", ")})`)
+      .all(...ids)
+      .map((row) => row.id);
+  };
+
+  /**
+   * Registra um lembrete enviado
+   *
+   * @param {Object} reminder - { id, task_id, owner_id, remind_at, sent_at }
+   * @returns {Object} Lembrete registrado
+   */
+  const recordSentReminder = (reminder) => {
+    db.prepare(
+      `INSERT OR IGNORE INTO sent_reminders (id, task_id, owner_id, remind_at, sent_at)
+       VALUES (@id, @task_id, @owner_id, @remind_at, @sent_at)`
+    ).run(reminder);
+    return reminder;
+  };
+
+  /**
+   * Remove registros de lembretes com horário anterior ao limite
+   *
+   * @param {string} cutoff - Data ISO 8601
+   * @returns {number} Quantidade de registros removidos
+   */
+  const purgeSentReminders = (cutoff) => {
+    return db.prepare("DELETE FROM sent_reminders WHERE remind_at < ?").run(cutoff).changes;
+  };
+
+  /**
+   * Registra ou atualiza um token de push
+   *
+   * O mesmo token registrado por outra conta passa a pertencer a ela;
+   * created_at do primeiro registro é mantido.
+   *
+   * @param {Object} device - { token, owner_id, platform, app_version, created_at, last_seen_at }
+   * @returns {Object} Dispositivo salvo
+   */
+  const saveDeviceToken = (device) => {
+    db.prepare(
+      `INSERT INTO device_tokens (${DEVICE_TOKEN_COLUMNS.join(", ")})
+       VALUES (${DEVICE_TOKEN_COLUMNS.map((column) => `@${column}`).join(", ")})
+       ON CONFLICT(token) DO UPDATE SET
+         owner_id = excluded.owner_id,
+         platform = excluded.platform,
+         app_version = excluded.app_version,
+         last_seen_at = excluded.last_seen_at`
+    ).run(device);
+    return db.prepare("SELECT * FROM device_tokens WHERE token = ?").get(device.token);
+  };
+
+  /**
+   * Lista os tokens de push de um usuário
+   *
+   * @param {string} ownerId - ID do usuário
+   * @returns {Array<Object>} Dispositivos
+   */
+  const getDeviceTokens = (ownerId) => {
+    return db.prepare("SELECT * FROM device_tokens WHERE owner_id = ? ORDER BY created_at").all(ownerId);
+  };
+
+  /**
+   * Remove um token de push
+   *
+   * @param {string} token - Token
+   * @param {string} [ownerId] - Só remove se for deste usuário
+   * @returns {boolean} true se removeu
+   */
+  const deleteDeviceToken = (token, ownerId) => {
+    const result = db
+      .prepare("DELETE FROM device_tokens WHERE token = @token AND (@ownerId IS NULL OR owner_id = @ownerId)")
+      .run({ token, ownerId: ownerId ?? null });
+    return result.changes > 0;
+  };
+
+  /**
+   * Remove tokens de push sem registro desde o limite
+   *
+   * @param {string} cutoff - Data ISO 8601
+   * @returns {number} Quantidade de tokens removidos
+   */
+  const purgeDeviceTokens = (cutoff) => {
+    return db.prepare("DELETE FROM device_tokens WHERE last_seen_at < ?").run(cutoff).changes;
+  };
+
+  /**
+   * Importa dados existentes (ex.: vindos do arquivo JSON)
+   * Preserva IDs e timestamps; só é usado com a tabela vazia
+   *
+   * @param {Object} source - Dados da origem
+   * @param {Array} source.tasks - Tarefas completas a importar
+   * @param {Array} [source.users] - Usuários a importar
+   * @param {Array} [source.sessions] - Sessões de login a importar
+   * @param {Array} [source.deviceTokens] - Tokens de push a importar
+   * @param {Array} [source.sentReminders] - Lembretes já enviados
+   * @param {number} [source.lastId] - Último contador de ID de tarefa usado
+   * @param {number} [source.lastUserId] - Último contador de ID de usuário usado
+   * @param {number} [source.lastSeq] - Última sequência de alterações
+   * @param {number} [source.purgedSeq] - Maior sequência já expurgada
+   * @param {Object} [source.purgedSeqByOwner] - Maior sequência expurgada de cada dono
+   * @returns {number} Quantidade de tarefas importadas
+   */
+  const importData = ({
+    tasks,
+    users = [],
+    sessions = [],
+    deviceTokens = [],
+    sentReminders = [],
+    lastId = 0,
+    lastUserId = 0,
+    lastSeq = 0,
+    purgedSeq = 0,
+    purgedSeqByOwner = {},
+  }) => {
+    const runImport = db.transaction(() => {
+      const insert = db.prepare(
+        `INSERT OR IGNORE INTO tasks (${TASK_COLUMNS.join(", ")})
+         VALUES (${TASK_COLUMNS.map((column) => `@${column}`).join(", ")})`
+      );
+      const insertUser = db.prepare(
+        `INSERT OR IGNORE INTO users (${USER_COLUMNS.join(", ")})
+         VALUES (${USER_COLUMNS.map((column) => `@${column}`).join(", ")})`
+      );
+
+      for (const user of users) {
+        insertUser.run(userToParams(rowToUser(user)));
+      }
+
+      const insertSession = db.prepare(
+        `INSERT OR IGNORE INTO auth_sessions (${SESSION_COLUMNS.join(", ")})
+         VALUES (${SESSION_COLUMNS.map((column) => `@${column}`).join(", ")})`
+      );
+      for (const session of sessions) {
+        insertSession.run(rowToSession(session));
+      }
+
+      const insertDeviceToken = db.prepare(
+        `INSERT OR IGNORE INTO device_tokens (${DEVICE_TOKEN_COLUMNS.join(", ")})
+         VALUES (${DEVICE_TOKEN_COLUMNS.map((column) => `@${column}`).join(", ")})`
+      );
+      for (const device of deviceTokens) {
+        insertDeviceToken.run(
+          Object.fromEntries(DEVICE_TOKEN_COLUMNS.map((column) => [column, device[column] ?? null]))
+        );
+      }
+
+      const insertSentReminder = db.prepare(
+        `INSERT OR IGNORE INTO sent_reminders (id, task_id, owner_id, remind_at, sent_at)
+         VALUES (@id, @task_id, @owner_id, @remind_at, @sent_at)`
+      );
+      for (const reminder of sentReminders) {
+        insertSentReminder.run({ owner_id: null, ...reminder });
+      }
+
+      let imported = 0;
+      for (const task of tasks) {
+        imported += insert.run(taskToParams(task)).changes;
+      }
+
+      setMeta("lastId", lastId);
+      setMeta("lastUserId", lastUserId);
+      setMeta("lastSeq", lastSeq);
+      setMeta("purgedSeq", purgedSeq);
+
+      const insertPurgedSeq = db.prepare("INSERT OR REPLACE INTO purged_seqs (owner_id, seq) VALUES (?, ?)");
+      for (const [ownerId, seq] of Object.entries(purgedSeqByOwner)) {
+        insertPurgedSeq.run(ownerId, seq);
+      }
+      return imported;
+    });
+
+    return runImport();
+  };
+
+  /**
+   * Conta as tarefas armazenadas
+   *
+   * @returns {number} Total de tarefas
+   */
+  const countTasks = () => {
+    return db.prepare("SELECT COUNT(*) AS total FROM tasks").get().total;
+  };
+
+  return {
+    name: "sqlite",
+    initDatabase,
+    getAllTasks,
+    queryTasks,
+    getTaskById,
+    createTask,
+    updateTask,
+    deleteTask,
+    getDeletedTasks,
+    purgeDeletedTasks,
+    getChangesSince,
+    claimUnownedTasks,
+    reassignTasks,
+    getUserById,
+    getUserByPhone,
+    getUserByEmail,
+    getUsersWithDigest,
+    createUser,
+    updateUser,
+    createSession,
+    getSessionById,
+    updateSession,
+    revokeUserSessions,
+    purgeSessions,
+    getSentReminderIds,
+    recordSentReminder,
+    purgeSentReminders,
+    saveDeviceToken,
+    getDeviceTokens,
+    deleteDeviceToken,
+    purgeDeviceTokens,
+    importData,
+    countTasks,
+  };
+};
+
+module.exports = {
+  createSqliteAdapter,
+};
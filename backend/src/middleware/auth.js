@@ -0,0 +1,64 @@
+/**
+ * Middleware de Autenticação
+ * 
+ * Exige um token de acesso válido no cabeçalho
+ * `Authorization: Bearer <token>` (emitido por /api/auth/login,
+ * /api/auth/register ou /api/auth/refresh).
+ * 
+ * Em caso de sucesso, disponibiliza para as rotas:
+ * - req.user: usuário autenticado (sem dados sensíveis)
+ * - req.ownerId: ID do usuário, usado para restringir as tarefas
+ * - req.sessionId: sessão de login do token (usada no logout)
+ * 
+ * Falhas respondem 401 com `error.code`:
+ * - TOKEN_MISSING: cabeçalho ausente
+ * - TOKEN_INVALID: assinatura ou formato inválidos
+ * - TOKEN_EXPIRED: token vencido (o cliente deve usar o refresh token)
+ * - SESSION_REVOKED: sessão encerrada por logout
+ */
+
+const authService = require("../services/auth");
+
+/**
+ * Exige um usuário autenticado
+ * 
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = String(req.get("authorization") || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      error: {
+        message: "Autenticação necessária",
+        code: "TOKEN_MISSING",
+        status: 401,
+      },
+    });
+  }
+
+  try {
+    const { user, session } = authService.authenticate(token);
+    req.user = user;
+    req.ownerId = user.id;
+    req.sessionId = session.id;
+    next();
+  } catch (error) {
+    if (!error.code) {
+      console.error("❌ Erro ao validar token:", error);
+    }
+    res.status(error.status || 401).json({
+      error: {
+        message: error.code ? error.message : "Erro ao validar token",
+        code: error.code || "TOKEN_INVALID",
+        status: error.status || 401,
+      },
+    });
+  }
+};
+
+module.exports = {
+  requireAuth,
+};
@@ -8,33 +8,81 @@
  * - title: Título da tarefa (obrigatório)
  * - description: Descrição da tarefa (opcional)
  * - status: Status da tarefa (pending, in_progress, completed)
- * - scheduled_at: Data/hora agendada para a tarefa (opcional, ISO 8601)
+ * - scheduled_at: Data/hora agendada para a tarefa (opcional, ISO 8601 com
+ *   fuso: "Z" ou deslocamento como "-03:00"; armazenada em UTC)
+ * - recurrence: Regra de repetição (opcional, exige scheduled_at; ver utils/recurrence.js)
  * - created_at: Data de criação (ISO 8601)
  * - updated_at: Data de última atualização (ISO 8601)
  */
 
+const { validateRecurrence, normalizeRecurrence } = require("../utils/recurrence");
+
+// Tamanhos máximos de título e descrição
+const TITLE_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 500;
+
+// ISO 8601 com fuso obrigatório: sem ele não dá para saber a que instante
+// "2024-12-25T15:00:00" se refere (o servidor pode estar em outro fuso)
+const ISO_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(Z|[+-](\d{2}):?(\d{2}))$/;
+
+/**
+ * Valida uma data/hora ISO 8601 com fuso
+ *
+ * Confere também os campos: 2024-02-30 ou deslocamento +25:00 são inválidos.
+ *
+ * @param {string} value - Data/hora
+ * @returns {string|null} Mensagem de erro ou null se válida
+ */
+const validateIsoDateTime = (value) => {
+  const match = ISO_DATETIME_REGEX.exec(value);
+  if (!match) {
+    return "scheduled_at deve estar no formato ISO 8601 com fuso (ex: 2024-12-25T15:00:00.000Z ou 2024-12-25T12:00:00-03:00)";
+  }
+
+  const [, year, month, day, hour, minute, second = "0", , offsetHours = "0", offsetMinutes = "0"] = match;
+  const daysInMonth = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+
+  if (
+    Number(month) < 1 || Number(month) > 12 ||
+    Number(day) < 1 || Number(day) > daysInMonth ||
+    Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59
+  ) {
+    return "scheduled_at deve ser uma data válida";
+  }
+
+  if (Number(offsetHours) > 14 || Number(offsetMinutes) > 59) {
+    return "scheduled_at tem um deslocamento de fuso inválido (de -12:00 a +14:00)";
+  }
+
+  return null;
+};
+
 /**
  * Valida dados de uma tarefa
  * 
+ * Na atualização, informe a versão atual: um scheduled_at que não mudou
+ * pode estar no passado (ex.: concluir uma tarefa atrasada).
+ * 
  * @param {Object} taskData - Dados da tarefa
+ * @param {Object} [previousTask] - Versão atual da tarefa (atualizações)
  * @returns {Object} { valid: boolean, errors: Array }
  */
-const validateTask = (taskData) => {
+const validateTask = (taskData, previousTask = null) => {
   const errors = [];
 
   // Validar título
   if (!taskData.title || typeof taskData.title !== "string" || taskData.title.trim().length === 0) {
     errors.push("Título é obrigatório");
-  } else if (taskData.title.length > 100) {
-    errors.push("Título deve ter no máximo 100 caracteres");
+  } else if (taskData.title.length > TITLE_MAX_LENGTH) {
+    errors.push(`Título deve ter no máximo ${TITLE_MAX_LENGTH} caracteres`);
   }
 
   // Validar descrição (opcional)
   if (taskData.description !== undefined && taskData.description !== null) {
     if (typeof taskData.description !== "string") {
       errors.push("Descrição deve ser uma string");
-    } else if (taskData.description.length > 500) {
-      errors.push("Descrição deve ter no máximo 500 caracteres");
+    } else if (taskData.description.length > DESCRIPTION_MAX_LENGTH) {
+      errors.push(`Descrição deve ter no máximo ${DESCRIPTION_MAX_LENGTH} caracteres`);
     }
   }
 
@@ -49,23 +97,30 @@ const validateTask = (taskData) => {
     if (typeof taskData.scheduled_at !== "string") {
       errors.push("scheduled_at deve ser uma string no formato ISO 8601");
     } else {
-      // Validar formato ISO 8601
-      const dateRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
-      if (!dateRegex.test(taskData.scheduled_at)) {
-        errors.push("scheduled_at deve estar no formato ISO 8601 (ex: 2024-12-25T15:00:00.000Z)");
+      // Validar formato ISO 8601 (com fuso)
+      const formatError = validateIsoDateTime(taskData.scheduled_at);
+      if (formatError) {
+        errors.push(formatError);
       } else {
-        // Validar se é data futura
+        // Validar se é data futura (o mesmo instante da versão atual pode estar no passado)
         const scheduledDate = new Date(taskData.scheduled_at);
-        const now = new Date();
+        const unchanged = Boolean(previousTask && previousTask.scheduled_at) &&
+          new Date(previousTask.scheduled_at).getTime() === scheduledDate.getTime();
         if (isNaN(scheduledDate.getTime())) {
           errors.push("scheduled_at deve ser uma data válida");
-        } else if (scheduledDate <= now) {
+        } else if (scheduledDate <= new Date() && !unchanged) {
           errors.push("scheduled_at deve ser uma data futura");
         }
       }
     }
   }
 
+  // Validar recurrence (opcional)
+  errors.push(...validateRecurrence(taskData.recurrence));
+  if (taskData.recurrence && !taskData.scheduled_at) {
+    errors.push("recurrence exige scheduled_at (data da primeira ocorrência)");
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -76,16 +131,31 @@ const validateTask = (taskData) => {
  * Normaliza dados de tarefa
  * Remove espaços em branco e define valores padrão
  * 
+ * `recurrence` só é incluído quando informado, para que clientes que não
+ * conhecem o campo não apaguem a regra ao atualizar a tarefa.
+ * `scheduled_at` é convertido para UTC ("...Z"), qualquer que seja o fuso
+ * informado.
+ * 
  * @param {Object} taskData - Dados da tarefa
+ * @param {Object} [options] - { timeZone } - fuso do usuário, usado pela
+ *   regra de repetição que não informar o seu
  * @returns {Object} Dados normalizados
  */
-const normalizeTask = (taskData) => {
-  return {
+const normalizeTask = (taskData, { timeZone = null } = {}) => {
+  const scheduledDate = taskData.scheduled_at ? new Date(taskData.scheduled_at) : null;
+
+  const normalized = {
     title: taskData.title ? taskData.title.trim() : "",
     description: taskData.description ? taskData.description.trim() : null,
     status: taskData.status || "pending",
-    scheduled_at: taskData.scheduled_at || null,
+    scheduled_at: scheduledDate && !isNaN(scheduledDate.getTime()) ? scheduledDate.toISOString() : null,
   };
+
+  if (taskData.recurrence !== undefined) {
+    normalized.recurrence = normalizeRecurrence(taskData.recurrence, normalized.scheduled_at, timeZone);
+  }
+
+  return normalized;
 };
 
 /**
@@ -93,11 +163,12 @@ const normalizeTask = (taskData) => {
  * 
  * @param {Object} taskData - Dados da tarefa
  * @param {string} id - ID da tarefa
+ * @param {Object} [options] - { timeZone } (ver normalizeTask)
  * @returns {Object} Tarefa completa
  */
-const createTaskObject = (taskData, id) => {
+const createTaskObject = (taskData, id, options = {}) => {
   const now = new Date().toISOString();
-  const normalized = normalizeTask(taskData);
+  const normalized = normalizeTask(taskData, options);
 
   return {
     id,
@@ -105,12 +176,15 @@ const createTaskObject = (taskData, id) => {
     description: normalized.description,
     status: normalized.status,
     scheduled_at: normalized.scheduled_at,
+    recurrence: normalized.recurrence || null,
     created_at: now,
     updated_at: now,
   };
 };
 
 module.exports = {
+  TITLE_MAX_LENGTH,
+  DESCRIPTION_MAX_LENGTH,
   validateTask,
   normalizeTask,
   createTaskObject,
@@ -0,0 +1,71 @@
+/**
+ * Modelo de Usuário
+ *
+ * Define a validação das preferências de uma conta (usadas em
+ * PATCH /api/users/me e pelos agendadores de resumo e lembretes).
+ *
+ * Preferências:
+ * - digest_time: Horário "HH:MM" do resumo diário no fuso da conta (null = desativado)
+ * - reminder_lead_minutes: Antecedências dos lembretes em minutos ([15, 0] =
+ *   15 minutos antes e na hora; null = padrão do servidor)
+ * - reminder_channels: Canais dos lembretes, "whatsapp" e/ou "push" ([] desliga;
+ *   null = padrão do servidor)
+ */
+
+// Horário no formato "HH:MM" (00:00 a 23:59)
+const DIGEST_TIME_REGEX = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+
+// Maior antecedência aceita (1 dia)
+const MAX_LEAD_MINUTES = 24 * 60;
+
+// Quantidade máxima de antecedências por usuário
+const MAX_LEAD_TIMES = 5;
+
+// Canais de entrega dos lembretes
+const REMINDER_CHANNELS = ["whatsapp", "push"];
+
+/**
+ * Verifica se o horário do resumo é válido ("07:00")
+ *
+ * @param {string} time - Horário
+ * @returns {boolean}
+ */
+const isValidDigestTime = (time) => typeof time === "string" && DIGEST_TIME_REGEX.test(time);
+
+/**
+ * Verifica uma lista de antecedências (minutos inteiros de 0 a 1 dia)
+ *
+ * @param {any} value - Lista recebida
+ * @returns {boolean}
+ */
+const isValidLeadMinutes = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.length <= MAX_LEAD_TIMES &&
+  value.every((minutes) => Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_LEAD_MINUTES);
+
+/**
+ * Verifica uma lista de canais ("whatsapp", "push"; vazia desliga)
+ *
+ * @param {any} value - Lista recebida
+ * @returns {boolean}
+ */
+const isValidChannels = (value) =>
+  Array.isArray(value) && value.every((channel) => REMINDER_CHANNELS.includes(channel));
+
+/**
+ * Remove repetições e ordena as antecedências (maior primeiro)
+ *
+ * @param {Array<number>} leadMinutes - Antecedências
+ * @returns {Array<number>} Antecedências normalizadas
+ */
+const normalizeLeadMinutes = (leadMinutes) => [...new Set(leadMinutes)].sort((a, b) => b - a);
+
+module.exports = {
+  MAX_LEAD_MINUTES,
+  REMINDER_CHANNELS,
+  isValidDigestTime,
+  isValidLeadMinutes,
+  isValidChannels,
+  normalizeLeadMinutes,
+};
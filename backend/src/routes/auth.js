@@ -0,0 +1,116 @@
+/**
+ * Rotas de Autenticação
+ * 
+ * Cadastro, login e ciclo de vida dos tokens da API.
+ * 
+ * Endpoints:
+ * - POST /api/auth/register - Criar conta (retorna tokens)
+ * - POST /api/auth/login - Entrar com e-mail e senha
+ * - POST /api/auth/refresh - Trocar refresh token por um novo par
+ * - POST /api/auth/logout - Encerrar a sessão atual
+ * - POST /api/auth/logout-all - Encerrar todas as sessões do usuário
+ * 
+ * Resposta de register/login/refresh:
+ * { access_token, refresh_token, token_type: "Bearer", expires_in, user }
+ */
+
+const express = require("express");
+const router = express.Router();
+const authService = require("../services/auth");
+const { requireAuth } = require("../middleware/auth");
+
+/**
+ * Responde um erro do serviço de autenticação
+ * Erros sem `code` são inesperados e viram 500
+ * 
+ * @param {Object} res - Resposta Express
+ * @param {Error} error - Erro lançado pelo serviço
+ * @param {string} fallbackMessage - Mensagem para erros inesperados
+ */
+const sendAuthError = (res, error, fallbackMessage) => {
+  if (!error.code) {
+    console.error(`❌ ${fallbackMessage}:`, error);
+    return res.status(500).json({
+      error: {
+        message: fallbackMessage,
+        status: 500,
+      },
+    });
+  }
+
+  res.status(error.status || 401).json({
+    error: {
+      message: error.message,
+      code: error.code,
+      ...(error.details ? { details: error.details } : {}),
+      status: error.status || 401,
+    },
+  });
+};
+
+/**
+ * POST /api/auth/register
+ * Cria uma conta com e-mail e senha
+ */
+router.post("/register", (req, res) => {
+  try {
+    const { email, password, name, timezone } = req.body;
+    res.status(201).json(authService.register({ email, password, name, timezone }));
+  } catch (error) {
+    sendAuthError(res, error, "Erro ao criar conta");
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Entra com e-mail e senha
+ */
+router.post("/login", (req, res) => {
+  try {
+    const { email, password } = req.body;
+    res.json(authService.login({ email, password }));
+  } catch (error) {
+    sendAuthError(res, error, "Erro ao entrar");
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Troca o refresh token por um novo par (o anterior deixa de valer)
+ */
+router.post("/refresh", (req, res) => {
+  try {
+    const { refresh_token: refreshToken } = req.body;
+    res.json(authService.refresh(refreshToken));
+  } catch (error) {
+    sendAuthError(res, error, "Erro ao renovar sessão");
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Encerra a sessão do token usado na requisição
+ */
+router.post("/logout", requireAuth, (req, res) => {
+  try {
+    authService.revokeSession(req.sessionId);
+    res.json({ success: true, message: "Sessão encerrada" });
+  } catch (error) {
+    sendAuthError(res, error, "Erro ao encerrar sessão");
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Encerra todas as sessões do usuário (todos os dispositivos)
+ */
+router.post("/logout-all", requireAuth, (req, res) => {
+  try {
+    const revoked = authService.revokeAllSessions(req.ownerId);
+    res.json({ success: true, message: `${revoked} sessão(ões) encerrada(s)` });
+  } catch (error) {
+    sendAuthError(res, error, "Erro ao encerrar sessões");
+  }
+});
+
+module.exports = router;
@@ -4,21 +4,37 @@
  * Define rotas para gerenciamento de notificações push.
  * 
  * Endpoints:
- * - POST /api/fcm/register - Registrar token FCM
- * - POST /api/fcm/send - Enviar notificação
+ * - POST /api/fcm/register - Registrar token de push (FCM ou Expo)
+ * - POST /api/fcm/unregister - Remover token de push (ex.: ao sair da conta)
+ * - POST /api/fcm/send - Enviar notificação aos dispositivos da conta
+ * 
+ * Todas as rotas exigem um token de acesso (middleware requireAuth). Os
+ * tokens de push (FCM ou Expo) ficam associados à conta autenticada.
  */
 
 const express = require("express");
 const router = express.Router();
 const fcmService = require("../services/fcm");
+const { requireAuth } = require("../middleware/auth");
+
+// Plataformas aceitas no registro do token
+const DEVICE_PLATFORMS = ["android", "ios", "web"];
+
+// Tamanho máximo da versão do app informada
+const MAX_APP_VERSION_LENGTH = 32;
+
+router.use(requireAuth);
 
 /**
  * POST /api/fcm/register
- * Registra um token FCM do dispositivo
+ * Registra um token de push (FCM ou Expo) do dispositivo
+ *
+ * Body: { token, platform?, app_version? } - platform: "android", "ios"
+ * ou "web". O app chama a cada abertura, renovando o registro.
  */
 router.post("/register", (req, res) => {
   try {
-    const { token } = req.body;
+    const { token, platform = null, app_version: appVersion = null } = req.body;
 
     if (!token || typeof token !== "string") {
       return res.status(400).json({
@@ -29,11 +45,30 @@ router.post("/register", (req, res) => {
       });
     }
 
-    fcmService.registerToken(token);
+    if (platform !== null && !DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        error: {
+          message: `Plataforma inválida (use ${DEVICE_PLATFORMS.join(", ")})`,
+          status: 400,
+        },
+      });
+    }
+
+    if (appVersion !== null && (typeof appVersion !== "string" || appVersion.length > MAX_APP_VERSION_LENGTH)) {
+      return res.status(400).json({
+        error: {
+          message: `Versão do app inválida (texto de até ${MAX_APP_VERSION_LENGTH} caracteres)`,
+          status: 400,
+        },
+      });
+    }
+
+    const device = fcmService.registerToken(token, req.ownerId, { platform, appVersion });
 
     res.json({
       success: true,
       message: "Token registrado com sucesso",
+      data: device,
     });
   } catch (error) {
     console.error("❌ Erro ao registrar token:", error);
@@ -46,9 +81,56 @@ router.post("/register", (req, res) => {
   }
 });
 
+/**
+ * POST /api/fcm/unregister
+ * Remove um token de push da conta (o app chama ao sair da conta)
+ *
+ * Body: { token }
+ */
+router.post("/unregister", (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        error: {
+          message: "Token é obrigatório",
+          status: 400,
+        },
+      });
+    }
+
+    if (!fcmService.unregisterToken(token, req.ownerId)) {
+      return res.status(404).json({
+        error: {
+          message: "Token não registrado nesta conta",
+          status: 404,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Token removido com sucesso",
+    });
+  } catch (error) {
+    console.error("❌ Erro ao remover token:", error);
+    res.status(500).json({
+      error: {
+        message: "Erro ao remover token",
+        status: 500,
+      },
+    });
+  }
+});
+
 /**
  * POST /api/fcm/send
  * Envia uma notificação push
+ *
+ * Com `token`, só para aquele dispositivo (precisa ser da conta); sem ele,
+ * para todos os dispositivos da conta autenticada. Responde 404 sem
+ * dispositivos registrados e 502 quando nenhum dispositivo recebeu.
  */
 router.post("/send", async (req, res) => {
   try {
@@ -72,11 +154,20 @@ router.post("/send", async (req, res) => {
     let result;
 
     if (token) {
+      if (!fcmService.isTokenOwnedBy(token, req.ownerId)) {
+        return res.status(404).json({
+          error: {
+            message: "Token não registrado nesta conta",
+            status: 404,
+          },
+        });
+      }
+
       // Enviar para dispositivo específico
       result = await fcmService.sendToDevice(token, notification);
     } else {
-      // Enviar para todos os dispositivos registrados
-      result = await fcmService.sendNotification(notification);
+      // Enviar para todos os dispositivos da conta autenticada
+      result = await fcmService.sendNotification(notification, req.ownerId);
     }
 
     if (result.success) {
@@ -85,11 +176,21 @@ router.post("/send", async (req, res) => {
         message: "Notificação enviada com sucesso",
         data: result,
       });
+    } else if (!token && !result.results) {
+      // Nenhum dispositivo registrado na conta
+      res.status(404).json({
+        error: {
+          message: result.error,
+          status: 404,
+        },
+      });
     } else {
-      res.status(500).json({
+      // Falha na entrega (serviço de push fora do ar, dispositivo recusado):
+      // o erro do transporte fica só no log
+      res.status(502).json({
         error: {
-          message: result.error || "Erro ao enviar notificação",
-          status: 500,
+          message: "Não foi possível entregar a notificação",
+          status: 502,
         },
       });
     }
@@ -4,27 +4,154 @@
  * Define todas as rotas relacionadas a tarefas.
  * 
  * Endpoints:
- * - GET /api/tasks - Listar todas as tarefas
+ * - GET /api/tasks - Listar tarefas (com filtros, ordenação e paginação opcionais)
  * - GET /api/tasks/:id - Obter tarefa específica
  * - POST /api/tasks - Criar nova tarefa
  * - PUT /api/tasks/:id - Atualizar tarefa
  * - DELETE /api/tasks/:id - Deletar tarefa
  * - POST /api/tasks/sync - Sincronizar tarefas
+ * - GET /api/tasks/changes?since=<cursor> - Alterações desde o cursor
+ * 
+ * Todas as rotas exigem um token de acesso (middleware requireAuth) e só
+ * enxergam e alteram as tarefas do usuário autenticado.
  */
 
 const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const { validateTask, normalizeTask } = require("../models/Task");
+const { requireAuth } = require("../middleware/auth");
+const { handleTaskCompletion } = require("../services/recurrence");
+
+router.use(requireAuth);
+
+/**
+ * Parâmetros de consulta aceitos por GET /api/tasks
+ */
+const LIST_QUERY_PARAMS = ["status", "scheduled_after", "scheduled_before", "q", "sort", "limit", "offset"];
+const LIST_SORT_OPTIONS = ["created", "updated", "scheduled"];
+const LIST_STATUSES = ["pending", "in_progress", "completed"];
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 200;
+
+/**
+ * Valida e converte os parâmetros de listagem
+ * 
+ * @param {Object} params - req.query
+ * @returns {Object} { query, errors } (query no formato de db.queryTasks)
+ */
+const parseListQuery = (params) => {
+  const errors = [];
+  const query = {
+    sort: "created",
+    direction: "asc",
+    limit: LIST_DEFAULT_LIMIT,
+    offset: 0,
+  };
+
+  if (params.status !== undefined) {
+    const statuses = String(params.status).split(",").map((s) => s.trim()).filter(Boolean);
+    const invalid = statuses.filter((s) => !LIST_STATUSES.includes(s));
+    if (statuses.length === 0 || invalid.length > 0) {
+      errors.push(`status deve ser um ou mais dos seguintes (separados por vírgula): ${LIST_STATUSES.join(", ")}`);
+    } else {
+      query.statuses = statuses;
+    }
+  }
+
+  for (const [param, key] of [["scheduled_after", "scheduledAfter"], ["scheduled_before", "scheduledBefore"]]) {
+    if (params[param] !== undefined) {
+      const date = new Date(String(params[param]));
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${param} deve ser uma data ISO 8601 válida`);
+      } else {
+        query[key] = date.toISOString();
+      }
+    }
+  }
+
+  if (params.q !== undefined) {
+    const text = String(params.q).trim();
+    if (text) {
+      query.text = text;
+    }
+  }
+
+  if (params.sort !== undefined) {
+    // "-" na frente inverte a ordem (ex.: sort=-updated)
+    const sort = String(params.sort);
+    const field = sort.startsWith("-") ? sort.slice(1) : sort;
+    if (!LIST_SORT_OPTIONS.includes(field)) {
+      errors.push(`sort deve ser um dos seguintes (prefixo - para ordem decrescente): ${LIST_SORT_OPTIONS.join(", ")}`);
+    } else {
+      query.sort = field;
+      query.direction = sort.startsWith("-") ? "desc" : "asc";
+    }
+  }
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      errors.push("limit deve ser um inteiro positivo");
+    } else {
+      query.limit = Math.min(limit, LIST_MAX_LIMIT);
+    }
+  }
+
+  if (params.offset !== undefined) {
+    const offset = Number(params.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push("offset deve ser um inteiro >= 0");
+    } else {
+      query.offset = offset;
+    }
+  }
+
+  return { query, errors };
+};
 
 /**
  * GET /api/tasks
- * Lista todas as tarefas
+ * Lista as tarefas
+ * 
+ * Sem parâmetros, retorna o array com todas as tarefas (formato usado pelas
+ * versões antigas do app). Com qualquer parâmetro abaixo, retorna uma página:
+ * { tasks, total, limit, offset, has_more }.
+ * 
+ * Parâmetros:
+ * - status: pending, in_progress, completed (vários separados por vírgula)
+ * - scheduled_after / scheduled_before: intervalo de scheduled_at (inclusivo)
+ * - q: texto buscado no título e na descrição (sem diferenciar maiúsculas)
+ * - sort: created (padrão), updated ou scheduled; prefixo "-" para decrescente
+ * - limit (padrão 50, máximo 200) e offset
  */
 router.get("/", (req, res) => {
   try {
-    const tasks = db.getAllTasks();
-    res.json(tasks);
+    const hasListParams = LIST_QUERY_PARAMS.some((param) => req.query[param] !== undefined);
+    if (!hasListParams) {
+      return res.json(db.getAllTasks(req.ownerId));
+    }
+
+    const { query, errors } = parseListQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: {
+          message: "Parâmetros de consulta inválidos",
+          details: errors,
+          status: 400,
+        },
+      });
+    }
+
+    const { tasks, total } = db.queryTasks(query, req.ownerId);
+
+    res.json({
+      tasks,
+      total,
+      limit: query.limit,
+      offset: query.offset,
+      has_more: query.offset + tasks.length < total,
+    });
   } catch (error) {
     console.error("❌ Erro ao listar tarefas:", error);
     res.status(500).json({
@@ -36,6 +163,101 @@ router.get("/", (req, res) => {
   }
 });
 
+/**
+ * Limites de paginação do endpoint de alterações
+ */
+const CHANGES_DEFAULT_LIMIT = 500;
+const CHANGES_MAX_LIMIT = 1000;
+
+/**
+ * GET /api/tasks/changes?since=<cursor>&limit=<n>
+ * Retorna apenas as tarefas criadas, atualizadas ou deletadas depois do cursor
+ * 
+ * Cursor:
+ * - É a sequência da última alteração que o cliente já aplicou ("0" = nada).
+ * - A resposta traz o próximo cursor; o cliente deve guardá-lo e repetir a
+ *   chamada enquanto `has_more` for true.
+ * - `reset: true` indica que o cursor não é mais válido (exclusões antigas já
+ *   expurgadas ou banco do servidor recriado): refazer com since=0.
+ * 
+ * Observação: precisa ser registrada antes de GET /:id.
+ */
+router.get("/changes", (req, res) => {
+  try {
+    const since = req.query.since === undefined ? 0 : Number(req.query.since);
+    const limit = req.query.limit === undefined ? CHANGES_DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (!Number.isInteger(since) || since < 0) {
+      return res.status(400).json({
+        error: {
+          message: "Parâmetro since deve ser um cursor válido (inteiro >= 0)",
+          status: 400,
+        },
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
+        error: {
+          message: "Parâmetro limit deve ser um inteiro positivo",
+          status: 400,
+        },
+      });
+    }
+
+    const pageSize = Math.min(limit, CHANGES_MAX_LIMIT);
+    const { tasks, hasMore, lastSeq, purgedSeq } = db.getChangesSince(since, pageSize, req.ownerId);
+
+    // Cursor anterior a exclusões expurgadas deste usuário, ou "do futuro"
+    // (maior que a sequência do banco: banco recriado)
+    if (since > 0 && (since < purgedSeq || since > lastSeq)) {
+      return res.json({
+        created: [],
+        updated: [],
+        deleted: [],
+        cursor: "0",
+        has_more: false,
+        reset: true,
+      });
+    }
+
+    const created = [];
+    const updated = [];
+    const deleted = [];
+
+    for (const task of tasks) {
+      if (task.deleted_at) {
+        deleted.push({ id: task.id, deleted_at: task.deleted_at });
+      } else if (task.created_seq > since) {
+        created.push(task);
+      } else {
+        updated.push(task);
+      }
+    }
+
+    // Sem alterações do usuário até o fim da sequência: o cursor pode avançar
+    // até a última sequência do banco (alterações de outros usuários)
+    const nextCursor = tasks.length > 0 ? tasks[tasks.length - 1].seq : Math.max(since, lastSeq);
+
+    res.json({
+      created,
+      updated,
+      deleted,
+      cursor: String(nextCursor),
+      has_more: hasMore,
+      reset: false,
+    });
+  } catch (error) {
+    console.error("❌ Erro ao listar alterações:", error);
+    res.status(500).json({
+      error: {
+        message: "Erro ao listar alterações",
+        status: 500,
+      },
+    });
+  }
+});
+
 /**
  * GET /api/tasks/:id
  * Obtém uma tarefa específica
@@ -43,9 +265,22 @@ router.get("/", (req, res) => {
 router.get("/:id", (req, res) => {
   try {
     const { id } = req.params;
-    const task = db.getTaskById(id);
+    const task = db.getTaskById(id, req.ownerId);
 
     if (!task) {
+      // Tarefa deletada (lápide): 410 permite ao mobile distinguir
+      // "deletada em outro dispositivo" de "nunca existiu"
+      const deletedTask = db.getDeletedTasks(req.ownerId).find((t) => t.id === id);
+      if (deletedTask) {
+        return res.status(410).json({
+          error: {
+            message: "Tarefa deletada",
+            deleted_at: deletedTask.deleted_at,
+            status: 410,
+          },
+        });
+      }
+
       return res.status(404).json({
         error: {
           message: "Tarefa não encontrada",
@@ -87,8 +322,8 @@ router.post("/", (req, res) => {
     }
 
     // Normalizar e criar tarefa
-    const normalized = normalizeTask(taskData);
-    const task = db.createTask(normalized);
+    const normalized = normalizeTask(taskData, { timeZone: req.user.timezone });
+    const task = db.createTask({ ...normalized, owner_id: req.ownerId });
 
     res.status(201).json(task);
   } catch (error) {
@@ -105,6 +340,9 @@ router.post("/", (req, res) => {
 /**
  * PUT /api/tasks/:id
  * Atualiza uma tarefa existente
+ * 
+ * Concluir uma tarefa recorrente cria a próxima ocorrência, retornada em
+ * `next_occurrence`.
  */
 router.put("/:id", (req, res) => {
   try {
@@ -112,7 +350,7 @@ router.put("/:id", (req, res) => {
     const updates = req.body;
 
     // Verificar se tarefa existe
-    const existingTask = db.getTaskById(id);
+    const existingTask = db.getTaskById(id, req.ownerId);
     if (!existingTask) {
       return res.status(404).json({
         error: {
@@ -124,7 +362,7 @@ router.put("/:id", (req, res) => {
 
     // Validar dados (permitir atualização parcial)
     const taskToValidate = { ...existingTask, ...updates };
-    const validation = validateTask(taskToValidate);
+    const validation = validateTask(taskToValidate, existingTask);
     if (!validation.valid) {
       return res.status(400).json({
         error: {
@@ -136,10 +374,11 @@ router.put("/:id", (req, res) => {
     }
 
     // Normalizar e atualizar
-    const normalized = normalizeTask(updates);
-    const updatedTask = db.updateTask(id, normalized);
+    const normalized = normalizeTask(updates, { timeZone: req.user.timezone });
+    const updatedTask = db.updateTask(id, normalized, req.ownerId);
+    const { task, nextTask } = handleTaskCompletion(existingTask, updatedTask);
 
-    res.json(updatedTask);
+    res.json(nextTask ? { ...task, next_occurrence: nextTask } : task);
   } catch (error) {
     console.error("❌ Erro ao atualizar tarefa:", error);
     res.status(500).json({
@@ -158,7 +397,7 @@ router.put("/:id", (req, res) => {
 router.delete("/:id", (req, res) => {
   try {
     const { id } = req.params;
-    const deleted = db.deleteTask(id);
+    const deleted = db.deleteTask(id, req.ownerId);
 
     if (!deleted) {
       return res.status(404).json({
@@ -188,45 +427,77 @@ router.delete("/:id", (req, res) => {
  * Estratégia:
  * - Recebe lista de tarefas do mobile
  * - Para cada tarefa:
+ *   - Se foi deletada no servidor (lápide), ignora: a exclusão vence
  *   - Se não existe no servidor, cria
  *   - Se existe e servidor tem versão mais recente, mantém servidor
  *   - Se mobile tem versão mais recente, atualiza servidor
  * - Retorna lista de tarefas do servidor para sincronização reversa
+ * - Retorna as lápides (`deleted`) para o mobile apagar as cópias locais
+ * - Concluir uma tarefa recorrente cria a próxima ocorrência (no modo delta
+ *   ela chega pelo GET /api/tasks/changes)
+ * 
+ * Com `delta: true` no corpo, `tasks` e `deleted` trazem apenas as tarefas
+ * enviadas nesta requisição (suficiente para vincular server_id); o restante
+ * é baixado por GET /api/tasks/changes. Sem a flag, mantém a resposta
+ * completa usada pelas versões antigas do app.
  */
 router.post("/sync", (req, res) => {
   try {
-    const { tasks: mobileTasks } = req.body;
-    const serverTasks = db.getAllTasks();
+    const { tasks: mobileTasks, delta = false } = req.body;
+    const serverTasks = db.getAllTasks(req.ownerId);
+    const deletedTasks = db.getDeletedTasks(req.ownerId);
     const syncedIds = [];
 
     // Criar mapa de tarefas do servidor por ID
     const serverTasksMap = new Map(serverTasks.map((t) => [t.id, t]));
+    const deletedIds = new Set(deletedTasks.map((t) => t.id));
+
+    // IDs do servidor tocados por esta requisição (usado no modo delta)
+    const touchedIds = new Set();
 
     // Processar tarefas do mobile
     if (mobileTasks && Array.isArray(mobileTasks)) {
       for (const mobileTask of mobileTasks) {
-        const serverTask = serverTasksMap.get(mobileTask.server_id || mobileTask.id);
+        const serverId = mobileTask.server_id || mobileTask.id;
+
+        if (deletedIds.has(serverId)) {
+          // Tarefa deletada em outro dispositivo: não recriar nem atualizar.
+          // O mobile remove a cópia local ao receber a lápide abaixo.
+          syncedIds.push(mobileTask.id);
+          touchedIds.add(serverId);
+          continue;
+        }
+
+        const serverTask = serverTasksMap.get(serverId);
 
         if (!serverTask) {
           // Tarefa não existe no servidor, criar
           const validation = validateTask(mobileTask);
           if (validation.valid) {
-            const normalized = normalizeTask(mobileTask);
-            const newTask = db.createTask(normalized);
+            const normalized = normalizeTask(mobileTask, { timeZone: req.user.timezone });
+            const newTask = db.createTask({ ...normalized, owner_id: req.ownerId });
             syncedIds.push(mobileTask.id);
             serverTasksMap.set(newTask.id, newTask);
+            touchedIds.add(newTask.id);
           }
         } else {
+          touchedIds.add(serverTask.id);
+
           // Tarefa existe, verificar qual versão é mais recente
           const serverUpdated = new Date(serverTask.updated_at);
           const mobileUpdated = new Date(mobileTask.updated_at);
 
           if (mobileUpdated > serverUpdated) {
             // Mobile tem versão mais recente, atualizar servidor
-            const validation = validateTask(mobileTask);
+            const validation = validateTask(mobileTask, serverTask);
             if (validation.valid) {
-              const normalized = normalizeTask(mobileTask);
-              db.updateTask(serverTask.id, normalized);
+              const normalized = normalizeTask(mobileTask, { timeZone: req.user.timezone });
+              const updatedTask = db.updateTask(serverTask.id, normalized, req.ownerId);
+              const { task, nextTask } = handleTaskCompletion(serverTask, updatedTask);
+              serverTasksMap.set(task.id, task);
+              if (nextTask) {
+                serverTasksMap.set(nextTask.id, nextTask);
+              }
               syncedIds.push(mobileTask.id);
             }
           } else {
@@ -237,10 +508,18 @@ router.post("/sync", (req, res) => {
       }
     }
 
-    // Retornar tarefas do servidor para sincronização reversa
+    // Retornar tarefas do servidor e lápides para sincronização reversa
+    const responseTasks = delta
+      ? Array.from(touchedIds).filter((id) => serverTasksMap.has(id)).map((id) => serverTasksMap.get(id))
+      : Array.from(serverTasksMap.values());
+    const responseDeleted = delta
+      ? deletedTasks.filter((t) => touchedIds.has(t.id))
+      : deletedTasks;
+
     res.json({
       syncedIds,
-      tasks: Array.from(serverTasksMap.values()),
+      tasks: responseTasks,
+      deleted: responseDeleted.map((t) => ({ id: t.id, deleted_at: t.deleted_at })),
     });
   } catch (error) {
     console.error("❌ Erro ao sincronizar tarefas:", error);
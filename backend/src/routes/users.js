@@ -0,0 +1,99 @@
+/**
+ * Rotas de Usuários
+ * 
+ * Contas que separam as tarefas de cada pessoa no mesmo backend.
+ * O cadastro é feito em POST /api/auth/register.
+ * 
+ * Endpoints:
+ * - GET /api/users/me - Dados da conta autenticada
+ * - PATCH /api/users/me - Atualizar nome, fuso horário, resumo diário e lembretes
+ * - POST /api/users/me/pairing-code - Código para vincular o WhatsApp
+ */
+
+const express = require("express");
+const router = express.Router();
+const { requireAuth } = require("../middleware/auth");
+const pairingService = require("../services/pairing");
+const authService = require("../services/auth");
+
+/**
+ * GET /api/users/me
+ * Retorna a conta autenticada
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * PATCH /api/users/me
+ * Atualiza o perfil da conta
+ * 
+ * Body: { name?, timezone?, digest_time?, reminder_lead_minutes?, reminder_channels? }
+ * O fuso (nome IANA, ex.: "America/Sao_Paulo") é usado para interpretar
+ * datas ditas no WhatsApp ("amanhã às 9h") e formatar as respostas do bot.
+ * digest_time ("07:00", no fuso da conta) ativa o resumo diário enviado
+ * pelo WhatsApp; null desativa. reminder_lead_minutes ([15, 0]) e
+ * reminder_channels (["whatsapp", "push"]) ajustam os lembretes das tarefas
+ * agendadas; null volta ao padrão do servidor.
+ */
+router.patch("/me", requireAuth, (req, res) => {
+  try {
+    const { name, timezone, digest_time, reminder_lead_minutes, reminder_channels } = req.body || {};
+    res.json(
+      authService.updateProfile(req.ownerId, {
+        name,
+        timezone,
+        digest_time,
+        reminder_lead_minutes,
+        reminder_channels,
+      })
+    );
+  } catch (error) {
+    if (!error.code) {
+      console.error("❌ Erro ao atualizar perfil:", error);
+      return res.status(500).json({
+        error: {
+          message: "Erro ao atualizar perfil",
+          status: 500,
+        },
+      });
+    }
+
+    res.status(error.status).json({
+      error: {
+        message: error.message,
+        code: error.code,
+        ...(error.details ? { details: error.details } : {}),
+        status: error.status,
+      },
+    });
+  }
+});
+
+/**
+ * POST /api/users/me/pairing-code
+ * Gera um código de uso único para vincular o telefone do WhatsApp à conta
+ * 
+ * O usuário envia "vincular <código>" ao bot; a partir daí as mensagens
+ * desse telefone criam e listam as tarefas desta conta.
+ */
+router.post("/me/pairing-code", requireAuth, (req, res) => {
+  try {
+    const pairing = pairingService.createPairingCode(req.ownerId);
+
+    res.status(201).json({
+      ...pairing,
+      instructions: `Envie "vincular ${pairing.code}" para o bot no WhatsApp`,
+    });
+  } catch (error) {
+    console.error("❌ Erro ao gerar código de pareamento:", error);
+    res.status(500).json({
+      error: {
+        message: "Erro ao gerar código de pareamento",
+        status: 500,
+      },
+    });
+  }
+});
+
+module.exports = router;
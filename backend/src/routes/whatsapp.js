@@ -4,48 +4,139 @@
  * Define rotas para envio e recebimento de mensagens via WhatsApp.
  * 
  * Endpoints:
- * - POST /api/whatsapp/send - Enviar mensagem
- * - POST /api/whatsapp/webhook - Webhook para receber mensagens
+ * - POST /api/whatsapp/send - Enviar mensagem (exige token de acesso)
+ * - POST /api/whatsapp/webhook - Webhook para receber mensagens (chamado
+ *   pelo provedor do WhatsApp, sem token; o remetente define a conta)
+ * 
+ * Pareamento: a mensagem "vincular 123456" (código gerado pelo app em
+ * POST /api/users/me/pairing-code) vincula o telefone remetente à conta do app.
+ * 
+ * Tarefas já criadas são citadas pelo número na lista ("concluir 2") ou
+ * pelo título ("feito comprar leite"); ver utils/taskMatcher.js. Os números
+ * seguem a última lista enviada ao telefone ("minhas tarefas", "atrasadas",
+ * "mais"), guardada na sessão da conversa: continuam valendo mesmo depois
+ * de concluir ou apagar outras tarefas, até a próxima lista.
+ * 
+ * Conversa: o bot pode fazer uma pergunta e retomar o comando com a resposta
+ * ("Qual delas?" quando o título é ambíguo, "Apagar a tarefa?", "Para
+ * quando?"). A pergunta fica na sessão do telefone (services/conversation.js)
+ * e é oferecida à próxima mensagem antes da interpretação; se a mensagem
+ * não a responde, segue como um comando novo.
+ * 
+ * Resumo diário: "resumo diário às 7h" ativa o envio automático do resumo do
+ * dia (services/digest.js), "parar resumo" desativa e "resumo" mostra o de
+ * hoje na hora.
+ * 
+ * Fuso horário: datas ditas na mensagem ("amanhã às 9h") são interpretadas
+ * e as respostas formatadas no fuso da conta (PATCH /api/users/me), ou no
+ * DEFAULT_TIMEZONE do servidor se a conta não tiver fuso.
  */
 
 const express = require("express");
 const router = express.Router();
 const axios = require("axios");
 const whatsappService = require("../services/whatsapp");
-const witService = require("../services/wit");
+const nluService = require("../services/nlu");
 const whisperService = require("../services/whisper");
 const db = require("../config/database");
 const fcmService = require("../services/fcm");
-const { extractDateTime } = require("../utils/dateParser");
-const { normalizeTask } = require("../models/Task");
+const pairingService = require("../services/pairing");
+const conversationService = require("../services/conversation");
+const digestService = require("../services/digest");
+const { buildTaskDraft, normalizeEntityValue, removeSpans } = require("../utils/taskDraft");
+const { findTaskReference, extractReference, startsWithCommand, splitEditCommand } = require("../utils/taskMatcher");
+const {
+  LIST_PAGE_SIZE,
+  parseListRequest,
+  sortTasksForList,
+  filterTasks,
+  formatTaskListPage,
+} = require("../utils/taskList");
+const { parseDateTimeDetails, extractDateTime, parseDuration, addDuration } = require("../utils/dateParser");
+const { normalizeText, classifyIntent } = require("../services/nlu/intentClassifier");
+const { describeRecurrence } = require("../utils/recurrence");
+const { resolveTimeZone, formatDateTime } = require("../utils/timezone");
+const { validateTask, normalizeTask } = require("../models/Task");
+const { handleTaskCompletion } = require("../services/recurrence");
+const { requireAuth } = require("../middleware/auth");
+
+// Respostas de sim/não, sobre o texto simplificado
+const CONFIRM_REPLY_REGEX = /^(?:sim|s|ss|isso|pode|pode sim|pode apagar|confirmo|confirma|confirmar|claro|ok|beleza|yes)$/;
+const DENY_REPLY_REGEX = /^(?:nao|n|cancela|cancelar|deixa|deixa pra la|esquece|melhor nao|no|sem data)$/;
+
+// Validade do "Para quando?" depois de criar uma tarefa sem data: a pergunta
+// é opcional, então não deve prender as mensagens seguintes por muito tempo
+const SCHEDULE_QUESTION_TTL_MINUTES = 2;
 
 /**
- * Normaliza valores de entidades vindas do Wit.ai ou do texto bruto.
+ * Monta a mensagem de ajuda com os comandos do bot
  * 
- * Objetivo:
- * - Garantir que title/description/status sejam strings válidas.
- * - Evitar falhas quando as entidades vêm como array ou objeto.
+ * @returns {string} Mensagem de ajuda
+ */
+const buildHelpMessage = () =>
+  `Olá! Eu sou o TodoWhats bot. Você pode:\n\n` +
+  `• Criar tarefa: "Criar tarefa comprar leite amanhã às 15h"\n` +
+  `• Listar tarefas: "Mostrar minhas tarefas", "tarefas de hoje" ou "atrasadas" ("mais" mostra a próxima página)\n` +
+  `• Concluir tarefa: "concluir 2" ou "feito comprar leite"\n` +
+  `• Apagar tarefa: "apagar tarefa 3"\n` +
+  `• Editar tarefa: "renomear 2 para pagar boleto" ou "mudar descrição da 1"\n` +
+  `• Remarcar tarefa: "adiar 2 para amanhã às 10h" ou "adiar 30 minutos"\n` +
+  `• Resumo do dia: "resumo", "resumo diário às 7h" ou "parar resumo"\n` +
+  `• Ver esta ajuda: "ajuda"`;
+
+/**
+ * Interpreta uma resposta de sim/não
  * 
- * @param {any} value - Valor bruto da entidade
- * @param {string|null} fallback - Valor alternativo se o valor bruto for inválido
- * @returns {string|null} Valor normalizado
+ * @param {string} message - Texto recebido
+ * @returns {boolean|null} true (sim), false (não) ou null (outra coisa)
  */
-const normalizeEntityValue = (value, fallback = null) => {
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    return trimmed.length > 0 ? trimmed : fallback;
+const parseConfirmationReply = (message) => {
+  const normalized = normalizeText(message);
+  if (CONFIRM_REPLY_REGEX.test(normalized)) {
+    return true;
   }
-
-  if (Array.isArray(value) && value.length > 0) {
-    return normalizeEntityValue(value[0], fallback);
+  if (DENY_REPLY_REGEX.test(normalized)) {
+    return false;
   }
+  return null;
+};
 
-  if (value && typeof value === "object") {
-    const objectValue = value.value || value.text || value.body || value.message || null;
-    return normalizeEntityValue(objectValue, fallback);
+/**
+ * Verifica se a mensagem é um comando novo, que descarta a pergunta pendente
+ * em vez de respondê-la
+ * 
+ * Qualquer intenção reconhecida conta, menos sim/não. Datas e títulos soltos
+ * ("amanhã às 10h", "reunião da equipe") parecem "criar tarefa" para o NLU,
+ * mas são as respostas esperadas: criar só conta quando é pedido com um
+ * verbo ("criar tarefa...", "me lembre de...").
+ * 
+ * @param {string|null} intent - Intenção da mensagem
+ * @param {string} message - Texto recebido
+ * @returns {boolean}
+ */
+const cancelsPendingQuestion = (intent, message) => {
+  if (!intent || parseConfirmationReply(message) !== null) {
+    return false;
   }
+  if (intent !== "create_task" && intent !== "add_task") {
+    return true;
+  }
+  return classifyIntent(message).source === "rules";
+};
 
-  return fallback;
+/**
+ * Envia uma notificação FCM aos dispositivos do dono, sem interromper a
+ * resposta do bot em caso de falha
+ * 
+ * @param {string} ownerId - ID do dono
+ * @param {Object} notification - { title, body, data }
+ */
+const notifyOwner = async (ownerId, notification) => {
+  try {
+    await fcmService.sendNotification(notification, ownerId);
+  } catch (error) {
+    console.warn("⚠️ Erro ao enviar notificação FCM:", error);
+  }
 };
 
 /**
@@ -57,67 +148,79 @@ const normalizeEntityValue = (value, fallback = null) => {
  * - Enviar notificação FCM apenas quando não houver agendamento.
  * 
  * Fluxo interno:
- * 1) Normaliza título/descrição/status com base nas entidades e no texto.
- * 2) Extrai data/hora (Wit.ai ou parsing manual).
- * 3) Persiste tarefa no banco JSON.
- * 4) Monta mensagem de resposta.
+ * 1) Monta o rascunho da tarefa (utils/taskDraft.js): título sem comandos
+ *    nem palavras de data, data/hora e repetição no fuso do dono (Wit.ai ou
+ *    parsing manual; "toda segunda às 9h" cria tarefa recorrente).
+ * 2) Normaliza o status com base nas entidades.
+ * 3) Persiste tarefa no banco, em nome do dono do telefone.
+ * 4) Monta mensagem de resposta; sem data, pergunta "Para quando?" (a
+ *    resposta é opcional e vale por SCHEDULE_QUESTION_TTL_MINUTES: outro
+ *    comando deixa a tarefa sem data).
  * 5) Envia FCM quando aplicável.
  * 
  * @param {string} message - Texto bruto recebido no WhatsApp
  * @param {Object} entities - Entidades extraídas pelo Wit.ai
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
  * @returns {Promise<Object>} Resultado com tarefa criada e resposta
  */
-const createTaskFromMessage = async (message, entities = {}) => {
-  const title = normalizeEntityValue(entities.title, null)
-    || normalizeEntityValue(entities.task_name, null)
-    || normalizeEntityValue(message, "Nova tarefa via WhatsApp");
-  const description = normalizeEntityValue(entities.description, null);
+const createTaskFromMessage = async (message, entities = {}, owner, phone) => {
+  const ownerId = owner.id;
+  const timeZone = resolveTimeZone(owner.timezone);
+
+  // Título, descrição, data/hora e repetição extraídos da mensagem
+  const {
+    title,
+    description,
+    scheduled_at: scheduledAt,
+    recurrence,
+  } = buildTaskDraft(message, entities, { timeZone, fallbackTitle: "Nova tarefa via WhatsApp" });
   const rawStatus = normalizeEntityValue(entities.status, "pending");
   const status = ["pending", "in_progress", "completed"].includes(rawStatus)
     ? rawStatus
     : "pending";
 
-  // Extrair data/hora agendada da mensagem
-  const scheduledAt = extractDateTime(message, entities);
-
   // Normalizar payload da tarefa antes de persistir
   const normalizedTask = normalizeTask({
     title,
     description,
     status,
     scheduled_at: scheduledAt,
-  });
+    recurrence,
+  }, { timeZone });
 
-  const taskCreated = db.createTask(normalizedTask);
+  const taskCreated = db.createTask({ ...normalizedTask, owner_id: ownerId });
 
   // Montar mensagem de resposta
   let responseMessage = "";
   if (scheduledAt) {
-    const scheduledDate = new Date(scheduledAt);
-    const formattedDate = scheduledDate.toLocaleString("pt-BR", {
-      day: "2-digit",
-      month: "2-digit",
-      year: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-    });
+    const formattedDate = formatDateTime(scheduledAt, timeZone);
     responseMessage = `✅ Tarefa criada: "${taskCreated.title}"\n📅 Agendada para: ${formattedDate}`;
+    if (taskCreated.recurrence) {
+      responseMessage += `\n🔁 Repete: ${describeRecurrence(taskCreated.recurrence)}`;
+    }
   } else {
     responseMessage = `✅ Tarefa criada: "${taskCreated.title}"`;
+
+    if (taskCreated.status !== "completed") {
+      conversationService.askQuestion(phone, {
+        type: "schedule_task",
+        intent: "create_task",
+        taskId: taskCreated.id,
+      }, { ttlMinutes: SCHEDULE_QUESTION_TTL_MINUTES });
+      responseMessage += `\n📅 Para quando? Responda com a data (ex.: "amanhã às 10h") ou "sem data".`;
+    }
   }
 
   // Não enviar notificação FCM imediata se tiver agendamento
-  // A notificação será enviada pelo app mobile no horário agendado
+  // O lembrete sai no horário agendado (app mobile e services/reminders.js)
+  // Apenas os dispositivos do dono da tarefa são notificados
   if (!scheduledAt) {
-    try {
-      await fcmService.sendNotification({
-        title: "Nova tarefa via WhatsApp",
-        body: `Tarefa "${taskCreated.title}" foi criada`,
-        data: { taskId: taskCreated.id },
-      });
-    } catch (error) {
-      console.warn("⚠️ Erro ao enviar notificação FCM:", error);
-    }
+    await notifyOwner(ownerId, {
+      title: "Nova tarefa via WhatsApp",
+      body: `Tarefa "${taskCreated.title}" foi criada`,
+      data: { taskId: taskCreated.id },
+    });
   }
 
   return {
@@ -127,11 +230,705 @@ const createTaskFromMessage = async (message, entities = {}) => {
   };
 };
 
+/**
+ * Tarefas em aberto do dono, na ordem da lista do bot (agendadas primeiro,
+ * pela data; ver sortTasksForList)
+ * 
+ * @param {string} ownerId - ID do dono
+ * @returns {Array<Object>} Tarefas não concluídas
+ */
+const getOpenTasks = (ownerId) =>
+  sortTasksForList(db.getAllTasks(ownerId).filter((task) => task.status !== "completed"));
+
+/**
+ * Guarda na conversa a lista numerada enviada ao telefone
+ * 
+ * @param {string} phone - Telefone remetente
+ * @param {Object} list - { taskIds, filter, page } - filter null para listas
+ *   que não podem ser paginadas ("Qual delas?")
+ */
+const saveTaskList = (phone, list) => {
+  conversationService.setSessionData(phone, "taskList", list);
+};
+
+/**
+ * Tarefas na numeração que o telefone está vendo
+ * 
+ * "concluir 2" se refere à segunda tarefa da última lista enviada; sem lista
+ * na conversa, à segunda tarefa em aberto (getOpenTasks).
+ * 
+ * @param {string} ownerId - ID do dono
+ * @param {string} phone - Telefone remetente
+ * @returns {Array<Object|null>} Tarefas na ordem numerada (null para as
+ *   apagadas depois da listagem; concluídas continuam no lugar)
+ */
+const getNumberedTasks = (ownerId, phone) => {
+  const list = conversationService.getSessionData(phone, "taskList");
+  if (!list) {
+    return getOpenTasks(ownerId);
+  }
+
+  const tasksById = new Map(db.getAllTasks(ownerId).map((task) => [task.id, task]));
+  return list.taskIds.map((taskId) => tasksById.get(taskId) || null);
+};
+
+/**
+ * Encontra a tarefa citada: números seguem a lista numerada do telefone
+ * (getNumberedTasks); títulos são procurados entre todas as tarefas em aberto
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {string} ownerId - ID do dono
+ * @param {string} phone - Telefone remetente
+ * @returns {Object} Resultado de findTaskReference, mais numberedTasks
+ */
+const findTaskInConversation = (message, ownerId, phone) => {
+  const numberedTasks = getNumberedTasks(ownerId, phone);
+  const byNumber = findTaskReference(message, numberedTasks);
+
+  if (byNumber.index !== null || !byNumber.reference) {
+    return { ...byNumber, numberedTasks };
+  }
+  return { ...findTaskReference(message, getOpenTasks(ownerId)), numberedTasks };
+};
+
+/**
+ * Monta a resposta de "minhas tarefas"
+ * 
+ * Aceita filtros ("tarefas de hoje", "atrasadas", "em andamento") e páginas
+ * ("mais", "página 2"). A lista inteira fica guardada na conversa: "mais"
+ * mostra a página seguinte da mesma lista, com a numeração contínua, e os
+ * números valem para os comandos seguintes ("concluir 7").
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Object} { responseMessage }
+ */
+const listTasksFromMessage = (message, owner, phone) => {
+  const timeZone = resolveTimeZone(owner.timezone);
+  const now = new Date();
+  const request = parseListRequest(message);
+  const saved = conversationService.getSessionData(phone, "taskList");
+
+  // "mais" e "página 2" continuam a última lista, se for do mesmo filtro
+  const continuesList =
+    Boolean(saved && saved.filter) &&
+    (request.nextPage || request.page !== null) &&
+    (!request.filter || request.filter === saved.filter);
+
+  let list;
+  if (continuesList) {
+    const totalPages = Math.ceil(saved.taskIds.length / LIST_PAGE_SIZE);
+    const page = request.page || saved.page + 1;
+    if (request.page === null && page > totalPages) {
+      return { responseMessage: `📋 Essa era a última página. Envie "minhas tarefas" para ver a lista atualizada.` };
+    }
+    list = { ...saved, page };
+  } else {
+    const filter = request.filter || "open";
+    list = {
+      taskIds: filterTasks(getOpenTasks(owner.id), filter, { timeZone, now }).map((task) => task.id),
+      filter,
+      page: request.page || 1,
+    };
+  }
+
+  saveTaskList(phone, list);
+
+  return {
+    responseMessage: formatTaskListPage(getNumberedTasks(owner.id, phone), {
+      filter: list.filter,
+      page: list.page,
+      timeZone,
+      now,
+    }),
+  };
+};
+
+/**
+ * Encontra a tarefa citada na mensagem ("concluir 2", "feito comprar leite")
+ * 
+ * Quando o título combina com mais de uma tarefa, pergunta "Qual delas?" e
+ * guarda o comando na conversa: a resposta ("2") retoma o comando com a
+ * tarefa escolhida (ver questionHandlers.choose_task). Quando não encontra,
+ * monta a resposta explicando como citar a tarefa.
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @param {Object} command - Comando a retomar
+ * @param {string} command.intent - Intenção (chave de taskActions)
+ * @param {string} command.verb - Exemplo de comando para a resposta ("concluir")
+ * @param {Object} [command.context] - Dados do comando para taskActions
+ * @returns {Object} { task, responseMessage } - task null quando não resolvida
+ */
+const resolveTaskFromMessage = (message, owner, phone, { intent, verb, context = {} }) => {
+  const { task, index, candidates, reference, quote, numberedTasks } = findTaskInConversation(message, owner.id, phone);
+
+  if (task && task.status === "completed" && intent === "complete_task") {
+    return { task: null, responseMessage: `✅ A tarefa "${task.title}" já está concluída.` };
+  }
+  if (task) {
+    return { task, responseMessage: null };
+  }
+
+  let responseMessage;
+  if (candidates.length > 0) {
+    // As candidatas viram a lista numerada da conversa: "2" escolhe a segunda
+    saveTaskList(phone, { taskIds: candidates.map((candidate) => candidate.id), filter: null, page: 1 });
+    conversationService.askQuestion(phone, { type: "choose_task", intent, context });
+
+    responseMessage = `🤔 Encontrei mais de uma tarefa parecida com "${quote}". Qual delas?\n\n`;
+    candidates.forEach((candidate, position) => {
+      responseMessage += `${position + 1}. ${candidate.title}\n`;
+    });
+    responseMessage += `\nResponda com o número.`;
+  } else if (index !== null && index <= numberedTasks.length) {
+    responseMessage = `❌ A tarefa ${index} foi apagada. Envie "minhas tarefas" para ver a lista atualizada.`;
+  } else if (numberedTasks.length === 0 && getOpenTasks(owner.id).length === 0) {
+    responseMessage = "📋 Você não tem tarefas pendentes.";
+  } else if (index !== null) {
+    responseMessage = `❌ Não existe a tarefa ${index}. A última lista tem ${numberedTasks.length} tarefa(s); envie "minhas tarefas" para ver a lista.`;
+  } else if (reference) {
+    responseMessage = `❌ Não encontrei a tarefa "${quote}". Envie "minhas tarefas" para ver a lista e responda "${verb} <número>".`;
+  } else {
+    responseMessage = `Qual tarefa? Envie "${verb} <número>" (veja os números em "minhas tarefas") ou "${verb} <título>".`;
+  }
+
+  return { task: null, responseMessage };
+};
+
+/**
+ * Conclui uma tarefa
+ * 
+ * Tem o mesmo efeito de concluir pelo app: tarefas recorrentes geram a
+ * próxima ocorrência (services/recurrence.js) e os dispositivos do dono
+ * recebem uma notificação FCM.
+ * 
+ * @param {Object} previousTask - Tarefa antes da conclusão
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, nextTask, responseMessage }
+ */
+const completeTask = async (previousTask, owner) => {
+  const timeZone = resolveTimeZone(owner.timezone);
+  const updatedTask = db.updateTask(previousTask.id, { status: "completed" }, owner.id);
+  const { task, nextTask } = handleTaskCompletion(previousTask, updatedTask);
+
+  let responseMessage = `✅ Tarefa concluída: "${task.title}"`;
+  if (nextTask) {
+    responseMessage += `\n🔁 Próxima ocorrência: ${formatDateTime(nextTask.scheduled_at, timeZone)}`;
+  }
+
+  await notifyOwner(owner.id, {
+    title: "Tarefa concluída via WhatsApp",
+    body: `Tarefa "${task.title}" foi concluída`,
+    data: { taskId: task.id },
+  });
+
+  return { taskUpdated: task, nextTask, responseMessage };
+};
+
+/**
+ * Pede confirmação para apagar uma tarefa
+ * 
+ * A tarefa só é apagada quando o telefone responde "sim"
+ * (ver questionHandlers.confirm_delete).
+ * 
+ * @param {Object} task - Tarefa
+ * @param {string} phone - Telefone remetente
+ * @returns {Object} { responseMessage }
+ */
+const askDeleteConfirmation = (task, phone) => {
+  conversationService.askQuestion(phone, { type: "confirm_delete", intent: "delete_task", taskId: task.id });
+  return {
+    responseMessage: `🗑️ Apagar a tarefa "${task.title}"?\nResponda "sim" para confirmar ou "não" para manter.`,
+  };
+};
+
+/**
+ * Apaga uma tarefa depois da confirmação
+ * 
+ * @param {string} taskId - ID da tarefa
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @returns {Promise<Object>} { taskDeleted, responseMessage }
+ */
+const confirmTaskDeletion = async (taskId, owner) => {
+  const task = db.getTaskById(taskId, owner.id);
+  if (!task || !db.deleteTask(task.id, owner.id)) {
+    return { taskDeleted: null, responseMessage: "❌ Essa tarefa não existe mais." };
+  }
+
+  await notifyOwner(owner.id, {
+    title: "Tarefa apagada via WhatsApp",
+    body: `Tarefa "${task.title}" foi apagada`,
+    data: { taskId: task.id },
+  });
+
+  return { taskDeleted: task, responseMessage: `🗑️ Tarefa apagada: "${task.title}"` };
+};
+
+/**
+ * Altera o título ou a descrição de uma tarefa
+ * 
+ * Usa as mesmas validações da API (models/Task.js).
+ * 
+ * @param {Object} task - Tarefa atual
+ * @param {string} field - "title" ou "description"
+ * @param {string} value - Novo valor
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, responseMessage }
+ */
+const applyTaskEdit = async (task, field, value, owner) => {
+  let newValue = value.trim();
+  if (field === "title") {
+    newValue = newValue.charAt(0).toUpperCase() + newValue.slice(1);
+  }
+
+  const updates = { [field]: newValue };
+  const validation = validateTask({ ...task, ...updates }, task);
+  if (!validation.valid) {
+    return {
+      taskUpdated: null,
+      responseMessage: `❌ Não foi possível alterar a tarefa: ${validation.errors.join("; ")}`,
+    };
+  }
+
+  const updatedTask = db.updateTask(task.id, updates, owner.id);
+
+  await notifyOwner(owner.id, {
+    title: "Tarefa editada via WhatsApp",
+    body: `Tarefa "${updatedTask.title}" foi alterada`,
+    data: { taskId: updatedTask.id },
+  });
+
+  let responseMessage = `✏️ Tarefa atualizada: "${updatedTask.title}"`;
+  if (field === "description") {
+    responseMessage += `\n📝 Descrição: ${updatedTask.description}`;
+  }
+
+  return { taskUpdated: updatedTask, responseMessage };
+};
+
+/**
+ * Edita uma tarefa conforme o comando ("renomear 2 para pagar boleto")
+ * 
+ * Sem o campo, explica os comandos; sem o novo valor ("mudar descrição
+ * da 1"), pergunta qual é (ver questionHandlers.edit_value).
+ * 
+ * @param {Object} task - Tarefa
+ * @param {Object} command - { field, value } (ver splitEditCommand)
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, responseMessage }
+ */
+const editTask = async (task, { field, value }, owner, phone) => {
+  if (!field) {
+    const position = getNumberedTasks(owner.id, phone).findIndex((listed) => listed && listed.id === task.id) + 1;
+    const reference = position > 0 ? position : task.title;
+    return {
+      taskUpdated: null,
+      responseMessage:
+        `✏️ O que deseja mudar em "${task.title}"?\n\n` +
+        `• Título: "renomear ${reference} para <novo título>"\n` +
+        `• Descrição: "mudar descrição da ${reference} para <texto>"`,
+    };
+  }
+
+  if (!value) {
+    conversationService.askQuestion(phone, { type: "edit_value", intent: "edit_task", taskId: task.id, field });
+    const question = field === "title" ? "Qual o novo título" : "Qual a nova descrição";
+    return {
+      taskUpdated: null,
+      responseMessage: `✏️ ${question} de "${task.title}"? (ou "cancelar")`,
+    };
+  }
+
+  return applyTaskEdit(task, field, value, owner);
+};
+
+/**
+ * Lê uma nova data para uma tarefa: data/hora ("amanhã às 10h", via
+ * extractDateTime) ou duração ("30 minutos", "1 hora")
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} entities - Entidades extraídas pelo NLU
+ * @param {Object} options - { timeZone, now }
+ * @returns {Object|null} { scheduledAt, duration, spans, matched } - um de
+ *   scheduledAt (ISO 8601) ou duration ({ minutes, days }); null sem data
+ */
+const parseNewSchedule = (message, entities, { timeZone, now }) => {
+  const details = parseDateTimeDetails(message, { timeZone, now });
+  const scheduledAt = extractDateTime(message, entities, { timeZone, now });
+  if (scheduledAt) {
+    const { spans, matched } = details || { spans: [], matched: "" };
+    return { scheduledAt, duration: null, spans, matched };
+  }
+
+  const duration = parseDuration(message);
+  if (duration) {
+    const { minutes, days, months, spans, matched } = duration;
+    return { scheduledAt: null, duration: { minutes, days, months }, spans, matched };
+  }
+
+  return null;
+};
+
+/**
+ * Tarefa adiada quando a mensagem não cita nenhuma ("adiar 30 minutos"):
+ * a agendada que venceu por último ou, se nenhuma venceu, a próxima
+ * 
+ * @param {Array<Object>} openTasks - Tarefas em aberto
+ * @param {Date} now - Data de referência
+ * @returns {Object|null} Tarefa ou null se nenhuma estiver agendada
+ */
+const findSnoozeTarget = (openTasks, now) => {
+  const scheduled = openTasks
+    .filter((task) => task.scheduled_at)
+    .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+
+  const due = scheduled.filter((task) => new Date(task.scheduled_at) <= now);
+  return due.length > 0 ? due[due.length - 1] : scheduled[0] || null;
+};
+
+/**
+ * Agenda ou remarca uma tarefa
+ * 
+ * Uma duração é contada a partir do horário atual da tarefa ou de agora,
+ * se ela já venceu (ou não tinha data).
+ * 
+ * @param {Object} task - Tarefa
+ * @param {Object} schedule - { scheduledAt, duration } (ver parseNewSchedule)
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, responseMessage }
+ */
+const rescheduleTask = async (task, { scheduledAt, duration }, owner) => {
+  const timeZone = resolveTimeZone(owner.timezone);
+  const now = new Date();
+
+  let newScheduledAt = scheduledAt;
+  if (duration) {
+    const current = task.scheduled_at ? new Date(task.scheduled_at) : null;
+    const base = current && current > now ? current : now;
+    newScheduledAt = addDuration(base, duration, timeZone).toISOString();
+  }
+
+  const updates = { scheduled_at: newScheduledAt };
+  const validation = validateTask({ ...task, ...updates }, task);
+  if (!validation.valid) {
+    return {
+      taskUpdated: null,
+      responseMessage: `❌ Não foi possível agendar a tarefa: ${validation.errors.join("; ")}`,
+    };
+  }
+
+  const updatedTask = db.updateTask(task.id, updates, owner.id);
+  const formattedDate = formatDateTime(newScheduledAt, timeZone);
+
+  await notifyOwner(owner.id, {
+    title: task.scheduled_at ? "Tarefa remarcada via WhatsApp" : "Tarefa agendada via WhatsApp",
+    body: `Tarefa "${updatedTask.title}" foi agendada para ${formattedDate}`,
+    data: { taskId: updatedTask.id },
+  });
+
+  return {
+    taskUpdated: updatedTask,
+    responseMessage: task.scheduled_at
+      ? `⏰ Tarefa remarcada: "${updatedTask.title}"\n📅 Nova data: ${formattedDate}`
+      : `📅 Tarefa agendada: "${updatedTask.title}"\n📅 Para: ${formattedDate}`,
+  };
+};
+
+/**
+ * Ações sobre uma tarefa já identificada, por intenção
+ * 
+ * Chamadas logo após resolver a tarefa citada ou, se ela era ambígua,
+ * quando o usuário responde "Qual delas?".
+ * 
+ * Assinatura: (task, context, owner, phone) => Promise<{ responseMessage, ... }>
+ */
+const taskActions = {
+  complete_task: (task, context, owner) => completeTask(task, owner),
+  delete_task: async (task, context, owner, phone) => askDeleteConfirmation(task, phone),
+  edit_task: (task, context, owner, phone) => editTask(task, context, owner, phone),
+  reschedule_task: async (task, context, owner, phone) => {
+    if (context.scheduledAt || context.duration) {
+      return rescheduleTask(task, context, owner);
+    }
+
+    conversationService.askQuestion(phone, { type: "reschedule_date", intent: "reschedule_task", taskId: task.id });
+    return { responseMessage: `📅 Para quando devo remarcar "${task.title}"? (ex.: "amanhã às 10h" ou "30 minutos")` };
+  },
+};
+
+/**
+ * Conclui a tarefa citada na mensagem ("concluir 2", "feito comprar leite")
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, responseMessage }
+ */
+const completeTaskFromMessage = async (message, owner, phone) => {
+  const { task, responseMessage } = resolveTaskFromMessage(message, owner, phone, {
+    intent: "complete_task",
+    verb: "concluir",
+  });
+
+  return task ? taskActions.complete_task(task, {}, owner, phone) : { taskUpdated: null, responseMessage };
+};
+
+/**
+ * Pede confirmação para apagar a tarefa citada na mensagem ("apagar tarefa 3")
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Promise<Object>} { responseMessage }
+ */
+const deleteTaskFromMessage = async (message, owner, phone) => {
+  const { task, responseMessage } = resolveTaskFromMessage(message, owner, phone, {
+    intent: "delete_task",
+    verb: "apagar",
+  });
+
+  return task ? taskActions.delete_task(task, {}, owner, phone) : { responseMessage };
+};
+
+/**
+ * Edita a tarefa citada na mensagem ("renomear 2 para pagar boleto",
+ * "mudar descrição da 1 para levar documentos")
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, responseMessage }
+ */
+const editTaskFromMessage = async (message, owner, phone) => {
+  const command = splitEditCommand(message);
+  if (!command) {
+    return {
+      taskUpdated: null,
+      responseMessage: `Para editar uma tarefa, envie "renomear <número> para <novo título>" ou "mudar descrição da <número> para <texto>".`,
+    };
+  }
+
+  const context = { field: command.field, value: command.value };
+  const { task, responseMessage } = resolveTaskFromMessage(command.reference, owner, phone, {
+    intent: "edit_task",
+    verb: command.field === "description" ? "mudar descrição da" : "renomear",
+    context,
+  });
+
+  return task ? taskActions.edit_task(task, context, owner, phone) : { taskUpdated: null, responseMessage };
+};
+
+/**
+ * Remarca a tarefa citada na mensagem
+ * 
+ * A nova data pode ser:
+ * - uma data/hora ("adiar 2 para amanhã às 10h", "remarcar reunião para
+ *   sexta"), via extractDateTime (Wit.ai ou parsing manual, no fuso do dono)
+ * - uma duração ("adiar 30 minutos", "adiar a reunião 1 hora")
+ * 
+ * Sem tarefa citada, adia a que venceu por último (ver findSnoozeTarget);
+ * sem data, pergunta "Para quando?".
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} entities - Entidades extraídas pelo NLU
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Promise<Object>} { taskUpdated, responseMessage }
+ */
+const rescheduleTaskFromMessage = async (message, entities, owner, phone) => {
+  const timeZone = resolveTimeZone(owner.timezone);
+  const now = new Date();
+
+  const schedule = parseNewSchedule(message, entities, { timeZone, now });
+  const referenceText = schedule ? removeSpans(message, schedule.spans) : message;
+  const context = schedule ? { scheduledAt: schedule.scheduledAt, duration: schedule.duration } : {};
+
+  if (!extractReference(referenceText)) {
+    const task = schedule ? findSnoozeTarget(getOpenTasks(owner.id), now) : null;
+    if (!task) {
+      return {
+        taskUpdated: null,
+        responseMessage: `Qual tarefa? Envie "adiar <número> para amanhã às 10h" ou "adiar <número> 30 minutos" (veja os números em "minhas tarefas").`,
+      };
+    }
+    return taskActions.reschedule_task(task, context, owner, phone);
+  }
+
+  const { task, responseMessage } = resolveTaskFromMessage(referenceText, owner, phone, {
+    intent: "reschedule_task",
+    verb: "adiar",
+    context,
+  });
+
+  return task ? taskActions.reschedule_task(task, context, owner, phone) : { taskUpdated: null, responseMessage };
+};
+
+/**
+ * Trata os comandos de resumo do dia (ver digestService.parseDigestCommand)
+ * 
+ * - "resumo diário às 7h": ativa o envio diário (sem hora, mantém a atual
+ *   ou usa a padrão)
+ * - "parar resumo": desativa
+ * - "resumo": responde com o resumo de hoje; os números valem para os
+ *   comandos seguintes
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @param {string} phone - Telefone remetente
+ * @returns {Object} { responseMessage }
+ */
+const digestFromMessage = (message, owner, phone) => {
+  const timeZone = resolveTimeZone(owner.timezone);
+  const { action, time } = digestService.parseDigestCommand(message);
+
+  if (action === "disable") {
+    if (!owner.digest_time) {
+      return { responseMessage: "🔕 O resumo diário já está desativado." };
+    }
+    db.updateUser(owner.id, digestService.buildDigestChanges(null, timeZone));
+    return { responseMessage: `🔕 Resumo diário desativado. Para voltar a receber, envie "resumo diário às 7h".` };
+  }
+
+  if (action === "enable") {
+    const digestTime = time || owner.digest_time || digestService.DEFAULT_DIGEST_TIME;
+    db.updateUser(owner.id, digestService.buildDigestChanges(digestTime, timeZone));
+    return {
+      responseMessage:
+        `📰 Pronto! Você vai receber o resumo do dia todos os dias às ${digestTime}.\n` +
+        `Envie "resumo" para ver o de hoje agora ou "parar resumo" para desativar.`,
+    };
+  }
+
+  const { message: digest, taskIds } = digestService.buildDigest(owner);
+  saveTaskList(phone, { taskIds, filter: null, page: 1 });
+
+  if (!owner.digest_time) {
+    return { responseMessage: `${digest}\n\nPara receber todo dia, envie "resumo diário às 7h".` };
+  }
+  return { responseMessage: digest };
+};
+
+/**
+ * Lê uma mensagem que é só uma data ("amanhã às 10h", "30 minutos"), em
+ * resposta a "Para quando?"
+ * 
+ * @param {string} message - Texto recebido no WhatsApp
+ * @param {Object} owner - Usuário dono do telefone remetente
+ * @returns {Object|null} { scheduledAt, duration } ou null se a mensagem
+ *   tiver mais do que a data (provavelmente outro comando)
+ */
+const parseScheduleReply = (message, owner) => {
+  const options = { timeZone: resolveTimeZone(owner.timezone), now: new Date() };
+
+  // "sexta" sozinho só é lido como data com a preposição ("para sexta")
+  for (const text of [message, `para ${message}`]) {
+    const schedule = parseNewSchedule(text, {}, options);
+    if (schedule && !extractReference(removeSpans(text, schedule.spans))) {
+      return { scheduledAt: schedule.scheduledAt, duration: schedule.duration };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Tratadores das perguntas do bot, pelo `type` da pergunta pendente
+ * (services/conversation.js)
+ * 
+ * Assinatura: (question, message, owner, phone) =>
+ *   Promise<{ responseMessage, taskUpdated?, taskDeleted? } | null>
+ * null quando a mensagem não responde a pergunta: ela segue o fluxo normal
+ * de comandos.
+ */
+const questionHandlers = {
+  // "Qual delas?": número ou título de uma das candidatas (a lista numerada
+  // da conversa, ver resolveTaskFromMessage)
+  choose_task: async (question, message, owner, phone) => {
+    if (startsWithCommand(message)) {
+      return null;
+    }
+
+    const candidates = getNumberedTasks(owner.id, phone);
+    const { task, index } = findTaskReference(message, candidates);
+
+    // Número fora das opções: pergunta de novo
+    if (!task && index !== null) {
+      conversationService.askQuestion(phone, question);
+      return { responseMessage: `🤔 Responda com um número de 1 a ${candidates.length}.` };
+    }
+    if (!task) {
+      return null;
+    }
+    return taskActions[question.intent](task, question.context, owner, phone);
+  },
+
+  // "Apagar a tarefa?": sim/não
+  confirm_delete: async (question, message, owner) => {
+    const reply = parseConfirmationReply(message);
+    if (reply === null) {
+      return null;
+    }
+    if (!reply) {
+      return { responseMessage: "👍 Ok, a tarefa continua na lista." };
+    }
+    return confirmTaskDeletion(question.taskId, owner);
+  },
+
+  // "Qual o novo título?": a mensagem inteira é o novo valor
+  edit_value: async (question, message, owner) => {
+    if (parseConfirmationReply(message) === false) {
+      return { responseMessage: "👍 Ok, nada foi alterado." };
+    }
+
+    const task = db.getTaskById(question.taskId, owner.id);
+    if (!task) {
+      return { responseMessage: "❌ Essa tarefa não existe mais." };
+    }
+    return applyTaskEdit(task, question.field, message, owner);
+  },
+
+  // "Para quando?" depois de criar uma tarefa sem data (opcional)
+  schedule_task: async (question, message, owner, phone) => {
+    const reply = parseConfirmationReply(message);
+    if (reply === false) {
+      return { responseMessage: "👍 Ok, a tarefa fica sem data." };
+    }
+    if (reply === true) {
+      conversationService.askQuestion(phone, question, { ttlMinutes: SCHEDULE_QUESTION_TTL_MINUTES });
+      return { responseMessage: `📅 Qual data? (ex.: "amanhã às 10h")` };
+    }
+
+    const schedule = parseScheduleReply(message, owner);
+    const task = schedule ? db.getTaskById(question.taskId, owner.id) : null;
+    return task ? rescheduleTask(task, schedule, owner) : null;
+  },
+
+  // "Para quando devo remarcar?"
+  reschedule_date: async (question, message, owner, phone) => {
+    const reply = parseConfirmationReply(message);
+    if (reply === false) {
+      return { responseMessage: "👍 Ok, a data não foi alterada." };
+    }
+    if (reply === true) {
+      conversationService.askQuestion(phone, question);
+      return { responseMessage: `📅 Qual data? (ex.: "amanhã às 10h" ou "30 minutos")` };
+    }
+
+    const schedule = parseScheduleReply(message, owner);
+    const task = schedule ? db.getTaskById(question.taskId, owner.id) : null;
+    return task ? rescheduleTask(task, schedule, owner) : null;
+  },
+};
+
 /**
  * POST /api/whatsapp/send
  * Envia uma mensagem via WhatsApp
  */
-router.post("/send", async (req, res) => {
+router.post("/send", requireAuth, async (req, res) => {
   try {
     const { phone, message } = req.body;
 
@@ -169,9 +966,12 @@ router.post("/send", async (req, res) => {
  * Webhook para receber mensagens do WhatsApp
  * 
  * Fluxo:
- * 1. Recebe mensagem do WhatsApp
+ * 1. Recebe mensagem do WhatsApp; trata o comando de pareamento ou resolve
+ *    a conta dona do telefone
  * 2. Processa mensagem usando Wit.ai
- * 3. Interpreta comando (criar tarefa, listar tarefas, etc)
+ * 3. Responde a pergunta pendente do bot, se houver; senão interpreta o
+ *    comando (criar, listar, concluir, apagar, editar ou remarcar tarefas,
+ *    resumo do dia, etc)
  * 4. Executa ação correspondente
  * 5. Envia resposta via WhatsApp
  * 6. Envia notificação FCM se necessário
@@ -196,6 +996,61 @@ router.post("/webhook", async (req, res) => {
 
     console.log(`📱 Mensagem recebida de ${phone}: ${message || "[audio]"}`);
 
+    // Pareamento com o app ("vincular 123456"): tratado antes de resolver a
+    // conta para não criar uma conta nova só por causa do comando
+    const pairingCode = pairingService.parsePairingCommand(message);
+    if (pairingCode) {
+      let pairingResponse;
+      let paired = false;
+
+      try {
+        const { transferredTasks } = pairingService.redeemPairingCode(pairingCode, phone);
+        paired = true;
+        // Perguntas pendentes eram da conta anterior do telefone
+        conversationService.clearSession(phone);
+        pairingResponse = "🔗 WhatsApp vinculado ao app! As tarefas criadas por aqui vão aparecer na sua conta.";
+        if (transferredTasks > 0) {
+          pairingResponse += `\n📦 ${transferredTasks} tarefa(s) já criada(s) por este número foram movidas para a conta.`;
+        }
+      } catch (error) {
+        if (error.code === "PAIRING_TOO_MANY_ATTEMPTS") {
+          pairingResponse = "⛔ Muitas tentativas com código errado. Aguarde alguns minutos e gere um novo código no app.";
+        } else if (error.code === "PAIRING_CODE_INVALID") {
+          pairingResponse = "❌ Código inválido ou expirado. Gere um novo código no app (Configurações > Vincular WhatsApp).";
+        } else {
+          throw error;
+        }
+      }
+
+      try {
+        await whatsappService.sendWhatsAppMessage(phone, pairingResponse);
+      } catch (error) {
+        console.error("❌ Erro ao enviar resposta:", error);
+      }
+
+      return res.json({
+        success: true,
+        message: "Webhook processado com sucesso",
+        intent: "pair_device",
+        paired,
+        taskCreated: null,
+      });
+    }
+
+    // Cada telefone corresponde a uma conta; tarefas criadas e listadas
+    // aqui pertencem somente a ela
+    const owner = db.getOrCreateUserByPhone(phone);
+
+    if (!owner) {
+      // Telefone sem nenhum dígito: não há conta a que associar a mensagem
+      console.log(`⚠️ Webhook ignorado: phone=${phone} reason=invalid_phone`);
+      return res.json({
+        success: true,
+        ignored: true,
+        reason: "invalid_phone",
+      });
+    }
+
     // Interpretar mensagem usando Wit.ai
     let intent = null;
     let entities = {};
@@ -332,60 +1187,116 @@ router.post("/webhook", async (req, res) => {
 
     if (!intent) {
       try {
-        const witResult = await witService.interpretText(finalMessage);
-        intent = witResult.intent;
-        entities = witResult.entities || {};
+        const nluResult = await nluService.interpretText(finalMessage);
+        intent = nluResult.intent;
+        entities = nluResult.entities || {};
+        console.log(`🧠 Intenção: ${intent || "nenhuma"} (${nluResult.provider})`);
       } catch (error) {
-        console.warn("⚠️ Erro ao interpretar com Wit.ai:", error);
-        // Continuar mesmo se Wit.ai falhar
+        console.warn("⚠️ Erro ao interpretar mensagem:", error);
+        // Continuar mesmo se a interpretação falhar
       }
     }
 
+    // Resposta a uma pergunta do bot ("sim" para apagar, novo título...);
+    // um comando novo descarta a pergunta
+    let pendingQuestion = conversationService.takePendingQuestion(phone);
+    if (pendingQuestion && cancelsPendingQuestion(intent, finalMessage)) {
+      console.log(`💬 Pergunta "${pendingQuestion.type}" descartada pelo comando ${intent}`);
+      pendingQuestion = null;
+    }
+    const questionHandler = pendingQuestion ? questionHandlers[pendingQuestion.type] : null;
+    let answer = questionHandler ? await questionHandler(pendingQuestion, finalMessage, owner, phone) : null;
+    if (!answer && parseConfirmationReply(finalMessage) !== null) {
+      answer = { responseMessage: "🤷 Não há nada aguardando confirmação. Envie o comando novamente." };
+    }
+
+    if (answer) {
+      try {
+        await whatsappService.sendWhatsAppMessage(phone, answer.responseMessage);
+      } catch (error) {
+        console.error("❌ Erro ao enviar resposta:", error);
+      }
+
+      return res.json({
+        success: true,
+        message: "Webhook processado com sucesso",
+        intent: pendingQuestion ? pendingQuestion.intent : null,
+        taskCreated: null,
+        taskUpdated: answer.taskUpdated ? answer.taskUpdated.id : null,
+        taskDeleted: answer.taskDeleted ? answer.taskDeleted.id : null,
+      });
+    }
+
     // Processar comando baseado no intent
     let responseMessage = "";
     let taskCreated = null;
+    let taskUpdated = null;
     const shouldFallbackCreate = !intent;
 
     switch (intent) {
       case "create_task":
       case "add_task":
         // Criar nova tarefa com base no intent identificado
-        const createResult = await createTaskFromMessage(finalMessage, entities);
+        const createResult = await createTaskFromMessage(finalMessage, entities, owner, phone);
         taskCreated = createResult.taskCreated;
         responseMessage = createResult.responseMessage;
         break;
 
       case "list_tasks":
       case "show_tasks":
-        // Listar tarefas
-        const tasks = db.getAllTasks();
-        const pendingTasks = tasks.filter((t) => t.status === "pending");
-        
-        if (pendingTasks.length === 0) {
-          responseMessage = "📋 Você não tem tarefas pendentes.";
-        } else {
-          responseMessage = `📋 Você tem ${pendingTasks.length} tarefa(s) pendente(s):\n\n`;
-          pendingTasks.slice(0, 5).forEach((task, index) => {
-            responseMessage += `${index + 1}. ${task.title}\n`;
-          });
-          if (pendingTasks.length > 5) {
-            responseMessage += `\n... e mais ${pendingTasks.length - 5} tarefa(s)`;
-          }
-        }
+        // Listar tarefas (com filtro e página: "atrasadas", "mais")
+        responseMessage = listTasksFromMessage(finalMessage, owner, phone).responseMessage;
+        break;
+
+      case "complete_task":
+        // Concluir tarefa citada pelo número na lista ou pelo título
+        const completeResult = await completeTaskFromMessage(finalMessage, owner, phone);
+        taskUpdated = completeResult.taskUpdated;
+        responseMessage = completeResult.responseMessage;
+        break;
+
+      case "delete_task":
+        // Apagar tarefa (depois de confirmar com "sim")
+        responseMessage = (await deleteTaskFromMessage(finalMessage, owner, phone)).responseMessage;
+        break;
+
+      case "edit_task":
+        // Alterar título ou descrição
+        const editResult = await editTaskFromMessage(finalMessage, owner, phone);
+        taskUpdated = editResult.taskUpdated;
+        responseMessage = editResult.responseMessage;
+        break;
+
+      case "reschedule_task":
+        // Remarcar para outra data ou adiar por um tempo
+        const rescheduleResult = await rescheduleTaskFromMessage(finalMessage, entities, owner, phone);
+        taskUpdated = rescheduleResult.taskUpdated;
+        responseMessage = rescheduleResult.responseMessage;
+        break;
+
+      case "daily_digest":
+        // Resumo do dia: ver agora, ativar ou desativar o envio diário
+        responseMessage = digestFromMessage(finalMessage, owner, phone).responseMessage;
+        break;
+
+      case "help":
+      case "greeting":
+        responseMessage = buildHelpMessage();
+        break;
+
+      case "thanks":
+        responseMessage = "😊 De nada! Estou por aqui quando precisar.";
         break;
 
       default:
         if (shouldFallbackCreate) {
           // Fallback: criar tarefa mesmo sem intent reconhecido
-          const fallbackResult = await createTaskFromMessage(finalMessage, entities);
+          const fallbackResult = await createTaskFromMessage(finalMessage, entities, owner, phone);
           taskCreated = fallbackResult.taskCreated;
           responseMessage = fallbackResult.responseMessage;
         } else {
           // Comando não reconhecido quando existe intent não suportado
-          responseMessage = `Olá! Eu sou o TodoWhats bot. Você pode:\n\n` +
-            `• Criar tarefa: "Criar tarefa comprar leite"\n` +
-            `• Listar tarefas: "Mostrar minhas tarefas"\n\n` +
-            `Sua mensagem: "${finalMessage}"`;
+          responseMessage = `${buildHelpMessage()}\n\nSua mensagem: "${finalMessage}"`;
         }
     }
 
@@ -402,6 +1313,7 @@ router.post("/webhook", async (req, res) => {
       message: "Webhook processado com sucesso",
       intent,
       taskCreated: taskCreated ? taskCreated.id : null,
+      taskUpdated: taskUpdated ? taskUpdated.id : null,
     });
   } catch (error) {
     console.error("❌ Erro ao processar webhook:", error);
@@ -1,17 +1,32 @@
 /**
  * Rotas de Wit.ai
  * 
- * Define rotas para processamento de linguagem natural.
+ * Define rotas para processamento de linguagem natural. A interpretação
+ * passa pelo serviço de NLU (services/nlu.js): Wit.ai ou o classificador
+ * local, conforme NLU_PROVIDER; o caminho /api/wit foi mantido.
+ * 
+ * Resposta: { intent, confidence, entities, provider } (entidades
+ * normalizadas: title, description, datetime, status...).
  * 
  * Endpoints:
  * - POST /api/wit/interpret - Interpretar texto
  * - POST /api/wit/audio - Processar áudio
+ * 
+ * Todas as rotas exigem um token de acesso (middleware requireAuth).
+ * 
+ * As respostas trazem `task`, o rascunho da tarefa extraído do texto
+ * ({ title, description, scheduled_at, recurrence }, ver utils/taskDraft.js),
+ * com as datas interpretadas no fuso da conta.
  */
 
 const express = require("express");
 const router = express.Router();
 const multer = require("multer");
-const witService = require("../services/wit");
+const nluService = require("../services/nlu");
+const { requireAuth } = require("../middleware/auth");
+const { buildTaskDraft } = require("../utils/taskDraft");
+
+router.use(requireAuth);
 
 // Configurar multer para upload de áudio
 const upload = multer({
@@ -38,11 +53,12 @@ router.post("/interpret", async (req, res) => {
       });
     }
 
-    const result = await witService.interpretText(text);
+    const result = await nluService.interpretText(text);
 
     res.json({
       success: true,
       ...result,
+      task: buildTaskDraft(text, result.entities, { timeZone: req.user.timezone }),
     });
   } catch (error) {
     console.error("❌ Erro ao interpretar texto:", error);
@@ -71,11 +87,12 @@ router.post("/audio", upload.single("audio"), async (req, res) => {
     }
 
     const audioBuffer = req.file.buffer;
-    const result = await witService.processAudio(audioBuffer);
+    const result = await nluService.processAudio(audioBuffer);
 
     res.json({
       success: true,
       ...result,
+      task: result.text ? buildTaskDraft(result.text, result.entities, { timeZone: req.user.timezone }) : null,
     });
   } catch (error) {
     console.error("❌ Erro ao processar áudio:", error);
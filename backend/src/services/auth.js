@@ -0,0 +1,457 @@
+/**
+ * Serviço de Autenticação
+ *
+ * Emite e valida os tokens usados pela API REST.
+ *
+ * Funcionalidades:
+ * - Hash e verificação de senhas (scrypt)
+ * - Tokens de acesso assinados (JWT HS256), de vida curta
+ * - Refresh tokens opacos, guardados apenas como hash e trocados a cada uso
+ * - Revogação de uma sessão (logout) ou de todas as sessões do usuário
+ *
+ * Sessões:
+ * - Cada login cria uma sessão (um dispositivo). O token de acesso carrega
+ *   o ID da sessão em `sid`; revogar a sessão invalida na hora tanto o
+ *   refresh token quanto os tokens de acesso já emitidos.
+ * - O refresh token tem o formato `<id da sessão>.<segredo>`. A cada
+ *   renovação o segredo muda; reapresentar um segredo antigo indica
+ *   vazamento e revoga a sessão inteira.
+ *
+ * Por que sem bibliotecas externas?
+ * - O módulo crypto do Node já oferece HMAC, scrypt e comparação em tempo
+ *   constante; o formato JWT usado aqui é o mínimo necessário (HS256).
+ */
+
+const crypto = require("crypto");
+const db = require("../config/database");
+const { isValidTimeZone } = require("../utils/timezone");
+const { buildDigestChanges } = require("./digest");
+const {
+  isValidDigestTime,
+  isValidLeadMinutes,
+  isValidChannels,
+  normalizeLeadMinutes,
+} = require("../models/User");
+
+// Segredo de assinatura dos tokens de acesso
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn("⚠️ AUTH_TOKEN_SECRET não configurado - tokens de acesso deixam de valer ao reiniciar o servidor");
+}
+
+// Validade dos tokens
+const ACCESS_TOKEN_TTL = parseInt(process.env.AUTH_ACCESS_TOKEN_TTL, 10) || 15 * 60; // segundos
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.AUTH_REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Parâmetros do scrypt (custo padrão do Node)
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Cria um erro de autenticação no formato usado pelas rotas
+ *
+ * @param {string} message - Mensagem para o cliente
+ * @param {string} code - Código do erro (ex.: TOKEN_EXPIRED)
+ * @param {number} [status=401] - Status HTTP
+ * @returns {Error} Erro com `code` e `status`
+ */
+const createAuthError = (message, code, status = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Codifica um Buffer ou string em base64url
+ *
+ * @param {Buffer|string} value - Valor a codificar
+ * @returns {string} Texto base64url
+ */
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+/**
+ * Calcula o SHA-256 de um texto (usado para guardar refresh tokens)
+ *
+ * @param {string} value - Texto
+ * @returns {string} Hash em hexadecimal
+ */
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Compara dois textos em tempo constante
+ *
+ * @param {string} a - Primeiro texto
+ * @param {string} b - Segundo texto
+ * @returns {boolean} true se iguais
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Gera o hash de uma senha
+ *
+ * @param {string} password - Senha em texto puro
+ * @returns {string} Hash no formato `scrypt$<salt>$<hash>`
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+};
+
+/**
+ * Verifica uma senha contra o hash guardado
+ *
+ * @param {string} password - Senha em texto puro
+ * @param {string|null} storedHash - Hash gerado por hashPassword
+ * @returns {boolean} true se a senha confere
+ */
+const verifyPassword = (password, storedHash) => {
+  const [scheme, saltBase64, hashBase64] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !saltBase64 || !hashBase64) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashBase64, "base64");
+  const actual = crypto.scryptSync(password, Buffer.from(saltBase64, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Assina um token de acesso (JWT HS256)
+ *
+ * @param {Object} claims - Dados do token (sub, sid)
+ * @returns {string} Token assinado
+ */
+const signAccessToken = (claims) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ACCESS_TOKEN_TTL }));
+  const signature = crypto.createHmac("sha256", TOKEN_SECRET).update(`${header}.${payload}`).digest("base64url");
+  return `${header}.${payload}.${signature}`;
+};
+
+/**
+ * Verifica assinatura e validade de um token de acesso
+ *
+ * @param {string} token - Token recebido no cabeçalho Authorization
+ * @returns {Object} Dados do token (sub, sid, iat, exp)
+ * @throws {Error} TOKEN_INVALID ou TOKEN_EXPIRED
+ */
+const verifyAccessToken = (token) => {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) {
+    throw createAuthError("Token inválido", "TOKEN_INVALID");
+  }
+
+  const [header, payload, signature] = parts;
+  const expectedSignature = crypto.createHmac("sha256", TOKEN_SECRET).update(`${header}.${payload}`).digest("base64url");
+  if (!safeEqual(signature, expectedSignature)) {
+    throw createAuthError("Token inválido", "TOKEN_INVALID");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    throw createAuthError("Token inválido", "TOKEN_INVALID");
+  }
+
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw createAuthError("Token expirado", "TOKEN_EXPIRED");
+  }
+
+  return claims;
+};
+
+/**
+ * Remove campos sensíveis do usuário antes de enviá-lo ao cliente
+ *
+ * @param {Object} user - Usuário do banco
+ * @returns {Object} Usuário sem password_hash
+ */
+const toPublicUser = (user) => {
+  const { password_hash, ...publicUser } = user;
+  return publicUser;
+};
+
+/**
+ * Monta a resposta com o par de tokens
+ *
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} session - Sessão da qual os tokens fazem parte
+ * @param {string} refreshSecret - Segredo atual do refresh token
+ * @returns {Object} { access_token, refresh_token, token_type, expires_in, user }
+ */
+const buildTokenResponse = (user, session, refreshSecret) => ({
+  access_token: signAccessToken({ sub: user.id, sid: session.id }),
+  refresh_token: `${session.id}.${refreshSecret}`,
+  token_type: "Bearer",
+  expires_in: ACCESS_TOKEN_TTL,
+  user: toPublicUser(user),
+});
+
+/**
+ * Abre uma nova sessão para o usuário (login ou cadastro)
+ *
+ * @param {Object} user - Usuário autenticado
+ * @returns {Object} Par de tokens e dados do usuário
+ */
+const issueSession = (user) => {
+  const now = new Date();
+  const refreshSecret = crypto.randomBytes(32).toString("base64url");
+  const session = db.createSession({
+    id: `sess_${crypto.randomUUID()}`,
+    user_id: user.id,
+    refresh_hash: sha256(refreshSecret),
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    last_used_at: now.toISOString(),
+    revoked_at: null,
+  });
+
+  return buildTokenResponse(user, session, refreshSecret);
+};
+
+/**
+ * Valida formato de e-mail e senha do cadastro
+ *
+ * @param {string} email - E-mail informado
+ * @param {string} password - Senha informada
+ * @returns {Array<string>} Lista de erros (vazia se válido)
+ */
+const validateCredentials = (email, password) => {
+  const errors = [];
+
+  if (typeof email !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    errors.push("E-mail inválido");
+  }
+
+  if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Senha deve ter no mínimo ${PASSWORD_MIN_LENGTH} caracteres`);
+  }
+
+  return errors;
+};
+
+/**
+ * Cadastra um usuário e já abre uma sessão
+ *
+ * @param {Object} data - Dados do cadastro
+ * @param {string} data.email - E-mail de login
+ * @param {string} data.password - Senha
+ * @param {string} [data.name] - Nome de exibição
+ * @param {string} [data.timezone] - Fuso horário IANA do aparelho
+ * @returns {Object} Par de tokens e dados do usuário
+ * @throws {Error} VALIDATION_ERROR (400) ou EMAIL_TAKEN (409)
+ */
+const register = ({ email, password, name, timezone }) => {
+  const errors = validateCredentials(email, password);
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    errors.push("Fuso horário inválido (use um nome IANA, ex: America/Sao_Paulo)");
+  }
+  if (errors.length > 0) {
+    const error = createAuthError("Dados inválidos", "VALIDATION_ERROR", 400);
+    error.details = errors;
+    throw error;
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+  if (db.getUserByEmail(normalizedEmail)) {
+    throw createAuthError("E-mail já cadastrado", "EMAIL_TAKEN", 409);
+  }
+
+  const user = db.createUser({
+    email: normalizedEmail,
+    password_hash: hashPassword(password),
+    name: typeof name === "string" ? name.trim() || null : null,
+    timezone: timezone || null,
+  });
+
+  return issueSession(user);
+};
+
+/**
+ * Atualiza o perfil da conta (nome, fuso horário, resumo diário e lembretes)
+ *
+ * Campos omitidos ficam como estão; `timezone: null` volta ao fuso padrão
+ * do servidor, `digest_time: null` desativa o resumo diário e null nas
+ * preferências de lembrete volta ao padrão do servidor.
+ *
+ * @param {string} userId - ID do usuário
+ * @param {Object} updates - { name?, timezone?, digest_time?,
+ *   reminder_lead_minutes?, reminder_channels? }
+ * @returns {Object} Usuário atualizado (sem hash de senha)
+ * @throws {Error} VALIDATION_ERROR (400) ou USER_NOT_FOUND (404)
+ */
+const updateProfile = (
+  userId,
+  { name, timezone, digest_time: digestTime, reminder_lead_minutes: leadMinutes, reminder_channels: channels }
+) => {
+  const errors = [];
+  const changes = {};
+
+  if (name !== undefined) {
+    if (name !== null && typeof name !== "string") {
+      errors.push("Nome deve ser texto");
+    } else {
+      changes.name = name ? name.trim() || null : null;
+    }
+  }
+
+  if (timezone !== undefined) {
+    if (timezone !== null && !isValidTimeZone(timezone)) {
+      errors.push("Fuso horário inválido (use um nome IANA, ex: America/Sao_Paulo)");
+    } else {
+      changes.timezone = timezone;
+    }
+  }
+
+  if (digestTime !== undefined && digestTime !== null && !isValidDigestTime(digestTime)) {
+    errors.push('Horário do resumo inválido (use "HH:MM", ex: "07:00")');
+  }
+
+  if (leadMinutes !== undefined) {
+    if (leadMinutes !== null && !isValidLeadMinutes(leadMinutes)) {
+      errors.push("Antecedências dos lembretes inválidas (lista de 1 a 5 minutos inteiros, de 0 a 1440)");
+    } else {
+      changes.reminder_lead_minutes = leadMinutes && normalizeLeadMinutes(leadMinutes);
+    }
+  }
+
+  if (channels !== undefined) {
+    if (channels !== null && !isValidChannels(channels)) {
+      errors.push('Canais dos lembretes inválidos (use "whatsapp" e/ou "push")');
+    } else {
+      changes.reminder_channels = channels && [...new Set(channels)];
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = createAuthError("Dados inválidos", "VALIDATION_ERROR", 400);
+    error.details = errors;
+    throw error;
+  }
+
+  const currentUser = db.getUserById(userId);
+  if (!currentUser) {
+    throw createAuthError("Usuário não encontrado", "USER_NOT_FOUND", 404);
+  }
+
+  if (digestTime !== undefined) {
+    const timeZone = changes.timezone !== undefined ? changes.timezone : currentUser.timezone;
+    Object.assign(changes, buildDigestChanges(digestTime, timeZone));
+  }
+
+  return toPublicUser(db.updateUser(userId, changes));
+};
+
+/**
+ * Autentica por e-mail e senha e abre uma sessão
+ *
+ * @param {Object} credentials - { email, password }
+ * @returns {Object} Par de tokens e dados do usuário
+ * @throws {Error} INVALID_CREDENTIALS (401)
+ */
+const login = ({ email, password }) => {
+  const user = typeof email === "string" ? db.getUserByEmail(email.trim().toLowerCase()) : null;
+
+  // Mesma mensagem para e-mail inexistente e senha errada
+  if (!user || typeof password !== "string" || !verifyPassword(password, user.password_hash)) {
+    throw createAuthError("E-mail ou senha incorretos", "INVALID_CREDENTIALS");
+  }
+
+  return issueSession(user);
+};
+
+/**
+ * Troca um refresh token por um novo par de tokens
+ *
+ * @param {string} refreshToken - Refresh token atual
+ * @returns {Object} Novo par de tokens e dados do usuário
+ * @throws {Error} REFRESH_INVALID (401)
+ */
+const refresh = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  const session = sessionId && secret ? db.getSessionById(sessionId) : null;
+  const now = new Date();
+
+  if (!session || session.revoked_at || session.expires_at <= now.toISOString()) {
+    throw createAuthError("Sessão expirada ou encerrada. Faça login novamente.", "REFRESH_INVALID");
+  }
+
+  if (!safeEqual(sha256(secret), session.refresh_hash)) {
+    // Segredo antigo reapresentado: alguém tem uma cópia do token
+    db.updateSession(session.id, { revoked_at: now.toISOString() });
+    console.warn(`⚠️ Refresh token reutilizado na sessão ${session.id} - sessão revogada`);
+    throw createAuthError("Sessão expirada ou encerrada. Faça login novamente.", "REFRESH_INVALID");
+  }
+
+  const user = db.getUserById(session.user_id);
+  if (!user) {
+    throw createAuthError("Sessão expirada ou encerrada. Faça login novamente.", "REFRESH_INVALID");
+  }
+
+  const newSecret = crypto.randomBytes(32).toString("base64url");
+  const updatedSession = db.updateSession(session.id, {
+    refresh_hash: sha256(newSecret),
+    last_used_at: now.toISOString(),
+  });
+
+  return buildTokenResponse(user, updatedSession, newSecret);
+};
+
+/**
+ * Valida um token de acesso e carrega usuário e sessão
+ *
+ * @param {string} accessToken - Token do cabeçalho Authorization
+ * @returns {Object} { user, session }
+ * @throws {Error} TOKEN_INVALID, TOKEN_EXPIRED ou SESSION_REVOKED (401)
+ */
+const authenticate = (accessToken) => {
+  const claims = verifyAccessToken(accessToken);
+
+  const session = db.getSessionById(claims.sid);
+  if (!session || session.revoked_at || session.user_id !== claims.sub) {
+    throw createAuthError("Sessão encerrada. Faça login novamente.", "SESSION_REVOKED");
+  }
+
+  const user = db.getUserById(claims.sub);
+  if (!user) {
+    throw createAuthError("Usuário não encontrado", "TOKEN_INVALID");
+  }
+
+  return { user: toPublicUser(user), session };
+};
+
+/**
+ * Encerra uma sessão (logout do dispositivo atual)
+ *
+ * @param {string} sessionId - ID da sessão
+ */
+const revokeSession = (sessionId) => {
+  db.updateSession(sessionId, { revoked_at: new Date().toISOString() });
+};
+
+/**
+ * Encerra todas as sessões do usuário (logout de todos os dispositivos)
+ *
+ * @param {string} userId - ID do usuário
+ * @returns {number} Quantidade de sessões encerradas
+ */
+const revokeAllSessions = (userId) => db.revokeUserSessions(userId);
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  authenticate,
+  revokeSession,
+  revokeAllSessions,
+  updateProfile,
+  toPublicUser,
+};
@@ -0,0 +1,131 @@
+/**
+ * Serviço de Conversa (sessões do WhatsApp)
+ *
+ * Cada chamada do webhook é uma mensagem solta; a sessão guarda o que o bot
+ * precisa lembrar entre mensagens do mesmo telefone:
+ *
+ * - Pergunta pendente: o bot pergunta ("Qual delas?", "Para quando?",
+ *   "Apagar a tarefa?") e a próxima mensagem do telefone é oferecida como
+ *   resposta. A pergunta tem um `type`, que o webhook usa para escolher o
+ *   tratador, e um contexto livre para retomar o comando de onde parou.
+ * - Dados da conversa: valores que comandos seguintes reaproveitam
+ *   (setSessionData/getSessionData).
+ *
+ * As sessões ficam só em memória e expiram depois de CONVERSATION_TTL_MINUTES
+ * sem mensagens; as perguntas valem por QUESTION_TTL_MINUTES (ou menos, se
+ * quem pergunta pedir). Se o servidor
+ * reiniciar, a conversa recomeça do zero (as tarefas ficam no banco).
+ */
+
+// Sessão sem mensagens por mais tempo que isso é descartada
+const CONVERSATION_TTL_MINUTES = parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 30;
+
+// Validade de uma pergunta do bot aguardando resposta
+const QUESTION_TTL_MINUTES = 5;
+
+// Sessões ativas: telefone -> { phone, pendingQuestion, data, expiresAt }
+const sessions = new Map();
+
+/**
+ * Remove sessões expiradas
+ */
+const purgeExpired = () => {
+  const now = Date.now();
+
+  for (const [phone, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(phone);
+    }
+  }
+};
+
+/**
+ * Busca (ou inicia) a sessão do telefone e renova a validade
+ *
+ * @param {string} phone - Telefone remetente
+ * @returns {Object} Sessão { phone, pendingQuestion, data, expiresAt }
+ */
+const getSession = (phone) => {
+  purgeExpired();
+
+  let session = sessions.get(phone);
+  if (!session) {
+    session = { phone, pendingQuestion: null, data: {}, expiresAt: 0 };
+    sessions.set(phone, session);
+  }
+
+  session.expiresAt = Date.now() + CONVERSATION_TTL_MINUTES * 60 * 1000;
+  return session;
+};
+
+/**
+ * Registra uma pergunta do bot para o telefone (substitui a anterior)
+ *
+ * @param {string} phone - Telefone remetente
+ * @param {Object} question - { type, ...contexto para retomar o comando }
+ * @param {Object} [options] - { ttlMinutes } validade da pergunta
+ *   (padrão: QUESTION_TTL_MINUTES)
+ */
+const askQuestion = (phone, question, { ttlMinutes = QUESTION_TTL_MINUTES } = {}) => {
+  getSession(phone).pendingQuestion = {
+    ...question,
+    expiresAt: Date.now() + ttlMinutes * 60 * 1000,
+  };
+};
+
+/**
+ * Retira a pergunta pendente do telefone
+ *
+ * A pergunta é descartada mesmo que a mensagem não a responda: um comando
+ * novo encerra o assunto anterior.
+ *
+ * @param {string} phone - Telefone remetente
+ * @returns {Object|null} Pergunta ainda válida ou null
+ */
+const takePendingQuestion = (phone) => {
+  const session = getSession(phone);
+  const question = session.pendingQuestion;
+  session.pendingQuestion = null;
+
+  return question && question.expiresAt > Date.now() ? question : null;
+};
+
+/**
+ * Guarda um valor na sessão do telefone
+ *
+ * @param {string} phone - Telefone remetente
+ * @param {string} key - Nome do valor
+ * @param {any} value - Valor
+ */
+const setSessionData = (phone, key, value) => {
+  getSession(phone).data[key] = value;
+};
+
+/**
+ * Lê um valor da sessão do telefone
+ *
+ * @param {string} phone - Telefone remetente
+ * @param {string} key - Nome do valor
+ * @returns {any} Valor ou null
+ */
+const getSessionData = (phone, key) => {
+  const value = getSession(phone).data[key];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Encerra a sessão do telefone (ex.: ao vincular a outra conta)
+ *
+ * @param {string} phone - Telefone remetente
+ */
+const clearSession = (phone) => {
+  sessions.delete(phone);
+};
+
+module.exports = {
+  askQuestion,
+  takePendingQuestion,
+  setSessionData,
+  getSessionData,
+  clearSession,
+};
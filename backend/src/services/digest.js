@@ -0,0 +1,250 @@
+/**
+ * Serviço de Resumo Diário (WhatsApp)
+ *
+ * No horário escolhido pelo usuário, o bot envia pelo WhatsApp um resumo do
+ * dia: tarefas atrasadas, tarefas agendadas para hoje e o total pendente.
+ * É a única mensagem que o bot manda sem ter recebido uma antes.
+ *
+ * Configuração (por usuário):
+ * - `digest_time`: horário "HH:MM" no fuso da conta; null = desativado
+ * - `digest_sent_on`: dia ("AAAA-MM-DD", no fuso da conta) do último envio,
+ *   para não repetir o resumo no mesmo dia (nem depois de reiniciar)
+ *
+ * Ativado no WhatsApp ("resumo diário às 7h", "parar resumo") ou em
+ * PATCH /api/users/me ({ digest_time: "07:00" }).
+ *
+ * O agendador confere a cada minuto quem deve receber. Se o servidor estava
+ * fora do ar no horário, o resumo ainda sai até DIGEST_MAX_DELAY_MINUTES
+ * depois; passado isso, o dia fica sem resumo.
+ */
+
+const db = require("../config/database");
+const whatsappService = require("./whatsapp");
+const conversationService = require("./conversation");
+const { normalizeText } = require("./nlu/intentClassifier");
+const { parseTimeOfDay } = require("../utils/dateParser");
+const { resolveTimeZone, toWallClock, formatDate } = require("../utils/timezone");
+const { sortTasksForList, filterTasks, formatTaskLine } = require("../utils/taskList");
+
+// Intervalo entre as verificações do agendador
+const DIGEST_CHECK_INTERVAL = 60 * 1000;
+
+// Atraso máximo para enviar o resumo do dia (servidor fora do ar no horário)
+const DIGEST_MAX_DELAY_MINUTES = 30;
+
+// Horário usado quando o usuário ativa o resumo sem dizer a hora
+const DEFAULT_DIGEST_TIME = "07:00";
+
+// Comandos de desativar ("parar resumo", "não quero mais o resumo")
+const DISABLE_COMMAND_REGEX = /^(?:parar|para|pare|desativar|desativa|desative|desligar|desliga|desligue|cancelar|cancela|cancele|sem|nao quero)\b/;
+
+// Comandos de ativar sem horário ("ativar resumo diário")
+const ENABLE_COMMAND_REGEX = /\b(?:diario|todo dia|todos os dias|ativar|ativa|ative|ligar|liga|ligue|receber)\b/;
+
+let schedulerTimer = null;
+
+/**
+ * Dia e horário atuais no relógio do fuso
+ *
+ * @param {Date} now - Instante
+ * @param {string} timeZone - Fuso
+ * @returns {Object} { day: "AAAA-MM-DD", time: "HH:MM" }
+ */
+const wallClockNow = (now, timeZone) => {
+  const wallClock = toWallClock(now, resolveTimeZone(timeZone)).toISOString();
+  return { day: wallClock.slice(0, 10), time: wallClock.slice(11, 16) };
+};
+
+/**
+ * Minutos desde a meia-noite de um horário "HH:MM"
+ *
+ * @param {string} time - Horário
+ * @returns {number} Minutos
+ */
+const toMinutes = (time) => parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(3, 5), 10);
+
+/**
+ * Alterações do usuário para ativar o resumo num horário (ou desativar,
+ * com time null)
+ *
+ * Se o horário de hoje já passou, o primeiro resumo sai amanhã.
+ *
+ * @param {string|null} time - Horário "HH:MM" ou null
+ * @param {string} timeZone - Fuso da conta
+ * @param {Date} [now] - Data de referência
+ * @returns {Object} { digest_time, digest_sent_on? } para db.updateUser
+ */
+const buildDigestChanges = (time, timeZone, now = new Date()) => {
+  if (!time) {
+    return { digest_time: null };
+  }
+
+  const current = wallClockNow(now, timeZone);
+  return { digest_time: time, digest_sent_on: current.time >= time ? current.day : null };
+};
+
+/**
+ * Interpreta um comando de resumo do WhatsApp
+ *
+ * - "parar resumo", "desativar resumo": desativa
+ * - "resumo diário às 7h", "resumo às 19:30": ativa no horário
+ * - "ativar resumo diário": ativa no horário atual ou no padrão (7h)
+ * - "resumo", "resumo de hoje", "me manda o resumo": envia o resumo agora
+ *
+ * Só um horário explícito ativa o envio: dias ("de hoje", "de amanhã") não
+ * são horário de resumo.
+ *
+ * @param {string} text - Mensagem
+ * @returns {Object} { action: "enable" | "disable" | "send", time }
+ */
+const parseDigestCommand = (text) => {
+  const normalized = normalizeText(text);
+
+  if (DISABLE_COMMAND_REGEX.test(normalized)) {
+    return { action: "disable", time: null };
+  }
+
+  const timeOfDay = parseTimeOfDay(text);
+  if (timeOfDay) {
+    const time = [timeOfDay.hour, timeOfDay.minute].map((value) => String(value).padStart(2, "0")).join(":");
+    return { action: "enable", time };
+  }
+
+  if (ENABLE_COMMAND_REGEX.test(normalized)) {
+    return { action: "enable", time: null };
+  }
+
+  return { action: "send", time: null };
+};
+
+/**
+ * Monta o resumo do dia de um usuário
+ *
+ * As tarefas ganham números (atrasadas primeiro, depois as de hoje) que
+ * valem para os comandos seguintes, como a lista de "minhas tarefas".
+ *
+ * @param {Object} user - Usuário
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Data de referência
+ * @param {boolean} [options.scheduled] - true quando enviado pelo agendador
+ *   (inclui como desativar)
+ * @returns {Object} { message, taskIds } - taskIds na ordem numerada
+ */
+const buildDigest = (user, { now = new Date(), scheduled = false } = {}) => {
+  const timeZone = resolveTimeZone(user.timezone);
+  const openTasks = sortTasksForList(db.getAllTasks(user.id).filter((task) => task.status !== "completed"));
+
+  const overdue = filterTasks(openTasks, "overdue", { timeZone, now });
+  const today = filterTasks(openTasks, "today", { timeZone, now }).filter((task) => !overdue.includes(task));
+  const numbered = [...overdue, ...today];
+
+  let message = `📰 Seu resumo de hoje (${formatDate(now, timeZone)}):`;
+  let position = 0;
+  const addSection = (title, tasks) => {
+    if (tasks.length === 0) {
+      return;
+    }
+    const lines = tasks.map((task) => {
+      position += 1;
+      return formatTaskLine(task, position, { timeZone, now });
+    });
+    message += `\n\n${title}\n${lines.join("\n")}`;
+  };
+
+  addSection(`⚠️ Atrasadas (${overdue.length}):`, overdue);
+  addSection(`📅 Para hoje (${today.length}):`, today);
+
+  if (numbered.length === 0) {
+    message += "\n\n🎉 Nada agendado para hoje e nenhuma tarefa atrasada.";
+  }
+
+  message += `\n\n📋 ${openTasks.length} tarefa(s) pendente(s) no total.`;
+  if (numbered.length > 0) {
+    message += ` Use os números nos comandos: "concluir 1", "adiar 1 para amanhã".`;
+  }
+  if (scheduled) {
+    message += `\n\nPara não receber mais, envie "parar resumo".`;
+  }
+
+  return { message, taskIds: numbered.map((task) => task.id) };
+};
+
+/**
+ * Envia o resumo do dia pelo WhatsApp e guarda a numeração na conversa
+ *
+ * @param {Object} user - Usuário (com telefone vinculado)
+ * @param {Object} [options] - { now, scheduled } (ver buildDigest)
+ * @returns {Promise<Object>} Resultado do envio
+ */
+const sendDigest = async (user, options = {}) => {
+  const { message, taskIds } = buildDigest(user, options);
+
+  // Mesma lista numerada de "minhas tarefas" (routes/whatsapp.js), sem páginas
+  conversationService.setSessionData(user.phone, "taskList", { taskIds, filter: null, page: 1 });
+
+  return whatsappService.sendWhatsAppMessage(user.phone, message);
+};
+
+/**
+ * Envia os resumos cujo horário chegou
+ *
+ * O dia é marcado como enviado antes do envio: uma falha da API do
+ * WhatsApp perde o resumo do dia em vez de repeti-lo a cada minuto.
+ *
+ * @param {Date} [now] - Data de referência
+ * @returns {Promise<number>} Quantidade de resumos enviados
+ */
+const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const user of db.getUsersWithDigest()) {
+    const current = wallClockNow(now, user.timezone);
+    const delay = toMinutes(current.time) - toMinutes(user.digest_time);
+
+    if (user.digest_sent_on === current.day || delay < 0 || delay > DIGEST_MAX_DELAY_MINUTES) {
+      continue;
+    }
+
+    db.updateUser(user.id, { digest_sent_on: current.day });
+
+    try {
+      await sendDigest(user, { now, scheduled: true });
+      sent += 1;
+    } catch (error) {
+      console.error(`❌ Erro ao enviar resumo diário para ${user.id}:`, error.message);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📰 ${sent} resumo(s) diário(s) enviado(s)`);
+  }
+
+  return sent;
+};
+
+/**
+ * Inicia o agendador dos resumos (uma verificação por minuto)
+ */
+const startDigestScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  // unref: o timer não impede o processo de encerrar
+  schedulerTimer = setInterval(() => {
+    sendDueDigests().catch((error) => console.error("❌ Erro no agendador de resumos:", error));
+  }, DIGEST_CHECK_INTERVAL);
+  schedulerTimer.unref();
+
+  console.log("📰 Agendador de resumos diários iniciado");
+};
+
+module.exports = {
+  DEFAULT_DIGEST_TIME,
+  buildDigestChanges,
+  parseDigestCommand,
+  buildDigest,
+  sendDigest,
+  sendDueDigests,
+  startDigestScheduler,
+};
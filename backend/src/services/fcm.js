@@ -1,13 +1,34 @@
 /**
  * Serviço Firebase Cloud Messaging (FCM)
- * 
- * Gerencia envio de notificações push via FCM.
- * 
+ *
+ * Gerencia envio de notificações push via FCM e via serviço de push do Expo.
+ *
  * Funcionalidades:
- * - Registrar tokens FCM de dispositivos
+ * - Registrar tokens de push de dispositivos no banco, com dono, plataforma,
+ *   versão do app e último registro (tokens parados há DEVICE_TOKEN_TTL_DAYS
+ *   são descartados pelo expurgo diário de config/database.js)
  * - Enviar notificações para dispositivos específicos
- * - Enviar notificações para múltiplos dispositivos
- * 
+ * - Enviar notificações para múltiplos dispositivos, em lotes, com o
+ *   resultado de cada token
+ * - Remover automaticamente tokens que o FCM ou o Expo dizem não existirem
+ *   mais (aplicativo desinstalado, token renovado)
+ *
+ * O tipo do token decide o caminho: tokens do Expo ("ExponentPushToken[...]",
+ * os que o app mobile registra) vão pela API de push do Expo; os demais são
+ * tokens nativos do FCM. Cada caminho tem um transporte:
+ *
+ * - FCM_TRANSPORT:
+ *   - firebase: Firebase Admin SDK (services/fcm/firebaseTransport.js),
+ *     exige FCM_SERVICE_ACCOUNT_FILE com o JSON da conta de serviço
+ *   - fake: só registra no log (services/fcm/fakeTransport.js), para
+ *     desenvolvimento e testes
+ *   Sem a variável, usa firebase quando FCM_SERVICE_ACCOUNT_FILE está
+ *   definido e fake caso contrário.
+ * - EXPO_PUSH_TRANSPORT: expo (padrão; services/fcm/expoTransport.js,
+ *   EXPO_ACCESS_TOKEN opcional) ou fake
+ *
+ * Testes podem trocar os transportes com setFcmTransport e setExpoTransport.
+ *
  * Por que FCM?
  * - Gratuito para sempre
  * - Suportado nativamente pelo Expo
@@ -15,163 +36,305 @@
  * - Ideal para notificações push
  */
 
-const admin = require("firebase-admin");
+const db = require("../config/database");
+const { createFirebaseTransport } = require("./fcm/firebaseTransport");
+const { createExpoTransport, isExpoPushToken } = require("./fcm/expoTransport");
+const { createFakeTransport } = require("./fcm/fakeTransport");
 
-// Inicializar Firebase Admin SDK
-let fcmInitialized = false;
+// Erro por token quando o lote inteiro falha: a mensagem do transporte
+// (ex.: "getaddrinfo ENOTFOUND exp.host") fica só no log
+const TRANSPORT_UNAVAILABLE_ERROR = "Serviço de push indisponível";
 
 /**
- * Inicializa Firebase Admin SDK
- * 
- * NOTA: Para MVP, FCM pode não estar totalmente configurado.
- * Em produção, usar service account JSON completo do Firebase.
+ * Transportes disponíveis, indexados pelo valor de FCM_TRANSPORT
  */
-const initFCM = () => {
-  if (fcmInitialized) {
-    return;
-  }
+const transportFactories = {
+  firebase: () => {
+    const serviceAccountFile = process.env.FCM_SERVICE_ACCOUNT_FILE;
+    if (!serviceAccountFile) {
+      console.warn("⚠️ FCM_SERVICE_ACCOUNT_FILE não configurado - notificações não funcionarão");
+      return null;
+    }
+
+    try {
+      return createFirebaseTransport({ serviceAccountFile });
+    } catch (error) {
+      console.error(`❌ Erro ao inicializar Firebase Admin SDK (${serviceAccountFile}):`, error.message);
+      return null;
+    }
+  },
+  fake: () => {
+    console.warn("⚠️ Notificações push simuladas (FCM_TRANSPORT=fake) - nada é entregue aos dispositivos");
+    return createFakeTransport();
+  },
+};
 
-  const serverKey = process.env.FCM_SERVER_KEY;
+/**
+ * Transportes dos tokens do Expo, indexados pelo valor de EXPO_PUSH_TRANSPORT
+ */
+const expoTransportFactories = {
+  expo: () =>
+    createExpoTransport({
+      accessToken: process.env.EXPO_ACCESS_TOKEN || null,
+      // Recibo de entrega dizendo que o aparelho não existe mais
+      onInvalidToken: (token) => unregisterToken(token),
+    }),
+  fake: () => {
+    console.warn("⚠️ Notificações do Expo simuladas (EXPO_PUSH_TRANSPORT=fake) - nada é entregue aos dispositivos");
+    return createFakeTransport({ name: "expo falso" });
+  },
+};
 
-  if (!serverKey) {
-    console.warn("⚠️ FCM Server Key não configurada - notificações não funcionarão");
-    return null;
+/**
+ * Cria o transporte configurado em FCM_TRANSPORT
+ *
+ * @returns {Object|null} Transporte, ou null se o Firebase não pôde ser
+ *   inicializado
+ */
+const buildTransport = () => {
+  const configured = (process.env.FCM_TRANSPORT || (process.env.FCM_SERVICE_ACCOUNT_FILE ? "firebase" : "fake"))
+    .trim()
+    .toLowerCase();
+  const factory = transportFactories[configured];
+
+  if (!factory) {
+    throw new Error(
+      `FCM_TRANSPORT inválido: "${configured}". Use um dos seguintes: ${Object.keys(transportFactories).join(", ")}`
+    );
   }
 
-  try {
-    // Para MVP simplificado, apenas marcar como inicializado
-    // Em produção, inicializar Firebase Admin SDK corretamente com service account
-    // admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-    
-    console.log("⚠️ FCM configurado parcialmente - para produção, configure Firebase Admin SDK completo");
-    fcmInitialized = true;
-  } catch (error) {
-    console.error("❌ Erro ao inicializar Firebase Admin SDK:", error);
-    // Para MVP, continuar mesmo se FCM não estiver configurado
+  if (process.env.FCM_SERVER_KEY && !process.env.FCM_SERVICE_ACCOUNT_FILE) {
+    console.warn("⚠️ FCM_SERVER_KEY não é mais usado - configure FCM_SERVICE_ACCOUNT_FILE");
   }
+
+  return factory();
 };
 
-// Armazenamento simples de tokens (em produção, usar banco de dados)
-const registeredTokens = new Set();
+/**
+ * Cria o transporte configurado em EXPO_PUSH_TRANSPORT
+ *
+ * @returns {Object} Transporte
+ */
+const buildExpoTransport = () => {
+  const configured = (process.env.EXPO_PUSH_TRANSPORT || "expo").trim().toLowerCase();
+  const factory = expoTransportFactories[configured];
+
+  if (!factory) {
+    throw new Error(
+      `EXPO_PUSH_TRANSPORT inválido: "${configured}". Use um dos seguintes: ${Object.keys(expoTransportFactories).join(", ")}`
+    );
+  }
+
+  return factory();
+};
+
+// Transportes configurados na primeira importação
+let transport = buildTransport();
+let expoTransport = buildExpoTransport();
+
+/**
+ * Substitui o transporte dos tokens do FCM (ex.: transporte falso em testes)
+ *
+ * @param {Object|null} newTransport - { name, batchSize, sendMulticast }
+ */
+const setFcmTransport = (newTransport) => {
+  transport = newTransport;
+};
 
 /**
- * Registra um token FCM
- * 
- * @param {string} token - Token FCM do dispositivo
+ * Substitui o transporte dos tokens do Expo (ex.: transporte falso em testes)
+ *
+ * @param {Object|null} newTransport - { name, batchSize, sendMulticast }
  */
-const registerToken = (token) => {
-  registeredTokens.add(token);
-  console.log(`✅ Token FCM registrado: ${token.substring(0, 20)}...`);
+const setExpoTransport = (newTransport) => {
+  expoTransport = newTransport;
 };
 
 /**
- * Remove um token FCM
- * 
- * @param {string} token - Token FCM a remover
+ * Registra um token de push (FCM ou Expo)
+ *
+ * O app registra o token a cada abertura, o que renova last_seen_at. Um
+ * token registrado de novo por outra conta (troca de login no mesmo
+ * aparelho) passa a pertencer a ela.
+ *
+ * @param {string} token - Token FCM ou do Expo do dispositivo
+ * @param {string} userId - ID do usuário logado no dispositivo
+ * @param {Object} [device] - { platform, appVersion }
+ * @returns {Object} Dispositivo salvo
  */
-const unregisterToken = (token) => {
-  registeredTokens.delete(token);
-  console.log(`🗑️ Token FCM removido`);
+const registerToken = (token, userId, { platform = null, appVersion = null } = {}) => {
+  const device = db.saveDeviceToken({ token, owner_id: userId, platform, app_version: appVersion });
+  const type = isExpoPushToken(token) ? "Expo" : "FCM";
+  const details = platform ? `${userId}, ${platform}` : userId;
+  console.log(`✅ Token ${type} registrado: ${token.substring(0, 20)}... (${details})`);
+  return device;
 };
 
+/**
+ * Remove um token de push
+ *
+ * @param {string} token - Token a remover
+ * @param {string} [userId] - Só remove se for deste usuário; omitido, de
+ *   qualquer um (tokens recusados pelo FCM ou pelo Expo)
+ * @returns {boolean} true se o token estava registrado
+ */
+const unregisterToken = (token, userId) => {
+  const removed = db.deleteDeviceToken(token, userId);
+  if (removed) {
+    console.log(`🗑️ Token ${isExpoPushToken(token) ? "Expo" : "FCM"} removido`);
+  }
+  return removed;
+};
+
+/**
+ * Verifica se um token de push pertence ao usuário
+ *
+ * @param {string} token - Token
+ * @param {string} userId - ID do usuário
+ * @returns {boolean}
+ */
+const isTokenOwnedBy = (token, userId) => db.getDeviceTokens(userId).some((device) => device.token === token);
+
+/**
+ * Converte os dados extras para o formato do FCM (só aceita strings)
+ *
+ * @param {Object} [data] - Dados extras
+ * @returns {Object} Dados com valores string (objetos viram JSON)
+ */
+const stringifyData = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, typeof value === "string" ? value : JSON.stringify(value)])
+  );
+
 /**
  * Envia notificação para um dispositivo específico
- * 
- * @param {string} token - Token FCM do dispositivo
+ *
+ * @param {string} token - Token FCM ou do Expo do dispositivo
  * @param {Object} notification - Dados da notificação
  * @param {string} notification.title - Título
  * @param {string} notification.body - Corpo da mensagem
  * @param {Object} [notification.data] - Dados extras
+ * @returns {Promise<Object>} { success, messageId } ou { success: false, error }
  */
 const sendToDevice = async (token, notification) => {
-  initFCM();
-
-  // Para MVP, apenas logar (em produção, usar Firebase Admin SDK)
-  console.log(`📤 Notificação para ${token.substring(0, 20)}...: ${notification.title} - ${notification.body}`);
-  
-  // Em produção, descomentar e usar:
-  /*
-  if (!fcmInitialized || !admin.apps.length) {
-    console.warn("⚠️ FCM não inicializado, notificação não enviada");
-    return { success: false, error: "FCM não configurado" };
+  const result = await sendToMultipleDevices([token], notification);
+  if (!result.results) {
+    return result;
   }
 
-  try {
-    const message = {
-      token,
-      notification: {
-        title: notification.title,
-        body: notification.body,
-      },
-      data: notification.data || {},
-      android: {
-        priority: "high",
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: "default",
-          },
-        },
-      },
-    };
-
-    const response = await admin.messaging().send(message);
-    console.log(`✅ Notificação enviada: ${response}`);
-
-    return { success: true, messageId: response };
-  } catch (error) {
-    console.error("❌ Erro ao enviar notificação:", error);
-    
-    // Se token inválido, remover do registro
-    if (error.code === "messaging/invalid-registration-token" || 
-        error.code === "messaging/registration-token-not-registered") {
-      unregisterToken(token);
-    }
-
-    return { success: false, error: error.message };
-  }
-  */
-  
-  // Para MVP, retornar sucesso simulado
-  return { success: true, messageId: "simulated_for_mvp" };
+  const [deviceResult] = result.results;
+  return deviceResult.success
+    ? { success: true, messageId: deviceResult.messageId }
+    : { success: false, error: deviceResult.error };
 };
 
 /**
  * Envia notificação para múltiplos dispositivos
- * 
- * @param {Array<string>} tokens - Lista de tokens FCM
- * @param {Object} notification - Dados da notificação
+ *
+ * Tokens do Expo vão pelo transporte do Expo e os demais pelo do FCM, em
+ * lotes do tamanho que cada um aceita. Tokens recusados como inválidos são
+ * removidos do registro.
+ *
+ * @param {Array<string>} tokens - Lista de tokens (FCM e/ou Expo)
+ * @param {Object} notification - Dados da notificação (ver sendToDevice)
+ * @returns {Promise<Object>} { success, successCount, failureCount, results,
+ *   removedTokens, error? } - results com { token, success, messageId } ou
+ *   { token, success: false, error } por token; success quando ao menos um
+ *   dispositivo recebeu
  */
 const sendToMultipleDevices = async (tokens, notification) => {
-  initFCM();
+  const uniqueTokens = [...new Set(tokens)];
 
-  if (tokens.length === 0) {
+  if (uniqueTokens.length === 0) {
     return { success: false, error: "Nenhum token fornecido" };
   }
 
-  // Para MVP, apenas logar (em produção, usar Firebase Admin SDK)
-  console.log(`📤 Notificação para ${tokens.length} dispositivo(s): ${notification.title} - ${notification.body}`);
-  
-  // Em produção, descomentar e usar Firebase Admin SDK
-  // Retornar sucesso simulado para MVP
-  return {
-    success: true,
-    successCount: tokens.length,
-    failureCount: 0,
+  const payload = {
+    title: notification.title,
+    body: notification.body,
+    data: stringifyData(notification.data),
+  };
+  const results = [];
+
+  const groups = [
+    { transport: expoTransport, tokens: uniqueTokens.filter(isExpoPushToken), missing: "Expo push não configurado" },
+    { transport, tokens: uniqueTokens.filter((token) => !isExpoPushToken(token)), missing: "FCM não configurado" },
+  ];
+
+  for (const group of groups) {
+    if (group.tokens.length === 0) {
+      continue;
+    }
+    if (!group.transport) {
+      console.warn(`⚠️ ${group.missing}, notificação não enviada`);
+      group.tokens.forEach((token) => results.push({ token, success: false, error: group.missing }));
+      continue;
+    }
+
+    const { batchSize } = group.transport;
+    for (let first = 0; first < group.tokens.length; first += batchSize) {
+      const batch = group.tokens.slice(first, first + batchSize);
+
+      try {
+        const batchResults = await group.transport.sendMulticast(batch, payload);
+        batch.forEach((token, index) => results.push({ token, ...batchResults[index] }));
+      } catch (error) {
+        // Falha do lote inteiro (rede, credenciais): nenhum token é culpado
+        console.error(`❌ Erro ao enviar notificação (${group.transport.name}):`, error.message);
+        batch.forEach((token) => results.push({ token, success: false, error: TRANSPORT_UNAVAILABLE_ERROR }));
+      }
+    }
+  }
+
+  const removedTokens = results
+    .filter((result) => !result.success && result.invalidToken)
+    .map((result) => result.token);
+  removedTokens.forEach((token) => unregisterToken(token));
+
+  const successCount = results.filter((result) => result.success).length;
+  const failureCount = results.length - successCount;
+  console.log(
+    `📤 Notificação "${notification.title}": ${successCount} entregue(s), ${failureCount} falha(s)` +
+      (removedTokens.length > 0 ? `, ${removedTokens.length} token(s) inválido(s) removido(s)` : "")
+  );
+
+  const response = {
+    success: successCount > 0,
+    successCount,
+    failureCount,
+    results: results.map(({ token, success, messageId, error }) =>
+      success ? { token, success, messageId } : { token, success, error }
+    ),
+    removedTokens,
   };
+  if (successCount === 0) {
+    response.error = results[0].error || "Nenhum dispositivo recebeu a notificação";
+  }
+
+  return response;
 };
 
 /**
- * Envia notificação para todos os dispositivos registrados
- * 
+ * Envia notificação para os dispositivos de um usuário
+ *
+ * Não há envio para todos: a notificação vai só para quem é dono do que
+ * está sendo notificado (ex.: o dono da tarefa).
+ *
  * @param {Object} notification - Dados da notificação
+ * @param {string} userId - ID do usuário destinatário
  */
-const sendNotification = async (notification) => {
-  const tokens = Array.from(registeredTokens);
-  
+const sendNotification = async (notification, userId) => {
+  if (!userId) {
+    console.warn("⚠️ Notificação sem destinatário, não enviada");
+    return { success: false, error: "Destinatário não informado" };
+  }
+
+  const tokens = db.getDeviceTokens(userId).map((device) => device.token);
+
   if (tokens.length === 0) {
-    console.warn("⚠️ Nenhum token registrado");
+    console.warn(`⚠️ Nenhum token registrado para ${userId}`);
     return { success: false, error: "Nenhum dispositivo registrado" };
   }
 
@@ -181,8 +344,10 @@ const sendNotification = async (notification) => {
 module.exports = {
   registerToken,
   unregisterToken,
+  isTokenOwnedBy,
   sendToDevice,
   sendToMultipleDevices,
   sendNotification,
+  setFcmTransport,
+  setExpoTransport,
 };
-
@@ -0,0 +1,189 @@
+/**
+ * Transporte de push: Expo Push API
+ *
+ * O app mobile registra um token do Expo (getExpoPushTokenAsync, formato
+ * "ExponentPushToken[...]"), que o FCM não aceita. Esses tokens são
+ * entregues pelo serviço de push do Expo, que repassa ao FCM/APNs.
+ *
+ * O envio é em duas etapas:
+ * 1. POST /push/send devolve um ticket por mensagem. Ticket com erro
+ *    (ex.: DeviceNotRegistered) já é uma falha daquele token.
+ * 2. Os tickets aceitos ainda podem falhar na entrega. O recibo de cada um
+ *    (POST /push/getReceipts) fica pronto alguns minutos depois; por isso o
+ *    transporte consulta os recibos EXPO_RECEIPT_DELAY depois do envio e
+ *    avisa onInvalidToken quando o aparelho não existe mais. Recibos ficam
+ *    disponíveis por 24 horas; os pendentes se perdem se o servidor reiniciar.
+ *
+ * EXPO_ACCESS_TOKEN é opcional (exigido só se "Enhanced Security for Push
+ * Notifications" estiver ativo no projeto do Expo).
+ */
+
+const axios = require("axios");
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_RECEIPTS_URL = "https://exp.host/--/api/v2/push/getReceipts";
+
+// Limite de mensagens por envio e de recibos por consulta da API do Expo
+const EXPO_BATCH_SIZE = 100;
+const EXPO_RECEIPTS_BATCH_SIZE = 1000;
+
+// Espera até consultar os recibos (o Expo recomenda 15 minutos)
+const EXPO_RECEIPT_DELAY = 15 * 60 * 1000;
+
+// Depois disso o Expo descarta o recibo
+const EXPO_RECEIPT_TTL = 24 * 60 * 60 * 1000;
+
+// Timeout das requisições à API do Expo
+const EXPO_REQUEST_TIMEOUT = 15000;
+
+// Token de push do Expo ("ExponentPushToken[...]" ou "ExpoPushToken[...]")
+const EXPO_TOKEN_REGEX = /^Expo(?:nent)?PushToken\[.+\]$/;
+
+/**
+ * Verifica se o token é do Expo (e não um token nativo do FCM)
+ *
+ * @param {string} token - Token do dispositivo
+ * @returns {boolean}
+ */
+const isExpoPushToken = (token) => typeof token === "string" && EXPO_TOKEN_REGEX.test(token);
+
+/**
+ * Cria o transporte do Expo
+ *
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - EXPO_ACCESS_TOKEN
+ * @param {Function} [options.onInvalidToken] - Chamada com o token quando um
+ *   recibo diz que o aparelho não existe mais
+ * @param {number} [options.receiptDelay] - Espera até consultar os recibos (ms)
+ * @returns {Object} Transporte { name, batchSize, sendMulticast, checkReceipts }
+ */
+const createExpoTransport = ({
+  accessToken = null,
+  onInvalidToken = () => {},
+  receiptDelay = EXPO_RECEIPT_DELAY,
+} = {}) => {
+  const headers = {
+    Accept: "application/json",
+    "Content-Type": "application/json",
+    ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+  };
+
+  // Tickets aceitos aguardando recibo: ID do ticket -> { token, sentAt }
+  const pendingReceipts = new Map();
+  let receiptTimer = null;
+
+  /**
+   * Agenda a próxima consulta de recibos, se houver pendentes
+   */
+  const scheduleReceiptCheck = () => {
+    if (receiptTimer || pendingReceipts.size === 0) {
+      return;
+    }
+
+    // unref: o timer não impede o processo de encerrar
+    receiptTimer = setTimeout(() => {
+      receiptTimer = null;
+      checkReceipts()
+        .catch((error) => console.error("❌ Erro ao consultar recibos do Expo:", error.message))
+        .finally(scheduleReceiptCheck);
+    }, receiptDelay);
+    receiptTimer.unref();
+  };
+
+  /**
+   * Consulta os recibos dos tickets enviados há pelo menos receiptDelay
+   *
+   * @param {Date} [now] - Data de referência
+   * @returns {Promise<Object>} { checked, failed, invalidTokens }
+   */
+  const checkReceipts = async (now = new Date()) => {
+    const ready = [];
+    for (const [ticketId, { sentAt }] of pendingReceipts) {
+      if (now.getTime() - sentAt >= EXPO_RECEIPT_TTL) {
+        pendingReceipts.delete(ticketId);
+      } else if (now.getTime() - sentAt >= receiptDelay) {
+        ready.push(ticketId);
+      }
+    }
+
+    let failed = 0;
+    const invalidTokens = [];
+
+    for (let first = 0; first < ready.length; first += EXPO_RECEIPTS_BATCH_SIZE) {
+      const ids = ready.slice(first, first + EXPO_RECEIPTS_BATCH_SIZE);
+      const response = await axios.post(EXPO_RECEIPTS_URL, { ids }, { headers, timeout: EXPO_REQUEST_TIMEOUT });
+      const receipts = (response.data && response.data.data) || {};
+
+      for (const ticketId of ids) {
+        const receipt = receipts[ticketId];
+        if (!receipt) {
+          // Recibo ainda não pronto: tenta de novo na próxima consulta
+          continue;
+        }
+
+        const { token } = pendingReceipts.get(ticketId);
+        pendingReceipts.delete(ticketId);
+
+        if (receipt.status === "error") {
+          failed += 1;
+          const errorCode = receipt.details && receipt.details.error;
+          console.warn(`⚠️ Expo não entregou a notificação (${errorCode || "erro"}): ${receipt.message}`);
+          if (errorCode === "DeviceNotRegistered") {
+            invalidTokens.push(token);
+            onInvalidToken(token);
+          }
+        }
+      }
+    }
+
+    return { checked: ready.length, failed, invalidTokens };
+  };
+
+  return {
+    name: "expo",
+    batchSize: EXPO_BATCH_SIZE,
+
+    /**
+     * Envia uma notificação para vários tokens do Expo
+     *
+     * @param {Array<string>} tokens - Até 100 tokens do Expo
+     * @param {Object} payload - { title, body, data }
+     * @returns {Promise<Array<Object>>} Um resultado por token (ver
+     *   firebaseTransport); messageId é o ID do ticket
+     */
+    sendMulticast: async (tokens, { title, body, data }) => {
+      const messages = tokens.map((to) => ({ to, title, body, data, sound: "default", priority: "high" }));
+      const response = await axios.post(EXPO_PUSH_URL, messages, { headers, timeout: EXPO_REQUEST_TIMEOUT });
+      const tickets = (response.data && response.data.data) || [];
+      const sentAt = Date.now();
+
+      const results = tokens.map((token, index) => {
+        const ticket = tickets[index];
+        if (!ticket) {
+          return { success: false, error: "Expo não devolveu ticket para o token" };
+        }
+        if (ticket.status !== "ok") {
+          const errorCode = ticket.details && ticket.details.error;
+          return {
+            success: false,
+            error: ticket.message || errorCode || "Erro no Expo",
+            invalidToken: errorCode === "DeviceNotRegistered",
+          };
+        }
+
+        pendingReceipts.set(ticket.id, { token, sentAt });
+        return { success: true, messageId: ticket.id };
+      });
+
+      scheduleReceiptCheck();
+      return results;
+    },
+
+    checkReceipts,
+  };
+};
+
+module.exports = {
+  isExpoPushToken,
+  createExpoTransport,
+};
@@ -0,0 +1,65 @@
+/**
+ * Transporte de push: falso (desenvolvimento e testes)
+ *
+ * Não fala com o Firebase: só registra no log e guarda as mensagens em
+ * `sent`, para que testes confiram o que teria sido enviado.
+ *
+ * Tokens que começam com "invalid" (ou "ExponentPushToken[invalid")
+ * respondem como a um aplicativo desinstalado, para exercitar a remoção
+ * automática de tokens.
+ */
+
+// Tokens por envio (mesmo limite do FCM)
+const FAKE_BATCH_SIZE = 500;
+
+let messageCounter = 0;
+
+/**
+ * Cria o transporte falso
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name="fake"] - Nome do transporte nos logs
+ * @returns {Object} Transporte { name, batchSize, sendMulticast, sent, reset }
+ */
+const createFakeTransport = ({ name = "fake" } = {}) => {
+  const sent = [];
+
+  return {
+    name,
+    batchSize: FAKE_BATCH_SIZE,
+    sent,
+
+    /**
+     * "Envia" uma notificação para vários dispositivos
+     *
+     * @param {Array<string>} tokens - Tokens dos dispositivos
+     * @param {Object} payload - { title, body, data }
+     * @returns {Promise<Array<Object>>} Um resultado por token (ver firebaseTransport)
+     */
+    sendMulticast: async (tokens, payload) => {
+      console.log(`📤 [${name}] ${tokens.length} dispositivo(s): ${payload.title} - ${payload.body}`);
+
+      return tokens.map((token) => {
+        if (/^(?:Expo(?:nent)?PushToken\[)?invalid/.test(token)) {
+          return { success: false, error: "Dispositivo não registrado", invalidToken: true };
+        }
+
+        messageCounter += 1;
+        const messageId = `fake-message-${messageCounter}`;
+        sent.push({ token, messageId, ...payload });
+        return { success: true, messageId };
+      });
+    },
+
+    /**
+     * Esquece as mensagens registradas
+     */
+    reset: () => {
+      sent.length = 0;
+    },
+  };
+};
+
+module.exports = {
+  createFakeTransport,
+};
@@ -0,0 +1,99 @@
+/**
+ * Transporte de push: Firebase Admin SDK
+ *
+ * Entrega as notificações pelo FCM de verdade, autenticado com a conta de
+ * serviço do projeto Firebase (arquivo JSON baixado em Project Settings >
+ * Service Accounts > Generate new private key).
+ *
+ * Cada envio é um multicast (sendEachForMulticast): uma mensagem para até
+ * 500 tokens, com um resultado por token.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const admin = require("firebase-admin");
+
+// Nome do app no Firebase Admin (não conflita com outro initializeApp)
+const FIREBASE_APP_NAME = "todowhats";
+
+// Limite de tokens por envio multicast do FCM
+const MULTICAST_BATCH_SIZE = 500;
+
+// Erros do FCM que indicam token que não volta a funcionar
+const INVALID_TOKEN_ERRORS = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+];
+
+/**
+ * Monta a mensagem multicast no formato do Firebase Admin SDK
+ *
+ * @param {Array<string>} tokens - Tokens dos dispositivos
+ * @param {Object} payload - { title, body, data } (data com valores string)
+ * @returns {Object} MulticastMessage
+ */
+const buildMulticastMessage = (tokens, { title, body, data }) => ({
+  tokens,
+  notification: { title, body },
+  data,
+  android: {
+    priority: "high",
+  },
+  apns: {
+    payload: {
+      aps: {
+        sound: "default",
+      },
+    },
+  },
+});
+
+/**
+ * Cria o transporte do Firebase
+ *
+ * @param {Object} options
+ * @param {string} options.serviceAccountFile - Caminho do JSON da conta de serviço
+ * @returns {Object} Transporte { name, batchSize, sendMulticast }
+ * @throws {Error} Se o arquivo não existir ou não for uma conta de serviço
+ */
+const createFirebaseTransport = ({ serviceAccountFile }) => {
+  const serviceAccount = JSON.parse(fs.readFileSync(path.resolve(serviceAccountFile), "utf8"));
+  const app =
+    admin.apps.find((existing) => existing && existing.name === FIREBASE_APP_NAME) ||
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) }, FIREBASE_APP_NAME);
+  const messaging = admin.messaging(app);
+
+  console.log(`🔥 Firebase Admin inicializado (projeto ${serviceAccount.project_id})`);
+
+  return {
+    name: "firebase",
+    batchSize: MULTICAST_BATCH_SIZE,
+
+    /**
+     * Envia uma notificação para vários dispositivos
+     *
+     * @param {Array<string>} tokens - Até 500 tokens
+     * @param {Object} payload - { title, body, data }
+     * @returns {Promise<Array<Object>>} Um resultado por token, na mesma
+     *   ordem: { success, messageId } ou { success: false, error,
+     *   invalidToken } (invalidToken: o token não volta a funcionar)
+     */
+    sendMulticast: async (tokens, payload) => {
+      const response = await messaging.sendEachForMulticast(buildMulticastMessage(tokens, payload));
+
+      return response.responses.map((result) =>
+        result.success
+          ? { success: true, messageId: result.messageId }
+          : {
+              success: false,
+              error: result.error.message,
+              invalidToken: INVALID_TOKEN_ERRORS.includes(result.error.code),
+            }
+      );
+    },
+  };
+};
+
+module.exports = {
+  createFirebaseTransport,
+};
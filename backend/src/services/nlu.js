@@ -0,0 +1,163 @@
+/**
+ * Serviço de NLU (interpretação de linguagem natural)
+ *
+ * As rotas interpretam mensagens sempre pelas funções exportadas aqui
+ * (interpretText, processAudio). Por trás delas fica uma cadeia de
+ * provedores, escolhida pela variável de ambiente NLU_PROVIDER:
+ *
+ * - wit: Wit.ai (services/nlu/witProvider.js), exige WIT_AI_TOKEN.
+ * - local: classificador de intenções offline (services/nlu/localProvider.js).
+ *
+ * Sem NLU_PROVIDER, usa wit quando WIT_AI_TOKEN está definido e local caso
+ * contrário. O provedor local fica sempre no fim da cadeia: quando o
+ * provedor configurado falha ou não reconhece a intenção, ele decide.
+ *
+ * Interface de um provedor:
+ * - name: string
+ * - interpret(text): Promise<{ intent, confidence, entities }>
+ *   (intent null quando não reconhecida; erros são lançados)
+ * - transcribe(audioBuffer): Promise<string> (opcional)
+ *
+ * Resultado normalizado de interpretText:
+ * { intent, confidence, entities, provider }, com entidades
+ * - title: título da tarefa
+ * - description: descrição
+ * - datetime: data/hora (ISO 8601)
+ * - status: status da tarefa
+ * - outras que o provedor reconhecer, com o nome sem prefixo
+ *
+ * Testes podem trocar a cadeia por um provedor falso com setNluProviders.
+ */
+
+const { createWitProvider } = require("./nlu/witProvider");
+const { createLocalProvider } = require("./nlu/localProvider");
+
+/**
+ * Provedores disponíveis, indexados pelo valor de NLU_PROVIDER
+ */
+const providerFactories = {
+  wit: () => {
+    if (!process.env.WIT_AI_TOKEN) {
+      console.warn("⚠️ Token do Wit.ai não configurado");
+      return null;
+    }
+    return createWitProvider({ accessToken: process.env.WIT_AI_TOKEN });
+  },
+  local: () => createLocalProvider(),
+};
+
+/**
+ * Cria um serviço de NLU sobre uma cadeia de provedores
+ *
+ * @param {Array<Object>} providers - Provedores, na ordem de consulta
+ * @returns {Object} { interpretText, processAudio, providers }
+ */
+const createNluService = (providers) => {
+  /**
+   * Interpreta um texto, consultando os provedores em ordem até um
+   * reconhecer a intenção
+   *
+   * Entidades de provedores anteriores são mantidas (ex.: a data vinda do
+   * Wit.ai quando só o provedor local reconheceu a intenção).
+   *
+   * @param {string} text - Texto a interpretar
+   * @returns {Promise<Object>} { intent, confidence, entities, provider }
+   */
+  const interpretText = async (text) => {
+    let entities = {};
+    let lastProvider = null;
+
+    for (const provider of providers) {
+      try {
+        const result = await provider.interpret(text);
+        entities = { ...(result.entities || {}), ...entities };
+        lastProvider = provider.name;
+
+        if (result.intent) {
+          return {
+            intent: result.intent,
+            confidence: result.confidence || 0,
+            entities,
+            provider: provider.name,
+          };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Erro no provedor de NLU "${provider.name}":`, error.message || error);
+      }
+    }
+
+    return { intent: null, confidence: 0, entities, provider: lastProvider };
+  };
+
+  /**
+   * Transcreve um áudio e interpreta o texto
+   *
+   * @param {Buffer} audioBuffer - Buffer do áudio
+   * @returns {Promise<Object>} { text, intent, confidence, entities, provider }
+   * @throws {Error} Se nenhum provedor da cadeia transcrever áudio
+   */
+  const processAudio = async (audioBuffer) => {
+    const transcriber = providers.find((provider) => typeof provider.transcribe === "function");
+    if (!transcriber) {
+      throw new Error("Nenhum provedor de NLU com transcrição de áudio configurado (defina WIT_AI_TOKEN)");
+    }
+
+    const text = await transcriber.transcribe(audioBuffer);
+    return {
+      text,
+      ...(await interpretText(text)),
+    };
+  };
+
+  return {
+    interpretText,
+    processAudio,
+    providers: providers.map((provider) => provider.name),
+  };
+};
+
+/**
+ * Monta a cadeia de provedores configurada em NLU_PROVIDER
+ *
+ * @returns {Array<Object>} Provedores (o local sempre por último)
+ */
+const buildProviderChain = () => {
+  const configured = (process.env.NLU_PROVIDER || (process.env.WIT_AI_TOKEN ? "wit" : "local"))
+    .trim()
+    .toLowerCase();
+  const factory = providerFactories[configured];
+
+  if (!factory) {
+    throw new Error(
+      `NLU_PROVIDER inválido: "${configured}". Use um dos seguintes: ${Object.keys(providerFactories).join(", ")}`
+    );
+  }
+
+  const primary = factory();
+  const chain = primary ? [primary] : [];
+  if (!chain.some((provider) => provider.name === "local")) {
+    chain.push(createLocalProvider());
+  }
+
+  console.log(`🧠 Provedores de NLU: ${chain.map((provider) => provider.name).join(" → ")}`);
+  return chain;
+};
+
+// Serviço configurado na primeira importação
+let service = createNluService(buildProviderChain());
+
+/**
+ * Substitui a cadeia de provedores (ex.: provedor falso em testes)
+ *
+ * @param {Array<Object>} providers - Provedores, na ordem de consulta
+ */
+const setNluProviders = (providers) => {
+  service = createNluService(providers);
+};
+
+module.exports = {
+  interpretText: (text) => service.interpretText(text),
+  processAudio: (audioBuffer) => service.processAudio(audioBuffer),
+  createNluService,
+  setNluProviders,
+};
@@ -0,0 +1,426 @@
+/**
+ * Classificador de Intenções Local (offline)
+ *
+ * Identifica o que o usuário quer com a mensagem sem depender de um
+ * serviço externo de NLP. É a base do provedor "local" do serviço de NLU
+ * (services/nlu.js), usado quando o Wit.ai não está configurado, falha ou
+ * não reconhece a mensagem.
+ *
+ * Intenções:
+ * - create_task: "criar tarefa comprar leite", "me lembre de ligar pro João"
+ * - list_tasks: "minhas tarefas", "o que tenho pra hoje?", "atrasadas",
+ *   "mais", "página 2"
+ * - complete_task: "concluir tarefa 2", "já paguei a conta de luz"
+ * - delete_task: "apagar tarefa 3", "cancela a reunião"
+ * - edit_task: "renomear 2 para pagar boleto", "mudar descrição da 1"
+ * - reschedule_task: "adiar a tarefa 1 para amanhã", "remarcar dentista"
+ * - daily_digest: "resumo diário às 7h", "parar resumo", "resumo"
+ * - help: "ajuda", "o que você sabe fazer?"
+ * - greeting / thanks: "oi", "obrigado" (não criam tarefa)
+ *
+ * Como funciona:
+ * 1) Regras: padrões no início da frase ("criar", "listar", "concluir"...)
+ *    decidem com confiança total.
+ * 2) Modelo: sem regra, um classificador Naive Bayes treinado com frases de
+ *    exemplo escolhe a intenção mais provável (palavras e pares de palavras).
+ *    Abaixo de MIN_MODEL_CONFIDENCE, a intenção fica null. Remarcar exige
+ *    um verbo de remarcação (RESCHEDULE_VERB): só um horário ("às 3 da
+ *    tarde reunião") é uma tarefa nova.
+ *
+ * Treino: os exemplos embutidos podem ser ampliados com um arquivo JSON
+ * ({ "intent": ["frase", ...] }) indicado em INTENT_EXAMPLES_FILE.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Confiança mínima do modelo para aceitar uma intenção
+const MIN_MODEL_CONFIDENCE = 0.5;
+
+// Cumprimentos e cortesias que podem abrir um comando ("bom dia, listar tarefas")
+const LEADING_COURTESY = /^(?:(?:oi|ola|opa|eai|e ai|bom dia|boa tarde|boa noite|por favor|pf|pfv|bot)\s+)+/;
+
+// Verbos de remarcação ("adiar", "remarcar", "mudar para"...), em qualquer ponto da frase
+const RESCHEDULE_VERB = /\b(?:adiar|adia|adie|remarcar|remarca|remarque|reagendar|reagenda|reagende|transferir|transfere|empurrar|empurra|empurre|snooze|soneca|(?:mudar|muda|mude|passar|passa|passe|trocar|troca|troque) (?:\S+ ){0,4}?(?:tarefa|lembrete|horario|data|dia|hora|para|pra))\b/;
+
+/**
+ * Regras de intenção, testadas em ordem no texto simplificado
+ * (minúsculas, sem acentos e sem pontuação)
+ */
+const INTENT_RULES = [
+  {
+    intent: "greeting",
+    pattern: /^(?:oi+|ola|opa|eai|e ai|hey|hello|hi|bom dia|boa tarde|boa noite)(?: (?:bot|tudo bem|tudo bom|td bem|como vai|tudo certo))*$/,
+  },
+  {
+    intent: "thanks",
+    pattern: /^(?:muito )?(?:obrigad[oa]|brigad[oa]|obg|valeu|vlw|agradecid[oa]|grat[oa])(?: \S+){0,4}$/,
+  },
+  {
+    intent: "help",
+    pattern: /^(?:ajuda|help|socorro|menu|comandos|instrucoes|como (?:funciona|usar|uso)|o que (?:voce|vc|tu) (?:pode|sabe|consegue) fazer)\b/,
+  },
+  {
+    intent: "list_tasks",
+    pattern: /^(?:(?:listar|lista|liste|mostrar|mostra|mostre|ver|veja|exibir|exibe|quais sao|quais)(?: (?:as|os|minhas|meus|todas|todos))* (?:tarefas|pendencias|lembretes|compromissos)|(?:minha |ver (?:a )?)?lista$|minhas tarefas|meus lembretes|tarefas pendentes|o que (?:eu )?tenho (?:pra|para|que) (?:fazer|hoje|amanha)|(?:tarefas|lembretes|pendencias) (?:de hoje|de amanha|pra hoje|para hoje|pra amanha|para amanha|atrasad[ao]s|vencid[ao]s|em atraso|em andamento)|(?:atrasad[ao]s|vencid[ao]s|em andamento)$|(?:(?:ver|mostrar|mostra|mostre|manda|mande) )?(?:mais|proxima(?: pagina)?)(?: tarefas)?$|pag(?:ina)? \d{1,3}$)\b/,
+  },
+  {
+    intent: "daily_digest",
+    pattern: /^(?:(?:ativar|ativa|ative|ligar|liga|ligue|quero|receber|me (?:manda|mande|envia|envie)|manda|mande|envia|envie|parar|para|pare|desativar|desativa|desative|desligar|desliga|desligue|cancelar|cancela|cancele|nao quero(?: mais)?|sem)(?: (?:o|meu|um))? )?resumo(?: (?:diario|do dia|de hoje|de amanha))?(?: (?:todo dia|todos os dias))?(?: (?:as|pelas|a partir das) \d{1,2}(?: \d{2})?(?: ?(?:h|hs|hora|horas))?(?: (?:da|de) (?:manha|tarde|noite))?| \d{1,2}(?: \d{2})? ?(?:h|hs|hora|horas))?$/,
+  },
+  {
+    intent: "complete_task",
+    pattern: /^(?:concluir|conclui|concluida|concluido|completar|completei|completa|terminei|terminar|termina|finalizar|finalizei|finaliza|feito|feita|fiz|ja fiz|marcar (?:a |o )?(?:tarefa \S+ )?como (?:feita|feito|concluida|concluido)|dar baixa)\b/,
+  },
+  {
+    intent: "delete_task",
+    pattern: /^(?:apagar|apaga|apague|deletar|deleta|delete|excluir|exclui|exclua|remover|remove|remova|cancelar|cancela|cancele|tirar|tira|tire)\b/,
+  },
+  {
+    intent: "edit_task",
+    pattern: /^(?:renomear|renomeia|renomeie|(?:editar|edita|edite|alterar|altera|altere|mudar|muda|mude|trocar|troca|troque|corrigir|corrige|corrija) (?:o |a )?(?:titulo|nome|descricao)\b|(?:editar|edita|edite|alterar|altera|altere) (?:a |o )?(?:tarefa|lembrete)\b)/,
+  },
+  {
+    intent: "reschedule_task",
+    pattern: /^(?:adiar|adia|adie|remarcar|remarca|remarque|reagendar|reagenda|reagende|transferir|transfere|empurrar|empurra|empurre|snooze|soneca|(?:mudar|muda|mude|passar|passa|passe|trocar|troca|troque) (?:a |o )?(?:\d+ )?(?:tarefa|lembrete|horario|data|dia|hora|para|pra))\b/,
+  },
+  {
+    intent: "create_task",
+    pattern: /^(?:criar|crie|cria|adicionar|adicione|adiciona|add|anotar|anote|anota|registrar|registre|cadastrar|cadastre|nova tarefa|novo lembrete|(?:me )?lembr(?:ar|e|a)(?: me)?|nao (?:me )?deix[ae] (?:eu )?esquecer)\b/,
+  },
+];
+
+/**
+ * Frases de exemplo usadas para treinar o modelo
+ */
+const TRAINING_EXAMPLES = {
+  create_task: [
+    "criar tarefa comprar leite",
+    "crie uma tarefa para amanha",
+    "adicionar tarefa estudar matematica",
+    "anota comprar pao",
+    "me lembre de ligar para o joao",
+    "lembrar de pagar a conta de luz",
+    "comprar leite amanha as 15h",
+    "pagar aluguel dia 5",
+    "ligar pro medico sexta",
+    "reuniao com o chefe segunda as 10h",
+    "buscar as criancas na escola",
+    "levar o carro na oficina",
+    "tomar remedio as 8h",
+    "academia toda segunda e quarta",
+    "preciso comprar presente para a maria",
+    "tenho que entregar o relatorio",
+    "marcar consulta no dentista",
+    "fazer exercicios hoje a noite",
+    "regar as plantas",
+    "estudar ingles depois de amanha",
+    "nova tarefa lavar roupa",
+    "dentista quinta as 14h",
+    "as 3 da tarde reuniao",
+    "as 10h dentista",
+    "amanha as 9h ligar pro joao",
+    "hoje a noite buscar o bolo",
+    "fazer resumo do livro",
+    "resumo do livro amanha",
+    "escrever o resumo da aula de historia",
+  ],
+  list_tasks: [
+    "listar tarefas",
+    "mostrar minhas tarefas",
+    "quais sao minhas tarefas",
+    "o que eu tenho pra hoje",
+    "o que tenho que fazer amanha",
+    "tarefas pendentes",
+    "ver lista",
+    "minha lista",
+    "me mostra a lista",
+    "tenho alguma tarefa",
+    "quais lembretes eu tenho",
+    "o que falta fazer",
+    "quantas tarefas eu tenho",
+    "agenda de hoje",
+    "me manda minhas pendencias",
+    "tarefas de hoje",
+    "tarefas atrasadas",
+    "o que esta atrasado",
+    "tarefas em andamento",
+    "ver mais",
+    "proxima pagina",
+    "pagina 2",
+  ],
+  complete_task: [
+    "concluir tarefa 2",
+    "conclui a tarefa de comprar leite",
+    "ja fiz a tarefa 1",
+    "terminei o relatorio",
+    "feito",
+    "marcar como feita",
+    "ja paguei a conta de luz",
+    "ja comprei o leite",
+    "tarefa 3 concluida",
+    "finalizei a numero 2",
+    "pronto ja liguei pro joao",
+    "completei a tarefa",
+    "essa ja foi",
+    "pode dar baixa na tarefa 4",
+  ],
+  delete_task: [
+    "apagar tarefa 3",
+    "deletar a tarefa de comprar leite",
+    "excluir tarefa 1",
+    "remover a reuniao",
+    "cancela a consulta",
+    "nao preciso mais comprar leite",
+    "esquece a tarefa 2",
+    "tira da lista a academia",
+    "pode apagar essa",
+    "nao vou mais ao dentista",
+    "desconsidera a tarefa 5",
+  ],
+  edit_task: [
+    "renomear tarefa 2 para pagar boleto",
+    "renomeia a 1 para comprar pao",
+    "mudar o nome da tarefa 3",
+    "trocar o titulo da reuniao",
+    "mudar descricao da 1",
+    "alterar a descricao da tarefa 2",
+    "editar a tarefa 4",
+    "corrigir o nome da tarefa",
+    "o nome certo da tarefa 2 e pagar boleto",
+  ],
+  reschedule_task: [
+    "adiar tarefa 1 para amanha",
+    "remarcar dentista para sexta",
+    "reagendar a reuniao para as 16h",
+    "muda a tarefa 2 para segunda",
+    "passa a tarefa 3 pra semana que vem",
+    "adia 30 minutos",
+    "empurra pra amanha",
+    "troca o horario da tarefa 1 para as 10h",
+    "pode adiar a reuniao",
+    "da pra remarcar o dentista",
+    "quero mudar para amanha",
+    "muda a reuniao pra sexta",
+    "adiar para mais tarde",
+  ],
+  daily_digest: [
+    "resumo diario as 7h",
+    "quero receber o resumo do dia",
+    "me manda um resumo todo dia de manha",
+    "resumo do dia",
+    "parar resumo",
+    "nao quero mais o resumo diario",
+    "desativar resumo",
+    "como esta meu dia",
+  ],
+  help: [
+    "ajuda",
+    "como funciona",
+    "o que voce faz",
+    "o que voce sabe fazer",
+    "quais comandos existem",
+    "como eu crio uma tarefa",
+    "nao entendi",
+    "me ajuda",
+    "como usar o bot",
+    "menu",
+  ],
+  greeting: [
+    "oi",
+    "ola",
+    "bom dia",
+    "boa tarde",
+    "boa noite",
+    "oi tudo bem",
+    "e ai bot",
+    "opa",
+    "ola tudo bom",
+  ],
+  thanks: [
+    "obrigado",
+    "obrigada",
+    "valeu",
+    "muito obrigado",
+    "brigado pela ajuda",
+    "obrigado bot",
+    "vlw",
+    "show obrigado",
+    "perfeito valeu",
+  ],
+};
+
+/**
+ * Simplifica o texto: minúsculas, sem acentos e sem pontuação
+ *
+ * @param {string} text - Texto original
+ * @returns {string} Texto simplificado
+ */
+const normalizeText = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Extrai as características usadas pelo modelo: palavras (números viram
+ * "<num>") e pares de palavras vizinhas
+ *
+ * @param {string} normalizedText - Texto simplificado
+ * @returns {Array<string>} Características
+ */
+const extractFeatures = (normalizedText) => {
+  const words = normalizedText
+    .split(" ")
+    .filter(Boolean)
+    .map((word) => (/^\d/.test(word) ? "<num>" : word));
+
+  const bigrams = words.slice(1).map((word, index) => `${words[index]}_${word}`);
+  return [...words, ...bigrams];
+};
+
+/**
+ * Cria um classificador Naive Bayes multinomial
+ *
+ * @returns {Object} { train, predict, intents }
+ */
+const createNaiveBayes = () => {
+  const stats = new Map(); // intent -> { documents, tokens, counts }
+  const vocabulary = new Set();
+  let totalDocuments = 0;
+
+  /**
+   * Treina o modelo com frases de exemplo (pode ser chamado várias vezes)
+   *
+   * @param {Object} examples - { intent: ["frase", ...] }
+   */
+  const train = (examples) => {
+    for (const [intent, utterances] of Object.entries(examples)) {
+      if (!stats.has(intent)) {
+        stats.set(intent, { documents: 0, tokens: 0, counts: new Map() });
+      }
+      const entry = stats.get(intent);
+
+      for (const utterance of utterances) {
+        const features = extractFeatures(normalizeText(utterance));
+        if (features.length === 0) {
+          continue;
+        }
+
+        entry.documents += 1;
+        totalDocuments += 1;
+        for (const feature of features) {
+          entry.counts.set(feature, (entry.counts.get(feature) || 0) + 1);
+          entry.tokens += 1;
+          vocabulary.add(feature);
+        }
+      }
+    }
+  };
+
+  /**
+   * Calcula a intenção mais provável
+   *
+   * @param {string} normalizedText - Texto simplificado
+   * @param {Array<string>} [exclude] - Intenções fora da disputa
+   * @returns {Object|null} { intent, confidence } ou null sem treino/texto
+   */
+  const predict = (normalizedText, exclude = []) => {
+    const features = extractFeatures(normalizedText).filter((feature) => vocabulary.has(feature));
+    if (totalDocuments === 0 || features.length === 0) {
+      return null;
+    }
+
+    const candidates = [...stats.entries()].filter(([intent]) => !exclude.includes(intent));
+    const scores = candidates.map(([intent, entry]) => {
+      let score = Math.log(entry.documents / totalDocuments);
+      for (const feature of features) {
+        score += Math.log(((entry.counts.get(feature) || 0) + 1) / (entry.tokens + vocabulary.size));
+      }
+      return { intent, score };
+    });
+
+    // Probabilidades normalizadas (softmax dos log-scores)
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    const total = scores.reduce((sum, { score }) => sum + Math.exp(score - best.score), 0);
+
+    return { intent: best.intent, confidence: 1 / total };
+  };
+
+  return { train, predict, intents: () => [...stats.keys()] };
+};
+
+/**
+ * Lê exemplos extras de treino do arquivo em INTENT_EXAMPLES_FILE
+ *
+ * @returns {Object} { intent: ["frase", ...] } (vazio se não houver arquivo)
+ */
+const loadExtraExamples = () => {
+  const file = process.env.INTENT_EXAMPLES_FILE;
+  if (!file) {
+    return {};
+  }
+
+  try {
+    const examples = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+    console.log(`🧠 Exemplos extras de intenções carregados de ${file}`);
+    return examples;
+  } catch (error) {
+    console.warn(`⚠️ Não foi possível ler INTENT_EXAMPLES_FILE (${file}):`, error.message);
+    return {};
+  }
+};
+
+// Modelo treinado na carga do módulo
+const model = createNaiveBayes();
+model.train(TRAINING_EXAMPLES);
+model.train(loadExtraExamples());
+
+/**
+ * Classifica a intenção de uma mensagem
+ *
+ * @param {string} text - Mensagem do usuário
+ * @returns {Object} { intent, entities, confidence, source } - mesmo formato
+ *   do Wit.ai; `source` é "rules" ou "model" (intent null se nada for
+ *   reconhecido com confiança)
+ */
+const classifyIntent = (text) => {
+  const normalized = normalizeText(text);
+  const result = { intent: null, entities: {}, confidence: 0, source: "model" };
+
+  if (!normalized) {
+    return result;
+  }
+
+  const withoutCourtesy = normalized.replace(LEADING_COURTESY, "") || normalized;
+  for (const { intent, pattern } of INTENT_RULES) {
+    if (pattern.test(normalized) || pattern.test(withoutCourtesy)) {
+      return { ...result, intent, confidence: 1, source: "rules" };
+    }
+  }
+
+  // Sem verbo de remarcação, um horário solto não é pedido para remarcar
+  const exclude = RESCHEDULE_VERB.test(withoutCourtesy) ? [] : ["reschedule_task"];
+  const prediction = model.predict(withoutCourtesy, exclude);
+  if (prediction && prediction.confidence >= MIN_MODEL_CONFIDENCE) {
+    return { ...result, intent: prediction.intent, confidence: prediction.confidence };
+  }
+
+  return { ...result, confidence: prediction ? prediction.confidence : 0 };
+};
+
+/**
+ * Acrescenta frases de exemplo ao modelo em execução
+ *
+ * @param {Object} examples - { intent: ["frase", ...] }
+ */
+const trainIntents = (examples) => model.train(examples);
+
+module.exports = {
+  classifyIntent,
+  trainIntents,
+  normalizeText,
+};
@@ -0,0 +1,36 @@
+/**
+ * Provedor de NLU: Classificador Local
+ *
+ * Interpreta mensagens sem serviço externo, com as regras e o modelo de
+ * services/nlu/intentClassifier.js.
+ *
+ * Só decide a intenção: não extrai entidades. Título e data/hora das
+ * tarefas vêm do próprio texto (utils/taskDraft.js), no fuso do usuário.
+ * Não transcreve áudio.
+ */
+
+const { classifyIntent } = require("./intentClassifier");
+
+/**
+ * Cria o provedor local
+ *
+ * @returns {Object} Provedor de NLU ({ name, interpret })
+ */
+const createLocalProvider = () => ({
+  name: "local",
+
+  /**
+   * Classifica a intenção de um texto
+   *
+   * @param {string} text - Texto a interpretar
+   * @returns {Promise<Object>} { intent, confidence, entities }
+   */
+  interpret: async (text) => {
+    const { intent, confidence } = classifyIntent(text);
+    return { intent, confidence, entities: {} };
+  },
+});
+
+module.exports = {
+  createLocalProvider,
+};
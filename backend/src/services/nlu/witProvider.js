@@ -0,0 +1,114 @@
+/**
+ * Provedor de NLU: Wit.ai
+ *
+ * Gerencia integração com Wit.ai para processamento de linguagem natural.
+ *
+ * Funcionalidades:
+ * - Interpretar texto em português
+ * - Extrair intents (intenções) e entities (entidades)
+ * - Transcrever comandos de voz
+ *
+ * As entidades do Wit.ai ("wit$datetime:datetime", "task_name:task_name")
+ * são convertidas para os nomes normalizados do serviço de NLU
+ * (`datetime`, `title`...), para que o resto do backend não dependa do
+ * formato do Wit.ai.
+ *
+ * Por que Wit.ai?
+ * - Plano gratuito disponível
+ * - Suporta português brasileiro
+ * - Fácil de configurar e usar
+ * - Ideal para MVP de TCC
+ */
+
+const { Wit } = require("node-wit");
+
+/**
+ * Nomes de entidades do Wit.ai que mudam no formato normalizado
+ * (as demais perdem apenas o prefixo "wit$" e o papel após ":")
+ */
+const ENTITY_ALIASES = {
+  task_name: "title",
+};
+
+/**
+ * Converte as entidades do Wit.ai no formato normalizado
+ *
+ * Fica o primeiro valor de cada entidade; em intervalos de data
+ * ("de 10h às 11h"), o início.
+ *
+ * @param {Object} rawEntities - `entities` da resposta do Wit.ai
+ * @returns {Object} Entidades normalizadas ({ title, datetime, ... })
+ */
+const normalizeWitEntities = (rawEntities = {}) => {
+  const entities = {};
+
+  Object.keys(rawEntities).forEach((key) => {
+    const entity = rawEntities[key];
+    if (!entity || entity.length === 0) {
+      return;
+    }
+
+    const baseName = key.split(":")[0].replace(/^wit\$/, "");
+    const name = ENTITY_ALIASES[baseName] || baseName;
+    const value = entity[0].value !== undefined ? entity[0].value : entity[0].from?.value;
+
+    if (value !== undefined && entities[name] === undefined) {
+      entities[name] = value;
+    }
+  });
+
+  return entities;
+};
+
+/**
+ * Cria o provedor Wit.ai
+ *
+ * @param {Object} options
+ * @param {string} options.accessToken - Server Access Token do app no Wit.ai
+ * @returns {Object} Provedor de NLU ({ name, interpret, transcribe })
+ */
+const createWitProvider = ({ accessToken }) => {
+  const client = new Wit({ accessToken });
+
+  /**
+   * Interpreta um texto usando Wit.ai
+   *
+   * @param {string} text - Texto a interpretar
+   * @returns {Promise<Object>} { intent, confidence, entities }
+   */
+  const interpret = async (text) => {
+    const result = await client.message(text, {});
+    const topIntent = result.intents && result.intents.length > 0 ? result.intents[0] : null;
+
+    return {
+      intent: topIntent ? topIntent.name : null,
+      confidence: topIntent ? topIntent.confidence : 0,
+      entities: normalizeWitEntities(result.entities),
+    };
+  };
+
+  /**
+   * Transcreve um arquivo de áudio usando Wit.ai
+   *
+   * @param {Buffer} audioBuffer - Buffer do áudio
+   * @returns {Promise<string>} Texto transcrito
+   */
+  const transcribe = async (audioBuffer) => {
+    const result = await client.speech(audioBuffer, {
+      contentType: "audio/wav", // Ajustar conforme formato do áudio
+    });
+
+    return result._text || result.text || "";
+  };
+
+  return {
+    name: "wit",
+    interpret,
+    transcribe,
+  };
+};
+
+module.exports = {
+  createWitProvider,
+  normalizeWitEntities,
+};
@@ -0,0 +1,194 @@
+/**
+ * Serviço de Pareamento (app <-> WhatsApp)
+ *
+ * Liga o telefone que conversa com o bot à conta que usa o app.
+ *
+ * Fluxo:
+ * 1. O app (autenticado) pede um código de 6 dígitos.
+ * 2. O usuário envia "vincular 123456" para o bot pelo WhatsApp.
+ * 3. O webhook resgata o código e vincula o telefone remetente à conta.
+ *
+ * Os códigos ficam só em memória: valem poucos minutos e, se o servidor
+ * reiniciar, basta pedir outro pelo app.
+ *
+ * O webhook não é autenticado e o telefone remetente vem do payload, então
+ * o limite por telefone sozinho não segura quem varia o número. Por isso
+ * cada palpite errado também conta contra todos os códigos ativos (que são
+ * invalidados depois de MAX_CODE_MISSES erros) e contra um limite global.
+ */
+
+const crypto = require("crypto");
+const db = require("../config/database");
+
+// Validade de um código de pareamento
+const PAIRING_CODE_TTL_MINUTES = parseInt(process.env.PAIRING_CODE_TTL_MINUTES, 10) || 10;
+
+// Tentativas erradas por telefone antes do bloqueio temporário
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPTS_WINDOW_MS = 15 * 60 * 1000;
+
+// Palpites errados que um código ativo tolera antes de ser invalidado
+const MAX_CODE_MISSES = 10;
+
+// Tentativas erradas somando todos os telefones, na mesma janela
+const MAX_GLOBAL_FAILED_ATTEMPTS = 100;
+
+// Comando aceito no WhatsApp (ex.: "vincular 123456")
+const PAIRING_COMMAND_REGEX = /^\s*vincular\s+(\d{6})\s*$/i;
+
+// Códigos ativos: código -> { userId, expiresAt, misses }
+const activeCodes = new Map();
+
+// Tentativas erradas: telefone -> { count, resetAt }
+const failedAttempts = new Map();
+
+// Tentativas erradas de todos os telefones: { count, resetAt }
+let globalFailedAttempts = null;
+
+/**
+ * Cria um erro de pareamento com código
+ *
+ * @param {string} message - Mensagem do erro
+ * @param {string} code - Código do erro
+ * @returns {Error} Erro com `code`
+ */
+const createPairingError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Remove códigos expirados e janelas de tentativas vencidas
+ */
+const purgeExpired = () => {
+  const now = Date.now();
+
+  for (const [code, entry] of activeCodes) {
+    if (entry.expiresAt <= now) {
+      activeCodes.delete(code);
+    }
+  }
+
+  for (const [phone, entry] of failedAttempts) {
+    if (entry.resetAt <= now) {
+      failedAttempts.delete(phone);
+    }
+  }
+
+  if (globalFailedAttempts && globalFailedAttempts.resetAt <= now) {
+    globalFailedAttempts = null;
+  }
+};
+
+/**
+ * Registra um palpite errado no telefone, nos códigos ativos e no total
+ *
+ * @param {string} phone - Telefone remetente
+ */
+const recordFailedAttempt = (phone) => {
+  const now = Date.now();
+
+  const attempts = failedAttempts.get(phone);
+  failedAttempts.set(phone, {
+    count: (attempts ? attempts.count : 0) + 1,
+    resetAt: attempts ? attempts.resetAt : now + FAILED_ATTEMPTS_WINDOW_MS,
+  });
+
+  globalFailedAttempts = {
+    count: (globalFailedAttempts ? globalFailedAttempts.count : 0) + 1,
+    resetAt: globalFailedAttempts ? globalFailedAttempts.resetAt : now + FAILED_ATTEMPTS_WINDOW_MS,
+  };
+
+  for (const [code, entry] of activeCodes) {
+    entry.misses += 1;
+    if (entry.misses >= MAX_CODE_MISSES) {
+      activeCodes.delete(code);
+    }
+  }
+};
+
+/**
+ * Gera um código de pareamento para a conta
+ *
+ * Um novo pedido invalida o código anterior da mesma conta.
+ *
+ * @param {string} userId - ID da conta autenticada
+ * @returns {Object} { code, expires_at, expires_in }
+ */
+const createPairingCode = (userId) => {
+  purgeExpired();
+
+  for (const [code, entry] of activeCodes) {
+    if (entry.userId === userId) {
+      activeCodes.delete(code);
+    }
+  }
+
+  let code;
+  do {
+    code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  } while (activeCodes.has(code));
+
+  const expiresAt = Date.now() + PAIRING_CODE_TTL_MINUTES * 60 * 1000;
+  activeCodes.set(code, { userId, expiresAt, misses: 0 });
+
+  return {
+    code,
+    expires_at: new Date(expiresAt).toISOString(),
+    expires_in: PAIRING_CODE_TTL_MINUTES * 60,
+  };
+};
+
+/**
+ * Extrai o código de uma mensagem "vincular 123456"
+ *
+ * @param {string} message - Texto recebido no WhatsApp
+ * @returns {string|null} Código, ou null se a mensagem não for o comando
+ */
+const parsePairingCommand = (message) => {
+  const match = PAIRING_COMMAND_REGEX.exec(String(message || ""));
+  return match ? match[1] : null;
+};
+
+/**
+ * Resgata um código e vincula o telefone à conta que o gerou
+ *
+ * Erros (com `code`):
+ * - PAIRING_TOO_MANY_ATTEMPTS: telefone (ou o conjunto de todos os
+ *   telefones) errou o código vezes demais
+ * - PAIRING_CODE_INVALID: código inexistente, expirado, já usado ou
+ *   invalidado por palpites errados
+ *
+ * @param {string} code - Código de 6 dígitos
+ * @param {string} phone - Telefone remetente
+ * @returns {Object} { user, transferredTasks }
+ */
+const redeemPairingCode = (code, phone) => {
+  purgeExpired();
+
+  const attempts = failedAttempts.get(phone);
+  const globalBlocked = globalFailedAttempts && globalFailedAttempts.count >= MAX_GLOBAL_FAILED_ATTEMPTS;
+  if (globalBlocked || (attempts && attempts.count >= MAX_FAILED_ATTEMPTS)) {
+    throw createPairingError("Muitas tentativas de pareamento", "PAIRING_TOO_MANY_ATTEMPTS");
+  }
+
+  const entry = activeCodes.get(code);
+  const result = entry ? db.linkPhoneToUser(entry.userId, phone) : null;
+
+  if (!result) {
+    recordFailedAttempt(phone);
+    throw createPairingError("Código de pareamento inválido ou expirado", "PAIRING_CODE_INVALID");
+  }
+
+  activeCodes.delete(code);
+  failedAttempts.delete(phone);
+
+  return result;
+};
+
+module.exports = {
+  createPairingCode,
+  parsePairingCommand,
+  redeemPairingCode,
+};
@@ -0,0 +1,70 @@
+/**
+ * Serviço de Tarefas Recorrentes
+ *
+ * Gera a próxima ocorrência quando uma tarefa recorrente é concluída.
+ *
+ * Regras:
+ * - Só a transição para "completed" gera ocorrência (criar uma tarefa já
+ *   concluída ou salvá-la de novo como concluída não gera).
+ * - A regra passa para a nova ocorrência; a ocorrência concluída fica sem
+ *   `recurrence` (vira histórico). Assim, reabrir e concluir de novo não
+ *   duplica a próxima ocorrência.
+ * - Com `count`, a nova ocorrência recebe count - 1; count 1 era a última.
+ *
+ * Usado pelas rotas REST e pela sincronização, para que concluir a tarefa
+ * no app, na API ou no WhatsApp tenha o mesmo efeito.
+ */
+
+const db = require("../config/database");
+const { getNextOccurrence } = require("../utils/recurrence");
+
+/**
+ * Trata a conclusão de uma tarefa recorrente
+ *
+ * @param {Object|null} previousTask - Tarefa antes da atualização
+ * @param {Object|null} updatedTask - Tarefa depois da atualização
+ * @returns {Object} { task, nextTask } - task é a versão final da tarefa
+ *   atualizada; nextTask é a ocorrência criada (ou null)
+ */
+const handleTaskCompletion = (previousTask, updatedTask) => {
+  const result = { task: updatedTask, nextTask: null };
+
+  if (
+    !previousTask ||
+    !updatedTask ||
+    previousTask.status === "completed" ||
+    updatedTask.status !== "completed" ||
+    !updatedTask.recurrence ||
+    !updatedTask.scheduled_at
+  ) {
+    return result;
+  }
+
+  const { recurrence } = updatedTask;
+  result.task = db.updateTask(updatedTask.id, { recurrence: null }, updatedTask.owner_id);
+
+  const nextScheduledAt = getNextOccurrence(updatedTask.scheduled_at, recurrence);
+  if (!nextScheduledAt) {
+    console.log(`🔁 Recorrência encerrada: "${updatedTask.title}"`);
+    return result;
+  }
+
+  result.nextTask = db.createTask({
+    owner_id: updatedTask.owner_id,
+    title: updatedTask.title,
+    description: updatedTask.description,
+    status: "pending",
+    scheduled_at: nextScheduledAt,
+    recurrence: {
+      ...recurrence,
+      count: recurrence.count ? recurrence.count - 1 : null,
+    },
+  });
+
+  console.log(`🔁 Próxima ocorrência de "${updatedTask.title}": ${nextScheduledAt}`);
+  return result;
+};
+
+module.exports = {
+  handleTaskCompletion,
+};
@@ -0,0 +1,306 @@
+/**
+ * Serviço de Lembretes (agendador no servidor)
+ *
+ * Avisa o dono no horário da tarefa (scheduled_at) e, se ele quiser, alguns
+ * minutos antes ("em 15 minutos"), pelo WhatsApp e/ou por push (FCM). Sem
+ * ele, só o app lembrava (notificação local): uma tarefa criada pelo
+ * WhatsApp num telefone sem o app não avisava ninguém.
+ *
+ * Como funciona:
+ * - Não há fila de jobs: a cada verificação, os lembretes são calculados a
+ *   partir das tarefas em aberto (scheduled_at menos cada antecedência).
+ *   Remarcar, concluir ou apagar uma tarefa, por qualquer caminho (app,
+ *   WhatsApp, sincronização), já muda o cálculo seguinte.
+ * - O ID do lembrete junta tarefa, horário e antecedência
+ *   ("task_1|2024-12-25T18:00:00.000Z|15"). Os enviados ficam registrados no
+ *   banco (getSentReminderIds/recordSentReminder), então reiniciar o servidor
+ *   não repete lembretes e remarcar a tarefa gera lembretes novos.
+ * - Servidor fora do ar no horário: o lembrete ainda sai até
+ *   REMINDER_MAX_DELAY_MINUTES depois.
+ * - Lembretes cujo horário já tinha passado quando a tarefa foi criada ou
+ *   alterada não são enviados (ex.: "15 minutos antes" de uma tarefa criada
+ *   para daqui a 5 minutos).
+ *
+ * Preferências do usuário (PATCH /api/users/me; null usa o padrão do servidor):
+ * - reminder_lead_minutes: antecedências em minutos ([15, 0] = 15 minutos
+ *   antes e na hora); padrão em REMINDER_LEAD_MINUTES ("15,0"), senão [0]
+ * - reminder_channels: "whatsapp" e/ou "push" ([] desliga); padrão em
+ *   REMINDER_CHANNELS, senão só WhatsApp (o app já agenda notificações locais)
+ */
+
+const db = require("../config/database");
+const whatsappService = require("./whatsapp");
+const fcmService = require("./fcm");
+const conversationService = require("./conversation");
+const { resolveTimeZone } = require("../utils/timezone");
+const { formatListDate } = require("../utils/taskList");
+const {
+  MAX_LEAD_MINUTES,
+  isValidLeadMinutes,
+  isValidChannels,
+  normalizeLeadMinutes,
+} = require("../models/User");
+
+// Intervalo entre as verificações do agendador
+const REMINDER_CHECK_INTERVAL = 30 * 1000;
+
+// Atraso máximo para enviar um lembrete (servidor fora do ar no horário)
+const REMINDER_MAX_DELAY_MINUTES = 60;
+
+// Tarefas examinadas por verificação (as mais próximas primeiro)
+const REMINDER_BATCH_SIZE = 500;
+
+/**
+ * Lê uma lista separada por vírgulas de variável de ambiente
+ *
+ * @param {string} value - Valor da variável
+ * @returns {Array<string>} Itens
+ */
+const parseEnvList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const envLeadMinutes = parseEnvList(process.env.REMINDER_LEAD_MINUTES).map(Number);
+const DEFAULT_LEAD_MINUTES = isValidLeadMinutes(envLeadMinutes) ? normalizeLeadMinutes(envLeadMinutes) : [0];
+
+const envChannels = parseEnvList(process.env.REMINDER_CHANNELS);
+const DEFAULT_CHANNELS = process.env.REMINDER_CHANNELS !== undefined && isValidChannels(envChannels)
+  ? envChannels
+  : ["whatsapp"];
+
+let schedulerTimer = null;
+
+/**
+ * Descreve a antecedência ("15 minutos", "1 hora", "1h30")
+ *
+ * @param {number} minutes - Antecedência
+ * @returns {string} Texto
+ */
+const describeLead = (minutes) => {
+  if (minutes < 60) {
+    return `${minutes} minuto${minutes === 1 ? "" : "s"}`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (rest > 0) {
+    return `${hours}h${String(rest).padStart(2, "0")}`;
+  }
+  return `${hours} hora${hours === 1 ? "" : "s"}`;
+};
+
+/**
+ * Monta o texto do lembrete
+ *
+ * @param {Object} task - Tarefa
+ * @param {number} leadMinutes - Antecedência do lembrete
+ * @param {Object} options - { timeZone, now }
+ * @returns {Object} { title, body } - título curto (push) e corpo
+ */
+const buildReminderText = (task, leadMinutes, { timeZone, now }) => {
+  const when = formatListDate(task.scheduled_at, timeZone, now);
+  const minutesLeft = Math.round((new Date(task.scheduled_at) - now) / 60000);
+
+  if (leadMinutes > 0 && minutesLeft > 0) {
+    return { title: `⏰ Em ${describeLead(minutesLeft)}`, body: `"${task.title}" (${when})` };
+  }
+  return { title: "⏰ Lembrete", body: `"${task.title}" (${when})` };
+};
+
+/**
+ * Entrega os lembretes de um dono nos canais dele
+ *
+ * Pelo WhatsApp vai uma única mensagem; as tarefas viram a lista numerada
+ * da conversa, então "concluir 1" e "adiar 1 10 minutos" funcionam na
+ * resposta. Por push vai uma notificação por tarefa.
+ *
+ * @param {Object} owner - Usuário dono
+ * @param {Array<Object>} reminders - { task, leadMinutes }
+ * @param {Date} now - Data de referência
+ * @returns {Promise<Array<string>>} Canais em que o envio funcionou
+ */
+const deliverReminders = async (owner, reminders, now) => {
+  const channels = owner.reminder_channels || DEFAULT_CHANNELS;
+  const timeZone = resolveTimeZone(owner.timezone);
+  const texts = reminders.map(({ task, leadMinutes }) => buildReminderText(task, leadMinutes, { timeZone, now }));
+  const delivered = [];
+
+  if (channels.includes("whatsapp") && owner.phone) {
+    const message = texts.length === 1
+      ? `${texts[0].title}: ${texts[0].body}`
+      : `⏰ Lembretes:\n\n${texts.map(({ body }, index) => `${index + 1}. ${body}`).join("\n")}`;
+
+    try {
+      conversationService.setSessionData(owner.phone, "taskList", {
+        taskIds: reminders.map(({ task }) => task.id),
+        filter: null,
+        page: 1,
+      });
+      await whatsappService.sendWhatsAppMessage(
+        owner.phone,
+        `${message}\n\nResponda "concluir 1" quando terminar ou "adiar 1 10 minutos".`
+      );
+      delivered.push("whatsapp");
+    } catch (error) {
+      console.error(`❌ Erro ao enviar lembrete pelo WhatsApp (${owner.id}):`, error.message);
+    }
+  }
+
+  if (channels.includes("push")) {
+    for (const [index, { task }] of reminders.entries()) {
+      try {
+        const result = await fcmService.sendNotification(
+          { ...texts[index], data: { taskId: task.id, type: "reminder" } },
+          owner.id
+        );
+        if (result && result.success !== false && !delivered.includes("push")) {
+          delivered.push("push");
+        }
+      } catch (error) {
+        console.error(`❌ Erro ao enviar lembrete por push (${task.id}):`, error.message);
+      }
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Calcula os lembretes vencidos e ainda não enviados
+ *
+ * @param {Date} now - Data de referência
+ * @returns {Array<Object>} { id, task, owner, leadMinutes, remindAt }
+ */
+const findDueReminders = (now) => {
+  const maxDelay = REMINDER_MAX_DELAY_MINUTES * 60 * 1000;
+  const { tasks } = db.queryTasks({
+    statuses: ["pending", "in_progress"],
+    scheduledAfter: new Date(now.getTime() - maxDelay).toISOString(),
+    scheduledBefore: new Date(now.getTime() + MAX_LEAD_MINUTES * 60 * 1000).toISOString(),
+    sort: "scheduled",
+    direction: "asc",
+    limit: REMINDER_BATCH_SIZE,
+    offset: 0,
+  });
+
+  const owners = new Map();
+  const due = [];
+
+  for (const task of tasks) {
+    if (!task.owner_id) {
+      continue;
+    }
+    if (!owners.has(task.owner_id)) {
+      owners.set(task.owner_id, db.getUserById(task.owner_id));
+    }
+    const owner = owners.get(task.owner_id);
+    if (!owner) {
+      continue;
+    }
+
+    const scheduledAt = new Date(task.scheduled_at).getTime();
+    const changedAt = new Date(task.updated_at || task.created_at).getTime();
+
+    for (const leadMinutes of owner.reminder_lead_minutes || DEFAULT_LEAD_MINUTES) {
+      const remindAt = scheduledAt - leadMinutes * 60 * 1000;
+      if (remindAt > now.getTime() || remindAt < now.getTime() - maxDelay || remindAt < changedAt) {
+        continue;
+      }
+      due.push({
+        id: `${task.id}|${new Date(scheduledAt).toISOString()}|${leadMinutes}`,
+        task,
+        owner,
+        leadMinutes,
+        remindAt: new Date(remindAt).toISOString(),
+      });
+    }
+  }
+
+  const sent = new Set(db.getSentReminderIds(due.map((reminder) => reminder.id)));
+  return due.filter((reminder) => !sent.has(reminder.id));
+};
+
+/**
+ * Envia os lembretes cujo horário chegou
+ *
+ * O lembrete é registrado antes do envio: uma falha de entrega perde o
+ * lembrete em vez de repeti-lo a cada verificação. Se houver mais de um
+ * vencido para a mesma tarefa (servidor fora do ar), só o mais recente é
+ * enviado.
+ *
+ * @param {Date} [now] - Data de referência
+ * @returns {Promise<number>} Quantidade de lembretes enviados
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const due = findDueReminders(now);
+  const latestByTask = new Map();
+  let sent = 0;
+
+  for (const reminder of due) {
+    db.recordSentReminder({
+      id: reminder.id,
+      task_id: reminder.task.id,
+      owner_id: reminder.owner.id,
+      remind_at: reminder.remindAt,
+      sent_at: now.toISOString(),
+    });
+
+    const latest = latestByTask.get(reminder.task.id);
+    if (!latest || reminder.remindAt > latest.remindAt) {
+      latestByTask.set(reminder.task.id, reminder);
+    }
+  }
+
+  // Um envio por dono, com todas as tarefas dele
+  const byOwner = new Map();
+  for (const reminder of latestByTask.values()) {
+    if (!byOwner.has(reminder.owner.id)) {
+      byOwner.set(reminder.owner.id, { owner: reminder.owner, reminders: [] });
+    }
+    byOwner.get(reminder.owner.id).reminders.push(reminder);
+  }
+
+  for (const { owner, reminders } of byOwner.values()) {
+    const delivered = await deliverReminders(owner, reminders, now);
+    if (delivered.length > 0) {
+      sent += reminders.length;
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`⏰ ${sent} lembrete(s) enviado(s)`);
+  }
+
+  return sent;
+};
+
+/**
+ * Inicia o agendador de lembretes
+ */
+const startReminderScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const check = () => {
+    sendDueReminders().catch((error) => console.error("❌ Erro no agendador de lembretes:", error));
+  };
+
+  // Primeira verificação já na inicialização: lembretes perdidos com o
+  // servidor fora do ar saem sem esperar o intervalo
+  check();
+  // unref: o timer não impede o processo de encerrar
+  schedulerTimer = setInterval(check, REMINDER_CHECK_INTERVAL);
+  schedulerTimer.unref();
+
+  console.log(
+    `⏰ Agendador de lembretes iniciado (antecedência padrão: ${DEFAULT_LEAD_MINUTES.join(", ")} min; ` +
+      `canais: ${DEFAULT_CHANNELS.join(", ") || "nenhum"})`
+  );
+};
+
+module.exports = {
+  sendDueReminders,
+  startReminderScheduler,
+};
@@ -1,199 +1,1227 @@
 /**
  * Utilitário para Parsing de Data/Hora
- * 
+ *
  * Converte expressões de data/hora em português para formato ISO 8601.
- * 
+ *
  * Suporta:
- * - Linguagem natural: "amanhã às 15h", "hoje às 20:30", "próxima segunda às 10h"
- * - Formato estruturado: "25/12/2024 15:00", "2024-12-25 15:00"
+ * - Dias: "hoje", "amanhã", "depois de amanhã", "no fim de semana"
+ * - Dias da semana: "na sexta", "próxima segunda", "sexta que vem",
+ *   "sábado e domingo" (o mais próximo deles)
+ * - Datas: "dia 15", "15 de março", "25/12/2024", "2024-12-25"
+ * - Horários: "às 15h", "15:30", "meio-dia", "às 3 da tarde", "de manhã",
+ *   "à noite", "às oito e meia"
+ * - Prazos: "daqui a 2 horas", "em 30 minutos", "daqui a 3 dias", "em 1 mês"
+ * - Durações soltas, para adiar tarefas: "30 minutos", "1 hora e meia"
+ *   (parseDuration + addDuration)
+ * - Repetição: "toda segunda às 9h", "todo dia 5", "diariamente às 8h",
+ *   "a cada 2 semanas" (regra no formato de utils/recurrence.js)
+ *
+ * O texto é quebrado em tokens (palavras sem acento, números, datas e
+ * horários como "15h30") e cada regra reconhece uma sequência de tokens a
+ * partir de uma posição. Além da data, o parser devolve os trechos
+ * reconhecidos (`spans`), para que o título da tarefa possa ser limpo das
+ * palavras de data.
+ *
+ * "Amanhã às 15h" é calculado no fuso do usuário (opção `timeZone`, padrão
+ * DEFAULT_TIMEZONE), não no fuso do servidor: as contas de calendário são
+ * feitas no relógio de parede do fuso (ver utils/timezone.js).
  */
 
+const { normalizeRecurrence } = require("./recurrence");
+const { resolveTimeZone, toWallClock, fromWallClock } = require("./timezone");
+
+// Horário usado quando a frase tem dia mas não tem hora
+const DEFAULT_HOUR = 9;
+
+// Horário usado para períodos do dia sem hora ("de manhã", "à noite")
+const PERIOD_HOURS = {
+  madrugada: 3,
+  manha: 9,
+  tarde: 15,
+  noite: 20,
+};
+
+const WEEKDAY_INDEX = {
+  domingo: 0,
+  segunda: 1,
+  terca: 2,
+  quarta: 3,
+  quinta: 4,
+  sexta: 5,
+  sabado: 6,
+};
+
+const MONTH_INDEX = {
+  janeiro: 0,
+  fevereiro: 1,
+  marco: 2,
+  abril: 3,
+  maio: 4,
+  junho: 5,
+  julho: 6,
+  agosto: 7,
+  setembro: 8,
+  outubro: 9,
+  novembro: 10,
+  dezembro: 11,
+};
+
+// Números por extenso ("às oito e meia", "a cada dois dias")
+const NUMBER_WORDS = {
+  zero: 0,
+  um: 1,
+  uma: 1,
+  dois: 2,
+  duas: 2,
+  tres: 3,
+  quatro: 4,
+  cinco: 5,
+  seis: 6,
+  sete: 7,
+  oito: 8,
+  nove: 9,
+  dez: 10,
+  onze: 11,
+  doze: 12,
+  treze: 13,
+  catorze: 14,
+  quatorze: 14,
+  quinze: 15,
+  dezesseis: 16,
+  dezessete: 17,
+  dezoito: 18,
+  dezenove: 19,
+  vinte: 20,
+  trinta: 30,
+  quarenta: 40,
+  cinquenta: 50,
+};
+
+// Preposições incorporadas ao trecho de uma data ("para amanhã", "na sexta")
+const DATE_CONNECTORS = new Set([
+  "para", "pra", "pro", "na", "no", "nas", "nos", "nesta", "neste", "nessa",
+  "nesse", "esta", "este", "essa", "esse", "ate", "em",
+]);
+
+// Palavras que, antes de um dia da semana, indicam que é uma data
+// ("na segunda") e não um ordinal ("a segunda prova")
+const WEEKDAY_PREFIXES = new Set([...DATE_CONNECTORS, "toda", "todo", "todas", "todos", "as", "aos"]);
+
+// Artigos que fazem de um dia da semana no fim da frase um ordinal
+// ("concluir a segunda")
+const ORDINAL_ARTICLES = new Set(["a", "o", "da", "do"]);
+
+// Dia da semana no texto sem acento (singular ou plural, com ou sem "-feira")
+const WEEKDAY_PATTERN = "(domingo|segunda|terca|quarta|quinta|sexta|sabado)s?(?:[-\\s]feiras?)?";
+
 /**
- * Converte expressão de data/hora em português para ISO 8601
- * 
- * @param {string} text - Texto contendo data/hora
- * @returns {string|null} Data/hora em formato ISO 8601 ou null se não encontrado
+ * Converte o texto para minúsculas sem acentos, mantendo o tamanho
+ * (as posições dos trechos valem para o texto original)
+ *
+ * @param {string} text - Texto original
+ * @returns {string} Texto simplificado
  */
-const parseDateTime = (text) => {
-  if (!text || typeof text !== "string") {
+const toPlainText = (text) =>
+  text.toLowerCase().replace(/[à-ÿ]/g, (char) => char.normalize("NFD")[0]);
+
+/**
+ * Quebra o texto em tokens
+ *
+ * @param {string} plainText - Texto simplificado (toPlainText)
+ * @returns {Array<Object>} Tokens { value, start, end }
+ */
+const tokenize = (plainText) => {
+  const regex = /\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?|\d{1,2}(?::\d{2}|h(?:\d{2})?)(?![a-z\d])|\d+|[a-z]+/g;
+  const tokens = [];
+  let match;
+
+  while ((match = regex.exec(plainText)) !== null) {
+    tokens.push({ value: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  return tokens;
+};
+
+/**
+ * Verifica se o token na posição é uma das palavras
+ *
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Posição
+ * @param {...string} words - Palavras aceitas
+ * @returns {boolean}
+ */
+const isWord = (tokens, index, ...words) => Boolean(tokens[index]) && words.includes(tokens[index].value);
+
+/**
+ * Lê um número em algarismos ou por extenso ("8", "oito", "quarenta e cinco")
+ *
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Posição
+ * @returns {Object|null} { value, length } ou null
+ */
+const readNumber = (tokens, index) => {
+  const token = tokens[index];
+  if (!token) {
     return null;
   }
 
-  const lowerText = text.toLowerCase().trim();
-  const now = new Date();
-  let targetDate = new Date(now);
-
-  // Padrões de data/hora estruturados
-  // Formato: DD/MM/YYYY HH:mm ou YYYY-MM-DD HH:mm
-  const structuredPatterns = [
-    /(\d{2})\/(\d{2})\/(\d{4})\s+(\d{1,2}):(\d{2})/, // 25/12/2024 15:00
-    /(\d{4})-(\d{2})-(\d{2})\s+(\d{1,2}):(\d{2})/,   // 2024-12-25 15:00
-    /(\d{2})\/(\d{2})\/(\d{4})\s+(\d{1,2})h/,        // 25/12/2024 15h
-  ];
-
-  for (const pattern of structuredPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      if (pattern === structuredPatterns[0] || pattern === structuredPatterns[2]) {
-        // DD/MM/YYYY
-        const day = parseInt(match[1], 10);
-        const month = parseInt(match[2], 10) - 1; // Mês é 0-indexed
-        const year = parseInt(match[3], 10);
-        const hour = parseInt(match[4], 10);
-        const minute = pattern === structuredPatterns[0] ? parseInt(match[5], 10) : 0;
-        targetDate = new Date(year, month, day, hour, minute, 0, 0);
-      } else {
-        // YYYY-MM-DD
-        const year = parseInt(match[1], 10);
-        const month = parseInt(match[2], 10) - 1;
-        const day = parseInt(match[3], 10);
-        const hour = parseInt(match[4], 10);
-        const minute = parseInt(match[5], 10);
-        targetDate = new Date(year, month, day, hour, minute, 0, 0);
-      }
+  if (/^\d+$/.test(token.value)) {
+    return { value: parseInt(token.value, 10), length: 1 };
+  }
+
+  const value = NUMBER_WORDS[token.value];
+  if (value === undefined) {
+    return null;
+  }
+
+  // "vinte e cinco", "quarenta e cinco"
+  const unit = tokens[index + 2] ? NUMBER_WORDS[tokens[index + 2].value] : undefined;
+  if (value >= 20 && isWord(tokens, index + 1, "e") && unit !== undefined && unit > 0 && unit < 10) {
+    return { value: value + unit, length: 3 };
+  }
+
+  return { value, length: 1 };
+};
+
+/**
+ * Lê um horário escrito como token ("15h", "15h30", "15:30")
+ *
+ * @param {Object} token - Token
+ * @returns {Object|null} { hour, minute } ou null
+ */
+const readClockToken = (token) => {
+  const match = token ? token.value.match(/^(\d{1,2})(?::(\d{2})|h(\d{2})?)$/) : null;
+  return match
+    ? { hour: parseInt(match[1], 10), minute: parseInt(match[2] || match[3] || "0", 10) }
+    : null;
+};
 
-      if (!isNaN(targetDate.getTime()) && targetDate > now) {
-        return targetDate.toISOString();
+/**
+ * Lê um período do dia precedido de preposição ("da tarde", "à noite")
+ *
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Posição
+ * @returns {Object|null} { period, length } ou null
+ */
+const readPeriod = (tokens, index) => {
+  if (
+    isWord(tokens, index, "de", "da", "a", "pela", "na", "nesta", "nessa", "esta", "essa", "hoje") &&
+    isWord(tokens, index + 1, "madrugada", "manha", "tarde", "noite")
+  ) {
+    return { period: tokens[index + 1].value, length: 2 };
+  }
+  return null;
+};
+
+/**
+ * Lê uma duração ("2 horas", "30 minutos", "meia hora", "3 dias", "2h", "1 mês")
+ *
+ * Minutos e horas viram minutos; dias e semanas viram dias; meses ficam em meses.
+ *
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Posição
+ * @returns {Object|null} { minutes, days, months, length } (só um deles não
+ *   é null) ou null
+ */
+const readDuration = (tokens, index) => {
+  let cursor = index;
+  let amount;
+  let unit;
+  const clock = tokens[cursor] && tokens[cursor].value.match(/^(\d{1,2})h$/);
+
+  if (clock) {
+    // "daqui 2h"
+    amount = parseInt(clock[1], 10);
+    unit = "hora";
+    cursor += 1;
+  } else {
+    if (isWord(tokens, cursor, "meia")) {
+      amount = 0.5;
+      cursor += 1;
+    } else {
+      const number = readNumber(tokens, cursor);
+      if (!number) {
+        return null;
       }
+      amount = number.value;
+      cursor += number.length;
     }
+
+    unit = tokens[cursor] ? tokens[cursor].value : null;
+    cursor += 1;
   }
 
-  // Padrões de linguagem natural
-  // "hoje às HH:mm" ou "hoje às HHh"
-  if (lowerText.includes("hoje")) {
-    const timeMatch = text.match(/(\d{1,2}):?(\d{2})?h?/);
-    if (timeMatch) {
-      const hour = parseInt(timeMatch[1], 10);
-      const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
-      targetDate = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, minute, 0, 0);
-      
-      // Se já passou hoje, considerar amanhã
-      if (targetDate <= now) {
-        targetDate.setDate(targetDate.getDate() + 1);
-      }
-      
-      if (targetDate > now) {
-        return targetDate.toISOString();
-      }
+  let minutes = null;
+  let days = null;
+  let months = null;
+
+  if (["minuto", "minutos", "min", "mins"].includes(unit)) {
+    minutes = amount;
+  } else if (["hora", "horas", "h", "hrs"].includes(unit)) {
+    minutes = amount * 60;
+    // "daqui a uma hora e meia"
+    if (isWord(tokens, cursor, "e") && isWord(tokens, cursor + 1, "meia")) {
+      minutes += 30;
+      cursor += 2;
+    }
+  } else if (["dia", "dias"].includes(unit)) {
+    days = amount;
+  } else if (["semana", "semanas"].includes(unit)) {
+    days = amount * 7;
+  } else if (["mes", "meses"].includes(unit)) {
+    months = amount;
+  } else {
+    return null;
+  }
+
+  if (minutes !== null) {
+    return minutes > 0 ? { minutes, days: null, months: null, length: cursor - index } : null;
+  }
+
+  const count = days !== null ? days : months;
+  return Number.isInteger(count) && count > 0
+    ? { minutes: null, days, months, length: cursor - index }
+    : null;
+};
+
+/**
+ * Regra: prazo relativo ("daqui a 2 horas", "em 30 minutos", "daqui a meia hora",
+ * "em 3 dias", "daqui a 1 semana", "em 1 mês")
+ *
+ * Minutos e horas viram um instante exato. Dias, semanas e meses viram um
+ * dia que mantém o horário atual, a menos que a frase diga outro
+ * ("em 3 dias às 15h").
+ */
+const matchOffset = (tokens, index) => {
+  let cursor = index;
+
+  if (isWord(tokens, cursor, "daqui")) {
+    cursor += isWord(tokens, cursor + 1, "a") ? 2 : 1;
+  } else if (isWord(tokens, cursor, "dentro") && isWord(tokens, cursor + 1, "de")) {
+    cursor += 2;
+  } else if (isWord(tokens, cursor, "em")) {
+    cursor += 1;
+  } else {
+    return null;
+  }
+
+  const duration = readDuration(tokens, cursor);
+  if (!duration) {
+    return null;
+  }
+
+  const length = cursor + duration.length - index;
+  if (duration.minutes !== null) {
+    return { type: "offset", minutes: duration.minutes, length };
+  }
+  return duration.days !== null
+    ? { type: "relative_day", days: duration.days, keepTime: true, length }
+    : { type: "relative_month", months: duration.months, keepTime: true, length };
+};
+
+/**
+ * Regra: dia relativo ("hoje", "amanhã", "depois de amanhã")
+ */
+const matchRelativeDay = (tokens, index) => {
+  if (isWord(tokens, index, "depois") && isWord(tokens, index + 1, "de") && isWord(tokens, index + 2, "amanha")) {
+    return { type: "relative_day", days: 2, length: 3 };
+  }
+  if (isWord(tokens, index, "amanha")) {
+    return { type: "relative_day", days: 1, length: 1 };
+  }
+  if (isWord(tokens, index, "hoje", "hj")) {
+    return { type: "relative_day", days: 0, length: 1 };
+  }
+  return null;
+};
+
+/**
+ * Regra: fim de semana ("fim de semana", "final de semana")
+ */
+const matchWeekend = (tokens, index) => {
+  if (isWord(tokens, index, "fim", "final") && isWord(tokens, index + 1, "de") && isWord(tokens, index + 2, "semana")) {
+    return { type: "weekend", length: 3 };
+  }
+  return null;
+};
+
+/**
+ * Lê o nome de um dia da semana ("sexta", "sextas", "sexta-feira")
+ *
+ * @param {Array<Object>} tokens - Tokens
+ * @param {number} index - Posição
+ * @returns {Object|null} { weekday, withFeira, length } ou null
+ */
+const readWeekdayName = (tokens, index) => {
+  const name = tokens[index] ? tokens[index].value.replace(/s$/, "") : null;
+  const weekday = WEEKDAY_INDEX[name];
+  if (weekday === undefined) {
+    return null;
+  }
+
+  const withFeira = isWord(tokens, index + 1, "feira", "feiras");
+  return { weekday, withFeira, length: withFeira ? 2 : 1 };
+};
+
+/**
+ * Regra: dia da semana ("sexta", "próxima segunda", "sexta-feira que vem",
+ * "sábado e domingo", "segunda, quarta e sexta")
+ *
+ * Sem "próxima", "-feira" ou "que vem", só aceita o dia quando há uma
+ * preposição antes ("na segunda"), um horário depois ("segunda às 10h") ou
+ * quando ele fecha a frase sem artigo ("pagar o boleto sexta"), porque
+ * "segunda", "terça"... também são ordinais ("concluir a segunda"). Dias coordenados
+ * entram todos no mesmo trecho; a data é o mais próximo deles.
+ */
+const matchWeekday = (tokens, index) => {
+  let cursor = index;
+  let next = false;
+
+  if (isWord(tokens, cursor, "proxima", "proximo")) {
+    next = true;
+    cursor += 1;
+  }
+
+  const first = readWeekdayName(tokens, cursor);
+  if (!first) {
+    return null;
+  }
+  cursor += first.length;
+
+  const { weekday } = first;
+  let explicit = next || first.withFeira || weekday === 0 || weekday === 6;
+
+  // Vírgulas não viram tokens: "segunda, quarta e sexta" = "segunda quarta e sexta"
+  const weekdays = [weekday];
+  for (;;) {
+    const gap = isWord(tokens, cursor, "e") ? 1 : 0;
+    const following = readWeekdayName(tokens, cursor + gap);
+    if (!following) {
+      break;
+    }
+    weekdays.push(following.weekday);
+    explicit = explicit || following.withFeira || following.weekday === 0 || following.weekday === 6;
+    cursor += gap + following.length;
+  }
+
+  if (isWord(tokens, cursor, "que") && isWord(tokens, cursor + 1, "vem")) {
+    next = true;
+    explicit = true;
+    cursor += 2;
+  }
+
+  const previous = index > 0 ? tokens[index - 1].value : null;
+  const endsMessage = cursor === tokens.length && !ORDINAL_ARTICLES.has(previous);
+
+  if (
+    !explicit &&
+    !endsMessage &&
+    !WEEKDAY_PREFIXES.has(previous) &&
+    !isWord(tokens, cursor, "as", "ao", "de", "a", "pela") &&
+    !readClockToken(tokens[cursor])
+  ) {
+    return null;
+  }
+
+  return { type: "weekday", weekday, weekdays: [...new Set(weekdays)], next, length: cursor - index };
+};
+
+/**
+ * Regra: data ("25/12/2024", "2024-12-25", "dia 15", "15 de março de 2025")
+ */
+const matchDate = (tokens, index) => {
+  const token = tokens[index];
+  if (!token) {
+    return null;
+  }
+
+  const isoMatch = token.value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (isoMatch) {
+    return {
+      type: "date",
+      year: parseInt(isoMatch[1], 10),
+      month: parseInt(isoMatch[2], 10) - 1,
+      day: parseInt(isoMatch[3], 10),
+      length: 1,
+    };
+  }
+
+  const slashMatch = token.value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (slashMatch) {
+    let year = slashMatch[3] ? parseInt(slashMatch[3], 10) : null;
+    if (year !== null && year < 100) {
+      year += 2000;
+    }
+    return {
+      type: "date",
+      year,
+      month: parseInt(slashMatch[2], 10) - 1,
+      day: parseInt(slashMatch[1], 10),
+      length: 1,
+    };
+  }
+
+  // "dia 15/03"
+  if (token.value === "dia" && tokens[index + 1] && /\//.test(tokens[index + 1].value)) {
+    const date = matchDate(tokens, index + 1);
+    return date ? { ...date, length: date.length + 1 } : null;
+  }
+
+  let cursor = index;
+  const hasDayWord = token.value === "dia";
+  if (hasDayWord) {
+    cursor += 1;
+  }
+
+  if (!tokens[cursor] || !/^\d{1,2}$/.test(tokens[cursor].value)) {
+    return null;
+  }
+  const day = parseInt(tokens[cursor].value, 10);
+  cursor += 1;
+
+  let month = null;
+  let year = null;
+  if (isWord(tokens, cursor, "de") && tokens[cursor + 1] && MONTH_INDEX[tokens[cursor + 1].value] !== undefined) {
+    month = MONTH_INDEX[tokens[cursor + 1].value];
+    cursor += 2;
+
+    if (isWord(tokens, cursor, "de") && tokens[cursor + 1] && /^\d{4}$/.test(tokens[cursor + 1].value)) {
+      year = parseInt(tokens[cursor + 1].value, 10);
+      cursor += 2;
     }
+  } else if (!hasDayWord) {
+    // Número solto não é data ("comprar 15 ovos")
+    return null;
+  }
+
+  if (day < 1 || day > 31) {
+    return null;
   }
 
-  // "amanhã às HH:mm" ou "amanhã às HHh"
-  if (lowerText.includes("amanhã") || lowerText.includes("amanha")) {
-    const timeMatch = text.match(/(\d{1,2}):?(\d{2})?h?/);
-    if (timeMatch) {
-      const hour = parseInt(timeMatch[1], 10);
-      const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
-      targetDate = new Date(now);
-      targetDate.setDate(targetDate.getDate() + 1);
-      targetDate.setHours(hour, minute, 0, 0);
-      
-      if (targetDate > now) {
-        return targetDate.toISOString();
+  return { type: "date", year, month, day, length: cursor - index };
+};
+
+/**
+ * Regra: horário ("às 15h", "15:30", "meio-dia", "às 3 da tarde",
+ * "às oito e meia", "lá pelas 17h", "10 horas da manhã")
+ *
+ * Números sem "às", "h", ":" ou período do dia não contam como horário,
+ * para não confundir quantidades ("comprar 2 caixas") com a hora.
+ */
+const matchTime = (tokens, index) => {
+  let cursor = index;
+  let marked = false;
+
+  if (isWord(tokens, cursor, "por") && isWord(tokens, cursor + 1, "volta") && isWord(tokens, cursor + 2, "das", "de")) {
+    cursor += 3;
+    marked = true;
+  } else if (isWord(tokens, cursor, "a") && isWord(tokens, cursor + 1, "partir") && isWord(tokens, cursor + 2, "das", "do", "de")) {
+    cursor += 3;
+    marked = true;
+  } else if (isWord(tokens, cursor, "la") && isWord(tokens, cursor + 1, "pelas", "pras")) {
+    cursor += 2;
+    marked = true;
+  } else if (isWord(tokens, cursor, "as", "pelas", "ao")) {
+    cursor += 1;
+    marked = true;
+  } else if (isWord(tokens, cursor, "a") && isWord(tokens, cursor + 1, "uma", "meia", "meio")) {
+    // "à uma", "à meia-noite"
+    cursor += 1;
+    marked = true;
+  }
+
+  if (isWord(tokens, cursor, "meio") && isWord(tokens, cursor + 1, "dia")) {
+    return { type: "time", hour: 12, minute: 0, length: cursor + 2 - index };
+  }
+  if (isWord(tokens, cursor, "meia") && isWord(tokens, cursor + 1, "noite")) {
+    return { type: "time", hour: 0, minute: 0, length: cursor + 2 - index };
+  }
+
+  let hour;
+  let minute = 0;
+  let explicit = false;
+  const clock = readClockToken(tokens[cursor]);
+
+  if (clock) {
+    ({ hour, minute } = clock);
+    explicit = true;
+    cursor += 1;
+  } else {
+    const number = readNumber(tokens, cursor);
+    if (!number) {
+      return null;
+    }
+    hour = number.value;
+    cursor += number.length;
+
+    // "e meia", "e quinze", "e 40"
+    if (isWord(tokens, cursor, "e")) {
+      if (isWord(tokens, cursor + 1, "meia")) {
+        minute = 30;
+        cursor += 2;
+      } else {
+        const minutes = readNumber(tokens, cursor + 1);
+        if (minutes && minutes.value > 0 && minutes.value < 60) {
+          minute = minutes.value;
+          cursor += 1 + minutes.length;
+        }
       }
     }
+
+    if (isWord(tokens, cursor, "h", "hs", "hr", "hrs", "hora", "horas")) {
+      cursor += 1;
+    }
   }
 
-  // "próxima [dia da semana] às HH:mm"
-  const weekdays = {
-    "domingo": 0,
-    "segunda": 1,
-    "terça": 2,
-    "terca": 2,
-    "quarta": 3,
-    "quinta": 4,
-    "sexta": 5,
-    "sábado": 6,
-    "sabado": 6,
+  const period = readPeriod(tokens, cursor);
+  if (period) {
+    cursor += period.length;
+  }
+
+  if (!marked && !explicit && !period) {
+    return null;
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+
+  return {
+    type: "time",
+    hour: applyPeriod(hour, period ? period.period : null),
+    minute,
+    length: cursor - index,
   };
+};
 
-  for (const [dayName, dayIndex] of Object.entries(weekdays)) {
-    if (lowerText.includes(dayName) && (lowerText.includes("próxima") || lowerText.includes("proxima") || lowerText.includes("próximo") || lowerText.includes("proximo"))) {
-      const timeMatch = text.match(/(\d{1,2}):?(\d{2})?h?/);
-      if (timeMatch) {
-        const hour = parseInt(timeMatch[1], 10);
-        const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
-        targetDate = new Date(now);
-        
-        // Calcular dias até o próximo dia da semana
-        const currentDay = now.getDay();
-        let daysToAdd = (dayIndex - currentDay + 7) % 7;
-        if (daysToAdd === 0) {
-          daysToAdd = 7; // Se for hoje, considerar próxima semana
-        }
-        
-        targetDate.setDate(targetDate.getDate() + daysToAdd);
-        targetDate.setHours(hour, minute, 0, 0);
-        
-        if (targetDate > now) {
-          return targetDate.toISOString();
-        }
+/**
+ * Regra: período do dia sem hora ("de manhã", "à tarde", "hoje à noite")
+ */
+const matchPeriod = (tokens, index) => {
+  const period = readPeriod(tokens, index);
+  if (!period || tokens[index].value === "hoje") {
+    return null;
+  }
+  return { type: "period", period: period.period, length: period.length };
+};
+
+// Ordem de tentativa em cada posição
+const RULES = [matchOffset, matchRelativeDay, matchWeekend, matchWeekday, matchDate, matchTime, matchPeriod];
+
+// Tipos que podem incorporar a preposição anterior ao trecho
+const DATE_TYPES = new Set(["relative_day", "relative_month", "weekday", "weekend", "date"]);
+
+/**
+ * Ajusta a hora ao período do dia ("3 da tarde" = 15h, "12 da noite" e
+ * "12 da madrugada" = 0h; "12 da tarde" continua meio-dia)
+ *
+ * @param {number} hour - Hora (0-23)
+ * @param {string|null} period - Período do dia
+ * @returns {number} Hora ajustada
+ */
+const applyPeriod = (hour, period) => {
+  if ((period === "noite" || period === "madrugada") && hour === 12) {
+    return 0;
+  }
+  if ((period === "tarde" || period === "noite") && hour < 12) {
+    return hour + 12;
+  }
+  return hour;
+};
+
+/**
+ * Percorre os tokens aplicando as regras
+ *
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Array<Object>} Expressões reconhecidas, com { type, start, end, ... }
+ */
+const scanExpressions = (tokens) => {
+  const expressions = [];
+  let index = 0;
+  let consumed = 0;
+
+  while (index < tokens.length) {
+    let result = null;
+    for (const rule of RULES) {
+      result = rule(tokens, index);
+      if (result) {
+        break;
+      }
+    }
+
+    if (!result) {
+      index += 1;
+      continue;
+    }
+
+    let first = index;
+    if (DATE_TYPES.has(result.type)) {
+      while (first > consumed && DATE_CONNECTORS.has(tokens[first - 1].value)) {
+        first -= 1;
       }
     }
+
+    const { length, ...expression } = result;
+    expressions.push({
+      ...expression,
+      start: tokens[first].start,
+      end: tokens[index + length - 1].end,
+    });
+
+    index += length;
+    consumed = index;
   }
 
-  // Horário isolado (sem data explícita) - ex: "10h", "10 horas", "às 10"
-  // Regra: usar próxima ocorrência futura; se já passou hoje, agendar amanhã
-  const hasStructuredDate = /(\d{2}\/\d{2}\/\d{4})|(\d{4}-\d{2}-\d{2})/.test(lowerText);
-  const hasRelativeKeyword = lowerText.includes("hoje")
-    || lowerText.includes("amanhã")
-    || lowerText.includes("amanha")
-    || lowerText.includes("próxima")
-    || lowerText.includes("proxima")
-    || lowerText.includes("próximo")
-    || lowerText.includes("proximo");
+  return expressions;
+};
 
-  if (!hasStructuredDate && !hasRelativeKeyword) {
-    const isolatedTimeMatch = lowerText.match(/(?:\bàs\b|\bas\b)?\s*(\d{1,2})(?:\s*[:h]\s*(\d{2}))?\s*(?:h|horas?)?\b/);
-    if (isolatedTimeMatch) {
-      const hour = parseInt(isolatedTimeMatch[1], 10);
-      const minute = isolatedTimeMatch[2] ? parseInt(isolatedTimeMatch[2], 10) : 0;
+/**
+ * Resolve a hora do dia a partir das expressões de horário e período
+ *
+ * @param {Object|null} time - Expressão "time"
+ * @param {Object|null} period - Expressão "period"
+ * @returns {Object|null} { hour, minute } ou null se não houver hora
+ */
+const resolveTimeOfDay = (time, period) => {
+  if (time) {
+    return { hour: applyPeriod(time.hour, period ? period.period : null), minute: time.minute };
+  }
+  if (period) {
+    return { hour: PERIOD_HOURS[period.period], minute: 0 };
+  }
+  return null;
+};
 
-      if (!isNaN(hour) && hour >= 0 && hour <= 23 && !isNaN(minute) && minute >= 0 && minute <= 59) {
-        targetDate = new Date(now);
-        targetDate.setHours(hour, minute, 0, 0);
+/**
+ * Monta um relógio de parede, rejeitando dias inexistentes (31/02)
+ *
+ * @returns {Date|null}
+ */
+const buildDate = (year, month, day, hour, minute) => {
+  const date = new Date(Date.UTC(year, month, day, hour, minute, 0, 0));
+  return date.getUTCDate() === day && date.getUTCMonth() === ((month % 12) + 12) % 12 ? date : null;
+};
 
-        if (targetDate <= now) {
-          targetDate.setDate(targetDate.getDate() + 1);
-        }
+/**
+ * Adiciona dias a um relógio de parede, mantendo a hora
+ *
+ * @param {Date} date - Relógio de parede
+ * @param {number} days - Dias
+ * @returns {Date} Novo relógio de parede
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
 
-        if (targetDate > now) {
-          return targetDate.toISOString();
-        }
+/**
+ * Adiciona meses a um relógio de parede, mantendo a hora
+ * Sem o dia no mês de destino, usa o último (31/01 + 1 mês = 28/02 ou 29/02)
+ *
+ * @param {Date} date - Relógio de parede
+ * @param {number} months - Meses
+ * @returns {Date} Novo relógio de parede
+ */
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const result = new Date(date);
+  result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), daysInMonth));
+  return result;
+};
+
+/**
+ * Combina as expressões reconhecidas numa data futura
+ *
+ * Usa a primeira expressão de cada tipo; as usadas são devolvidas para
+ * compor os trechos reconhecidos.
+ *
+ * @param {Array<Object>} expressions - Expressões (scanExpressions)
+ * @param {Date} realNow - Data de referência
+ * @param {string} timeZone - Fuso do usuário
+ * @returns {Object|null} { date, used } ou null se não houver data futura
+ */
+const resolveExpressions = (expressions, realNow, timeZone) => {
+  const find = (...types) => expressions.find((expression) => types.includes(expression.type)) || null;
+
+  const offset = find("offset");
+  if (offset) {
+    const date = new Date(realNow.getTime() + offset.minutes * 60 * 1000);
+    date.setUTCSeconds(0, 0);
+    return { date, used: [offset] };
+  }
+
+  // Daqui em diante, tudo no relógio de parede do fuso
+  const now = toWallClock(realNow, timeZone);
+
+  const dayPart = find("date", "relative_day", "relative_month", "weekday", "weekend");
+  const time = find("time");
+  const period = find("period");
+  const used = [dayPart, time, period].filter(Boolean);
+
+  if (used.length === 0) {
+    return null;
+  }
+
+  // Sem hora na frase: 9h, ou o horário atual nos prazos ("daqui a 1 semana")
+  const defaultTime = dayPart && dayPart.keepTime
+    ? { hour: now.getUTCHours(), minute: now.getUTCMinutes() }
+    : { hour: DEFAULT_HOUR, minute: 0 };
+  const timeOfDay = resolveTimeOfDay(time, period) || defaultTime;
+  const today = buildDate(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), timeOfDay.hour, timeOfDay.minute);
+  let date = null;
+
+  if (!dayPart) {
+    // Só horário: próxima ocorrência (hoje ou amanhã)
+    date = today > now ? today : addDays(today, 1);
+  } else if (dayPart.type === "relative_day") {
+    date = addDays(today, dayPart.days);
+    if (dayPart.days === 0 && date <= now) {
+      if (time || period) {
+        // Horário de hoje que já passou: considerar amanhã
+        date = addDays(date, 1);
+      } else {
+        // "hoje" sem hora depois das 9h: próxima hora cheia
+        date = new Date(now);
+        date.setUTCHours(now.getUTCHours() + 1, 0, 0, 0);
+      }
+    }
+  } else if (dayPart.type === "relative_month") {
+    date = addMonths(today, dayPart.months);
+  } else if (dayPart.type === "weekday") {
+    // Vários dias ("sábado e domingo"): o mais próximo
+    for (const weekday of dayPart.weekdays) {
+      let daysToAdd = (weekday - now.getUTCDay() + 7) % 7;
+      if (daysToAdd === 0 && dayPart.next) {
+        daysToAdd = 7; // "próxima sexta" dita na sexta: semana que vem
       }
+      let candidate = addDays(today, daysToAdd);
+      if (candidate <= now) {
+        candidate = addDays(candidate, 7);
+      }
+      if (!date || candidate < date) {
+        date = candidate;
+      }
+    }
+  } else if (dayPart.type === "weekend") {
+    date = today;
+    while (date <= now || (date.getUTCDay() !== 0 && date.getUTCDay() !== 6)) {
+      date = addDays(date, 1);
     }
+  } else if (dayPart.year !== null) {
+    date = buildDate(dayPart.year, dayPart.month, dayPart.day, timeOfDay.hour, timeOfDay.minute);
+  } else if (dayPart.month !== null) {
+    // "15 de março" / "15/03": este ano ou o próximo
+    for (let offset = 0; offset <= 1 && !(date && date > now); offset++) {
+      date = buildDate(now.getUTCFullYear() + offset, dayPart.month, dayPart.day, timeOfDay.hour, timeOfDay.minute);
+    }
+  } else {
+    // "dia 15": este mês ou o próximo que tiver esse dia
+    for (let offset = 0; offset <= 12 && !(date && date > now); offset++) {
+      date = buildDate(now.getUTCFullYear(), now.getUTCMonth() + offset, dayPart.day, timeOfDay.hour, timeOfDay.minute);
+    }
+  }
+
+  if (!date || isNaN(date.getTime()) || date <= now) {
+    return null;
+  }
+
+  return { date: fromWallClock(date, timeZone), used };
+};
+
+/**
+ * Converte trechos reconhecidos no formato devolvido pelo parser
+ *
+ * @param {Array<Object>} ranges - Trechos { start, end }
+ * @param {string} text - Texto original
+ * @returns {Object} { spans, matched }
+ */
+const buildSpans = (ranges, text) => {
+  const spans = ranges
+    .map(({ start, end }) => ({ start, end, text: text.slice(start, end) }))
+    .sort((a, b) => a.start - b.start);
+
+  return { spans, matched: spans.map((span) => span.text).join(" ") };
+};
+
+/**
+ * Lista os dias da semana citados num trecho de texto
+ *
+ * @param {string} plainText - Trecho simplificado
+ * @returns {Array<number>} Dias da semana (0 = domingo), sem repetição
+ */
+const collectWeekdays = (plainText) => {
+  const days = new Set();
+  const regex = new RegExp(`\\b${WEEKDAY_PATTERN}`, "g");
+  let match;
+  while ((match = regex.exec(plainText)) !== null) {
+    days.add(WEEKDAY_INDEX[match[1]]);
+  }
+  return [...days].sort((a, b) => a - b);
+};
+
+/**
+ * Identifica a regra de repetição descrita na frase
+ *
+ * @param {string} plainText - Texto simplificado
+ * @returns {Object|null} { rule, start, end } - regra parcial
+ *   ({ frequency, interval, weekdays, month_day }) e trecho da frase; ou null
+ */
+const detectRecurrenceRule = (plainText) => {
+  const found = (rule, match) => ({ rule, start: match.index, end: match.index + match[0].length });
+  let match;
+
+  // "a cada 2 semanas", "a cada três dias", "a cada mês"
+  match = plainText.match(/\ba\s+cada\s+(?:(\d{1,3}|[a-z]+)\s+)?(dias?|semanas?|mes(?:es)?)\b/);
+  if (match) {
+    const amount = match[1];
+    const interval = amount === undefined
+      ? 1
+      : /^\d+$/.test(amount) ? parseInt(amount, 10) : NUMBER_WORDS[amount];
+
+    if (interval) {
+      const unit = match[2];
+      const frequency = unit.startsWith("dia") ? "daily" : unit.startsWith("semana") ? "weekly" : "monthly";
+      return found({ frequency, interval }, match);
+    }
+  }
+
+  // "dia sim, dia não"
+  match = plainText.match(/\bdia\s+sim,?\s+dia\s+nao\b/);
+  if (match) {
+    return found({ frequency: "daily", interval: 2 }, match);
+  }
+
+  // "todo dia 5", "todos os dias 10" (dia do mês)
+  match = plainText.match(/\btod[oa]s?\s+(?:os\s+)?dias?\s+(\d{1,2})\b(?!\s*(?::|h\b|horas?\b))/);
+  if (match) {
+    return found({ frequency: "monthly", month_day: parseInt(match[1], 10) }, match);
+  }
+
+  // "todo mês", "todos os meses", "mensalmente"
+  match = plainText.match(/\btodos?\s+(?:os\s+)?mes(?:es)?\b|\bmensalmente\b/);
+  if (match) {
+    return found({ frequency: "monthly" }, match);
+  }
+
+  // "toda segunda", "todas as terças e quintas", "todo sábado"
+  match = plainText.match(new RegExp(
+    `\\btod[oa]s?\\s+(?:[oa]s\\s+)?${WEEKDAY_PATTERN}(?:\\s*(?:,|\\be\\b)\\s*(?:[oa]s?\\s+)?${WEEKDAY_PATTERN})*`
+  ));
+  if (match) {
+    return found({ frequency: "weekly", weekdays: collectWeekdays(match[0]) }, match);
+  }
+
+  // "toda semana", "todas as semanas", "semanalmente"
+  match = plainText.match(/\btodas?\s+(?:as\s+)?semanas?\b|\bsemanalmente\b/);
+  if (match) {
+    return found({ frequency: "weekly" }, match);
+  }
+
+  // "todo dia", "todos os dias", "diariamente"
+  match = plainText.match(/\btodos?\s+(?:os\s+)?dias?\b|\bdiariamente\b/);
+  if (match) {
+    return found({ frequency: "daily" }, match);
   }
 
   return null;
 };
 
 /**
- * Extrai data/hora de uma mensagem usando Wit.ai entities (se disponível) ou parsing manual
- * 
+ * Calcula a primeira ocorrência futura de uma regra no horário informado
+ *
+ * @param {Object} rule - Regra parcial (detectRecurrenceRule)
+ * @param {Object} time - { hour, minute }
+ * @param {Date} now - Data de referência (relógio de parede)
+ * @returns {Date} Primeira ocorrência (relógio de parede)
+ */
+const findFirstOccurrence = (rule, time, now) => {
+  const start = buildDate(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), time.hour, time.minute);
+
+  if (rule.frequency === "monthly" && rule.month_day) {
+    for (let offset = 0; offset <= 12; offset++) {
+      const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset + 1, 0)).getUTCDate();
+      const candidate = new Date(Date.UTC(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + offset,
+        Math.min(rule.month_day, daysInMonth),
+        time.hour,
+        time.minute
+      ));
+      if (candidate > now) {
+        return candidate;
+      }
+    }
+  }
+
+  if (rule.frequency === "weekly" && rule.weekdays && rule.weekdays.length > 0) {
+    for (let offset = 0; offset <= 7; offset++) {
+      const candidate = addDays(start, offset);
+      if (rule.weekdays.includes(candidate.getUTCDay()) && candidate > now) {
+        return candidate;
+      }
+    }
+  }
+
+  return start > now ? start : addDays(start, 1);
+};
+
+/**
+ * Interpreta uma frase de repetição em português
+ *
+ * Exemplos: "toda segunda às 9h", "todas as terças e quintas 18h30",
+ * "todo dia 5", "diariamente às 8h", "a cada 2 semanas", "mensalmente".
+ * Sem horário na frase, usa as 9h. Com "a cada N semanas", os dias da
+ * semana citados ("nas segundas") viram os dias da regra.
+ *
+ * @param {string} text - Texto contendo a frase
+ * @param {Object} [options] - { now, timeZone } - data de referência e fuso do usuário
+ * @returns {Object|null} { scheduled_at, recurrence, spans, matched } -
+ *   primeira ocorrência (ISO 8601), regra normalizada (com o fuso) e
+ *   trechos reconhecidos; null se não houver repetição
+ */
+const parseRecurrence = (text, { now = new Date(), timeZone = null } = {}) => {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const zone = resolveTimeZone(timeZone);
+
+  const plainText = toPlainText(text);
+  const detected = detectRecurrenceRule(plainText);
+  if (!detected) {
+    return null;
+  }
+
+  const { rule } = detected;
+  const expressions = scanExpressions(tokenize(plainText));
+  const find = (type) => expressions.find((expression) => expression.type === type) || null;
+  const ranges = [detected];
+
+  if (rule.frequency === "weekly" && !rule.weekdays) {
+    const weekdays = expressions.filter((expression) => expression.type === "weekday");
+    rule.weekdays = weekdays.length > 0
+      ? [...new Set(weekdays.flatMap((expression) => expression.weekdays))].sort((a, b) => a - b)
+      : null;
+    ranges.push(...weekdays);
+  }
+
+  if (rule.frequency === "monthly" && !rule.month_day) {
+    const dayOfMonth = expressions.find((expression) => expression.type === "date" && expression.month === null);
+    if (dayOfMonth) {
+      rule.month_day = dayOfMonth.day;
+      ranges.push(dayOfMonth);
+    }
+  }
+
+  const time = find("time");
+  const period = find("period");
+  ranges.push(...[time, period].filter(Boolean));
+
+  const timeOfDay = resolveTimeOfDay(time, period) || { hour: DEFAULT_HOUR, minute: 0 };
+  const firstOccurrence = findFirstOccurrence(rule, timeOfDay, toWallClock(now, zone));
+  const scheduledAt = fromWallClock(firstOccurrence, zone).toISOString();
+
+  // Trechos sobrepostos (ex.: "toda segunda" também é um dia da semana) se fundem
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  }
+
+  return {
+    scheduled_at: scheduledAt,
+    recurrence: normalizeRecurrence(rule, scheduledAt, zone),
+    ...buildSpans(merged, text),
+  };
+};
+
+/**
+ * Interpreta a data/hora de um texto e informa onde ela aparece
+ *
+ * Frases de repetição ("toda segunda às 9h") têm prioridade; a data é a
+ * primeira ocorrência. Dia sem hora usa as 9h; hora sem dia usa a próxima
+ * ocorrência (hoje ou amanhã).
+ *
+ * @param {string} text - Texto contendo data/hora
+ * @param {Object} [options] - { now, timeZone } - data de referência e fuso do usuário
+ * @returns {Object|null} { scheduled_at, recurrence, spans, matched } -
+ *   data ISO 8601, regra de repetição (ou null), trechos reconhecidos
+ *   ({ start, end, text }, posições no texto original) e esses trechos
+ *   unidos; null se não houver data futura
+ */
+const parseDateTimeDetails = (text, { now = new Date(), timeZone = null } = {}) => {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const recurring = parseRecurrence(text, { now, timeZone });
+  if (recurring) {
+    return recurring;
+  }
+
+  const resolved = resolveExpressions(scanExpressions(tokenize(toPlainText(text))), now, resolveTimeZone(timeZone));
+  if (!resolved) {
+    return null;
+  }
+
+  return {
+    scheduled_at: resolved.date.toISOString(),
+    recurrence: null,
+    ...buildSpans(resolved.used, text),
+  };
+};
+
+/**
+ * Lê só a hora do dia de um texto ("às 7h", "07:30", "às 3 da tarde"),
+ * sem resolver uma data: palavras de dia ("hoje", "amanhã") e períodos sem
+ * hora ("de manhã") são ignorados
+ *
+ * @param {string} text - Texto
+ * @returns {Object|null} { hour, minute } ou null se não houver horário
+ */
+const parseTimeOfDay = (text) => {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const expressions = scanExpressions(tokenize(toPlainText(text)));
+  const time = expressions.find((expression) => expression.type === "time");
+  if (!time) {
+    return null;
+  }
+  return resolveTimeOfDay(time, expressions.find((expression) => expression.type === "period") || null);
+};
+
+/**
+ * Converte expressão de data/hora em português para ISO 8601
+ *
+ * @param {string} text - Texto contendo data/hora
+ * @param {Object} [options] - { now, timeZone } - data de referência e fuso do usuário
+ * @returns {string|null} Data/hora em formato ISO 8601 ou null se não encontrado
+ */
+const parseDateTime = (text, options = {}) => {
+  const details = parseDateTimeDetails(text, options);
+  return details ? details.scheduled_at : null;
+};
+
+/**
+ * Extrai data/hora de uma mensagem usando a entidade `datetime` do NLU (se disponível) ou parsing manual
+ *
  * @param {string} message - Mensagem completa
- * @param {Object} witEntities - Entidades do Wit.ai
+ * @param {Object} entities - Entidades normalizadas do NLU (services/nlu.js)
+ * @param {Object} [options] - { now, timeZone } - data de referência e fuso do usuário
  * @returns {string|null} Data/hora em formato ISO 8601 ou null
  */
-const extractDateTime = (message, witEntities = {}) => {
-  // Tentar usar entidade do Wit.ai primeiro
-  if (witEntities["wit$datetime"]) {
-    const datetime = witEntities["wit$datetime"];
+const extractDateTime = (message, entities = {}, options = {}) => {
+  // Tentar usar a data reconhecida pelo provedor de NLU primeiro
+  if (entities.datetime) {
+    const datetime = entities.datetime;
     try {
       const date = new Date(datetime);
       if (!isNaN(date.getTime()) && date > new Date()) {
         return date.toISOString();
       }
     } catch (error) {
-      console.warn("⚠️ Erro ao processar datetime do Wit.ai:", error);
+      console.warn("⚠️ Erro ao processar datetime do NLU:", error);
     }
   }
 
   // Fallback para parsing manual
-  return parseDateTime(message);
+  return parseDateTime(message, options);
+};
+
+/**
+ * Extrai o agendamento completo de uma mensagem: data/hora, repetição e
+ * trechos de data encontrados no texto
+ *
+ * Frases de repetição têm prioridade sobre a data do NLU, que só
+ * enxerga uma ocorrência.
+ *
+ * @param {string} message - Mensagem completa
+ * @param {Object} entities - Entidades normalizadas do NLU
+ * @param {Object} [options] - { now, timeZone } - data de referência e fuso do usuário
+ * @returns {Object} { scheduled_at, recurrence, spans } (data e regra podem ser null)
+ */
+const extractSchedule = (message, entities = {}, options = {}) => {
+  const details = parseDateTimeDetails(message, options);
+  if (details && details.recurrence) {
+    return details;
+  }
+
+  return {
+    scheduled_at: extractDateTime(message, entities, options),
+    recurrence: null,
+    spans: details ? details.spans : [],
+  };
+};
+
+/**
+ * Lê a primeira duração de um texto ("adiar 30 minutos", "mais 1 hora e meia")
+ *
+ * Diferente dos prazos ("daqui a 30 minutos"), a duração não vira uma data:
+ * quem chama decide a partir de quando contar (ver addDuration).
+ *
+ * @param {string} text - Texto contendo a duração
+ * @returns {Object|null} { minutes, days, months, spans, matched } - minutos,
+ *   dias ou meses (só um deles não é null) e o trecho reconhecido; null se
+ *   não houver duração
+ */
+const parseDuration = (text) => {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const tokens = tokenize(toPlainText(text));
+  for (let index = 0; index < tokens.length; index += 1) {
+    const duration = readDuration(tokens, index);
+    if (duration) {
+      const range = { start: tokens[index].start, end: tokens[index + duration.length - 1].end };
+      return {
+        minutes: duration.minutes,
+        days: duration.days,
+        months: duration.months,
+        ...buildSpans([range], text),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Soma uma duração a um instante
+ *
+ * Dias e meses são contados no relógio de parede do fuso (o horário se
+ * mantém mesmo com mudança de horário de verão no meio).
+ *
+ * @param {Date} date - Instante inicial
+ * @param {Object} duration - { minutes, days, months } (ver parseDuration)
+ * @param {string} [timeZone] - Fuso do usuário
+ * @returns {Date} Instante somado
+ */
+const addDuration = (date, { minutes, days, months = null }, timeZone = null) => {
+  if (minutes !== null) {
+    return new Date(date.getTime() + minutes * 60 * 1000);
+  }
+
+  const zone = resolveTimeZone(timeZone);
+  const wallClock = toWallClock(date, zone);
+  return fromWallClock(months ? addMonths(wallClock, months) : addDays(wallClock, days), zone);
 };
 
 module.exports = {
   parseDateTime,
+  parseDateTimeDetails,
+  parseTimeOfDay,
+  parseRecurrence,
   extractDateTime,
+  extractSchedule,
+  parseDuration,
+  addDuration,
 };
-
@@ -0,0 +1,274 @@
+/**
+ * Utilitário de Recorrência de Tarefas
+ *
+ * Valida regras de repetição e calcula a próxima ocorrência de uma tarefa.
+ *
+ * Formato da regra (campo `recurrence` da tarefa):
+ * - frequency: "daily", "weekly" ou "monthly"
+ * - interval: a cada quantos dias/semanas/meses (padrão 1; "a cada 3 dias" = daily + 3)
+ * - weekdays: dias da semana (0 = domingo ... 6 = sábado), só para weekly
+ * - month_day: dia do mês (1-31), só para monthly; em meses mais curtos
+ *   usa o último dia
+ * - until: data limite (ISO 8601) para gerar ocorrências (opcional)
+ * - count: ocorrências restantes, contando a atual (opcional; 1 = última)
+ * - timezone: fuso IANA em que a regra vale (padrão: fuso do usuário ou
+ *   DEFAULT_TIMEZONE)
+ *
+ * Datas são calculadas no fuso da regra, preservando a hora do relógio do
+ * scheduled_at original (ver utils/timezone.js).
+ */
+
+const { isValidTimeZone, resolveTimeZone, toWallClock, fromWallClock, formatDate } = require("./timezone");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const MAX_INTERVAL = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ["dom", "seg", "ter", "qua", "qui", "sex", "sáb"];
+
+/**
+ * Valida uma regra de recorrência
+ *
+ * @param {any} recurrence - Regra recebida (null/undefined = sem recorrência)
+ * @returns {Array<string>} Lista de erros (vazia se válida)
+ */
+const validateRecurrence = (recurrence) => {
+  const errors = [];
+
+  if (recurrence === undefined || recurrence === null) {
+    return errors;
+  }
+
+  if (typeof recurrence !== "object" || Array.isArray(recurrence)) {
+    errors.push("recurrence deve ser um objeto");
+    return errors;
+  }
+
+  const { frequency, interval, weekdays, month_day, until, count, timezone } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push(`recurrence.frequency deve ser um dos seguintes: ${FREQUENCIES.join(", ")}`);
+  }
+
+  if (interval !== undefined && interval !== null) {
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+      errors.push(`recurrence.interval deve ser um inteiro entre 1 e ${MAX_INTERVAL}`);
+    }
+  }
+
+  if (weekdays !== undefined && weekdays !== null) {
+    if (frequency !== "weekly") {
+      errors.push("recurrence.weekdays só é permitido com frequency weekly");
+    } else if (
+      !Array.isArray(weekdays) ||
+      weekdays.length === 0 ||
+      weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      errors.push("recurrence.weekdays deve ser uma lista de dias da semana (0 = domingo ... 6 = sábado)");
+    }
+  }
+
+  if (month_day !== undefined && month_day !== null) {
+    if (frequency !== "monthly") {
+      errors.push("recurrence.month_day só é permitido com frequency monthly");
+    } else if (!Number.isInteger(month_day) || month_day < 1 || month_day > 31) {
+      errors.push("recurrence.month_day deve ser um inteiro entre 1 e 31");
+    }
+  }
+
+  if (until !== undefined && until !== null) {
+    if (typeof until !== "string" || Number.isNaN(new Date(until).getTime())) {
+      errors.push("recurrence.until deve ser uma data ISO 8601 válida");
+    }
+  }
+
+  if (count !== undefined && count !== null) {
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push("recurrence.count deve ser um inteiro positivo");
+    }
+  }
+
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    errors.push("recurrence.timezone deve ser um fuso IANA válido (ex: America/Sao_Paulo)");
+  }
+
+  if (until && count) {
+    errors.push("recurrence deve ter until ou count, não ambos");
+  }
+
+  return errors;
+};
+
+/**
+ * Normaliza uma regra de recorrência já validada
+ *
+ * Preenche os padrões a partir do scheduled_at, no fuso da regra: dia da
+ * semana para weekly e dia do mês para monthly.
+ *
+ * @param {Object|null} recurrence - Regra validada
+ * @param {string|null} scheduledAt - Data da primeira ocorrência (ISO 8601)
+ * @param {string} [timeZone] - Fuso do usuário (usado se a regra não tiver um)
+ * @returns {Object|null} Regra com todos os campos, ou null
+ */
+const normalizeRecurrence = (recurrence, scheduledAt, timeZone = null) => {
+  if (!recurrence) {
+    return null;
+  }
+
+  const zone = resolveTimeZone(recurrence.timezone || timeZone);
+  const base = toWallClock(scheduledAt ? new Date(scheduledAt) : new Date(), zone);
+  const { frequency } = recurrence;
+
+  return {
+    frequency,
+    interval: recurrence.interval || 1,
+    weekdays: frequency === "weekly"
+      ? [...new Set(recurrence.weekdays || [base.getUTCDay()])].sort((a, b) => a - b)
+      : null,
+    month_day: frequency === "monthly" ? recurrence.month_day || base.getUTCDate() : null,
+    until: recurrence.until ? new Date(recurrence.until).toISOString() : null,
+    count: recurrence.count || null,
+    timezone: zone,
+  };
+};
+
+/**
+ * Início (00:00) do domingo da semana de um relógio de parede
+ *
+ * @param {Date} wallClock - Relógio de parede
+ * @returns {Date} Início da semana
+ */
+const startOfWeek = (wallClock) => {
+  const start = new Date(Date.UTC(wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+  return start;
+};
+
+/**
+ * Avança uma ocorrência segundo a regra
+ *
+ * @param {Date} wallClock - Ocorrência atual (relógio de parede do fuso da regra)
+ * @param {Object} recurrence - Regra normalizada
+ * @returns {Date} Ocorrência seguinte (relógio de parede)
+ */
+const stepOccurrence = (wallClock, recurrence) => {
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.frequency === "daily") {
+    const next = new Date(wallClock);
+    next.setUTCDate(next.getUTCDate() + interval);
+    return next;
+  }
+
+  if (recurrence.frequency === "weekly") {
+    const weekdays = recurrence.weekdays || [wallClock.getUTCDay()];
+    const baseWeek = startOfWeek(wallClock);
+
+    // Procura o próximo dia permitido numa semana "ativa" (a cada `interval` semanas)
+    for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+      const candidate = new Date(wallClock);
+      candidate.setUTCDate(candidate.getUTCDate() + offset);
+      const weeks = Math.round((startOfWeek(candidate) - baseWeek) / (7 * DAY_MS));
+      if (weeks % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+        return candidate;
+      }
+    }
+  }
+
+  // monthly
+  const monthDay = recurrence.month_day || wallClock.getUTCDate();
+  const targetMonth = wallClock.getUTCMonth() + interval;
+  const daysInMonth = new Date(Date.UTC(wallClock.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    wallClock.getUTCFullYear(),
+    targetMonth,
+    Math.min(monthDay, daysInMonth),
+    wallClock.getUTCHours(),
+    wallClock.getUTCMinutes(),
+    wallClock.getUTCSeconds(),
+    wallClock.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Calcula a próxima ocorrência de uma tarefa recorrente
+ *
+ * Ocorrências que já passaram (tarefa concluída com atraso) são puladas:
+ * a próxima é sempre futura. Regras sem `timezone` (criadas antes do campo)
+ * usam o DEFAULT_TIMEZONE.
+ *
+ * @param {string} scheduledAt - Ocorrência atual (ISO 8601)
+ * @param {Object} recurrence - Regra normalizada
+ * @param {Date} [now] - Data de referência
+ * @returns {string|null} Próxima ocorrência (ISO 8601) ou null se a regra terminou
+ */
+const getNextOccurrence = (scheduledAt, recurrence, now = new Date()) => {
+  if (!scheduledAt || !recurrence) {
+    return null;
+  }
+
+  if (recurrence.count === 1) {
+    return null;
+  }
+
+  const zone = resolveTimeZone(recurrence.timezone);
+  let wallClock = stepOccurrence(toWallClock(new Date(scheduledAt), zone), recurrence);
+  let next = fromWallClock(wallClock, zone);
+
+  // Limite de segurança contra regras que não avançam
+  for (let i = 0; next <= now && i < 10000; i++) {
+    wallClock = stepOccurrence(wallClock, recurrence);
+    next = fromWallClock(wallClock, zone);
+  }
+
+  if (recurrence.until && next > new Date(recurrence.until)) {
+    return null;
+  }
+
+  return next.toISOString();
+};
+
+/**
+ * Descreve uma regra em português, para respostas do WhatsApp
+ * (ex.: "toda semana (seg, qua)", "a cada 2 dias", "todo mês (dia 5)")
+ *
+ * @param {Object|null} recurrence - Regra normalizada
+ * @returns {string|null} Descrição ou null se não houver regra
+ */
+const describeRecurrence = (recurrence) => {
+  if (!recurrence) {
+    return null;
+  }
+
+  const interval = recurrence.interval || 1;
+  let text;
+
+  if (recurrence.frequency === "daily") {
+    text = interval === 1 ? "todo dia" : `a cada ${interval} dias`;
+  } else if (recurrence.frequency === "weekly") {
+    text = interval === 1 ? "toda semana" : `a cada ${interval} semanas`;
+    if (recurrence.weekdays && recurrence.weekdays.length > 0) {
+      text += ` (${recurrence.weekdays.map((day) => WEEKDAY_NAMES[day]).join(", ")})`;
+    }
+  } else {
+    text = interval === 1 ? "todo mês" : `a cada ${interval} meses`;
+    if (recurrence.month_day) {
+      text += ` (dia ${recurrence.month_day})`;
+    }
+  }
+
+  if (recurrence.count) {
+    text += `, mais ${recurrence.count} vez(es)`;
+  } else if (recurrence.until) {
+    text += `, até ${formatDate(recurrence.until, recurrence.timezone)}`;
+  }
+
+  return text;
+};
+
+module.exports = {
+  validateRecurrence,
+  normalizeRecurrence,
+  getNextOccurrence,
+  describeRecurrence,
+};
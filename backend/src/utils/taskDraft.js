@@ -0,0 +1,185 @@
+/**
+ * Utilitário de Rascunho de Tarefa
+ *
+ * Transforma uma frase livre (mensagem do WhatsApp ou áudio transcrito) nos
+ * campos de uma tarefa: "Criar tarefa comprar leite amanhã às 15h" vira o
+ * título "Comprar leite" agendado para amanhã às 15h.
+ *
+ * O título é o que sobra da frase depois de tirar:
+ * - comandos para o bot ("criar tarefa", "me lembre de", "por favor")
+ * - os trechos de data/hora e repetição reconhecidos pelo dateParser
+ *
+ * Usado pelo webhook do WhatsApp e pelas rotas de NLU em /api/wit (o app usa o
+ * rascunho devolvido por /api/wit/audio para a entrada de voz).
+ */
+
+const { extractSchedule, parseDateTimeDetails } = require("./dateParser");
+const { TITLE_MAX_LENGTH, DESCRIPTION_MAX_LENGTH } = require("../models/Task");
+
+/**
+ * Comandos no início da frase, removidos em sequência
+ * ("por favor, crie uma tarefa para me lembrar de ...")
+ */
+const COMMAND_PREFIXES = [
+  // Cortesias e vocativos
+  /^(?:por\s+favor|pfv?|ok|oi|ol[aá]|bom\s+dia|boa\s+tarde|boa\s+noite|bot)\b[\s,!.:-]*/i,
+  // "crie uma tarefa", "adicionar novo lembrete:", "agendar compromisso de"
+  /^(?:(?:voc[eê]\s+)?(?:pode|poderia)\s+)?(?:criar|crie|cria|adicionar|adicione|adiciona|anotar|anote|anota|registrar|registre|registra|cadastrar|cadastre|cadastra|incluir|inclua|inclui|colocar|coloque|coloca|agendar|agende|agenda|marcar|marque|marca)\s+(?:(?:uma|um|a|o|nova|novo)\s+)*(?:tarefas?|lembretes?|compromissos?|to-?dos?)\b\s*(?:[:–-]\s*|(?:de|para|pra|que)\s+)?/i,
+  // "crie ...", "anota ..." (verbos que só fazem sentido como comando)
+  /^(?:(?:voc[eê]\s+)?(?:pode|poderia)\s+)?(?:criar|crie|cria|adicionar|adicione|adiciona|anotar|anote|anota)\s+(?:(?:uma|um|a|o)\s+)?/i,
+  // "nova tarefa: ...", "tarefa ..."
+  /^(?:(?:uma|um|nova|novo)\s+)?(?:tarefa|lembrete)\b\s*(?:[:–-]\s*|(?:de|para|pra)\s+)?/i,
+  // "me lembre de", "lembrar de", "lembra-me que", "não me deixe esquecer de"
+  /^(?:(?:me\s+)?lembr(?:ar|e|a)(?:-me)?|n[aã]o\s+(?:me\s+)?deix[ae]\s+(?:eu\s+)?esquecer)\s+(?:(?:de|que|para|pra)\s+)?/i,
+];
+
+// Sobras no fim da frase depois de tirar a data ("comprar leite no", "por favor")
+const TRAILING_WORDS = /(?:\s+(?:de|para|pra|no|na|em|e|as|às|até|ate|pelas|lá|la|por\s+favor))+$/i;
+
+/**
+ * Normaliza valores de entidades vindas do NLU ou do texto bruto.
+ *
+ * Objetivo:
+ * - Garantir que title/description/status sejam strings válidas.
+ * - Evitar falhas quando as entidades vêm como array ou objeto.
+ *
+ * @param {any} value - Valor bruto da entidade
+ * @param {string|null} fallback - Valor alternativo se o valor bruto for inválido
+ * @returns {string|null} Valor normalizado
+ */
+const normalizeEntityValue = (value, fallback = null) => {
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed.length > 0 ? trimmed : fallback;
+  }
+
+  if (Array.isArray(value) && value.length > 0) {
+    return normalizeEntityValue(value[0], fallback);
+  }
+
+  if (value && typeof value === "object") {
+    const objectValue = value.value || value.text || value.body || value.message || null;
+    return normalizeEntityValue(objectValue, fallback);
+  }
+
+  return fallback;
+};
+
+/**
+ * Encurta um texto no limite de caracteres, sem cortar palavras
+ *
+ * @param {string} text - Texto
+ * @param {number} maxLength - Tamanho máximo (inclui as reticências)
+ * @returns {string} Texto cabendo no limite
+ */
+const truncateText = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.–-]+$/, "")}…`;
+};
+
+/**
+ * Remove trechos (posições no texto original) de uma frase
+ *
+ * @param {string} text - Frase
+ * @param {Array<Object>} spans - Trechos { start, end }
+ * @returns {string} Frase sem os trechos
+ */
+const removeSpans = (text, spans) =>
+  [...spans]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end }) => `${result.slice(0, start)} ${result.slice(end)}`, text);
+
+/**
+ * Extrai o título de uma tarefa de uma frase livre
+ *
+ * @param {string} text - Frase (mensagem ou transcrição)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.spans] - Trechos de data já encontrados
+ *   pelo dateParser; omitidos, a frase é analisada aqui
+ * @param {string} [options.timeZone] - Fuso do usuário (ver dateParser)
+ * @param {Date} [options.now] - Data de referência
+ * @returns {Object} { title, text } - título (até TITLE_MAX_LENGTH
+ *   caracteres, ou null se não sobrar nada) e o texto limpo completo
+ */
+const extractTaskTitle = (text, { spans, timeZone = null, now = new Date() } = {}) => {
+  if (!text || typeof text !== "string") {
+    return { title: null, text: null };
+  }
+
+  let dateSpans = spans;
+  if (!dateSpans) {
+    const details = parseDateTimeDetails(text, { now, timeZone });
+    dateSpans = details ? details.spans : [];
+  }
+
+  let cleaned = removeSpans(text, dateSpans).replace(/\s+/g, " ").trim();
+
+  // Comandos podem vir encadeados: aplicar até não haver mais o que tirar
+  let previous;
+  do {
+    previous = cleaned;
+    for (const prefix of COMMAND_PREFIXES) {
+      cleaned = cleaned.replace(prefix, "").trim();
+    }
+  } while (cleaned !== previous);
+
+  cleaned = cleaned
+    .replace(/\s+([,;:.!?])/g, "$1")
+    .replace(/[\s,;:.!–-]+$/, "")
+    .replace(TRAILING_WORDS, "")
+    .replace(/[\s,;:.!–-]+$/, "")
+    .replace(/^[\s,;:.!–-]+/, "");
+
+  if (cleaned.length === 0) {
+    return { title: null, text: null };
+  }
+
+  cleaned = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+
+  return { title: truncateText(cleaned, TITLE_MAX_LENGTH), text: cleaned };
+};
+
+/**
+ * Monta os campos de uma tarefa a partir de uma frase e das entidades do NLU
+ *
+ * Título e descrição das entidades têm prioridade; sem título, ele é
+ * extraído da frase. Quando o título precisa ser encurtado, a frase
+ * completa vai para a descrição (se não houver outra).
+ *
+ * @param {string} message - Frase (mensagem ou transcrição)
+ * @param {Object} [entities] - Entidades normalizadas do NLU (services/nlu.js)
+ * @param {Object} [options] - { timeZone, now, fallbackTitle }
+ * @returns {Object} { title, description, scheduled_at, recurrence }
+ */
+const buildTaskDraft = (message, entities = {}, { timeZone = null, now = new Date(), fallbackTitle = null } = {}) => {
+  const schedule = extractSchedule(message, entities, { timeZone, now });
+
+  const entityTitle = normalizeEntityValue(entities.title, null);
+  const extracted = entityTitle
+    ? extractTaskTitle(entityTitle, { timeZone, now })
+    : extractTaskTitle(message, { spans: schedule.spans, timeZone, now });
+
+  const description = normalizeEntityValue(entities.description, null)
+    || (extracted.title && extracted.title !== extracted.text
+      ? truncateText(extracted.text, DESCRIPTION_MAX_LENGTH)
+      : null);
+
+  return {
+    title: extracted.title || fallbackTitle,
+    description,
+    scheduled_at: schedule.scheduled_at,
+    recurrence: schedule.recurrence,
+  };
+};
+
+module.exports = {
+  normalizeEntityValue,
+  removeSpans,
+  extractTaskTitle,
+  buildTaskDraft,
+};
@@ -0,0 +1,248 @@
+/**
+ * Utilitário de Listas de Tarefas (WhatsApp)
+ *
+ * Monta a lista numerada que o bot envia em resposta a "minhas tarefas":
+ * - filtros: "tarefas de hoje", "de amanhã", "atrasadas", "em andamento"
+ * - páginas de LIST_PAGE_SIZE tarefas: "mais", "página 2"
+ * - uma linha por tarefa, com a data no fuso do usuário
+ *   ("3. Pagar boleto — 📅 amanhã às 10:00")
+ *
+ * A numeração continua entre as páginas (a página 2 começa no 6), para que
+ * "concluir 7" funcione depois de "mais".
+ */
+
+const { normalizeText } = require("../services/nlu/intentClassifier");
+const { resolveTimeZone, toWallClock, formatDateTime } = require("./timezone");
+
+// Tarefas por página da lista
+const LIST_PAGE_SIZE = 5;
+
+/**
+ * Filtros da lista: título da resposta, mensagem de lista vazia e critério
+ * (recebe a tarefa e { now, day, today, tomorrow }; day é o dia da tarefa e
+ * today/tomorrow os dias de referência, no relógio do usuário, "AAAA-MM-DD")
+ */
+const LIST_FILTERS = {
+  open: {
+    title: (count) => `📋 Você tem ${count} tarefa(s) pendente(s):`,
+    empty: "📋 Você não tem tarefas pendentes.",
+    matches: () => true,
+  },
+  today: {
+    title: (count) => `📋 Tarefas de hoje (${count}):`,
+    empty: "📋 Nenhuma tarefa para hoje.",
+    matches: (task, { day, today }) => day === today,
+  },
+  tomorrow: {
+    title: (count) => `📋 Tarefas de amanhã (${count}):`,
+    empty: "📋 Nenhuma tarefa para amanhã.",
+    matches: (task, { day, tomorrow }) => day === tomorrow,
+  },
+  overdue: {
+    title: (count) => `⚠️ Tarefas atrasadas (${count}):`,
+    empty: "👏 Nenhuma tarefa atrasada.",
+    matches: (task, { now }) => Boolean(task.scheduled_at) && new Date(task.scheduled_at) < now,
+  },
+  in_progress: {
+    title: (count) => `🔄 Tarefas em andamento (${count}):`,
+    empty: "🔄 Nenhuma tarefa em andamento.",
+    matches: (task) => task.status === "in_progress",
+  },
+};
+
+// Palavras que escolhem o filtro, sobre o texto simplificado
+const FILTER_PATTERNS = [
+  { filter: "overdue", pattern: /\b(?:atrasad[ao]s?|vencid[ao]s?|em atraso)\b/ },
+  { filter: "in_progress", pattern: /\b(?:em andamento|fazendo|comecad[ao]s?)\b/ },
+  { filter: "today", pattern: /\bhoje\b/ },
+  { filter: "tomorrow", pattern: /\bamanha\b/ },
+];
+
+// "mais", "ver mais", "próxima página"
+const NEXT_PAGE_REGEX = /^(?:(?:ver|mostrar|mostra|mostre|manda|mande)\s+)?(?:mais|proxima(?:\s+pagina)?)(?:\s+tarefas)?$/;
+
+// "página 2", "pag 3"
+const PAGE_REGEX = /\bpag(?:ina)?\s*(\d{1,3})\b/;
+
+/**
+ * Interpreta um pedido de lista
+ *
+ * @param {string} text - Mensagem ("tarefas de hoje", "mais", "página 2")
+ * @returns {Object} { filter, page, nextPage } - filter null quando a
+ *   mensagem não escolhe um (lista padrão ou a mesma lista da conversa);
+ *   page null quando não pede uma página
+ */
+const parseListRequest = (text) => {
+  const normalized = normalizeText(text);
+  const found = FILTER_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  const pageMatch = normalized.match(PAGE_REGEX);
+
+  return {
+    filter: found ? found.filter : null,
+    page: pageMatch ? Math.max(1, parseInt(pageMatch[1], 10)) : null,
+    nextPage: NEXT_PAGE_REGEX.test(normalized),
+  };
+};
+
+/**
+ * Dia (AAAA-MM-DD) de um instante no relógio do fuso
+ *
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Fuso
+ * @returns {string} Dia
+ */
+const wallClockDay = (date, timeZone) => toWallClock(date, timeZone).toISOString().slice(0, 10);
+
+/**
+ * Ordena as tarefas da lista: agendadas primeiro, da mais próxima para a
+ * mais distante; depois as sem data, na ordem de criação
+ *
+ * @param {Array<Object>} tasks - Tarefas
+ * @returns {Array<Object>} Nova lista ordenada
+ */
+const sortTasksForList = (tasks) => {
+  const scheduled = tasks
+    .filter((task) => task.scheduled_at)
+    .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at));
+  return [...scheduled, ...tasks.filter((task) => !task.scheduled_at)];
+};
+
+/**
+ * Aplica um filtro da lista
+ *
+ * @param {Array<Object>} tasks - Tarefas em aberto
+ * @param {string} filter - Chave de LIST_FILTERS
+ * @param {Object} [options] - { timeZone, now }
+ * @returns {Array<Object>} Tarefas do filtro
+ */
+const filterTasks = (tasks, filter, { timeZone = null, now = new Date() } = {}) => {
+  const zone = resolveTimeZone(timeZone);
+  const tomorrow = toWallClock(now, zone);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  const reference = {
+    now,
+    today: wallClockDay(now, zone),
+    tomorrow: tomorrow.toISOString().slice(0, 10),
+  };
+
+  return tasks.filter((task) =>
+    LIST_FILTERS[filter].matches(task, {
+      ...reference,
+      day: task.scheduled_at ? wallClockDay(new Date(task.scheduled_at), zone) : null,
+    })
+  );
+};
+
+/**
+ * Formata a data de uma tarefa para a linha da lista
+ * ("hoje às 10:00", "amanhã às 09:00", "25/12 às 15:00")
+ *
+ * @param {string} scheduledAt - Data ISO 8601
+ * @param {string} timeZone - Fuso
+ * @param {Date} now - Data de referência
+ * @returns {string} Data formatada
+ */
+const formatListDate = (scheduledAt, timeZone, now) => {
+  const zone = resolveTimeZone(timeZone);
+  const wallClock = toWallClock(new Date(scheduledAt), zone);
+  const today = toWallClock(now, zone);
+  const time = wallClock.toISOString().slice(11, 16);
+  const day = wallClock.toISOString().slice(0, 10);
+
+  const tomorrow = new Date(today.getTime());
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  if (day === today.toISOString().slice(0, 10)) {
+    return `hoje às ${time}`;
+  }
+  if (day === tomorrow.toISOString().slice(0, 10)) {
+    return `amanhã às ${time}`;
+  }
+  if (wallClock.getUTCFullYear() !== today.getUTCFullYear()) {
+    return formatDateTime(scheduledAt, zone);
+  }
+  return `${day.slice(8, 10)}/${day.slice(5, 7)} às ${time}`;
+};
+
+/**
+ * Monta a linha de uma tarefa na lista
+ *
+ * @param {Object|null} task - Tarefa (null se foi apagada depois da listagem)
+ * @param {number} position - Número na lista
+ * @param {Object} options - { timeZone, now }
+ * @returns {string} Linha ("3. Pagar boleto — 📅 amanhã às 10:00")
+ */
+const formatTaskLine = (task, position, { timeZone, now }) => {
+  if (!task) {
+    return `${position}. (tarefa apagada)`;
+  }
+
+  let line = `${position}. ${task.title}`;
+  if (task.status === "completed") {
+    return `${line} — ✅ concluída`;
+  }
+  if (task.scheduled_at) {
+    const overdue = new Date(task.scheduled_at) < now;
+    line += ` — ${overdue ? "⚠️" : "📅"} ${formatListDate(task.scheduled_at, timeZone, now)}`;
+  }
+  if (task.recurrence) {
+    line += " 🔁";
+  }
+  if (task.status === "in_progress") {
+    line += " 🔄";
+  }
+  return line;
+};
+
+/**
+ * Monta a mensagem de uma página da lista
+ *
+ * @param {Array<Object|null>} tasks - Tarefas da lista inteira, na ordem
+ *   numerada (null para apagadas)
+ * @param {Object} options
+ * @param {string} options.filter - Chave de LIST_FILTERS
+ * @param {number} options.page - Página (a partir de 1)
+ * @param {string} [options.timeZone] - Fuso do usuário
+ * @param {Date} [options.now] - Data de referência
+ * @returns {string} Mensagem
+ */
+const formatTaskListPage = (tasks, { filter, page, timeZone = null, now = new Date() }) => {
+  const { title, empty } = LIST_FILTERS[filter];
+  if (tasks.length === 0) {
+    return empty;
+  }
+
+  const totalPages = Math.ceil(tasks.length / LIST_PAGE_SIZE);
+  if (page > totalPages) {
+    return `📋 A lista só tem ${totalPages} página(s). Envie "minhas tarefas" para ver desde o início.`;
+  }
+
+  const first = (page - 1) * LIST_PAGE_SIZE;
+  const lines = tasks
+    .slice(first, first + LIST_PAGE_SIZE)
+    .map((task, offset) => formatTaskLine(task, first + offset + 1, { timeZone, now }));
+
+  const openCount = tasks.filter((task) => task && task.status !== "completed").length;
+  let message = `${title(openCount)}\n\n${lines.join("\n")}`;
+  if (totalPages > 1) {
+    message += `\n\nPágina ${page} de ${totalPages}`;
+    if (page < totalPages) {
+      message += ` — envie "mais" para ver as próximas`;
+    }
+  }
+  message += `\n\nUse os números nos comandos: "concluir ${first + 1}", "adiar ${first + 1} para amanhã".`;
+
+  return message;
+};
+
+module.exports = {
+  LIST_FILTERS,
+  LIST_PAGE_SIZE,
+  parseListRequest,
+  sortTasksForList,
+  filterTasks,
+  formatListDate,
+  formatTaskLine,
+  formatTaskListPage,
+};
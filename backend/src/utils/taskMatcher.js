@@ -0,0 +1,349 @@
+/**
+ * Utilitário de Referência a Tarefas
+ *
+ * Descobre qual tarefa o usuário citou numa mensagem do WhatsApp:
+ * - pelo número na lista enviada pelo bot: "concluir 2", "apagar a tarefa 3"
+ * - pelo título, tolerando diferenças: "feito comprar leite",
+ *   "marcar como feita a reunião", "já paguei a conta de luz"
+ *
+ * O verbo do comando ("concluir", "feito", "apagar", "adiar"...) é
+ * descartado antes da comparação. A comparação de títulos ignora acentos,
+ * maiúsculas e palavras curtas ("de", "a", "pra") e aceita palavras
+ * parecidas ("paguei" ~ "pagar").
+ *
+ * Também separa os comandos de edição ("renomear 2 para pagar boleto") em
+ * referência à tarefa, campo e novo valor.
+ */
+
+// Pontuação mínima para considerar que um título corresponde à referência
+const MIN_MATCH_SCORE = 0.5;
+
+// Diferença de pontuação abaixo da qual duas tarefas ficam empatadas
+const AMBIGUITY_MARGIN = 0.1;
+
+// Verbos de comando e complementos no início da referência
+const LEADING_COMMAND = /^(?:(?:ja|pode|por favor|pf)\s+)*(?:(?:marcar|marca|marque)\b\s*)?(?:concluir|conclui|concluida|concluido|completar|completei|completa|terminar|terminei|termina|finalizar|finalizei|finaliza|feito|feita|fiz|dar baixa(?: em| na| no)?|apagar|apaga|apague|deletar|deleta|delete|excluir|exclui|exclua|remover|remove|remova|cancelar|cancela|cancele|adiar|adia|adie|remarcar|remarca|remarque|reagendar|reagenda|reagende|editar|edita|edite|renomear|renomeia|renomeie|mudar|muda|mude|passar|passa|passe|trocar|troca|troque)?(?:\s*como\s+(?:feita|feito|concluida|concluido))?\b/;
+
+// Artigos e palavras que antecedem o número ou o título ("a tarefa nº 2")
+const LEADING_FILLERS = /^(?:(?:a|o|as|os|na|no|da|do|de|em|essa|esse|aquela|aquele|minha|meu|tarefa|tarefas|lembrete|item|numero|num|n|nº|#)\s*)+/;
+
+// Sobras no fim da referência depois de tirar a data ("adiar a reunião para")
+const TRAILING_FILLERS = /(?:\s+(?:para|pra|pro|por|mais|em|no|na|as|ate|de|do|da|e))+$/;
+
+// Palavras que não ajudam a distinguir títulos
+const STOPWORDS = new Set([
+  "a", "o", "as", "os", "e", "de", "da", "do", "das", "dos", "em", "no", "na",
+  "nos", "nas", "um", "uma", "pra", "pro", "para", "com", "por", "ja", "que",
+]);
+
+// Números por extenso aceitos como posição na lista
+const NUMBER_WORDS = {
+  um: 1, uma: 1, primeira: 1, primeiro: 1,
+  dois: 2, duas: 2, segunda: 2, segundo: 2,
+  tres: 3, terceira: 3, terceiro: 3,
+  quatro: 4, quarta: 4, quarto: 4,
+  cinco: 5, quinta: 5, quinto: 5,
+};
+
+/**
+ * Comandos de edição, aplicados ao texto original (o novo valor mantém
+ * acentos e maiúsculas). Grupos: referência e novo valor; o campo vem de
+ * `field` ou, se null, do grupo FIELD_GROUP.
+ */
+const EDIT_COMMANDS = [
+  // "renomear 2 para pagar boleto", "renomeia a reunião"
+  {
+    field: "title",
+    pattern: /^\s*(?:renomear|renomeia|renomeie)\s+(.+?)(?:\s+(?:para|pra|como)\s*:?\s+(.+?))?[\s.!]*$/i,
+  },
+  // "mudar descrição da 1 para levar documentos", "trocar o nome da 2"
+  {
+    field: null,
+    pattern: /^\s*(?:editar|edita|edite|alterar|altera|altere|mudar|muda|mude|trocar|troca|troque|corrigir|corrige|corrija)\s+(?:o\s+|a\s+)?(t[ií]tulo|nome|descri[cç][aã]o)\s+(.+?)(?:\s+(?:para|pra)\s*:?\s+(.+?))?[\s.!]*$/i,
+  },
+  // "editar tarefa 2" (sem dizer o que mudar)
+  {
+    field: null,
+    pattern: /^\s*(?:editar|edita|edite|alterar|altera|altere)\s+(.+?)[\s.!]*$/i,
+  },
+];
+
+// Nomes de campo aceitos nos comandos de edição
+const EDIT_FIELDS = {
+  titulo: "title",
+  nome: "title",
+  descricao: "description",
+};
+
+/**
+ * Simplifica o texto: minúsculas, sem acentos e sem pontuação
+ *
+ * @param {string} text - Texto original
+ * @returns {string} Texto simplificado
+ */
+const simplify = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9#\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Simplifica o texto guardando, para cada caractere do resultado, a
+ * posição de origem no texto original (para citar o trecho como o usuário
+ * escreveu)
+ *
+ * @param {string} text - Texto original
+ * @returns {Object} { simplified, offsets } - mesmo resultado de simplify
+ */
+const simplifyWithOffsets = (text) => {
+  const original = String(text || "");
+  let simplified = "";
+  const offsets = [];
+
+  for (let index = 0; index < original.length; index += 1) {
+    // Acentos já decompostos ("a" + "\u0301") somem, como em simplify
+    if (/[\u0300-\u036f]/.test(original[index])) {
+      continue;
+    }
+
+    const char = simplify(original[index]) || " ";
+    if (char === " " && (simplified.length === 0 || simplified.endsWith(" "))) {
+      continue;
+    }
+    simplified += char;
+    offsets.push(index);
+  }
+
+  if (simplified.endsWith(" ")) {
+    simplified = simplified.slice(0, -1);
+    offsets.pop();
+  }
+
+  return { simplified, offsets };
+};
+
+/**
+ * Palavras significativas de um texto simplificado
+ *
+ * @param {string} text - Texto simplificado
+ * @returns {Array<string>} Palavras
+ */
+const significantWords = (text) => text.split(" ").filter((word) => word && !STOPWORDS.has(word));
+
+/**
+ * Verifica se duas palavras são "a mesma" (iguais, mesmo radical ou um
+ * erro de digitação de distância 1)
+ *
+ * @param {string} a - Palavra
+ * @param {string} b - Palavra
+ * @returns {boolean}
+ */
+const wordsMatch = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+
+  // Mesmo radical: "paguei"/"pagar", "reuniao"/"reunioes"
+  const stem = Math.min(a.length, b.length) >= 5 ? 4 : 3;
+  if (a.length > stem && b.length > stem && a.slice(0, stem) === b.slice(0, stem)) {
+    return true;
+  }
+
+  if (Math.abs(a.length - b.length) > 1 || Math.min(a.length, b.length) < 4) {
+    return false;
+  }
+
+  // Distância de edição até 1 (troca, inclusão ou remoção de uma letra)
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i += 1;
+      j += 1;
+      continue;
+    }
+    edits += 1;
+    if (edits > 1) {
+      return false;
+    }
+    if (a.length > b.length) {
+      i += 1;
+    } else if (b.length > a.length) {
+      j += 1;
+    } else {
+      i += 1;
+      j += 1;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * Pontua a semelhança entre a referência e o título de uma tarefa (0 a 1)
+ *
+ * @param {string} query - Referência simplificada
+ * @param {string} title - Título simplificado
+ * @returns {number} Pontuação
+ */
+const scoreTitle = (query, title) => {
+  if (query === title) {
+    return 1;
+  }
+  if (title.includes(query) || query.includes(title)) {
+    return 0.9;
+  }
+
+  const queryWords = significantWords(query);
+  const titleWords = significantWords(title);
+  if (queryWords.length === 0 || titleWords.length === 0) {
+    return 0;
+  }
+
+  const matched = queryWords.filter((word) => titleWords.some((titleWord) => wordsMatch(word, titleWord))).length;
+  return (2 * matched) / (queryWords.length + titleWords.length);
+};
+
+/**
+ * Lê a posição na lista ("2", "#2", "segunda")
+ *
+ * @param {string} query - Referência simplificada
+ * @returns {number|null} Posição (a partir de 1) ou null
+ */
+const readIndex = (query) => {
+  const match = query.match(/^#?(\d{1,3})$/);
+  if (match) {
+    return parseInt(match[1], 10);
+  }
+  return NUMBER_WORDS[query] || null;
+};
+
+/**
+ * Localiza na mensagem o trecho que identifica a tarefa
+ *
+ * @param {string} text - Mensagem (sem o trecho de data, se houver)
+ * @returns {Object} { reference, quote } - referência simplificada (ex.:
+ *   "2", "comprar leite") e o mesmo trecho como escrito na mensagem
+ *   ("Comprar leite"); ambos vazios quando não há referência
+ */
+const locateReference = (text) => {
+  const { simplified, offsets } = simplifyWithOffsets(text);
+  const rest = simplified.replace(LEADING_COMMAND, "").trim().replace(LEADING_FILLERS, "");
+  const reference = rest.replace(TRAILING_FILLERS, "").trim();
+
+  if (!reference) {
+    return { reference: "", quote: "" };
+  }
+
+  const start = simplified.length - rest.length;
+  const end = start + reference.length - 1;
+  return { reference, quote: String(text).slice(offsets[start], offsets[end] + 1) };
+};
+
+/**
+ * Extrai da mensagem o trecho que identifica a tarefa
+ *
+ * @param {string} text - Mensagem (sem o trecho de data, se houver)
+ * @returns {string} Referência simplificada (ex.: "2", "comprar leite")
+ */
+const extractReference = (text) => locateReference(text).reference;
+
+/**
+ * Verifica se a mensagem começa com um verbo de comando ("concluir 2",
+ * "apagar a reunião") em vez de ser só uma referência ("2", "a reunião")
+ *
+ * @param {string} text - Mensagem
+ * @returns {boolean}
+ */
+const startsWithCommand = (text) => {
+  const match = simplify(text).match(LEADING_COMMAND);
+  return Boolean(match && match[0].trim());
+};
+
+/**
+ * Encontra a tarefa citada numa mensagem
+ *
+ * @param {string} text - Mensagem (sem o trecho de data, se houver)
+ * @param {Array<Object|null>} tasks - Tarefas na ordem da lista do bot
+ *   (null para tarefas apagadas depois da listagem)
+ * @returns {Object} { task, index, candidates, reference, quote }
+ *   - task: tarefa encontrada (ou null)
+ *   - index: posição usada (ou null se a referência foi pelo título)
+ *   - candidates: tarefas empatadas quando o título é ambíguo
+ *   - reference: trecho que identifica a tarefa (simplificado)
+ *   - quote: o mesmo trecho como escrito na mensagem, para as respostas
+ */
+const findTaskReference = (text, tasks) => {
+  const { reference, quote } = locateReference(text);
+  const result = { task: null, index: null, candidates: [], reference, quote };
+
+  if (!reference) {
+    return result;
+  }
+
+  const index = readIndex(reference);
+  if (index !== null) {
+    return { ...result, index, task: tasks[index - 1] || null };
+  }
+
+  const ranked = tasks
+    .filter(Boolean)
+    .map((task) => ({ task, score: scoreTitle(reference, simplify(task.title)) }))
+    .filter(({ score }) => score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) {
+    return result;
+  }
+
+  const tied = ranked.filter(({ score }) => ranked[0].score - score < AMBIGUITY_MARGIN);
+  if (tied.length > 1 && ranked[0].score < 1) {
+    return { ...result, candidates: tied.map(({ task }) => task) };
+  }
+
+  return { ...result, task: ranked[0].task };
+};
+
+/**
+ * Separa um comando de edição em referência, campo e novo valor
+ *
+ * @param {string} text - Mensagem ("renomear 2 para pagar boleto")
+ * @returns {Object|null} { reference, field, value } - field é "title",
+ *   "description" ou null (não informado); value é null quando a mensagem
+ *   não traz o novo valor. null se a mensagem não for um comando de edição.
+ */
+const splitEditCommand = (text) => {
+  for (const { field, pattern } of EDIT_COMMANDS) {
+    const match = String(text || "").match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    if (field) {
+      return { reference: match[1], field, value: match[2] || null };
+    }
+
+    // Só a referência ("editar tarefa 2")
+    if (match.length === 2) {
+      return { reference: match[1], field: null, value: null };
+    }
+
+    return {
+      reference: match[2],
+      field: EDIT_FIELDS[simplify(match[1])],
+      value: match[3] || null,
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  findTaskReference,
+  extractReference,
+  startsWithCommand,
+  splitEditCommand,
+};
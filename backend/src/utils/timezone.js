@@ -0,0 +1,142 @@
+/**
+ * Utilitário de Fuso Horário
+ *
+ * O servidor pode rodar em UTC enquanto os usuários estão no Brasil; toda
+ * data "de calendário" (dia, hora do relógio, dia da semana) é calculada
+ * no fuso do usuário com a API Intl, sem depender do fuso da máquina.
+ *
+ * Convenção "relógio de parede": para fazer contas de calendário, um
+ * instante é convertido num Date cujos campos UTC (getUTCHours etc.) são
+ * a hora local do fuso. Depois das contas, fromWallClock devolve o
+ * instante real.
+ *
+ * Fusos são nomes IANA (ex.: "America/Sao_Paulo", "America/Manaus").
+ */
+
+// Fuso usado para contas sem fuso definido (ex.: telefone sem app vinculado)
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "America/Sao_Paulo";
+
+// Formatadores por fuso (criar Intl.DateTimeFormat é caro)
+const formatters = new Map();
+
+/**
+ * Verifica se o nome é um fuso IANA conhecido
+ *
+ * @param {any} timeZone - Nome do fuso
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone.trim().length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Retorna o fuso informado, ou o padrão se ele for inválido/ausente
+ *
+ * @param {string|null} timeZone - Nome do fuso
+ * @returns {string} Fuso válido
+ */
+const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+
+/**
+ * Converte um instante para o relógio de parede do fuso
+ *
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Fuso
+ * @returns {Date} Data cujos campos UTC são a hora local do fuso
+ */
+const toWallClock = (date, timeZone) => {
+  const zone = resolveTimeZone(timeZone);
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(zone).formatToParts(date)) {
+    parts[type] = parseInt(value, 10);
+  }
+
+  return new Date(Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    date.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Converte um relógio de parede do fuso de volta para o instante real
+ *
+ * Em horários que não existem (início do horário de verão) o resultado
+ * avança junto com o relógio.
+ *
+ * @param {Date} wallClock - Data cujos campos UTC são a hora local
+ * @param {string} timeZone - Fuso
+ * @returns {Date} Instante real
+ */
+const fromWallClock = (wallClock, timeZone) => {
+  const guess = wallClock.getTime();
+  const offset = toWallClock(new Date(guess), timeZone).getTime() - guess;
+  const instant = guess - offset;
+
+  // Perto de uma troca de horário o deslocamento pode ser outro
+  const correctedOffset = toWallClock(new Date(instant), timeZone).getTime() - instant;
+  return new Date(guess - correctedOffset);
+};
+
+/**
+ * Formata data e hora em pt-BR no fuso do usuário (ex.: "25/12/2024, 15:00")
+ *
+ * @param {Date|string} date - Instante
+ * @param {string} timeZone - Fuso
+ * @returns {string} Data formatada
+ */
+const formatDateTime = (date, timeZone) =>
+  new Date(date).toLocaleString("pt-BR", {
+    timeZone: resolveTimeZone(timeZone),
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Formata só a data em pt-BR no fuso do usuário (ex.: "25/12/2024")
+ *
+ * @param {Date|string} date - Instante
+ * @param {string} timeZone - Fuso
+ * @returns {string} Data formatada
+ */
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleDateString("pt-BR", { timeZone: resolveTimeZone(timeZone) });
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  toWallClock,
+  fromWallClock,
+  formatDateTime,
+  formatDate,
+};
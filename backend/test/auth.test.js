@@ -0,0 +1,130 @@
+/**
+ * Testes da autenticação (services/auth.js)
+ *
+ * Cobre cadastro e login, a troca do refresh token a cada renovação e a
+ * revogação da sessão quando um refresh token antigo é reapresentado.
+ */
+
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O banco é escolhido na primeira importação de src/config/database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-auth-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+process.env.AUTH_TOKEN_SECRET = "segredo-de-teste";
+
+const authService = require("../src/services/auth");
+
+describe("autenticação", () => {
+  let emailSeq = 0;
+
+  /**
+   * Cadastra uma conta nova
+   *
+   * @returns {Object} { email, password, tokens }
+   */
+  const registerAccount = () => {
+    const email = `conta${++emailSeq}@example.com`;
+    const password = "senha-forte-123";
+    return { email, password, tokens: authService.register({ email, password }) };
+  };
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("cadastro e login", () => {
+    it("cadastra e devolve tokens que autenticam a conta", () => {
+      const { email, tokens } = registerAccount();
+
+      assert.equal(tokens.user.email, email);
+      assert.equal(tokens.user.password_hash, undefined);
+      assert.equal(authService.authenticate(tokens.access_token).user.id, tokens.user.id);
+    });
+
+    it("recusa e-mail já cadastrado, sem diferenciar maiúsculas", () => {
+      const { email, password } = registerAccount();
+
+      assert.throws(
+        () => authService.register({ email: email.toUpperCase(), password }),
+        { code: "EMAIL_TAKEN", status: 409 }
+      );
+    });
+
+    it("recusa cadastro com senha curta", () => {
+      assert.throws(
+        () => authService.register({ email: "curta@example.com", password: "123" }),
+        { code: "VALIDATION_ERROR", status: 400 }
+      );
+    });
+
+    it("faz login com a senha certa e abre outra sessão", () => {
+      const { email, password, tokens } = registerAccount();
+
+      const login = authService.login({ email: ` ${email.toUpperCase()} `, password });
+
+      assert.equal(login.user.id, tokens.user.id);
+      assert.notEqual(login.refresh_token.split(".")[0], tokens.refresh_token.split(".")[0]);
+    });
+
+    it("recusa senha errada e e-mail inexistente com o mesmo erro", () => {
+      const { email } = registerAccount();
+
+      assert.throws(() => authService.login({ email, password: "senha-errada" }), { code: "INVALID_CREDENTIALS", status: 401 });
+      assert.throws(
+        () => authService.login({ email: "ninguem@example.com", password: "senha-forte-123" }),
+        { code: "INVALID_CREDENTIALS", status: 401 }
+      );
+    });
+  });
+
+  describe("renovação", () => {
+    it("troca o refresh token a cada uso, na mesma sessão", () => {
+      const { tokens } = registerAccount();
+
+      const renewed = authService.refresh(tokens.refresh_token);
+
+      assert.notEqual(renewed.refresh_token, tokens.refresh_token);
+      assert.equal(renewed.refresh_token.split(".")[0], tokens.refresh_token.split(".")[0]);
+      assert.equal(authService.authenticate(renewed.access_token).user.id, tokens.user.id);
+      assert.equal(authService.refresh(renewed.refresh_token).user.id, tokens.user.id);
+    });
+
+    it("revoga a sessão quando um refresh token antigo é reapresentado", () => {
+      const { tokens } = registerAccount();
+      const renewed = authService.refresh(tokens.refresh_token);
+
+      assert.throws(() => authService.refresh(tokens.refresh_token), { code: "REFRESH_INVALID", status: 401 });
+
+      // O token atual e os tokens de acesso da sessão deixam de valer
+      assert.throws(() => authService.refresh(renewed.refresh_token), { code: "REFRESH_INVALID" });
+      assert.throws(() => authService.authenticate(renewed.access_token), { code: "SESSION_REVOKED" });
+      assert.throws(() => authService.authenticate(tokens.access_token), { code: "SESSION_REVOKED" });
+    });
+
+    it("não afeta as outras sessões da conta", () => {
+      const { email, password, tokens } = registerAccount();
+      const otherSession = authService.login({ email, password });
+      authService.refresh(tokens.refresh_token);
+
+      assert.throws(() => authService.refresh(tokens.refresh_token), { code: "REFRESH_INVALID" });
+
+      assert.equal(authService.authenticate(otherSession.access_token).user.id, tokens.user.id);
+    });
+
+    it("recusa refresh token malformado", () => {
+      assert.throws(() => authService.refresh("sem-ponto"), { code: "REFRESH_INVALID" });
+      assert.throws(() => authService.refresh(undefined), { code: "REFRESH_INVALID" });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Testes do parser de datas (utils/dateParser.js)
+ *
+ * A tabela roda com o processo em UTC e em America/Sao_Paulo: o resultado
+ * depende só do fuso do usuário (opção timeZone), nunca do fuso do servidor.
+ */
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseDateTimeDetails, parseDuration, addDuration } = require("../src/utils/dateParser");
+const { buildTaskDraft } = require("../src/utils/taskDraft");
+
+const TIME_ZONE = "America/Sao_Paulo";
+
+// Segunda-feira, 19/10/2026, 10:37 em São Paulo (UTC-3)
+const NOW = new Date("2026-10-19T13:37:00.000Z");
+
+// [frase, scheduled_at esperado, trecho reconhecido]
+const CASES = [
+  ["daqui a 2 horas", "2026-10-19T15:37:00.000Z", "daqui a 2 horas"],
+  ["em 30 minutos", "2026-10-19T14:07:00.000Z", "em 30 minutos"],
+  ["daqui a meia hora", "2026-10-19T14:07:00.000Z", "daqui a meia hora"],
+  ["depois de amanhã", "2026-10-21T12:00:00.000Z", "depois de amanhã"],
+  ["sexta que vem", "2026-10-23T12:00:00.000Z", "sexta que vem"],
+  ["pagar o boleto sexta", "2026-10-23T12:00:00.000Z", "sexta"],
+  ["no fim de semana", "2026-10-24T12:00:00.000Z", "no fim de semana"],
+  ["dia 15 às 10h", "2026-11-15T13:00:00.000Z", "dia 15 às 10h"],
+  ["meio-dia", "2026-10-19T15:00:00.000Z", "meio-dia"],
+  ["às 3 da tarde", "2026-10-19T18:00:00.000Z", "às 3 da tarde"],
+  ["de manhã", "2026-10-20T12:00:00.000Z", "de manhã"],
+  ["à noite", "2026-10-19T23:00:00.000Z", "à noite"],
+  ["às oito e meia", "2026-10-20T11:30:00.000Z", "às oito e meia"],
+  // 12 da noite/madrugada é meia-noite; 12 da tarde é meio-dia
+  ["reunião amanhã às 12 da noite", "2026-10-20T03:00:00.000Z", "amanhã às 12 da noite"],
+  ["às 12 da noite", "2026-10-20T03:00:00.000Z", "às 12 da noite"],
+  ["às 12 da madrugada", "2026-10-20T03:00:00.000Z", "às 12 da madrugada"],
+  ["às 12 da tarde", "2026-10-19T15:00:00.000Z", "às 12 da tarde"],
+  // Prazos em dias, semanas e meses mantêm o horário atual
+  ["daqui a 1 semana", "2026-10-26T13:37:00.000Z", "daqui a 1 semana"],
+  ["em 3 dias", "2026-10-22T13:37:00.000Z", "em 3 dias"],
+  ["em 3 dias às 15h", "2026-10-22T18:00:00.000Z", "em 3 dias às 15h"],
+  ["em 1 mês", "2026-11-19T13:37:00.000Z", "em 1 mês"],
+  ["daqui a 2 meses", "2026-12-19T13:37:00.000Z", "daqui a 2 meses"],
+  // Dias coordenados: o mais próximo, com todos no trecho
+  ["sábado e domingo às 10h", "2026-10-24T13:00:00.000Z", "sábado e domingo às 10h"],
+  ["segunda, quarta e sexta às 9h", "2026-10-21T12:00:00.000Z", "segunda, quarta e sexta às 9h"],
+];
+
+const originalTz = process.env.TZ;
+
+for (const serverTimeZone of ["UTC", "America/Sao_Paulo"]) {
+  describe(`parseDateTimeDetails (servidor em ${serverTimeZone})`, () => {
+    after(() => {
+      if (originalTz === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = originalTz;
+      }
+    });
+
+    for (const [phrase, expected, matched] of CASES) {
+      it(`"${phrase}"`, () => {
+        process.env.TZ = serverTimeZone;
+
+        const details = parseDateTimeDetails(phrase, { now: NOW, timeZone: TIME_ZONE });
+
+        assert.ok(details, `sem data para "${phrase}"`);
+        assert.equal(details.scheduled_at, expected);
+        assert.equal(details.matched, matched);
+      });
+    }
+  });
+}
+
+describe("título sem as palavras de data", () => {
+  it("remove todos os dias coordenados", () => {
+    const draft = buildTaskDraft("churrasco sábado e domingo às 10h", {}, { timeZone: TIME_ZONE, now: NOW });
+
+    assert.equal(draft.title, "Churrasco");
+    assert.equal(draft.scheduled_at, "2026-10-24T13:00:00.000Z");
+  });
+
+  it("remove o dia da semana sem preposição no fim da frase", () => {
+    const draft = buildTaskDraft("pagar o boleto sexta", {}, { timeZone: TIME_ZONE, now: NOW });
+
+    assert.equal(draft.title, "Pagar o boleto");
+    assert.equal(draft.scheduled_at, "2026-10-23T12:00:00.000Z");
+  });
+
+  it("mantém ordinais com artigo", () => {
+    for (const phrase of ["concluir a segunda", "estudar para a quarta prova"]) {
+      assert.equal(parseDateTimeDetails(phrase, { now: NOW, timeZone: TIME_ZONE }), null, phrase);
+    }
+  });
+
+  it("remove prazos em meses", () => {
+    const draft = buildTaskDraft("pagar seguro em 1 mês", {}, { timeZone: TIME_ZONE, now: NOW });
+
+    assert.equal(draft.title, "Pagar seguro");
+  });
+});
+
+describe("parseDuration / addDuration", () => {
+  it("soma meses usando o último dia quando o mês é mais curto", () => {
+    const duration = parseDuration("adiar 1 mês");
+
+    assert.deepEqual(
+      { minutes: duration.minutes, days: duration.days, months: duration.months },
+      { minutes: null, days: null, months: 1 }
+    );
+    assert.equal(
+      addDuration(new Date("2026-01-31T15:00:00.000Z"), duration, TIME_ZONE).toISOString(),
+      "2026-02-28T15:00:00.000Z"
+    );
+  });
+});
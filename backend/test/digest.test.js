@@ -0,0 +1,42 @@
+/**
+ * Testes dos comandos de resumo do dia (services/digest.js)
+ */
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O serviço importa src/config/database: usa um banco temporário
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-digest-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+
+const { parseDigestCommand } = require("../src/services/digest");
+
+// [mensagem, resultado esperado]
+const CASES = [
+  ["resumo", { action: "send", time: null }],
+  ["resumo de hoje", { action: "send", time: null }],
+  ["resumo de amanhã", { action: "send", time: null }],
+  ["me manda o resumo de hoje", { action: "send", time: null }],
+  ["resumo diário às 7h", { action: "enable", time: "07:00" }],
+  ["resumo às 19:30", { action: "enable", time: "19:30" }],
+  ["resumo todo dia às 8 da noite", { action: "enable", time: "20:00" }],
+  ["ativar resumo diário", { action: "enable", time: null }],
+  ["parar resumo", { action: "disable", time: null }],
+  ["não quero mais o resumo diário", { action: "disable", time: null }],
+];
+
+describe("parseDigestCommand", () => {
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const [message, expected] of CASES) {
+    it(`"${message}"`, () => {
+      assert.deepEqual(parseDigestCommand(message), expected);
+    });
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * Testes de POST /api/fcm/send
+ *
+ * Uma falha do serviço de push (rede, DNS) responde 502 com mensagem
+ * genérica: o erro do transporte não chega ao cliente.
+ */
+
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O banco é escolhido na primeira importação de src/config/database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-fcm-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+process.env.FCM_TRANSPORT = "fake";
+process.env.EXPO_PUSH_TRANSPORT = "fake";
+
+const express = require("express");
+const authService = require("../src/services/auth");
+const fcmService = require("../src/services/fcm");
+const { createFakeTransport } = require("../src/services/fcm/fakeTransport");
+const fcmRoutes = require("../src/routes/fcm");
+
+const EXPO_TOKEN = "ExponentPushToken[dispositivo-1]";
+
+// Transporte cujo lote inteiro falha, como sem acesso ao exp.host
+const unreachableTransport = {
+  name: "expo",
+  batchSize: 100,
+  sendMulticast: async () => {
+    const error = new Error("getaddrinfo ENOTFOUND exp.host");
+    error.code = "ENOTFOUND";
+    throw error;
+  },
+};
+
+describe("POST /api/fcm/send", () => {
+  let server;
+  let baseUrl;
+  let withDevice;
+  let withoutDevice;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/fcm", fcmRoutes);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    withDevice = authService.register({ email: "carla@example.com", password: "senha-secreta" });
+    withoutDevice = authService.register({ email: "davi@example.com", password: "senha-secreta" });
+    fcmService.registerToken(EXPO_TOKEN, withDevice.user.id);
+  });
+
+  afterEach(() => {
+    fcmService.setExpoTransport(createFakeTransport({ name: "expo-fake" }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Envia uma notificação como um usuário
+   *
+   * @param {Object} session - Resposta de authService.register
+   * @param {Object} body - Corpo da requisição
+   * @returns {Promise<Object>} { status, body }
+   */
+  const send = async (session, body) => {
+    const response = await fetch(`${baseUrl}/api/fcm/send`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${session.access_token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("entrega aos dispositivos da conta", async () => {
+    const { status, body } = await send(withDevice, { title: "Oi", body: "Teste" });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.successCount, 1);
+  });
+
+  it("responde 502 sem repassar o erro do transporte", async () => {
+    fcmService.setExpoTransport(unreachableTransport);
+
+    for (const payload of [{ title: "Oi", body: "Teste" }, { token: EXPO_TOKEN, title: "Oi", body: "Teste" }]) {
+      const { status, body } = await send(withDevice, payload);
+
+      assert.equal(status, 502);
+      assert.deepEqual(body, { error: { message: "Não foi possível entregar a notificação", status: 502 } });
+    }
+  });
+
+  it("não expõe o erro do transporte no resultado por token", async () => {
+    fcmService.setExpoTransport(unreachableTransport);
+
+    const result = await fcmService.sendToMultipleDevices([EXPO_TOKEN], { title: "Oi", body: "Teste" });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.results, [{ token: EXPO_TOKEN, success: false, error: "Serviço de push indisponível" }]);
+    assert.doesNotMatch(JSON.stringify(result), /ENOTFOUND/);
+  });
+
+  it("responde 404 quando a conta não tem dispositivos", async () => {
+    const { status, body } = await send(withoutDevice, { title: "Oi", body: "Teste" });
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: { message: "Nenhum dispositivo registrado", status: 404 } });
+  });
+});
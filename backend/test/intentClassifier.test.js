@@ -0,0 +1,105 @@
+/**
+ * Testes do classificador de intenções local (services/nlu/intentClassifier.js)
+ *
+ * As frases são os exemplos da documentação do classificador e dos
+ * comandos do WhatsApp, escritas como o usuário manda (com acentos e
+ * pontuação).
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { classifyIntent } = require("../src/services/nlu/intentClassifier");
+
+// [intenção esperada, frases]
+const CASES = [
+  ["create_task", [
+    "criar tarefa comprar leite",
+    "me lembre de ligar pro João",
+    "comprar leite amanhã às 15h",
+    "dentista quinta às 14h",
+    "reunião amanhã às 10h",
+  ]],
+  ["list_tasks", [
+    "minhas tarefas",
+    "o que tenho pra hoje?",
+    "atrasadas",
+    "mais",
+    "página 2",
+    "bom dia, listar tarefas",
+  ]],
+  ["complete_task", [
+    "concluir tarefa 2",
+    "já paguei a conta de luz",
+    "feito",
+  ]],
+  ["delete_task", [
+    "apagar tarefa 3",
+    "cancela a reunião",
+  ]],
+  ["edit_task", [
+    "renomear 2 para pagar boleto",
+    "mudar descrição da 1",
+  ]],
+  ["reschedule_task", [
+    "adiar a tarefa 1 para amanhã",
+    "remarcar dentista",
+    "mudar para amanhã",
+    "muda a 2 para sexta",
+    "Muda a reunião pra sexta",
+    "adia 30 minutos",
+    "pode adiar a reunião?",
+  ]],
+  ["daily_digest", [
+    "resumo diário às 7h",
+    "resumo às 19:30",
+    "me manda o resumo de hoje",
+    "parar resumo",
+    "resumo",
+  ]],
+  ["help", [
+    "ajuda",
+    "o que você sabe fazer?",
+  ]],
+  ["greeting", ["oi", "bom dia"]],
+  ["thanks", ["obrigado", "valeu!"]],
+];
+
+describe("classifyIntent", () => {
+  for (const [intent, phrases] of CASES) {
+    for (const phrase of phrases) {
+      it(`"${phrase}" → ${intent}`, () => {
+        assert.equal(classifyIntent(phrase).intent, intent);
+      });
+    }
+  }
+
+  describe("horário no início da frase", () => {
+    for (const phrase of ["às 3 da tarde reunião", "Às 15h reunião com o time", "às 10h dentista", "amanhã às 9h ligar pro João"]) {
+      it(`"${phrase}" cria tarefa em vez de remarcar`, () => {
+        assert.equal(classifyIntent(phrase).intent, "create_task");
+      });
+    }
+  });
+
+  describe("resumo que é tarefa", () => {
+    for (const phrase of ["fazer resumo do livro", "resumo do livro amanhã", "Resumo da reunião"]) {
+      it(`"${phrase}" cria tarefa em vez de ativar o resumo diário`, () => {
+        assert.equal(classifyIntent(phrase).intent, "create_task");
+      });
+    }
+  });
+
+  it("não remarca sem verbo de remarcação", () => {
+    assert.notEqual(classifyIntent("deixa pra depois").intent, "reschedule_task");
+  });
+
+  it("informa a origem da decisão", () => {
+    assert.deepEqual(classifyIntent("listar tarefas"), { intent: "list_tasks", entities: {}, confidence: 1, source: "rules" });
+    assert.equal(classifyIntent("comprar leite amanhã às 15h").source, "model");
+  });
+
+  it("não reconhece mensagem vazia", () => {
+    assert.deepEqual(classifyIntent("  !? "), { intent: null, entities: {}, confidence: 0, source: "model" });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Testes específicos do adaptador JSON
+ *
+ * Cobrem a serialização das escritas e a recuperação de arquivo
+ * corrompido (o arquivo é regravado por inteiro a cada operação).
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonAdapter } = require("../src/config/storage/jsonAdapter");
+
+describe("adaptador json", () => {
+  let dir;
+  let filePath;
+  let db;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-json-"));
+    filePath = path.join(dir, "tasks.json");
+    db = createJsonAdapter({ filePath });
+    db.initDatabase();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("escritas concorrentes", () => {
+    it("não perde tarefas nem repete IDs", async () => {
+      const total = 50;
+
+      // Cada criação roda em uma volta diferente do event loop,
+      // como requisições simultâneas
+      const created = await Promise.all(
+        Array.from({ length: total }, (_, index) =>
+          new Promise((resolve) => setImmediate(() => resolve(db.createTask({ title: `Tarefa ${index}` }))))
+        )
+      );
+
+      const ids = new Set(created.map((task) => task.id));
+      assert.equal(ids.size, total);
+      assert.equal(new Set(created.map((task) => task.seq)).size, total);
+
+      // Confere o que ficou gravado em disco
+      const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      assert.equal(saved.tasks.length, total);
+      assert.equal(saved.lastId, total);
+      assert.deepEqual(new Set(saved.tasks.map((task) => task.id)), ids);
+      assert.equal(createJsonAdapter({ filePath }).getAllTasks().length, total);
+    });
+
+    it("não deixa arquivo temporário para trás", async () => {
+      await Promise.all([
+        Promise.resolve().then(() => db.createTask({ title: "A" })),
+        Promise.resolve().then(() => db.createTask({ title: "B" })),
+      ]);
+
+      assert.deepEqual(fs.readdirSync(dir).sort(), ["tasks.json", "tasks.json.bak"]);
+    });
+  });
+
+  describe("arquivos antigos", () => {
+    it("repassa a marca global de expurgo a cada usuário existente", () => {
+      fs.writeFileSync(filePath, JSON.stringify({
+        tasks: [],
+        users: [{ id: "user_1" }],
+        lastId: 0,
+        lastSeq: 9,
+        purgedSeq: 5,
+      }));
+
+      assert.equal(db.getChangesSince(0, 10, "user_1").purgedSeq, 5);
+      assert.equal(db.getChangesSince(0, 10, "user_2").purgedSeq, 0);
+    });
+  });
+
+  describe("arquivo corrompido", () => {
+    it("restaura o backup e preserva a cópia corrompida", () => {
+      const first = db.createTask({ title: "Primeira" });
+      db.createTask({ title: "Segunda" });
+
+      // Simula uma gravação interrompida no meio
+      const content = fs.readFileSync(filePath, "utf8");
+      const truncated = content.slice(0, Math.floor(content.length / 2));
+      fs.writeFileSync(filePath, truncated);
+
+      const tasks = db.getAllTasks();
+
+      // O backup é a versão anterior à última escrita
+      assert.deepEqual(tasks.map((task) => task.id), [first.id]);
+      assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")).tasks.map((task) => task.id), [first.id]);
+
+      const copies = fs.readdirSync(dir).filter((file) => file.startsWith("tasks.json.corrupt-"));
+      assert.equal(copies.length, 1);
+      assert.equal(fs.readFileSync(path.join(dir, copies[0]), "utf8"), truncated);
+    });
+
+    it("continua gravando normalmente depois da recuperação", () => {
+      db.createTask({ title: "Primeira" });
+      db.createTask({ title: "Segunda" });
+      fs.writeFileSync(filePath, "{\"tasks\": [");
+
+      const third = db.createTask({ title: "Terceira" });
+
+      assert.deepEqual(db.getAllTasks().map((task) => task.title), ["Primeira", "Terceira"]);
+      assert.equal(db.getTaskById(third.id).title, "Terceira");
+    });
+
+    it("falha em vez de começar vazio quando não há backup válido", () => {
+      db.createTask({ title: "Primeira" });
+      fs.writeFileSync(filePath, "{\"tasks\": [");
+      fs.writeFileSync(`${filePath}.bak`, "");
+
+      assert.throws(() => db.getAllTasks(), { code: "DB_CORRUPTED" });
+      assert.equal(fs.readFileSync(filePath, "utf8"), "{\"tasks\": [");
+    });
+  });
+});
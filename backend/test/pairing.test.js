@@ -0,0 +1,120 @@
+/**
+ * Testes do pareamento app <-> WhatsApp (services/pairing.js)
+ *
+ * Os limites valem por janela de tempo: Date.now é controlado pelo teste e
+ * cada caso começa uma hora depois do anterior, com as janelas zeradas.
+ */
+
+const { describe, it, beforeEach, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O banco é escolhido na primeira importação de src/config/database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-pairing-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+
+const db = require("../src/config/database");
+const { createPairingCode, redeemPairingCode } = require("../src/services/pairing");
+
+/**
+ * Um código de 6 dígitos diferente do informado
+ *
+ * @param {string} code - Código válido
+ * @returns {string} Código errado
+ */
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, "0");
+
+describe("pareamento", () => {
+  let now = Date.parse("2026-10-19T12:00:00.000Z");
+  let phoneSeq = 0;
+  let userSeq = 0;
+  let user;
+
+  /**
+   * Telefone ainda não usado em nenhum caso
+   *
+   * @returns {string} Telefone
+   */
+  const nextPhone = () => `55119${String(++phoneSeq).padStart(8, "0")}`;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(Date, "now", () => now);
+  });
+
+  beforeEach(() => {
+    now += 60 * 60 * 1000;
+    user = db.createUser({ email: `conta${++userSeq}@example.com` });
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("vincula o telefone e move as tarefas criadas por ele", () => {
+    const phone = nextPhone();
+    const phoneAccount = db.getOrCreateUserByPhone(phone);
+    const task = db.createTask({ title: "Comprar leite", owner_id: phoneAccount.id });
+    const { code } = createPairingCode(user.id);
+
+    const result = redeemPairingCode(code, phone);
+
+    assert.equal(result.transferredTasks, 1);
+    assert.equal(db.getTaskById(task.id).owner_id, user.id);
+    assert.equal(db.getUserByPhone(phone).id, user.id);
+  });
+
+  it("não aceita o mesmo código duas vezes", () => {
+    const { code } = createPairingCode(user.id);
+    redeemPairingCode(code, nextPhone());
+
+    assert.throws(() => redeemPairingCode(code, nextPhone()), { code: "PAIRING_CODE_INVALID" });
+  });
+
+  it("recusa o código depois da validade", () => {
+    const { code, expires_in: expiresIn } = createPairingCode(user.id);
+    now += expiresIn * 1000;
+
+    assert.throws(() => redeemPairingCode(code, nextPhone()), { code: "PAIRING_CODE_INVALID" });
+  });
+
+  it("bloqueia o telefone que erra o código vezes demais", () => {
+    const { code } = createPairingCode(user.id);
+    const phone = nextPhone();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.throws(() => redeemPairingCode(wrongCode(code), phone), { code: "PAIRING_CODE_INVALID" });
+    }
+
+    assert.throws(() => redeemPairingCode(code, phone), { code: "PAIRING_TOO_MANY_ATTEMPTS" });
+    assert.equal(redeemPairingCode(code, nextPhone()).user.id, user.id);
+  });
+
+  it("invalida o código depois de muitos palpites errados, mesmo de telefones diferentes", () => {
+    const { code } = createPairingCode(user.id);
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      assert.throws(() => redeemPairingCode(wrongCode(code), nextPhone()), { code: "PAIRING_CODE_INVALID" });
+    }
+
+    assert.throws(() => redeemPairingCode(code, nextPhone()), { code: "PAIRING_CODE_INVALID" });
+  });
+
+  it("bloqueia todos os telefones depois de muitos erros somados", () => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      assert.throws(() => redeemPairingCode("000000", nextPhone()), { code: "PAIRING_CODE_INVALID" });
+    }
+
+    const { code } = createPairingCode(user.id);
+    assert.throws(() => redeemPairingCode(code, nextPhone()), { code: "PAIRING_TOO_MANY_ATTEMPTS" });
+
+    // Passada a janela, um código novo volta a funcionar
+    now += 15 * 60 * 1000;
+    const { code: newCode } = createPairingCode(user.id);
+    assert.equal(redeemPairingCode(newCode, nextPhone()).user.id, user.id);
+  });
+});
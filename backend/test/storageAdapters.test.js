@@ -0,0 +1,342 @@
+/**
+ * Testes dos adaptadores de armazenamento
+ *
+ * A mesma bateria roda contra o adaptador JSON e o SQLite: os dois
+ * precisam se comportar igual para que DB_DRIVER possa ser trocado sem
+ * alterar as rotas.
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createJsonAdapter } = require("../src/config/storage/jsonAdapter");
+const { createSqliteAdapter } = require("../src/config/storage/sqliteAdapter");
+
+const ADAPTERS = [
+  { name: "json", create: (dir) => createJsonAdapter({ filePath: path.join(dir, "db.json") }) },
+  { name: "sqlite", create: (dir) => createSqliteAdapter({ filePath: path.join(dir, "db.sqlite") }) },
+];
+
+/**
+ * Consulta padrão de queryTasks (a rota sempre preenche todos os campos)
+ *
+ * @param {Object} [overrides] - Campos a sobrescrever
+ * @returns {Object} Consulta
+ */
+const buildQuery = (overrides = {}) => ({
+  sort: "created",
+  direction: "asc",
+  limit: 50,
+  offset: 0,
+  ...overrides,
+});
+
+for (const { name, create } of ADAPTERS) {
+  describe(`adaptador ${name}`, () => {
+    let dir;
+    let db;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), `todowhats-${name}-`));
+      db = create(dir);
+      db.initDatabase();
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("tarefas", () => {
+      it("cria tarefa com valores padrão", () => {
+        const task = db.createTask({ title: "Comprar pão", owner_id: "user_1" });
+
+        assert.match(task.id, /^task_/);
+        assert.equal(task.title, "Comprar pão");
+        assert.equal(task.status, "pending");
+        assert.equal(task.description, null);
+        assert.equal(task.scheduled_at, null);
+        assert.equal(task.deleted_at, null);
+        assert.equal(task.seq, task.created_seq);
+        assert.deepEqual(db.getTaskById(task.id, "user_1"), task);
+      });
+
+      it("gera IDs e sequências únicos e crescentes", () => {
+        const first = db.createTask({ title: "A" });
+        const second = db.createTask({ title: "B" });
+
+        assert.notEqual(first.id, second.id);
+        assert.ok(second.seq > first.seq);
+      });
+
+      it("guarda a recorrência como objeto", () => {
+        const recurrence = { frequency: "weekly", interval: 1, weekdays: [1, 3] };
+        const task = db.createTask({ title: "Academia", recurrence });
+
+        assert.deepEqual(db.getTaskById(task.id).recurrence, recurrence);
+      });
+
+      it("atualiza campos, avança a sequência e preserva o dono", () => {
+        const task = db.createTask({ title: "Ligar", owner_id: "user_1" });
+        const updated = db.updateTask(task.id, { status: "completed", owner_id: "user_2" }, "user_1");
+
+        assert.equal(updated.status, "completed");
+        assert.equal(updated.owner_id, "user_1");
+        assert.equal(updated.created_seq, task.created_seq);
+        assert.ok(updated.seq > task.seq);
+        assert.equal(db.getTaskById(task.id, "user_1").status, "completed");
+      });
+
+      it("retorna null ao atualizar tarefa inexistente", () => {
+        assert.equal(db.updateTask("task_inexistente", { title: "X" }), null);
+      });
+
+      it("deleta a tarefa deixando uma lápide", () => {
+        const task = db.createTask({ title: "Apagar", owner_id: "user_1" });
+
+        assert.equal(db.deleteTask(task.id, "user_1"), true);
+        assert.equal(db.getTaskById(task.id, "user_1"), null);
+        assert.deepEqual(db.getAllTasks("user_1"), []);
+
+        const tombstones = db.getDeletedTasks("user_1");
+        assert.equal(tombstones.length, 1);
+        assert.equal(tombstones[0].id, task.id);
+        assert.ok(tombstones[0].deleted_at);
+        assert.ok(tombstones[0].seq > task.seq);
+      });
+
+      it("não deleta nem atualiza uma lápide", () => {
+        const task = db.createTask({ title: "Apagar" });
+        db.deleteTask(task.id);
+
+        assert.equal(db.deleteTask(task.id), false);
+        assert.equal(db.updateTask(task.id, { title: "Voltou" }), null);
+      });
+
+      it("expurga apenas lápides anteriores ao limite", () => {
+        const removed = db.createTask({ title: "Apagada" });
+        const alive = db.createTask({ title: "Viva" });
+        db.deleteTask(removed.id);
+
+        assert.equal(db.purgeDeletedTasks("2000-01-01T00:00:00.000Z"), 0);
+        assert.equal(db.getDeletedTasks().length, 1);
+
+        assert.equal(db.purgeDeletedTasks("2999-01-01T00:00:00.000Z"), 1);
+        assert.deepEqual(db.getDeletedTasks(), []);
+        assert.equal(db.getTaskById(alive.id).title, "Viva");
+      });
+    });
+
+    describe("dono das tarefas", () => {
+      it("restringe leituras e escritas ao dono", () => {
+        const mine = db.createTask({ title: "Minha", owner_id: "user_1" });
+        const other = db.createTask({ title: "Outra", owner_id: "user_2" });
+
+        assert.deepEqual(db.getAllTasks("user_1").map((task) => task.id), [mine.id]);
+        assert.equal(db.getTaskById(other.id, "user_1"), null);
+        assert.equal(db.updateTask(other.id, { title: "Invadida" }, "user_1"), null);
+        assert.equal(db.deleteTask(other.id, "user_1"), false);
+        assert.equal(db.getTaskById(other.id, "user_2").title, "Outra");
+      });
+
+      it("sem dono informado enxerga todas as tarefas", () => {
+        db.createTask({ title: "A", owner_id: "user_1" });
+        db.createTask({ title: "B", owner_id: "user_2" });
+
+        assert.equal(db.getAllTasks().length, 2);
+      });
+
+      it("atribui tarefas sem dono e transfere tarefas entre donos", () => {
+        const unowned = db.createTask({ title: "Antiga" });
+
+        assert.equal(db.claimUnownedTasks("user_1"), 1);
+        assert.equal(db.claimUnownedTasks("user_1"), 0);
+        assert.ok(db.getTaskById(unowned.id, "user_1").seq > unowned.seq);
+
+        assert.equal(db.reassignTasks("user_1", "user_2"), 1);
+        assert.equal(db.getTaskById(unowned.id, "user_1"), null);
+        assert.equal(db.getTaskById(unowned.id, "user_2").title, "Antiga");
+      });
+    });
+
+    describe("queryTasks", () => {
+      let tasks;
+
+      beforeEach(() => {
+        tasks = {
+          dentist: db.createTask({
+            title: "Dentista",
+            owner_id: "user_1",
+            scheduled_at: "2026-03-10T12:00:00.000Z",
+          }),
+          report: db.createTask({
+            title: "Relatório",
+            description: "Enviar 100% revisado",
+            owner_id: "user_1",
+            status: "completed",
+            scheduled_at: "2026-03-05T12:00:00.000Z",
+          }),
+          groceries: db.createTask({ title: "Mercado", owner_id: "user_1" }),
+          foreign: db.createTask({ title: "Dentista", owner_id: "user_2" }),
+        };
+      });
+
+      const ids = (result) => result.tasks.map((task) => task.id);
+
+      it("filtra por status", () => {
+        const result = db.queryTasks(buildQuery({ statuses: ["completed"] }), "user_1");
+
+        assert.deepEqual(ids(result), [tasks.report.id]);
+        assert.equal(result.total, 1);
+      });
+
+      it("filtra por intervalo de agendamento (inclusivo)", () => {
+        const result = db.queryTasks(
+          buildQuery({ scheduledAfter: "2026-03-05T12:00:00.000Z", scheduledBefore: "2026-03-09T00:00:00.000Z" }),
+          "user_1"
+        );
+
+        assert.deepEqual(ids(result), [tasks.report.id]);
+      });
+
+      it("busca texto no título e na descrição sem diferenciar maiúsculas", () => {
+        assert.deepEqual(ids(db.queryTasks(buildQuery({ text: "DENTI" }), "user_1")), [tasks.dentist.id]);
+        assert.deepEqual(ids(db.queryTasks(buildQuery({ text: "100%" }), "user_1")), [tasks.report.id]);
+        assert.deepEqual(ids(db.queryTasks(buildQuery({ text: "50%" }), "user_1")), []);
+      });
+
+      it("ordena por agendamento deixando tarefas sem data no fim", () => {
+        const asc = db.queryTasks(buildQuery({ sort: "scheduled", direction: "asc" }), "user_1");
+        const desc = db.queryTasks(buildQuery({ sort: "scheduled", direction: "desc" }), "user_1");
+
+        assert.deepEqual(ids(asc), [tasks.report.id, tasks.dentist.id, tasks.groceries.id]);
+        assert.deepEqual(ids(desc), [tasks.dentist.id, tasks.report.id, tasks.groceries.id]);
+      });
+
+      it("pagina com limit e offset mantendo o total", () => {
+        const result = db.queryTasks(buildQuery({ limit: 1, offset: 1 }), "user_1");
+
+        assert.deepEqual(ids(result), [tasks.report.id]);
+        assert.equal(result.total, 3);
+      });
+
+      it("ignora lápides", () => {
+        db.deleteTask(tasks.groceries.id, "user_1");
+
+        assert.equal(db.queryTasks(buildQuery(), "user_1").total, 2);
+      });
+    });
+
+    describe("getChangesSince", () => {
+      it("lista alterações em ordem de sequência, inclusive lápides", () => {
+        const first = db.createTask({ title: "A", owner_id: "user_1" });
+        const second = db.createTask({ title: "B", owner_id: "user_1" });
+        db.deleteTask(first.id, "user_1");
+
+        const changes = db.getChangesSince(0, 10, "user_1");
+
+        assert.deepEqual(changes.tasks.map((task) => task.id), [second.id, first.id]);
+        assert.ok(changes.tasks[1].deleted_at);
+        assert.equal(changes.lastSeq, changes.tasks[1].seq);
+        assert.equal(changes.purgedSeq, 0);
+      });
+
+      it("retorna só o que veio depois do cursor, respeitando o limite", () => {
+        const created = ["A", "B", "C"].map((title) => db.createTask({ title, owner_id: "user_1" }));
+
+        const page = db.getChangesSince(created[0].seq, 1, "user_1");
+
+        assert.deepEqual(page.tasks.map((task) => task.id), [created[1].id]);
+      });
+
+      it("não inclui alterações de outro dono", () => {
+        db.createTask({ title: "Outra", owner_id: "user_2" });
+        const mine = db.createTask({ title: "Minha", owner_id: "user_1" });
+
+        const changes = db.getChangesSince(0, 10, "user_1");
+
+        assert.deepEqual(changes.tasks.map((task) => task.id), [mine.id]);
+      });
+
+      it("indica outra página só quando o dono tem mais alterações", () => {
+        // Os dois donos dividem a mesma sequência
+        const first = db.createTask({ title: "A1", owner_id: "user_1" });
+        const second = db.createTask({ title: "A2", owner_id: "user_1" });
+        db.createTask({ title: "B1", owner_id: "user_2" });
+        db.createTask({ title: "B2", owner_id: "user_2" });
+
+        const page = db.getChangesSince(0, 1, "user_1");
+        assert.deepEqual(page.tasks.map((task) => task.id), [first.id]);
+        assert.equal(page.hasMore, true);
+
+        // Última página do dono 1, embora o banco tenha sequências maiores
+        const lastPage = db.getChangesSince(first.seq, 1, "user_1");
+        assert.deepEqual(lastPage.tasks.map((task) => task.id), [second.id]);
+        assert.equal(lastPage.hasMore, false);
+        assert.ok(lastPage.lastSeq > second.seq);
+
+        assert.equal(db.getChangesSince(0, 2, "user_2").hasMore, false);
+      });
+
+      it("guarda a sequência expurgada por dono", () => {
+        const removed = db.createTask({ title: "Apagada", owner_id: "user_1" });
+        db.createTask({ title: "Viva", owner_id: "user_2" });
+        db.deleteTask(removed.id, "user_1");
+        const [tombstone] = db.getDeletedTasks("user_1");
+
+        db.purgeDeletedTasks("2999-01-01T00:00:00.000Z");
+
+        assert.equal(db.getChangesSince(0, 10, "user_1").purgedSeq, tombstone.seq);
+        assert.equal(db.getChangesSince(0, 10, "user_2").purgedSeq, 0);
+        assert.equal(db.getChangesSince(0, 10).purgedSeq, tombstone.seq);
+      });
+
+      it("mantém a maior sequência expurgada entre expurgos", () => {
+        const first = db.createTask({ title: "A", owner_id: "user_1" });
+        db.deleteTask(first.id, "user_1");
+        const [firstTombstone] = db.getDeletedTasks("user_1");
+        db.purgeDeletedTasks("2999-01-01T00:00:00.000Z");
+
+        const second = db.createTask({ title: "B", owner_id: "user_1" });
+        db.deleteTask(second.id, "user_1");
+        db.purgeDeletedTasks("2999-01-01T00:00:00.000Z");
+
+        assert.ok(db.getChangesSince(0, 10, "user_1").purgedSeq > firstTombstone.seq);
+      });
+    });
+  });
+}
+
+describe("migração do JSON para o SQLite", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-migration-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("leva junto os lembretes já enviados", () => {
+    const json = createJsonAdapter({ filePath: path.join(dir, "db.json") });
+    json.initDatabase();
+    const task = json.createTask({ title: "Dentista", owner_id: "user_1", due_date: "2026-10-20T17:00:00.000Z" });
+    const reminder = {
+      id: `${task.id}:2026-10-20T16:30:00.000Z`,
+      task_id: task.id,
+      owner_id: "user_1",
+      remind_at: "2026-10-20T16:30:00.000Z",
+      sent_at: "2026-10-20T16:30:05.000Z",
+    };
+    json.recordSentReminder(reminder);
+
+    const sqlite = createSqliteAdapter({ filePath: path.join(dir, "db.sqlite") });
+    sqlite.initDatabase();
+    sqlite.importData(json.exportData());
+
+    assert.deepEqual(sqlite.getSentReminderIds([reminder.id, "outro"]), [reminder.id]);
+  });
+});
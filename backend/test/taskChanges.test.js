@@ -0,0 +1,110 @@
+/**
+ * Testes de GET /api/tasks/changes
+ *
+ * Dois usuários dividem a mesma sequência de alterações: o cursor, o
+ * `has_more` e o `reset` de um não podem depender das tarefas do outro.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O banco é escolhido na primeira importação de src/config/database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-changes-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+// Retenção negativa: toda lápide já está vencida no expurgo
+process.env.TOMBSTONE_RETENTION_DAYS = "-1";
+
+const express = require("express");
+const db = require("../src/config/database");
+const authService = require("../src/services/auth");
+const tasksRoutes = require("../src/routes/tasks");
+
+describe("GET /api/tasks/changes", () => {
+  let server;
+  let baseUrl;
+  let alice;
+  let bob;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/tasks", tasksRoutes);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    alice = authService.register({ email: "alice@example.com", password: "senha-secreta" });
+    bob = authService.register({ email: "bob@example.com", password: "senha-secreta" });
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Chama o endpoint como um usuário
+   *
+   * @param {Object} session - Resposta de authService.register
+   * @param {string} query - Query string (sem "?")
+   * @returns {Promise<Object>} Corpo da resposta
+   */
+  const getChanges = async (session, query) => {
+    const response = await fetch(`${baseUrl}/api/tasks/changes?${query}`, {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  it("não indica outra página por causa das alterações de outro usuário", async () => {
+    const bobTask = db.createTask({ title: "Tarefa do Bob", owner_id: bob.user.id });
+    for (let index = 0; index < 3; index += 1) {
+      db.createTask({ title: `Tarefa da Alice ${index}`, owner_id: alice.user.id });
+    }
+
+    const body = await getChanges(bob, "since=0&limit=1");
+
+    assert.deepEqual(body.created.map((task) => task.id), [bobTask.id]);
+    assert.equal(body.has_more, false);
+    assert.equal(body.cursor, String(bobTask.seq));
+
+    // Sem nada novo, o cursor avança até o fim da sequência sem reset
+    const next = await getChanges(bob, `since=${body.cursor}`);
+    assert.equal(next.reset, false);
+    assert.equal(next.has_more, false);
+    assert.ok(Number(next.cursor) > bobTask.seq);
+  });
+
+  it("pagina as alterações do próprio usuário", async () => {
+    const first = await getChanges(alice, "since=0&limit=2");
+    assert.equal(first.created.length, 2);
+    assert.equal(first.has_more, true);
+
+    const second = await getChanges(alice, `since=${first.cursor}&limit=2`);
+    assert.equal(second.created.length, 1);
+    assert.equal(second.has_more, false);
+  });
+
+  it("o expurgo das lápides de um usuário não reinicia o cursor do outro", async () => {
+    const bobCursor = (await getChanges(bob, "since=0")).cursor;
+    const aliceCursor = (await getChanges(alice, "since=0")).cursor;
+
+    const removed = db.createTask({ title: "Apagada", owner_id: alice.user.id });
+    db.deleteTask(removed.id, alice.user.id);
+    db.createTask({ title: "Depois do expurgo", owner_id: alice.user.id });
+    assert.equal(db.purgeExpiredTombstones(), 1);
+
+    const bobChanges = await getChanges(bob, `since=${bobCursor}`);
+    assert.equal(bobChanges.reset, false);
+
+    const aliceChanges = await getChanges(alice, `since=${aliceCursor}`);
+    assert.equal(aliceChanges.reset, true);
+    assert.equal(aliceChanges.cursor, "0");
+  });
+});
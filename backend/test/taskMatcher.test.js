@@ -0,0 +1,49 @@
+/**
+ * Testes da referência a tarefas (utils/taskMatcher.js)
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { findTaskReference } = require("../src/utils/taskMatcher");
+
+const TASKS = [
+  { id: 1, title: "Comprar leite" },
+  { id: 2, title: "Reunião com o João" },
+  { id: 3, title: "Reunião com a Ana" },
+];
+
+describe("findTaskReference", () => {
+  it("encontra pelo número da lista", () => {
+    const result = findTaskReference("concluir a tarefa 2", TASKS);
+
+    assert.equal(result.index, 2);
+    assert.equal(result.task.id, 2);
+  });
+
+  it("encontra pelo título sem acentos e com palavras parecidas", () => {
+    assert.equal(findTaskReference("já comprei o leite", TASKS).task.id, 1);
+    assert.equal(findTaskReference("feito reuniao com o joao", TASKS).task.id, 2);
+  });
+
+  it("devolve as candidatas quando o título é ambíguo", () => {
+    const result = findTaskReference("apagar a reunião", TASKS);
+
+    assert.equal(result.task, null);
+    assert.deepEqual(result.candidates.map((task) => task.id), [2, 3]);
+  });
+
+  it("cita o trecho como o usuário escreveu", () => {
+    const result = findTaskReference("Concluir a Reunião do Orçamento!", TASKS);
+
+    assert.equal(result.task, null);
+    assert.equal(result.reference, "reuniao do orcamento");
+    assert.equal(result.quote, "Reunião do Orçamento");
+  });
+
+  it("não cita nada quando só há o verbo", () => {
+    const { reference, quote } = findTaskReference("feito", TASKS);
+
+    assert.deepEqual({ reference, quote }, { reference: "", quote: "" });
+  });
+});
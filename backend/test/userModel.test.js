@@ -0,0 +1,46 @@
+/**
+ * Testes das validações de preferências da conta (models/User.js)
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  isValidDigestTime,
+  isValidLeadMinutes,
+  isValidChannels,
+  normalizeLeadMinutes,
+} = require("../src/models/User");
+
+describe("modelo de usuário", () => {
+  it("aceita horários de resumo HH:MM", () => {
+    for (const time of ["00:00", "07:00", "19:30", "23:59"]) {
+      assert.equal(isValidDigestTime(time), true, time);
+    }
+    for (const time of ["7:00", "24:00", "12:60", "07h", "", null, 700]) {
+      assert.equal(isValidDigestTime(time), false, String(time));
+    }
+  });
+
+  it("aceita de 1 a 5 antecedências inteiras de até 1 dia", () => {
+    assert.equal(isValidLeadMinutes([0]), true);
+    assert.equal(isValidLeadMinutes([15, 0, 1440]), true);
+    assert.equal(isValidLeadMinutes([]), false);
+    assert.equal(isValidLeadMinutes([1, 2, 3, 4, 5, 6]), false);
+    assert.equal(isValidLeadMinutes([1441]), false);
+    assert.equal(isValidLeadMinutes([-5]), false);
+    assert.equal(isValidLeadMinutes([1.5]), false);
+    assert.equal(isValidLeadMinutes("15"), false);
+  });
+
+  it("aceita os canais whatsapp e push (lista vazia desliga)", () => {
+    assert.equal(isValidChannels([]), true);
+    assert.equal(isValidChannels(["whatsapp", "push"]), true);
+    assert.equal(isValidChannels(["email"]), false);
+    assert.equal(isValidChannels("push"), false);
+  });
+
+  it("remove antecedências repetidas e ordena da maior para a menor", () => {
+    assert.deepEqual(normalizeLeadMinutes([0, 15, 60, 15]), [60, 15, 0]);
+  });
+});
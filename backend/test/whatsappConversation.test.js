@@ -0,0 +1,139 @@
+/**
+ * Testes da pergunta "Para quando?" no webhook do WhatsApp
+ *
+ * Depois de criar uma tarefa sem data, o bot pergunta a data. A resposta é
+ * opcional: um comando novo descarta a pergunta e a pergunta expira rápido,
+ * então a próxima mensagem com data não vira a data da tarefa anterior.
+ */
+
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O banco é escolhido na primeira importação de src/config/database; sem
+// Wit.ai, as intenções vêm do classificador local
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-whatsapp-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+process.env.NLU_PROVIDER = "local";
+delete process.env.WIT_AI_TOKEN;
+
+const express = require("express");
+const db = require("../src/config/database");
+const whatsappRoutes = require("../src/routes/whatsapp");
+
+describe("pergunta \"Para quando?\"", () => {
+  let server;
+  let baseUrl;
+  let nextPhone = 5511900000001;
+
+  before(async () => {
+    // Sem API de WhatsApp configurada, as respostas do bot só vão para o log
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/whatsapp", whatsappRoutes);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    if (Date.now.mock) {
+      Date.now.mock.restore();
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Envia uma mensagem ao webhook
+   *
+   * @param {string} phone - Telefone remetente
+   * @param {string} message - Texto da mensagem
+   * @returns {Promise<Object>} Corpo da resposta
+   */
+  const send = async (phone, message) => {
+    const response = await fetch(`${baseUrl}/api/whatsapp/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ phone, message }),
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+
+  /**
+   * Cria uma tarefa sem data por um telefone novo
+   *
+   * @returns {Promise<Object>} { phone, taskId }
+   */
+  const createDatelessTask = async () => {
+    const phone = String(nextPhone++);
+    const { taskCreated } = await send(phone, "criar tarefa ligar pro banco");
+    assert.ok(taskCreated);
+    assert.equal(db.getTaskById(taskCreated).scheduled_at, null);
+    return { phone, taskId: taskCreated };
+  };
+
+  it("usa a data respondida logo depois", async () => {
+    const { phone, taskId } = await createDatelessTask();
+
+    const answer = await send(phone, "amanhã às 10h");
+
+    assert.equal(answer.taskUpdated, taskId);
+    assert.equal(answer.taskCreated, null);
+    assert.ok(db.getTaskById(taskId).scheduled_at);
+  });
+
+  it("descarta a pergunta quando chega um comando com data", async () => {
+    const { phone, taskId } = await createDatelessTask();
+
+    const result = await send(phone, "adiar 30 minutos");
+
+    assert.equal(result.intent, "reschedule_task");
+    assert.equal(db.getTaskById(taskId).scheduled_at, null);
+  });
+
+  it("descarta a pergunta quando chega uma listagem", async () => {
+    const { phone, taskId } = await createDatelessTask();
+
+    const result = await send(phone, "tarefas de hoje");
+
+    assert.equal(result.intent, "list_tasks");
+    assert.equal(db.getTaskById(taskId).scheduled_at, null);
+  });
+
+  it("descarta a pergunta quando chega outra tarefa", async () => {
+    const { phone, taskId } = await createDatelessTask();
+
+    const result = await send(phone, "criar tarefa pagar aluguel amanhã às 9h");
+
+    assert.ok(result.taskCreated);
+    assert.notEqual(result.taskCreated, taskId);
+    assert.equal(db.getTaskById(taskId).scheduled_at, null);
+    assert.ok(db.getTaskById(result.taskCreated).scheduled_at);
+  });
+
+  it("expira em poucos minutos", async () => {
+    const { phone, taskId } = await createDatelessTask();
+
+    const later = Date.now() + 3 * 60 * 1000;
+    mock.method(Date, "now", () => later);
+    const result = await send(phone, "amanhã às 10h");
+
+    assert.equal(result.taskUpdated, null);
+    assert.ok(result.taskCreated);
+    assert.equal(db.getTaskById(taskId).scheduled_at, null);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Testes do webhook do WhatsApp: mensagens sem conta a que associar
+ *
+ * Um telefone sem nenhum dígito não corresponde a conta alguma
+ * (getOrCreateUserByPhone devolve null): a mensagem é ignorada em vez de
+ * derrubar o webhook com 500.
+ */
+
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// O banco é escolhido na primeira importação de src/config/database
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "todowhats-webhook-"));
+process.env.DB_DRIVER = "json";
+process.env.JSON_DB_FILE = path.join(dir, "tasks.json");
+process.env.NLU_PROVIDER = "local";
+delete process.env.WIT_AI_TOKEN;
+
+const express = require("express");
+const db = require("../src/config/database");
+const whatsappRoutes = require("../src/routes/whatsapp");
+
+describe("POST /api/whatsapp/webhook sem conta", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+    mock.method(console, "error", () => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/whatsapp", whatsappRoutes);
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(() => {
+    if (db.getOrCreateUserByPhone.mock) {
+      db.getOrCreateUserByPhone.mock.restore();
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Envia um payload ao webhook
+   *
+   * @param {Object} payload - Corpo da requisição
+   * @returns {Promise<Object>} { status, body }
+   */
+  const post = async (payload) => {
+    const response = await fetch(`${baseUrl}/api/whatsapp/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("ignora a mensagem quando o telefone não resolve uma conta", async () => {
+    mock.method(db, "getOrCreateUserByPhone", () => null);
+
+    const { status, body } = await post({ phone: "5511999990000", message: "comprar leite" });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, { success: true, ignored: true, reason: "invalid_phone" });
+    assert.equal(db.getAllTasks().length, 0);
+  });
+
+  it("ignora payloads cujo telefone não tem dígitos", async () => {
+    const { status, body } = await post({ phone: "sem-numero@c.us", message: "comprar leite" });
+
+    assert.equal(status, 200);
+    assert.equal(body.ignored, true);
+    assert.equal(db.getAllTasks().length, 0);
+  });
+
+  it("cria a conta e a tarefa para um telefone válido", async () => {
+    const { body } = await post({ phone: "5511999990001", message: "criar tarefa comprar leite" });
+
+    assert.ok(body.taskCreated);
+    assert.equal(db.getTaskById(body.taskCreated).owner_id, db.getUserByPhone("5511999990001").id);
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * Componente RecurrencePicker - Regra de Repetição da Tarefa
+ *
+ * Este componente edita o campo `recurrence` de uma tarefa agendada.
+ *
+ * Funcionalidades:
+ * - Frequência: não repete, diária, semanal ou mensal
+ * - Intervalo ("a cada N dias/semanas/meses")
+ * - Dias da semana (frequência semanal)
+ * - Fim da repetição: nunca, após N vezes ou até uma data
+ *
+ * Quando a tarefa é concluída, o servidor cria a próxima ocorrência.
+ * Dias da semana e do mês valem no fuso do aparelho, enviado na regra.
+ */
+
+import React, { useState, useEffect } from "react";
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from "react-native";
+import { COLORS, RECURRENCE_FREQUENCY } from "../utils/constants";
+import { getDeviceTimeZone } from "../utils/timezone";
+
+/**
+ * Rótulos das opções de frequência
+ */
+const FREQUENCY_OPTIONS = [
+  { value: null, label: "Não repete" },
+  { value: RECURRENCE_FREQUENCY.DAILY, label: "Diária" },
+  { value: RECURRENCE_FREQUENCY.WEEKLY, label: "Semanal" },
+  { value: RECURRENCE_FREQUENCY.MONTHLY, label: "Mensal" },
+];
+
+/**
+ * Unidade do intervalo por frequência
+ */
+const INTERVAL_UNITS = {
+  [RECURRENCE_FREQUENCY.DAILY]: "dia(s)",
+  [RECURRENCE_FREQUENCY.WEEKLY]: "semana(s)",
+  [RECURRENCE_FREQUENCY.MONTHLY]: "mês(es)",
+};
+
+/**
+ * Dias da semana (0 = domingo)
+ */
+const WEEKDAY_LABELS = ["D", "S", "T", "Q", "Q", "S", "S"];
+const WEEKDAY_NAMES = ["dom", "seg", "ter", "qua", "qui", "sex", "sáb"];
+
+/**
+ * Formata uma data como DD/MM/YYYY
+ *
+ * @param {Date} date - Data
+ * @returns {string} Data formatada
+ */
+const formatDate = (date) => {
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  return `${day}/${month}/${date.getFullYear()}`;
+};
+
+/**
+ * Converte DD/MM/YYYY no fim do dia (23:59) em ISO 8601
+ *
+ * @param {string} text - Data digitada
+ * @returns {string|null} Data ISO ou null se inválida
+ */
+const parseEndDate = (text) => {
+  const [day, month, year] = text.split("/").map((part) => parseInt(part, 10));
+  if (!day || !month || !year || year < 1000) {
+    return null;
+  }
+  const date = new Date(year, month - 1, day, 23, 59, 0, 0);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Descreve uma regra de repetição em português (ex.: "Semanal (seg, qua)")
+ *
+ * @param {Object|null} recurrence - Regra de repetição
+ * @returns {string|null} Descrição ou null se não repete
+ */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) {
+    return null;
+  }
+
+  const interval = recurrence.interval || 1;
+  let text;
+  switch (recurrence.frequency) {
+    case RECURRENCE_FREQUENCY.DAILY:
+      text = interval === 1 ? "Diária" : `A cada ${interval} dias`;
+      break;
+    case RECURRENCE_FREQUENCY.WEEKLY:
+      text = interval === 1 ? "Semanal" : `A cada ${interval} semanas`;
+      if (recurrence.weekdays && recurrence.weekdays.length > 0) {
+        text += ` (${recurrence.weekdays.map((day) => WEEKDAY_NAMES[day]).join(", ")})`;
+      }
+      break;
+    case RECURRENCE_FREQUENCY.MONTHLY:
+      text = interval === 1 ? "Mensal" : `A cada ${interval} meses`;
+      if (recurrence.month_day) {
+        text += ` (dia ${recurrence.month_day})`;
+      }
+      break;
+    default:
+      return null;
+  }
+
+  if (recurrence.count) {
+    text += `, mais ${recurrence.count}x`;
+  } else if (recurrence.until) {
+    text += `, até ${formatDate(new Date(recurrence.until))}`;
+  }
+
+  return text;
+};
+
+/**
+ * Componente RecurrencePicker
+ *
+ * O valor inicial é lido apenas na montagem; alterações são enviadas por onChange.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - Regra inicial (null = não repete)
+ * @param {Function} props.onChange - Recebe a nova regra (ou null)
+ * @param {Date} props.scheduledAt - Data agendada (dia da semana padrão)
+ */
+export default function RecurrencePicker({ value, onChange, scheduledAt }) {
+  const [frequency, setFrequency] = useState(value?.frequency || null);
+  const [intervalText, setIntervalText] = useState(String(value?.interval || 1));
+  const [weekdays, setWeekdays] = useState(value?.weekdays || []);
+  const [endMode, setEndMode] = useState(value?.count ? "count" : value?.until ? "until" : "never");
+  const [countText, setCountText] = useState(value?.count ? String(value.count) : "");
+  const [untilText, setUntilText] = useState(value?.until ? formatDate(new Date(value.until)) : "");
+
+  /**
+   * Monta a regra a partir dos campos e avisa a tela
+   */
+  useEffect(() => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+
+    const interval = parseInt(intervalText, 10);
+    const count = parseInt(countText, 10);
+
+    onChange({
+      frequency,
+      interval: interval > 0 ? interval : 1,
+      weekdays: frequency === RECURRENCE_FREQUENCY.WEEKLY
+        ? (weekdays.length > 0 ? weekdays : [scheduledAt.getDay()])
+        : null,
+      month_day: frequency === RECURRENCE_FREQUENCY.MONTHLY ? scheduledAt.getDate() : null,
+      until: endMode === "until" ? parseEndDate(untilText) : null,
+      count: endMode === "count" && count > 0 ? count : null,
+      timezone: getDeviceTimeZone(),
+    });
+  }, [frequency, intervalText, weekdays, endMode, countText, untilText, scheduledAt]);
+
+  /**
+   * Liga/desliga um dia da semana
+   *
+   * @param {number} day - Dia da semana (0 = domingo)
+   */
+  const toggleWeekday = (day) => {
+    setWeekdays((current) =>
+      current.includes(day)
+        ? current.filter((d) => d !== day)
+        : [...current, day].sort((a, b) => a - b)
+    );
+  };
+
+  /**
+   * Formata a data de término enquanto o usuário digita (DD/MM/YYYY)
+   *
+   * @param {string} text - Texto digitado
+   */
+  const handleUntilChange = (text) => {
+    const numbers = text.replace(/\D/g, "").slice(0, 8);
+    if (numbers.length <= 2) {
+      setUntilText(numbers);
+    } else if (numbers.length <= 4) {
+      setUntilText(`${numbers.slice(0, 2)}/${numbers.slice(2)}`);
+    } else {
+      setUntilText(`${numbers.slice(0, 2)}/${numbers.slice(2, 4)}/${numbers.slice(4)}`);
+    }
+  };
+
+  return (
+    <View>
+      <View style={styles.optionRow}>
+        {FREQUENCY_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.label}
+            style={[styles.option, frequency === option.value && styles.optionActive]}
+            onPress={() => setFrequency(option.value)}
+          >
+            <Text style={[styles.optionText, frequency === option.value && styles.optionTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {frequency && (
+        <>
+          <View style={styles.inlineRow}>
+            <Text style={styles.inlineText}>A cada</Text>
+            <TextInput
+              style={styles.smallInput}
+              value={intervalText}
+              onChangeText={(text) => setIntervalText(text.replace(/\D/g, "").slice(0, 3))}
+              keyboardType="numeric"
+              maxLength={3}
+            />
+            <Text style={styles.inlineText}>{INTERVAL_UNITS[frequency]}</Text>
+          </View>
+
+          {frequency === RECURRENCE_FREQUENCY.WEEKLY && (
+            <View style={styles.optionRow}>
+              {WEEKDAY_LABELS.map((label, day) => (
+                <TouchableOpacity
+                  key={day}
+                  style={[styles.weekday, weekdays.includes(day) && styles.optionActive]}
+                  onPress={() => toggleWeekday(day)}
+                >
+                  <Text style={[styles.optionText, weekdays.includes(day) && styles.optionTextActive]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {frequency === RECURRENCE_FREQUENCY.MONTHLY && (
+            <Text style={styles.hint}>Todo dia {scheduledAt.getDate()} (dia da data agendada)</Text>
+          )}
+
+          <Text style={styles.subLabel}>Termina</Text>
+          <View style={styles.optionRow}>
+            {[
+              { value: "never", label: "Nunca" },
+              { value: "count", label: "Após N vezes" },
+              { value: "until", label: "Em uma data" },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.option, endMode === option.value && styles.optionActive]}
+                onPress={() => setEndMode(option.value)}
+              >
+                <Text style={[styles.optionText, endMode === option.value && styles.optionTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {endMode === "count" && (
+            <View style={styles.inlineRow}>
+              <Text style={styles.inlineText}>Repetir</Text>
+              <TextInput
+                style={styles.smallInput}
+                value={countText}
+                onChangeText={(text) => setCountText(text.replace(/\D/g, "").slice(0, 3))}
+                keyboardType="numeric"
+                placeholder="10"
+                maxLength={3}
+              />
+              <Text style={styles.inlineText}>vez(es)</Text>
+            </View>
+          )}
+
+          {endMode === "until" && (
+            <TextInput
+              style={styles.dateInput}
+              value={untilText}
+              onChangeText={handleUntilChange}
+              keyboardType="numeric"
+              placeholder="DD/MM/YYYY"
+              maxLength={10}
+            />
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  optionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 8,
+  },
+  option: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: "#fff",
+    borderWidth: 2,
+    borderColor: COLORS.BORDER,
+  },
+  weekday: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: "#fff",
+    borderWidth: 2,
+    borderColor: COLORS.BORDER,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  optionActive: {
+    borderColor: COLORS.PRIMARY,
+    backgroundColor: COLORS.PRIMARY,
+  },
+  optionText: {
+    fontSize: 14,
+    color: COLORS.TEXT,
+    fontWeight: "500",
+  },
+  optionTextActive: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+  inlineRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 8,
+  },
+  inlineText: {
+    fontSize: 14,
+    color: COLORS.TEXT,
+  },
+  smallInput: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    fontSize: 16,
+    minWidth: 56,
+    textAlign: "center",
+    borderWidth: 1,
+    borderColor: COLORS.BORDER,
+  },
+  dateInput: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER,
+  },
+  subLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.TEXT,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: COLORS.TEXT_SECONDARY,
+    marginBottom: 8,
+  },
+});
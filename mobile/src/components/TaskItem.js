@@ -7,6 +7,7 @@
  * - Exibe título e descrição da tarefa
  * - Mostra status com cor indicativa
  * - Mostra horário agendado (se existir)
+ * - Mostra a regra de repetição (tarefas recorrentes)
  * - Permite tocar para editar
  * - Permite deletar, editar e concluir com ícones
  * - Mostra data de criação/atualização
@@ -15,6 +16,7 @@
 import React from "react";
 import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
 import { COLORS, TASK_STATUS } from "../utils/constants";
+import { describeRecurrence } from "./RecurrencePicker";
 
 /**
  * Componente TaskItem
@@ -113,6 +115,7 @@ export default function TaskItem({ task, onPress, onEdit, onDelete, onComplete }
   };
 
   const scheduledTime = formatScheduledTime(task.scheduled_at);
+  const recurrenceText = describeRecurrence(task.recurrence);
   const isCompleted = task.status === TASK_STATUS.COMPLETED;
 
   return (
@@ -142,6 +145,14 @@ export default function TaskItem({ task, onPress, onEdit, onDelete, onComplete }
           </View>
         )}
 
+        {/* Repetição (se existir) */}
+        {recurrenceText && (
+          <View style={styles.scheduledContainer}>
+            <Text style={styles.scheduledIcon}>🔁</Text>
+            <Text style={styles.scheduledText}>{recurrenceText}</Text>
+          </View>
+        )}
+
         {/* Footer com status e data */}
         <View style={styles.footer}>
           {/* Status */}
@@ -13,8 +13,10 @@
  * 1. Usuário pressiona botão de gravar
  * 2. App grava áudio
  * 3. Áudio é enviado para backend
- * 4. Backend processa com Wit.ai
- * 5. Backend cria tarefa baseado no comando
+ * 4. Backend processa com Wit.ai e monta o rascunho da tarefa (`task`):
+ *    título sem "criar tarefa"/"me lembre de" nem palavras de data,
+ *    data/hora e repetição no fuso da conta
+ * 5. App cria a tarefa local a partir do rascunho
  * 6. App sincroniza e atualiza lista
  */
 
@@ -27,25 +29,27 @@ import { syncTasks } from "../services/sync";
 import { COLORS } from "../utils/constants";
 
 /**
- * Extrai data/hora agendada a partir do texto transcrito ou entidades do Wit.ai.
+ * Extrai data/hora agendada a partir do texto transcrito ou entidades do NLU.
+ * 
+ * Usado apenas quando o servidor não devolve o rascunho da tarefa (`task`).
  * 
  * Objetivos:
- * - Reaproveitar o datetime do Wit.ai quando disponível.
+ * - Reaproveitar o datetime reconhecido pelo servidor quando disponível.
  * - Fazer fallback para horários isolados ("10h", "10 horas") sem data explícita.
  * - Agendar sempre para a próxima ocorrência futura com minutos padrão 00.
  * 
  * Fluxo interno:
- * 1) Tenta usar `wit$datetime` das entidades.
+ * 1) Tenta usar `datetime` das entidades.
  * 2) Caso não exista, busca horário isolado no texto.
  * 3) Ajusta para hoje/amanhã conforme horário atual.
  * 
  * @param {string} text - Texto transcrito do áudio
- * @param {Object} entities - Entidades retornadas pelo Wit.ai
+ * @param {Object} entities - Entidades normalizadas retornadas pelo servidor
  * @returns {string|null} Data/hora ISO 8601 ou null
  */
 const getScheduledAtFromVoice = (text, entities = {}) => {
   const now = new Date();
-  const rawDatetime = entities?.["wit$datetime"];
+  const rawDatetime = entities?.datetime;
 
   if (rawDatetime) {
     try {
@@ -54,7 +58,7 @@ const getScheduledAtFromVoice = (text, entities = {}) => {
         return parsedDate.toISOString();
       }
     } catch (error) {
-      console.warn("⚠️ Erro ao processar wit$datetime:", error);
+      console.warn("⚠️ Erro ao processar datetime:", error);
     }
   }
 
@@ -156,17 +160,19 @@ export default function VoiceInput({ onTaskCreated }) {
 
       // Processar resultado
       if (result.intent === "create_task" || result.intent === "add_task") {
-        // Criar tarefa baseado no resultado
-        const title = result.entities?.title || result.entities?.task_name || result.text || "Tarefa criada por voz";
-        const description = result.entities?.description || null;
+        // Criar tarefa baseado no resultado (rascunho do servidor, se houver)
+        const draft = result.task || null;
+        const title = draft?.title || result.entities?.title || result.text || "Tarefa criada por voz";
+        const description = draft ? draft.description : result.entities?.description || null;
         const status = result.entities?.status || "pending";
-        const scheduledAt = getScheduledAtFromVoice(result.text, result.entities);
+        const scheduledAt = draft ? draft.scheduled_at : getScheduledAtFromVoice(result.text, result.entities);
 
         await createTask({
           title: typeof title === "string" ? title : title[0],
           description: description ? (typeof description === "string" ? description : description[0]) : null,
           status: typeof status === "string" ? status : status[0],
           scheduled_at: scheduledAt || null,
+          recurrence: draft?.recurrence || null,
         });
 
         // Sincronizar com backend
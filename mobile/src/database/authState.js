@@ -0,0 +1,93 @@
+/**
+ * Sessão de Login - SQLite
+ *
+ * Guarda na tabela `auth_state` (criada em db.js) os tokens emitidos pelo
+ * backend e os dados do usuário autenticado:
+ * - access_token: enviado no cabeçalho Authorization de cada requisição
+ * - refresh_token: usado para obter um novo access_token quando ele expira
+ * - user: JSON com os dados públicos da conta
+ */
+
+import { getDatabase } from "./db";
+
+/**
+ * Chaves gravadas na tabela auth_state
+ */
+const KEYS = {
+  ACCESS_TOKEN: "access_token",
+  REFRESH_TOKEN: "refresh_token",
+  USER: "user",
+};
+
+/**
+ * Lê a sessão salva
+ *
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, user } ou null se não houver login
+ */
+export const getAuthSession = async () => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(`SELECT key, value FROM auth_state;`);
+  const values = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+
+  if (!values[KEYS.REFRESH_TOKEN]) {
+    return null;
+  }
+
+  let user = null;
+  try {
+    user = values[KEYS.USER] ? JSON.parse(values[KEYS.USER]) : null;
+  } catch (error) {
+    console.warn("⚠️ Dados do usuário salvos inválidos:", error);
+  }
+
+  return {
+    accessToken: values[KEYS.ACCESS_TOKEN] || null,
+    refreshToken: values[KEYS.REFRESH_TOKEN],
+    user,
+  };
+};
+
+/**
+ * Salva os tokens retornados por login, cadastro ou refresh
+ *
+ * @param {Object} tokenResponse - Resposta do backend
+ * @param {string} tokenResponse.access_token - Token de acesso
+ * @param {string} tokenResponse.refresh_token - Refresh token
+ * @param {Object} [tokenResponse.user] - Dados do usuário
+ * @returns {Promise<void>}
+ */
+export const saveAuthSession = async ({ access_token, refresh_token, user }) => {
+  const db = await getDatabase();
+  const entries = [
+    [KEYS.ACCESS_TOKEN, access_token],
+    [KEYS.REFRESH_TOKEN, refresh_token],
+  ];
+  if (user) {
+    entries.push([KEYS.USER, JSON.stringify(user)]);
+  }
+
+  for (const [key, value] of entries) {
+    await db.runAsync(`INSERT OR REPLACE INTO auth_state (key, value) VALUES (?, ?);`, [key, value]);
+  }
+};
+
+/**
+ * Atualiza apenas os dados do usuário salvos (ex.: após vincular o WhatsApp)
+ *
+ * @param {Object} user - Dados públicos da conta
+ * @returns {Promise<void>}
+ */
+export const saveAuthUser = async (user) => {
+  const db = await getDatabase();
+  await db.runAsync(`INSERT OR REPLACE INTO auth_state (key, value) VALUES (?, ?);`, [KEYS.USER, JSON.stringify(user)]);
+};
+
+/**
+ * Apaga a sessão salva (logout)
+ *
+ * @returns {Promise<void>}
+ */
+export const clearAuthSession = async () => {
+  const db = await getDatabase();
+  await db.runAsync(`DELETE FROM auth_state;`);
+};
@@ -122,6 +122,7 @@ export const initDatabase = async () => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -180,6 +181,21 @@ export const initDatabase = async () => {
         `
       );
 
+      // 4) Estado da sincronização (cursor do delta sync, etc.) e da sessão
+      // de login. Tabelas chave/valor separadas para não depender da migração de `tasks`
+      await db.execAsync(
+        `
+        CREATE TABLE IF NOT EXISTS sync_state (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+        CREATE TABLE IF NOT EXISTS auth_state (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+        `
+      );
+
       // #region agent log
       fetch('http://127.0.0.1:7242/ingest/900d3e87-1857-467b-b71f-e58429934408',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'db.js:119',message:'initDatabase SUCCESS',data:{finalColumns:finalColumnNames,hasCamelCase:finalHasCamelCase},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(()=>{});
       // #endregion
@@ -342,6 +358,7 @@ const migrateTasksTable = async (db) => {
             description TEXT,
             status TEXT NOT NULL DEFAULT 'pending',
             scheduled_at TEXT,
+            recurrence TEXT,
             created_at TEXT NOT NULL,
             updated_at TEXT NOT NULL,
             synced INTEGER NOT NULL DEFAULT 0,
@@ -379,6 +396,7 @@ const migrateTasksTable = async (db) => {
             description TEXT,
             status TEXT NOT NULL DEFAULT 'pending',
             scheduled_at TEXT,
+            recurrence TEXT,
             created_at TEXT NOT NULL,
             updated_at TEXT NOT NULL,
             synced INTEGER NOT NULL DEFAULT 0,
@@ -408,6 +426,9 @@ const migrateTasksTable = async (db) => {
     // Garantir coluna `scheduled_at` (data/hora agendada para notificação)
     await ensureColumn("scheduled_at", "scheduled_at TEXT");
 
+    // Garantir coluna `recurrence` (regra de repetição em JSON, ou NULL)
+    await ensureColumn("recurrence", "recurrence TEXT");
+
     // Verificar novamente após garantir outras colunas (pode ter mudado)
     const finalColumnsCheck = await db.getAllAsync(`PRAGMA table_info(tasks);`);
     const finalColumns = finalColumnsCheck.map((col) => col.name);
@@ -466,6 +487,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -513,6 +535,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -580,6 +603,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -630,6 +654,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -718,6 +743,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -754,6 +780,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -823,6 +850,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -868,6 +896,7 @@ const migrateTasksTable = async (db) => {
               description TEXT,
               status TEXT NOT NULL DEFAULT 'pending',
               scheduled_at TEXT,
+              recurrence TEXT,
               created_at TEXT NOT NULL,
               updated_at TEXT NOT NULL,
               synced INTEGER NOT NULL DEFAULT 0,
@@ -0,0 +1,56 @@
+/**
+ * Estado da Sincronização - SQLite
+ *
+ * Guarda pares chave/valor na tabela `sync_state` (criada em db.js).
+ *
+ * Hoje armazena apenas o cursor do delta sync: a posição, na sequência de
+ * alterações do servidor, até onde este dispositivo já está atualizado.
+ * Com ele o app baixa só o que mudou (GET /api/tasks/changes?since=<cursor>)
+ * em vez da lista completa a cada ciclo.
+ */
+
+import { getDatabase } from "./db";
+
+/**
+ * Chave do cursor na tabela sync_state
+ */
+const CURSOR_KEY = "changes_cursor";
+
+/**
+ * Cursor inicial: nenhuma alteração aplicada (força carga completa)
+ */
+export const INITIAL_SYNC_CURSOR = "0";
+
+/**
+ * Obtém o cursor da última sincronização
+ *
+ * @returns {Promise<string>} Cursor salvo ou INITIAL_SYNC_CURSOR
+ */
+export const getSyncCursor = async () => {
+  const db = await getDatabase();
+  const rows = await db.getAllAsync(`SELECT value FROM sync_state WHERE key = ?;`, [CURSOR_KEY]);
+  return rows.length > 0 && rows[0].value ? rows[0].value : INITIAL_SYNC_CURSOR;
+};
+
+/**
+ * Salva o cursor da última sincronização
+ *
+ * @param {string} cursor - Cursor retornado pelo servidor
+ * @returns {Promise<void>}
+ */
+export const setSyncCursor = async (cursor) => {
+  const db = await getDatabase();
+  await db.runAsync(
+    `INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?);`,
+    [CURSOR_KEY, String(cursor)]
+  );
+};
+
+/**
+ * Descarta o cursor, forçando carga completa na próxima sincronização
+ *
+ * @returns {Promise<void>}
+ */
+export const resetSyncCursor = async () => {
+  await setSyncCursor(INITIAL_SYNC_CURSOR);
+};
@@ -21,7 +21,7 @@
 
 import { getDatabase } from "./db";
 import { tasksAPI } from "../services/api";
-import { scheduleTaskNotification, cancelTaskNotification } from "../services/fcm";
+import { scheduleTaskNotification, cancelTaskNotification, cancelAllNotifications } from "../services/fcm";
 
 /**
  * Gera um ID único para a tarefa
@@ -33,6 +33,30 @@ const generateId = () => {
   return `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Converte uma linha do SQLite em tarefa
+ * A regra de repetição (`recurrence`) fica salva como JSON na coluna TEXT
+ * 
+ * @param {Object|null} row - Linha retornada pelo SQLite
+ * @returns {Object|null} Tarefa com `recurrence` como objeto (ou null)
+ */
+const rowToTask = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  let recurrence = null;
+  if (row.recurrence) {
+    try {
+      recurrence = JSON.parse(row.recurrence);
+    } catch (error) {
+      console.warn(`⚠️ Recorrência inválida na tarefa ${row.id}:`, error);
+    }
+  }
+
+  return { ...row, recurrence };
+};
+
 /**
  * Obtém a data atual no formato ISO 8601
  * 
@@ -50,6 +74,7 @@ const getCurrentDate = () => {
  * @param {string} [taskData.description] - Descrição da tarefa (opcional)
  * @param {string} [taskData.status] - Status da tarefa (padrão: 'pending')
  * @param {string} [taskData.scheduled_at] - Data/hora agendada para notificação (opcional, formato ISO 8601)
+ * @param {Object} [taskData.recurrence] - Regra de repetição (opcional, exige scheduled_at)
  * @param {string} [taskData.created_at] - Data de criação (opcional, usa data atual se não fornecido)
  * @param {string} [taskData.updated_at] - Data de atualização (opcional, usa data atual se não fornecido)
  * @param {string} [taskData.server_id] - ID da tarefa no servidor (opcional)
@@ -254,11 +279,12 @@ export const createTask = async (taskData) => {
       updatedAt, // Garantido que é string não-vazia
       synced,
       serverId,
+      taskData.recurrence ? JSON.stringify(taskData.recurrence) : null,
     ];
 
     // Validação final dos valores no array antes do INSERT
     // IMPORTANTE: A ordem do array é:
-    // [0] id, [1] title, [2] description, [3] status, [4] scheduled_at, [5] created_at, [6] updated_at, [7] synced, [8] server_id
+    // [0] id, [1] title, [2] description, [3] status, [4] scheduled_at, [5] created_at, [6] updated_at, [7] synced, [8] server_id, [9] recurrence
     // Por isso validamos índices 5 e 6 para created_at e updated_at
     if (insertValues[5] === null || insertValues[5] === undefined || insertValues[5] === '') {
       throw new Error(`createdAt no array está inválido: ${insertValues[5]} (índice 5)`);
@@ -272,8 +298,8 @@ export const createTask = async (taskData) => {
     // #endregion
 
     await db.runAsync(
-      `INSERT INTO tasks (id, title, description, status, scheduled_at, created_at, updated_at, synced, server_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+      `INSERT INTO tasks (id, title, description, status, scheduled_at, created_at, updated_at, synced, server_id, recurrence)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
       insertValues
     );
     
@@ -328,7 +354,7 @@ export const createTask = async (taskData) => {
 
   // Buscar a tarefa criada para retornar os dados completos
   const rows = await db.getAllAsync(`SELECT * FROM tasks WHERE id = ?;`, [id]);
-  const createdTask = rows.length > 0 ? rows[0] : null;
+  const createdTask = rows.length > 0 ? rowToTask(rows[0]) : null;
 
   // Agendar notificação se a tarefa tiver scheduled_at
   if (createdTask && createdTask.scheduled_at) {
@@ -373,7 +399,7 @@ export const getAllTasks = async (options = {}) => {
   query += " ORDER BY created_at DESC;";
 
   const rows = await db.getAllAsync(query, params);
-  return rows;
+  return rows.map(rowToTask);
 };
 
 /**
@@ -385,7 +411,7 @@ export const getAllTasks = async (options = {}) => {
 export const getTaskById = async (id) => {
   const db = await getDatabase();
   const rows = await db.getAllAsync(`SELECT * FROM tasks WHERE id = ?;`, [id]);
-  return rows.length > 0 ? rows[0] : null;
+  return rows.length > 0 ? rowToTask(rows[0]) : null;
 };
 
 /**
@@ -419,6 +445,8 @@ export const updateTask = async (id, updates) => {
       await tasksAPI.getById(currentTask.server_id);
     } catch (error) {
       // Se der erro 404, a tarefa não existe no servidor (tarefa órfã)
+      // 410 indica tarefa deletada no servidor: não desvincular, a próxima
+      // sincronização recebe a lápide e remove a tarefa local
       if (error.response?.status === 404) {
         console.log(`ℹ️ Tarefa ${id} tem server_id ${currentTask.server_id} que não existe no servidor (tarefa órfã)`);
         console.log(`🔧 Removendo server_id e marcando como não sincronizada para recriação`);
@@ -446,6 +474,10 @@ export const updateTask = async (id, updates) => {
     fields.push("status = ?");
     values.push(updates.status);
   }
+  if (updates.recurrence !== undefined) {
+    fields.push("recurrence = ?");
+    values.push(updates.recurrence ? JSON.stringify(updates.recurrence) : null);
+  }
 
   const hadScheduledAt = currentTask && currentTask.scheduled_at;
   const newScheduledAt = updates.scheduled_at;
@@ -526,7 +558,7 @@ export const getTasksByTitle = async (title) => {
     `SELECT * FROM tasks WHERE title LIKE ? ORDER BY created_at DESC;`,
     [`%${title}%`]
   );
-  return rows;
+  return rows.map(rowToTask);
 };
 
 /**
@@ -541,7 +573,7 @@ export const getTasksByExactTitle = async (title) => {
     `SELECT * FROM tasks WHERE title = ? ORDER BY created_at DESC;`,
     [title]
   );
-  return rows;
+  return rows.map(rowToTask);
 };
 
 /**
@@ -727,6 +759,58 @@ export const deleteTask = async (id) => {
   return true;
 };
 
+/**
+ * Remove uma tarefa apenas do banco local
+ * 
+ * Usado quando o servidor informa que a tarefa foi deletada (lápide):
+ * não há nada a deletar no servidor, só a cópia local e a notificação.
+ *
+ * @param {string} id - ID local da tarefa
+ * @returns {Promise<boolean>} true se removida
+ */
+export const removeLocalTask = async (id) => {
+  const db = await getDatabase();
+  const task = await getTaskById(id);
+
+  if (!task) {
+    return false;
+  }
+
+  if (task.scheduled_at) {
+    try {
+      await cancelTaskNotification(id);
+    } catch (error) {
+      console.warn("⚠️ Erro ao cancelar notificação:", error);
+    }
+  }
+
+  await db.runAsync(`DELETE FROM tasks WHERE id = ?;`, [id]);
+  console.log(`✅ Tarefa ${id} removida localmente (deletada no servidor)`);
+
+  return true;
+};
+
+/**
+ * Remove todas as tarefas locais e suas notificações
+ *
+ * Usado ao sair da conta: as tarefas pertencem ao usuário anterior e não
+ * podem ser enviadas para a próxima conta que entrar neste aparelho.
+ *
+ * @returns {Promise<void>}
+ */
+export const clearLocalTasks = async () => {
+  const db = await getDatabase();
+
+  try {
+    await cancelAllNotifications();
+  } catch (error) {
+    console.warn("⚠️ Erro ao cancelar notificações:", error);
+  }
+
+  await db.runAsync(`DELETE FROM tasks;`);
+  console.log("🧹 Tarefas locais removidas");
+};
+
 /**
  * Busca tarefas não sincronizadas com o backend
  * Útil para sincronização
@@ -5,6 +5,7 @@
  * 
  * Funcionalidades:
  * - Formulário para criar tarefa (título, descrição, status)
+ * - Agendamento com repetição opcional (diária, semanal, mensal)
  * - Validação de campos
  * - Salvar no SQLite local
  * - Sincronizar com backend após criar
@@ -26,6 +27,7 @@ import {
   Modal,
 } from "react-native";
 import { createTask } from "../database/tasks";
+import RecurrencePicker from "../components/RecurrencePicker";
 import { syncTasks } from "../services/sync";
 import { COLORS, TASK_STATUS, SUCCESS_MESSAGES } from "../utils/constants";
 
@@ -42,6 +44,7 @@ export default function AddTaskScreen({ navigation }) {
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [dateInput, setDateInput] = useState("");
   const [timeInput, setTimeInput] = useState("");
+  const [recurrence, setRecurrence] = useState(null);
 
   /**
    * Formata o input de data enquanto o usuário digita (DD/MM/YYYY)
@@ -237,6 +240,7 @@ export default function AddTaskScreen({ navigation }) {
         description: description.trim() || null,
         status,
         scheduled_at: enableScheduling ? scheduledAt.toISOString() : null,
+        recurrence: enableScheduling ? recurrence : null,
       });
 
       // Tentar sincronizar com backend (não bloquear se falhar)
@@ -443,6 +447,18 @@ export default function AddTaskScreen({ navigation }) {
           )}
         </View>
 
+        {/* Campo Repetição (exige agendamento) */}
+        {enableScheduling && (
+          <View style={styles.field}>
+            <Text style={styles.label}>Repetir</Text>
+            <RecurrencePicker
+              value={recurrence}
+              onChange={setRecurrence}
+              scheduledAt={scheduledAt}
+            />
+          </View>
+        )}
+
         {/* Botão Salvar */}
         <TouchableOpacity
           style={[styles.saveButton, loading && styles.saveButtonDisabled]}
@@ -6,6 +6,7 @@
  * Funcionalidades:
  * - Carregar dados da tarefa do SQLite
  * - Formulário para editar (título, descrição, status)
+ * - Agendamento com repetição opcional (diária, semanal, mensal)
  * - Validação de campos
  * - Atualizar no SQLite local
  * - Sincronizar com backend após atualizar
@@ -27,6 +28,7 @@ import {
   Modal,
 } from "react-native";
 import { getTaskById, updateTask, deleteTask } from "../database/tasks";
+import RecurrencePicker from "../components/RecurrencePicker";
 import { syncTasks } from "../services/sync";
 import { COLORS, TASK_STATUS, SUCCESS_MESSAGES } from "../utils/constants";
 
@@ -45,6 +47,7 @@ export default function EditTaskScreen({ route, navigation }) {
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [dateInput, setDateInput] = useState("");
   const [timeInput, setTimeInput] = useState("");
+  const [recurrence, setRecurrence] = useState(null);
 
   /**
    * Carrega dados da tarefa
@@ -202,6 +205,7 @@ export default function EditTaskScreen({ route, navigation }) {
         setTitle(task.title || "");
         setDescription(task.description || "");
         setStatus(task.status || TASK_STATUS.PENDING);
+        setRecurrence(task.recurrence || null);
         if (task.scheduled_at) {
           const parsedDate = new Date(task.scheduled_at);
           if (!isNaN(parsedDate.getTime())) {
@@ -282,6 +286,7 @@ export default function EditTaskScreen({ route, navigation }) {
         description: description.trim() || null,
         status,
         scheduled_at: enableScheduling ? scheduledAt.toISOString() : null,
+        recurrence: enableScheduling ? recurrence : null,
       });
 
       // Tentar sincronizar com backend (não bloquear se falhar)
@@ -526,6 +531,18 @@ export default function EditTaskScreen({ route, navigation }) {
           )}
         </View>
 
+        {/* Campo Repetição (exige agendamento) */}
+        {enableScheduling && (
+          <View style={styles.field}>
+            <Text style={styles.label}>Repetir</Text>
+            <RecurrencePicker
+              value={recurrence}
+              onChange={setRecurrence}
+              scheduledAt={scheduledAt}
+            />
+          </View>
+        )}
+
         {/* Botão Salvar */}
         <TouchableOpacity
           style={[styles.saveButton, saving && styles.saveButtonDisabled]}
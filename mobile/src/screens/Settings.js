@@ -4,16 +4,19 @@
  * Esta tela permite ao usuário configurar o aplicativo.
  * 
  * Funcionalidades:
+ * - Login, cadastro e logout da conta
+ * - Vincular o WhatsApp à conta (código de pareamento)
  * - Informações sobre sincronização
  * - Configurações de notificações
  * - Informações do app
  * - Sincronização manual
  */
 
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
+  TextInput,
   TouchableOpacity,
   StyleSheet,
   ScrollView,
@@ -21,6 +24,14 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { syncTasks } from "../services/sync";
+import {
+  login,
+  register,
+  logout,
+  getCurrentUser,
+  refreshCurrentUser,
+  requestWhatsAppPairingCode,
+} from "../services/auth";
 import { COLORS, SUCCESS_MESSAGES } from "../utils/constants";
 
 /**
@@ -28,6 +39,99 @@ import { COLORS, SUCCESS_MESSAGES } from "../utils/constants";
  */
 export default function SettingsScreen() {
   const [syncing, setSyncing] = useState(false);
+  const [user, setUser] = useState(null);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [authenticating, setAuthenticating] = useState(false);
+  const [pairing, setPairing] = useState(false);
+
+  /**
+   * Carrega o usuário logado ao abrir a tela
+   * Mostra primeiro os dados salvos e depois os do servidor (telefone vinculado)
+   */
+  useEffect(() => {
+    getCurrentUser()
+      .then((savedUser) => {
+        setUser(savedUser);
+        return refreshCurrentUser();
+      })
+      .then((serverUser) => {
+        if (serverUser) {
+          setUser(serverUser);
+        }
+      })
+      .catch((error) => console.warn("⚠️ Erro ao carregar usuário:", error.message));
+  }, []);
+
+  /**
+   * Handler para vincular o WhatsApp
+   * Gera um código e mostra a mensagem que o usuário deve enviar ao bot
+   */
+  const handlePairWhatsApp = async () => {
+    setPairing(true);
+    try {
+      const { code, expires_in } = await requestWhatsAppPairingCode();
+      Alert.alert(
+        "Vincular WhatsApp",
+        `Envie a mensagem abaixo para o bot pelo WhatsApp em até ${Math.round(expires_in / 60)} minutos:\n\nvincular ${code}`
+      );
+    } catch (error) {
+      console.error("❌ Erro ao gerar código de pareamento:", error);
+      Alert.alert("Erro", error.response?.data?.error?.message || error.message);
+    } finally {
+      setPairing(false);
+    }
+  };
+
+  /**
+   * Handler para entrar ou criar conta
+   * 
+   * @param {boolean} isNewAccount - true para cadastro, false para login
+   */
+  const handleAuth = async (isNewAccount) => {
+    if (!email.trim() || !password) {
+      Alert.alert("Erro", "Informe e-mail e senha");
+      return;
+    }
+
+    setAuthenticating(true);
+    try {
+      const loggedUser = isNewAccount
+        ? await register({ email, password })
+        : await login(email, password);
+      setUser(loggedUser);
+      setPassword("");
+      // Baixar as tarefas da conta logo após entrar
+      syncTasks().catch((error) => console.error("❌ Erro ao sincronizar após login:", error));
+    } catch (error) {
+      console.error("❌ Erro ao autenticar:", error);
+      Alert.alert("Erro", error.response?.data?.error?.message || error.message);
+    } finally {
+      setAuthenticating(false);
+    }
+  };
+
+  /**
+   * Handler para sair da conta (com confirmação)
+   */
+  const handleLogout = () => {
+    Alert.alert(
+      "Sair da conta",
+      "As tarefas salvas neste aparelho serão apagadas. Elas continuam disponíveis no servidor.",
+      [
+        { text: "Cancelar", style: "cancel" },
+        {
+          text: "Sair",
+          style: "destructive",
+          onPress: async () => {
+            await logout();
+            setUser(null);
+            setEmail("");
+          },
+        },
+      ]
+    );
+  };
 
   /**
    * Handler para sincronização manual
@@ -36,6 +140,10 @@ export default function SettingsScreen() {
     setSyncing(true);
     try {
       const result = await syncTasks();
+      if (result.skipped) {
+        Alert.alert("Sincronização", "Entre na sua conta para sincronizar as tarefas com o servidor.");
+        return;
+      }
       Alert.alert(
         "Sincronização Concluída",
         `${SUCCESS_MESSAGES.SYNC_SUCCESS}\n\nEnviadas: ${result.uploaded}\nRecebidas: ${result.downloaded}`
@@ -49,7 +157,78 @@ export default function SettingsScreen() {
   };
 
   return (
-    <ScrollView style={styles.container}>
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      {/* Seção de Conta */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Conta</Text>
+        {user ? (
+          <>
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Conectado como:</Text>
+              <Text style={styles.infoValue}>{user.email}</Text>
+            </View>
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>WhatsApp:</Text>
+              <Text style={styles.infoValue}>{user.phone || "não vinculado"}</Text>
+            </View>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonSecondary, pairing && styles.buttonDisabled]}
+              onPress={handlePairWhatsApp}
+              disabled={pairing}
+            >
+              {pairing ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>{user.phone ? "Vincular Outro WhatsApp" : "Vincular WhatsApp"}</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.buttonDanger]} onPress={handleLogout}>
+              <Text style={styles.buttonText}>Sair</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <TextInput
+              style={styles.input}
+              placeholder="E-mail"
+              value={email}
+              onChangeText={setEmail}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="email-address"
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Senha (mínimo 8 caracteres)"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+            />
+            <TouchableOpacity
+              style={[styles.button, authenticating && styles.buttonDisabled]}
+              onPress={() => handleAuth(false)}
+              disabled={authenticating}
+            >
+              {authenticating ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.buttonText}>Entrar</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.buttonSecondary, authenticating && styles.buttonDisabled]}
+              onPress={() => handleAuth(true)}
+              disabled={authenticating}
+            >
+              <Text style={styles.buttonText}>Criar Conta</Text>
+            </TouchableOpacity>
+            <Text style={styles.sectionDescription}>
+              Sem login, as tarefas ficam apenas neste aparelho.
+            </Text>
+          </>
+        )}
+      </View>
+
       {/* Seção de Sincronização */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Sincronização</Text>
@@ -130,6 +309,24 @@ const styles = StyleSheet.create({
   buttonDisabled: {
     opacity: 0.6,
   },
+  buttonSecondary: {
+    backgroundColor: COLORS.SECONDARY,
+    marginTop: 8,
+  },
+  buttonDanger: {
+    backgroundColor: COLORS.DANGER,
+    marginTop: 8,
+  },
+  input: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: COLORS.TEXT,
+    borderWidth: 1,
+    borderColor: COLORS.BORDER,
+    marginBottom: 8,
+  },
   buttonText: {
     color: "#fff",
     fontSize: 16,
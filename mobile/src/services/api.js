@@ -8,11 +8,13 @@
  * - Requisições GET, POST, PUT, DELETE
  * - Tratamento de erros padronizado
  * - Interceptores para logs e tratamento de erros
+ * - Autenticação: envia o token de acesso e o renova automaticamente
  * - Configuração centralizada da URL base
  */
 
 import axios from "axios";
 import { API_BASE_URL, API_ENDPOINTS, ERROR_MESSAGES } from "../utils/constants";
+import { getAuthSession, saveAuthSession, clearAuthSession } from "../database/authState";
 
 /**
  * Instância do Axios configurada
@@ -26,12 +28,72 @@ const apiClient = axios.create({
   },
 });
 
+/**
+ * Códigos de erro 401 que podem ser resolvidos renovando o token de acesso
+ * (TOKEN_INVALID cobre o caso do servidor ter trocado o segredo de assinatura)
+ */
+const REFRESHABLE_AUTH_ERRORS = ["TOKEN_EXPIRED", "TOKEN_INVALID"];
+
+/**
+ * Renovação em andamento (compartilhada entre requisições simultâneas)
+ */
+let refreshPromise = null;
+
+/**
+ * Troca o refresh token salvo por um novo par de tokens
+ * 
+ * Usa o axios direto (fora do apiClient) para não passar pelos
+ * interceptores. Se o servidor recusar o refresh token, a sessão local é
+ * apagada e o usuário precisa entrar novamente.
+ * 
+ * @returns {Promise<string>} Novo token de acesso
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const session = await getAuthSession();
+      if (!session) {
+        throw new Error(ERROR_MESSAGES.SESSION_EXPIRED);
+      }
+
+      try {
+        const response = await axios.post(
+          `${API_BASE_URL}${API_ENDPOINTS.AUTH_REFRESH}`,
+          { refresh_token: session.refreshToken },
+          { timeout: 30000 }
+        );
+        await saveAuthSession(response.data);
+        console.log("🔑 Token de acesso renovado");
+        return response.data.access_token;
+      } catch (error) {
+        if (error.response?.status === 401) {
+          await clearAuthSession();
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 /**
  * Interceptor de requisições
- * Adiciona logs para debug
+ * Anexa o token de acesso e adiciona logs para debug
  */
 apiClient.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    try {
+      const session = await getAuthSession();
+      if (session?.accessToken) {
+        config.headers.Authorization = `Bearer ${session.accessToken}`;
+      }
+    } catch (error) {
+      // Banco ainda não inicializado: seguir sem token (rotas públicas funcionam)
+      console.warn("⚠️ Não foi possível ler a sessão de login:", error.message);
+    }
     console.log(`📤 ${config.method.toUpperCase()} ${config.url}`);
     return config;
   },
@@ -43,14 +105,34 @@ apiClient.interceptors.request.use(
 
 /**
  * Interceptor de respostas
- * Trata erros de forma padronizada
+ * Renova o token expirado (uma tentativa) e trata erros de forma padronizada
  */
 apiClient.interceptors.response.use(
   (response) => {
     console.log(`✅ ${response.config.method.toUpperCase()} ${response.config.url} - Status: ${response.status}`);
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+    const authErrorCode = error.response?.status === 401 ? error.response.data?.error?.code : null;
+
+    if (REFRESHABLE_AUTH_ERRORS.includes(authErrorCode) && originalRequest && !originalRequest._authRetried) {
+      originalRequest._authRetried = true;
+      try {
+        await refreshAccessToken();
+        // O interceptor de requisições anexa o token novo
+        return apiClient(originalRequest);
+      } catch (refreshError) {
+        error.message = ERROR_MESSAGES.SESSION_EXPIRED;
+        return Promise.reject(error);
+      }
+    }
+
+    if (authErrorCode === "SESSION_REVOKED") {
+      // Sessão encerrada em outro dispositivo (logout-all)
+      await clearAuthSession();
+    }
+
     console.error("❌ Erro na resposta:", error.response?.data || error.message);
     
     // Tratamento de erros específicos
@@ -67,6 +149,80 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * API de Autenticação
+ */
+export const authAPI = {
+  /**
+   * Cria uma conta
+   * 
+   * @param {Object} data - { email, password, name, timezone }
+   * @returns {Promise<Object>} { access_token, refresh_token, expires_in, user }
+   */
+  register: async (data) => {
+    const response = await apiClient.post(API_ENDPOINTS.AUTH_REGISTER, data);
+    return response.data;
+  },
+
+  /**
+   * Entra com e-mail e senha
+   * 
+   * @param {string} email - E-mail
+   * @param {string} password - Senha
+   * @returns {Promise<Object>} { access_token, refresh_token, expires_in, user }
+   */
+  login: async (email, password) => {
+    const response = await apiClient.post(API_ENDPOINTS.AUTH_LOGIN, { email, password });
+    return response.data;
+  },
+
+  /**
+   * Encerra a sessão atual no servidor
+   * 
+   * @returns {Promise<Object>} Resultado
+   */
+  logout: async () => {
+    const response = await apiClient.post(API_ENDPOINTS.AUTH_LOGOUT);
+    return response.data;
+  },
+};
+
+/**
+ * API de Usuários
+ */
+export const usersAPI = {
+  /**
+   * Obtém os dados da conta logada
+   * 
+   * @returns {Promise<Object>} Usuário (inclui `phone` quando o WhatsApp está vinculado)
+   */
+  getMe: async () => {
+    const response = await apiClient.get(API_ENDPOINTS.USERS_ME);
+    return response.data;
+  },
+
+  /**
+   * Atualiza o perfil da conta logada
+   * 
+   * @param {Object} updates - { name?, timezone? }
+   * @returns {Promise<Object>} Usuário atualizado
+   */
+  updateMe: async (updates) => {
+    const response = await apiClient.patch(API_ENDPOINTS.USERS_ME, updates);
+    return response.data;
+  },
+
+  /**
+   * Gera um código para vincular o WhatsApp à conta
+   * 
+   * @returns {Promise<Object>} { code, expires_at, expires_in, instructions }
+   */
+  createPairingCode: async () => {
+    const response = await apiClient.post(API_ENDPOINTS.USERS_PAIRING_CODE);
+    return response.data;
+  },
+};
+
 /**
  * API de Tarefas
  */
@@ -81,6 +237,17 @@ export const tasksAPI = {
     return response.data;
   },
 
+  /**
+   * Busca tarefas no servidor com filtros e paginação
+   * 
+   * @param {Object} params - { status, scheduled_after, scheduled_before, q, sort, limit, offset }
+   * @returns {Promise<Object>} { tasks, total, limit, offset, has_more }
+   */
+  search: async (params) => {
+    const response = await apiClient.get(API_ENDPOINTS.TASKS, { params });
+    return response.data;
+  },
+
   /**
    * Busca uma tarefa específica por ID
    * 
@@ -136,6 +303,33 @@ export const tasksAPI = {
     const response = await apiClient.post(API_ENDPOINTS.TASKS_SYNC, { tasks });
     return response.data;
   },
+
+  /**
+   * Envia tarefas locais sem baixar a lista completa do servidor
+   * 
+   * A resposta traz apenas as tarefas enviadas (para vincular server_id);
+   * as demais alterações vêm de getChanges.
+   * 
+   * @param {Array} tasks - Lista de tarefas para enviar
+   * @returns {Promise<Object>} { syncedIds, tasks, deleted }
+   */
+  push: async (tasks) => {
+    const response = await apiClient.post(API_ENDPOINTS.TASKS_SYNC, { tasks, delta: true });
+    return response.data;
+  },
+
+  /**
+   * Busca as alterações do servidor depois de um cursor
+   * 
+   * @param {string} since - Cursor da última sincronização ("0" = tudo)
+   * @returns {Promise<Object>} { created, updated, deleted, cursor, has_more, reset }
+   */
+  getChanges: async (since) => {
+    const response = await apiClient.get(API_ENDPOINTS.TASKS_CHANGES, {
+      params: { since },
+    });
+    return response.data;
+  },
 };
 
 /**
@@ -197,10 +391,26 @@ export const fcmAPI = {
    * Registra o token FCM do dispositivo
    * 
    * @param {string} token - Token FCM
+   * @param {Object} [device] - { platform, appVersion }
    * @returns {Promise<Object>} Resultado do registro
    */
-  registerToken: async (token) => {
-    const response = await apiClient.post(API_ENDPOINTS.FCM_REGISTER, { token });
+  registerToken: async (token, { platform = null, appVersion = null } = {}) => {
+    const response = await apiClient.post(API_ENDPOINTS.FCM_REGISTER, {
+      token,
+      platform,
+      app_version: appVersion,
+    });
+    return response.data;
+  },
+
+  /**
+   * Remove o token do dispositivo da conta (ao sair da conta)
+   *
+   * @param {string} token - Token FCM
+   * @returns {Promise<Object>} Resultado da remoção
+   */
+  unregisterToken: async (token) => {
+    const response = await apiClient.post(API_ENDPOINTS.FCM_UNREGISTER, { token });
     return response.data;
   },
 };
@@ -0,0 +1,178 @@
+/**
+ * Serviço de Autenticação
+ *
+ * Este arquivo gerencia a sessão de login do usuário no app.
+ *
+ * Funcionalidades:
+ * - Entrar e criar conta (salva os tokens localmente)
+ * - Sair (encerra a sessão no servidor e limpa os dados locais)
+ * - Consultar o usuário logado
+ * - Vincular o WhatsApp à conta (código de pareamento)
+ * - Manter o fuso horário da conta igual ao do aparelho
+ *
+ * Os tokens ficam na tabela auth_state; a renovação do token de acesso é
+ * feita automaticamente pelo cliente HTTP (services/api.js).
+ */
+
+import { authAPI, usersAPI, fcmAPI } from "./api";
+import { getFCMToken, getPushDeviceInfo } from "./fcm";
+import { getAuthSession, saveAuthSession, saveAuthUser, clearAuthSession } from "../database/authState";
+import { resetSyncCursor } from "../database/syncState";
+import { clearLocalTasks } from "../database/tasks";
+import { getDeviceTimeZone } from "../utils/timezone";
+
+/**
+ * Associa o token de push deste aparelho à conta recém-logada
+ *
+ * O registro feito na abertura do app falha sem login; sem ele, as
+ * notificações do WhatsApp não chegam a este aparelho.
+ *
+ * @returns {Promise<void>}
+ */
+const registerDevicePushToken = async () => {
+  try {
+    const token = await getFCMToken();
+    if (token) {
+      await fcmAPI.registerToken(token, getPushDeviceInfo());
+    }
+  } catch (error) {
+    console.warn("⚠️ Erro ao registrar token de push:", error.message);
+  }
+};
+
+/**
+ * Salva o fuso do aparelho na conta, se for diferente do atual
+ *
+ * O servidor usa esse fuso para entender "amanhã às 9h" no WhatsApp.
+ *
+ * @param {Object} user - Usuário logado
+ * @returns {Promise<Object>} Usuário (atualizado, se o fuso mudou)
+ */
+const syncAccountTimeZone = async (user) => {
+  const timeZone = getDeviceTimeZone();
+  if (!timeZone || user.timezone === timeZone) {
+    return user;
+  }
+
+  try {
+    const updatedUser = await usersAPI.updateMe({ timezone: timeZone });
+    await saveAuthUser(updatedUser);
+    console.log(`🕒 Fuso da conta atualizado: ${timeZone}`);
+    return updatedUser;
+  } catch (error) {
+    console.warn("⚠️ Erro ao atualizar fuso da conta:", error.message);
+    return user;
+  }
+};
+
+/**
+ * Entra com e-mail e senha
+ *
+ * @param {string} email - E-mail
+ * @param {string} password - Senha
+ * @returns {Promise<Object>} Usuário logado
+ */
+export const login = async (email, password) => {
+  const session = await authAPI.login(email.trim(), password);
+  await saveAuthSession(session);
+  console.log(`🔑 Login realizado: ${session.user.email}`);
+  await registerDevicePushToken();
+  return syncAccountTimeZone(session.user);
+};
+
+/**
+ * Cria uma conta e já entra com ela
+ *
+ * @param {Object} data - { email, password, name }
+ * @returns {Promise<Object>} Usuário criado
+ */
+export const register = async ({ email, password, name }) => {
+  const session = await authAPI.register({
+    email: email.trim(),
+    password,
+    name,
+    timezone: getDeviceTimeZone(),
+  });
+  await saveAuthSession(session);
+  console.log(`🔑 Conta criada: ${session.user.email}`);
+  await registerDevicePushToken();
+  return session.user;
+};
+
+/**
+ * Sai da conta
+ *
+ * Encerra a sessão no servidor (melhor esforço: funciona offline) e apaga
+ * tokens, tarefas locais e cursor de sincronização, para que a próxima
+ * conta comece do zero. O token de push sai da conta antes, para que as
+ * notificações dela parem de chegar a este aparelho.
+ *
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  try {
+    const token = await getFCMToken();
+    if (token) {
+      await fcmAPI.unregisterToken(token);
+    }
+  } catch (error) {
+    console.warn("⚠️ Não foi possível remover o token de push da conta:", error.message);
+  }
+
+  try {
+    await authAPI.logout();
+  } catch (error) {
+    console.warn("⚠️ Não foi possível encerrar a sessão no servidor:", error.message);
+  }
+
+  await clearAuthSession();
+  await clearLocalTasks();
+  await resetSyncCursor();
+  console.log("🔒 Logout realizado");
+};
+
+/**
+ * Obtém o usuário logado
+ *
+ * @returns {Promise<Object|null>} Usuário ou null se ninguém estiver logado
+ */
+export const getCurrentUser = async () => {
+  const session = await getAuthSession();
+  return session ? session.user : null;
+};
+
+/**
+ * Atualiza os dados do usuário logado a partir do servidor
+ *
+ * @returns {Promise<Object|null>} Usuário atualizado, ou null se ninguém estiver logado
+ */
+export const refreshCurrentUser = async () => {
+  if (!(await isAuthenticated())) {
+    return null;
+  }
+
+  const user = await usersAPI.getMe();
+  await saveAuthUser(user);
+  return syncAccountTimeZone(user);
+};
+
+/**
+ * Gera o código para vincular o WhatsApp à conta
+ *
+ * O usuário envia "vincular <código>" ao bot antes do código expirar.
+ *
+ * @returns {Promise<Object>} { code, expires_at, expires_in, instructions }
+ */
+export const requestWhatsAppPairingCode = async () => {
+  return usersAPI.createPairingCode();
+};
+
+/**
+ * Verifica se há um usuário logado
+ *
+ * @returns {Promise<boolean>}
+ */
+export const isAuthenticated = async () => {
+  const session = await getAuthSession();
+  return session !== null;
+};
@@ -19,6 +19,17 @@
 import * as Notifications from "expo-notifications";
 import { Platform } from "react-native";
 import { fcmAPI } from "./api";
+import appConfig from "../../app.json";
+
+/**
+ * Dados do aparelho enviados junto com o token de push
+ *
+ * @returns {Object} { platform, appVersion }
+ */
+export const getPushDeviceInfo = () => ({
+  platform: Platform.OS,
+  appVersion: appConfig.expo.version,
+});
 
 /**
  * Configuração de comportamento das notificações
@@ -64,7 +75,7 @@ export const initFCM = async () => {
 
     // Registrar token no backend
     try {
-      await fcmAPI.registerToken(token);
+      await fcmAPI.registerToken(token, getPushDeviceInfo());
       console.log("✅ Token FCM registrado no backend");
     } catch (error) {
       console.warn("⚠️ Erro ao registrar token no backend:", error.message);
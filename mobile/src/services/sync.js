@@ -14,11 +14,18 @@
  * - Last-write-wins: Em caso de conflito, a última atualização vence
  * - Timestamps: Usa created_at e updated_at para determinar ordem
  * - Marcação de sincronização: Campo 'synced' indica se tarefa foi sincronizada
+ * - Lápides: tarefas deletadas no servidor chegam em `deleted` e são
+ *   removidas localmente (a exclusão vence edições locais pendentes)
+ * - Delta sync: o download usa um cursor salvo localmente e traz apenas o que
+ *   mudou desde a última sincronização (GET /api/tasks/changes). Cursor "0"
+ *   ou `reset` do servidor fazem uma carga completa.
  */
 
-import { getAllTasks, getUnsyncedTasks, markTasksAsSynced, createTask, updateTask } from "../database/tasks";
+import { getAllTasks, getUnsyncedTasks, markTasksAsSynced, createTask, updateTask, removeLocalTask } from "../database/tasks";
 import { initDatabase } from "../database/db";
+import { getSyncCursor, setSyncCursor, INITIAL_SYNC_CURSOR } from "../database/syncState";
 import { tasksAPI } from "./api";
+import { isAuthenticated } from "./auth";
 import { SYNC_CONFIG } from "../utils/constants";
 import { scheduleTaskNotification } from "./fcm";
 
@@ -30,8 +37,10 @@ import { scheduleTaskNotification } from "./fcm";
  * 2. Busca tarefas não sincronizadas localmente
  * 3. Envia para o servidor
  * 4. Marca como sincronizadas localmente
- * 5. Baixa tarefas do servidor
- * 6. Atualiza/insere tarefas locais
+ * 5. Baixa as alterações do servidor desde o último cursor
+ * 6. Remove localmente as tarefas deletadas no servidor
+ * 7. Atualiza/insere tarefas locais
+ * 8. Salva o novo cursor
  * 
  * @returns {Promise<Object>} Resultado da sincronização
  */
@@ -48,6 +57,17 @@ export const syncTasks = async () => {
     // é chamada antes da inicialização do banco estar completa
     await initDatabase();
 
+    // Sem login não há conta no servidor para sincronizar: manter só local
+    if (!(await isAuthenticated())) {
+      console.log("🔒 Sincronização ignorada: nenhum usuário logado");
+      return {
+        success: true,
+        uploaded: 0,
+        downloaded: 0,
+        skipped: true,
+      };
+    }
+
     // 1. Buscar tarefas não sincronizadas localmente
     const unsyncedTasks = await getUnsyncedTasks();
     
@@ -60,18 +80,18 @@ export const syncTasks = async () => {
     // 2. Enviar tarefas não sincronizadas para o servidor
     let syncedIds = [];
     let serverTaskMap = new Map(); // Mapeamento de ID local -> server_id
-    let serverTasksFromSync = []; // Tarefas retornadas pelo sync (evita duplicação)
+    let serverDeletedTasks = []; // Lápides de tarefas deletadas no servidor
     
     if (unsyncedTasks.length > 0) {
       try {
-        const syncResult = await tasksAPI.sync(unsyncedTasks);
+        // Modo delta: a resposta traz só as tarefas enviadas, o resto vem no passo 4
+        const syncResult = await tasksAPI.push(unsyncedTasks);
         syncedIds = syncResult.syncedIds || unsyncedTasks.map((t) => t.id);
+        serverDeletedTasks = syncResult.deleted || [];
         
         // CORREÇÃO CRÍTICA: Vincular server_id ANTES de processar outras tarefas
         // Isso previne duplicação ao garantir que tarefas recém-criadas sejam vinculadas imediatamente
         if (syncResult.tasks && Array.isArray(syncResult.tasks)) {
-          serverTasksFromSync = syncResult.tasks;
-          
           // Buscar todas as tarefas locais para verificar duplicatas
           const allLocalTasks = await getAllTasks();
           
@@ -135,26 +155,36 @@ export const syncTasks = async () => {
       await markTasksAsSynced(syncedIds);
     }
 
-    // 4. Baixar tarefas do servidor
-    // CORREÇÃO: Usar tarefas do sync se disponíveis, senão baixar todas
+    // 4. Baixar alterações do servidor desde o último cursor
+    // (inclui as tarefas recém-enviadas acima, que ganharam nova sequência)
     let serverTasks = [];
+    let nextCursor = null;
+    let isFullSnapshot = false;
     try {
-      if (serverTasksFromSync.length > 0) {
-        // Usar tarefas já retornadas pelo sync (evita duplicação)
-        serverTasks = serverTasksFromSync;
-        console.log(`📥 ${serverTasks.length} tarefas recebidas do sync (evitando duplicação)`);
-      } else {
-        // Se não temos tarefas do sync, baixar todas
-        serverTasks = await tasksAPI.getAll();
-        console.log(`📥 ${serverTasks.length} tarefas recebidas do servidor`);
-      }
+      const changes = await pullServerChanges();
+      serverTasks = changes.tasks;
+      serverDeletedTasks = [...serverDeletedTasks, ...changes.deleted];
+      nextCursor = changes.cursor;
+      isFullSnapshot = changes.isFullSnapshot;
+      console.log(
+        `📥 ${serverTasks.length} tarefa(s) alterada(s) e ${changes.deleted.length} lápide(s) recebidas do servidor` +
+          (isFullSnapshot ? " (carga completa)" : "")
+      );
     } catch (error) {
       console.error("❌ Erro ao baixar tarefas:", error);
       // Continuar mesmo se falhar, pois já sincronizamos as locais
     }
 
+    // 4.4. Remover localmente tarefas deletadas no servidor (lápides)
+    // Deve rodar antes da detecção de órfãs, senão a tarefa deletada seria
+    // tratada como órfã e reenviada, recriando-a no servidor
+    if (serverDeletedTasks.length > 0) {
+      await applyServerDeletions(serverDeletedTasks);
+    }
+
     // 4.5. CORREÇÃO: Detectar e limpar tarefas órfãs (com server_id que não existe no servidor)
-    if (serverTasks.length > 0) {
+    // Só é possível com a carga completa: um delta não lista as tarefas que não mudaram
+    if (isFullSnapshot && serverTasks.length > 0) {
       const allLocalTasks = await getAllTasks();
       const serverIds = new Set(serverTasks.map(t => t.id));
       
@@ -187,6 +217,12 @@ export const syncTasks = async () => {
       await syncServerTasksToLocal(serverTasks);
     }
 
+    // 6. Avançar o cursor apenas depois de aplicar as alterações
+    // Se algo falhar antes, o próximo ciclo baixa o mesmo trecho novamente
+    if (nextCursor !== null) {
+      await setSyncCursor(nextCursor);
+    }
+
     // #region agent log
     fetch('http://127.0.0.1:7242/ingest/900d3e87-1857-467b-b71f-e58429934408',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'sync.js:76',message:'syncTasks SUCCESS',data:{uploaded:syncedIds.length,downloaded:serverTasks.length},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'E'})}).catch(()=>{});
     // #endregion
@@ -208,6 +244,93 @@ export const syncTasks = async () => {
   }
 };
 
+/**
+ * Baixa as alterações do servidor a partir do cursor salvo
+ * 
+ * Percorre as páginas enquanto o servidor indicar `has_more`. Se o servidor
+ * responder `reset` (cursor antigo demais ou banco do servidor recriado),
+ * recomeça do cursor inicial, o que equivale a uma carga completa.
+ * 
+ * O cursor NÃO é salvo aqui; quem chama salva depois de aplicar as alterações.
+ * 
+ * @returns {Promise<Object>} { tasks, deleted, cursor, isFullSnapshot }
+ */
+const pullServerChanges = async () => {
+  let cursor = await getSyncCursor();
+  let isFullSnapshot = cursor === INITIAL_SYNC_CURSOR;
+  const tasksById = new Map(); // Última versão de cada tarefa alterada
+  let deleted = [];
+  let hasMore = true;
+
+  while (hasMore) {
+    const changes = await tasksAPI.getChanges(cursor);
+
+    if (changes.reset) {
+      if (isFullSnapshot) {
+        // O servidor nunca deveria invalidar o cursor inicial; evita loop infinito
+        throw new Error("Servidor invalidou o cursor inicial de sincronização");
+      }
+
+      console.log("♻️ Cursor de sincronização expirado, refazendo carga completa");
+      cursor = INITIAL_SYNC_CURSOR;
+      isFullSnapshot = true;
+      tasksById.clear();
+      deleted = [];
+      continue;
+    }
+
+    for (const task of [...(changes.created || []), ...(changes.updated || [])]) {
+      tasksById.set(task.id, task);
+    }
+    for (const tombstone of changes.deleted || []) {
+      tasksById.delete(tombstone.id);
+      deleted.push(tombstone);
+    }
+
+    cursor = changes.cursor;
+    hasMore = Boolean(changes.has_more);
+  }
+
+  return {
+    tasks: Array.from(tasksById.values()),
+    deleted,
+    cursor,
+    isFullSnapshot,
+  };
+};
+
+/**
+ * Remove localmente as tarefas que foram deletadas no servidor
+ * 
+ * Usa a lista de lápides (`deleted`) retornada pelo sync. A remoção é apenas
+ * local: a tarefa já está deletada no servidor.
+ * 
+ * @param {Array<{id: string, deleted_at: string}>} deletedTasks - Lápides do servidor
+ * @returns {Promise<number>} Quantidade de tarefas removidas localmente
+ */
+const applyServerDeletions = async (deletedTasks) => {
+  const deletedServerIds = new Set(deletedTasks.map((t) => t.id));
+  const localTasks = await getAllTasks();
+  let removedCount = 0;
+
+  for (const localTask of localTasks) {
+    if (localTask.server_id && deletedServerIds.has(localTask.server_id)) {
+      try {
+        await removeLocalTask(localTask.id);
+        removedCount++;
+      } catch (error) {
+        console.error(`❌ Erro ao remover tarefa deletada no servidor ${localTask.id}:`, error);
+      }
+    }
+  }
+
+  if (removedCount > 0) {
+    console.log(`🗑️ ${removedCount} tarefa(s) deletada(s) em outro dispositivo removida(s) localmente`);
+  }
+
+  return removedCount;
+};
+
 /**
  * Sincroniza tarefas do servidor para o local
  * 
@@ -384,6 +507,7 @@ const syncServerTasksToLocal = async (serverTasks) => {
         description: serverTask.description,
         status: serverTask.status,
         scheduled_at: serverTask.scheduled_at || null,
+        recurrence: serverTask.recurrence || null,
         created_at: createdAt,
         updated_at: updatedAt,
         server_id: serverTask.id,
@@ -411,6 +535,7 @@ const syncServerTasksToLocal = async (serverTasks) => {
           description: serverTask.description,
           status: serverTask.status,
           scheduled_at: serverTask.scheduled_at || null,
+          recurrence: serverTask.recurrence || null,
           server_id: serverTask.id,
           synced: 1,
           // updated_at será atualizado automaticamente pelo updateTask
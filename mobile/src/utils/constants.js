@@ -116,10 +116,18 @@ export const API_BASE_URL = (() => {
  * Centraliza todas as rotas da API para facilitar manutenção
  */
 export const API_ENDPOINTS = {
+  AUTH_REGISTER: "/api/auth/register",
+  AUTH_LOGIN: "/api/auth/login",
+  AUTH_REFRESH: "/api/auth/refresh",
+  AUTH_LOGOUT: "/api/auth/logout",
+  USERS_ME: "/api/users/me",
+  USERS_PAIRING_CODE: "/api/users/me/pairing-code",
   TASKS: "/api/tasks",
   TASKS_SYNC: "/api/tasks/sync",
+  TASKS_CHANGES: "/api/tasks/changes",
   WHATSAPP_SEND: "/api/whatsapp/send",
   FCM_REGISTER: "/api/fcm/register",
+  FCM_UNREGISTER: "/api/fcm/unregister",
   WIT_INTERPRET: "/api/wit/interpret",
   WIT_AUDIO: "/api/wit/audio",
 };
@@ -142,6 +150,15 @@ export const TASK_STATUS = {
   COMPLETED: "completed",
 };
 
+/**
+ * Frequências de repetição de tarefas
+ */
+export const RECURRENCE_FREQUENCY = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+};
+
 /**
  * Cores do tema do aplicativo
  */
@@ -166,6 +183,7 @@ export const ERROR_MESSAGES = {
   SERVER_ERROR: "Erro no servidor. Tente novamente mais tarde.",
   VALIDATION_ERROR: "Dados inválidos. Verifique os campos.",
   UNKNOWN_ERROR: "Erro desconhecido. Tente novamente.",
+  SESSION_EXPIRED: "Sua sessão expirou. Entre novamente nas Configurações.",
 };
 
 /**
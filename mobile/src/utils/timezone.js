@@ -0,0 +1,20 @@
+/**
+ * Utilitário de Fuso Horário do Aparelho
+ *
+ * O servidor interpreta as datas ditas no WhatsApp ("amanhã às 9h") no fuso
+ * salvo na conta; o app envia o fuso do aparelho ao entrar ou criar a conta.
+ */
+
+/**
+ * Obtém o fuso horário IANA configurado no aparelho
+ *
+ * @returns {string|null} Fuso (ex.: "America/Sao_Paulo") ou null se indisponível
+ */
+export const getDeviceTimeZone = () => {
+  try {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return typeof timeZone === "string" && timeZone.length > 0 ? timeZone : null;
+  } catch (error) {
+    return null;
+  }
+};